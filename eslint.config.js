@@ -43,6 +43,16 @@ export default [
       }],
     },
   },
+  // Node build scripts
+  {
+    files: ['scripts/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+    rules: {
+      'no-console': 'off',
+    },
+  },
   // Test files configuration
   {
     files: ['**/*.{test,spec}.{js,jsx}', '**/test/**/*.{js,jsx}', '**/__tests__/**/*.{js,jsx}'],
@@ -0,0 +1,90 @@
+/**
+ * prerender-profiles - Static HTML with head tags for every public profile
+ *
+ * Crawlers and chat apps that don't run JavaScript only see index.html. After
+ * `vite build`, this script writes dist/<username>/index.html for each public profile:
+ * the built app with that profile's title, meta, canonical and JSON-LD tags (the same
+ * ones PublicProfile sets in the browser via seoUtils). Static hosts serve these files
+ * for /<username>; the app then boots normally.
+ *
+ * Usage: npm run build:prerender (or `npm run prerender` after a build)
+ * Env (read from .env files like Vite does):
+ * - VITE_SUPABASE_URL, VITE_SUPABASE_ANON_KEY - only public profile columns are read
+ * - SITE_URL - public origin used for canonical and og:url, e.g. https://lynqee.com
+ *   (profiles with a verified custom domain use that domain instead)
+ */
+
+import { existsSync } from 'node:fs';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { createClient } from '@supabase/supabase-js';
+import { loadEnv } from 'vite';
+import { buildProfileHead, injectHeadHtml } from '../src/utils/seoUtils.js';
+import { getPublicProfileUrl } from '../src/utils/profileUrlUtils.js';
+
+const PAGE_SIZE = 1000;
+const DIST_DIR = path.resolve(process.cwd(), 'dist');
+
+const env = { ...loadEnv('production', process.cwd(), ''), ...process.env };
+
+const fetchPublicProfiles = async (supabase) => {
+  const profiles = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('username, name, bio, avatar_url, custom_domain, custom_domain_verified_at')
+      .is('deletion_scheduled_at', null)
+      .order('username')
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to load profiles: ${error.message}`);
+    }
+
+    profiles.push(...data);
+    if (data.length < PAGE_SIZE) return profiles;
+  }
+};
+
+const main = async () => {
+  const { VITE_SUPABASE_URL, VITE_SUPABASE_ANON_KEY, SITE_URL } = env;
+
+  if (!VITE_SUPABASE_URL || !VITE_SUPABASE_ANON_KEY) {
+    throw new Error('Missing VITE_SUPABASE_URL or VITE_SUPABASE_ANON_KEY');
+  }
+  if (!SITE_URL) {
+    throw new Error('Missing SITE_URL (public origin for canonical URLs, e.g. https://lynqee.com)');
+  }
+
+  const template = await readFile(path.join(DIST_DIR, 'index.html'), 'utf8');
+  const origin = SITE_URL.replace(/\/+$/, '');
+  const supabase = createClient(VITE_SUPABASE_URL, VITE_SUPABASE_ANON_KEY, {
+    auth: { persistSession: false },
+  });
+
+  const profiles = await fetchPublicProfiles(supabase);
+  let written = 0;
+
+  for (const profile of profiles) {
+    const directory = path.join(DIST_DIR, profile.username);
+
+    // Never write into build output such as dist/assets
+    if (!profile.username || existsSync(directory)) {
+      console.warn(`[prerender] Skipping "${profile.username}": path already exists in dist`);
+      continue;
+    }
+
+    const head = buildProfileHead(profile, getPublicProfileUrl(profile, origin));
+    await mkdir(directory, { recursive: true });
+    await writeFile(path.join(directory, 'index.html'), injectHeadHtml(template, head));
+    written += 1;
+  }
+
+  console.log(`[prerender] Wrote ${written} of ${profiles.length} profile pages`);
+};
+
+main().catch(error => {
+  console.error('[prerender] Failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,127 @@
+/**
+ * purge-deleted-accounts - Finish account deletions whose grace period has ended
+ *
+ * Deleting an account with a grace period only sets the profile's
+ * `deletion_scheduled_at` and signs the user out (see AccountService). This script
+ * permanently deletes every account whose date has passed, running the same steps as
+ * AccountService.deleteAccount in the same order (ACCOUNT_DELETION_STEPS): analytics,
+ * links, avatar, username history, profile and auth user. Deleting the auth user ends
+ * its sessions, so there is nothing to sign out. An account that fails part way is
+ * picked up again on the next run; every step can safely be retried.
+ *
+ * Usage: npm run purge:accounts - run it on a schedule, at least daily, e.g. from cron:
+ *   0 3 * * * cd /srv/lynqee && npm run purge:accounts
+ * Env (read from .env files like Vite does):
+ * - VITE_SUPABASE_URL
+ * - SUPABASE_SERVICE_ROLE_KEY - needed to delete other users' rows and auth users;
+ *   keep it on the server that runs this script, never in a VITE_ variable
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { loadEnv } from 'vite';
+import { ACCOUNT_DELETION_STEPS } from '../src/constants/index.js';
+
+const PAGE_SIZE = 1000;
+const AVATAR_BUCKET = 'avatars';
+
+const env = { ...loadEnv('production', process.cwd(), ''), ...process.env };
+
+const throwIfError = ({ error }, message) => {
+  if (error) {
+    throw new Error(`${message}: ${error.message}`);
+  }
+};
+
+const fetchDueProfileIds = async (supabase, now) => {
+  const ids = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('id')
+      .lte('deletion_scheduled_at', now)
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to load scheduled deletions: ${error.message}`);
+    }
+
+    ids.push(...data.map(row => row.id));
+    if (data.length < PAGE_SIZE) return ids;
+  }
+};
+
+// One runner per deletion step except signing out, which only applies in the browser
+const createStepRunners = (supabase) => ({
+  [ACCOUNT_DELETION_STEPS.ANALYTICS]: async (userId) => {
+    for (const table of ['link_clicks', 'profile_views']) {
+      throwIfError(await supabase.from(table).delete().eq('profile_id', userId), `Failed to delete ${table}`);
+    }
+  },
+  [ACCOUNT_DELETION_STEPS.LINKS]: async (userId) => {
+    throwIfError(await supabase.from('links').delete().eq('user_id', userId), 'Failed to delete links');
+  },
+  [ACCOUNT_DELETION_STEPS.AVATAR]: async (userId) => {
+    const { data: files, error } = await supabase.storage.from(AVATAR_BUCKET).list(userId);
+    throwIfError({ error }, 'Failed to list avatar files');
+
+    if (files?.length > 0) {
+      const paths = files.map(file => `${userId}/${file.name}`);
+      throwIfError(await supabase.storage.from(AVATAR_BUCKET).remove(paths), 'Failed to delete avatar');
+    }
+  },
+  [ACCOUNT_DELETION_STEPS.USERNAME_HISTORY]: async (userId) => {
+    throwIfError(await supabase.from('username_history').delete().eq('user_id', userId), 'Failed to delete username history');
+  },
+  [ACCOUNT_DELETION_STEPS.PROFILE]: async (userId) => {
+    throwIfError(await supabase.from('profiles').delete().eq('id', userId), 'Failed to delete profile');
+  },
+  [ACCOUNT_DELETION_STEPS.AUTH_USER]: async (userId) => {
+    throwIfError(await supabase.auth.admin.deleteUser(userId), 'Failed to delete auth user');
+  },
+});
+
+const main = async () => {
+  const { VITE_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY } = env;
+
+  if (!VITE_SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+    throw new Error('Missing VITE_SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY');
+  }
+
+  const supabase = createClient(VITE_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+  const runners = createStepRunners(supabase);
+  const steps = Object.values(ACCOUNT_DELETION_STEPS).filter(step => step !== ACCOUNT_DELETION_STEPS.SIGN_OUT);
+  const missing = steps.filter(step => !runners[step]);
+  if (missing.length > 0) {
+    throw new Error(`No purge step for: ${missing.join(', ')}`);
+  }
+
+  const userIds = await fetchDueProfileIds(supabase, new Date().toISOString());
+  let purged = 0;
+
+  for (const userId of userIds) {
+    let currentStep = null;
+    try {
+      for (const step of steps) {
+        currentStep = step;
+        await runners[step](userId);
+      }
+      purged += 1;
+    } catch (error) {
+      console.error(`[purge] Account ${userId} failed at ${currentStep}:`, error.message);
+    }
+  }
+
+  console.log(`[purge] Deleted ${purged} of ${userIds.length} accounts due for deletion`);
+  if (purged < userIds.length) {
+    process.exitCode = 1;
+  }
+};
+
+main().catch(error => {
+  console.error('[purge] Failed:', error.message);
+  process.exit(1);
+});
@@ -2,6 +2,7 @@
 
 // 1. TAMBAHKAN import 'lazy' dan 'Suspense'
 import React, { Suspense, lazy } from 'react';
+import PropTypes from 'prop-types';
 import { Route, BrowserRouter as Router, Routes } from 'react-router-dom';
 import { AuthProvider } from './contexts/AuthContext.jsx';
 import { AppStateProvider } from './contexts/AppStateContext.jsx';
@@ -9,14 +10,19 @@ import { AlertProvider } from './contexts/AlertContext.jsx';
 import ProtectedRoute from './components/common/ProtectedRoute';
 import { InitialLoading } from './components/common/ModernLoading.jsx';
 import { ErrorBoundary, ErrorState, GlobalErrorBoundary } from './components/common/error';
+import { getCustomDomainHost } from './utils/customDomainUtils';
+import { ROUTES } from './constants';
 import './App.css';
 
 // 2. UBAH SEMUA IMPORT HALAMAN MENJADI DYNAMIC menggunakan React.lazy
+const AnalyticsPage = lazy(() => import('./pages/AnalyticsPage.jsx'));
 const Auth = lazy(() => import('./pages/Auth.jsx'));
 const CheckEmailPage = lazy(() => import('./pages/CheckEmailPage.jsx'));
+const CustomDomainProfile = lazy(() => import('./pages/CustomDomainProfile.jsx'));
 const Dashboard = lazy(() => import('./pages/Dashboard.jsx'));
 const EmailVerification = lazy(() => import('./pages/EmailVerification.jsx'));
 const LandingPage = lazy(() => import('./pages/LandingPage.jsx'));
+const LinkRedirect = lazy(() => import('./pages/LinkRedirect.jsx'));
 const LinksPage = lazy(() => import('./pages/LinksPage.jsx'));
 const NotFound = lazy(() => import('./pages/NotFound.jsx'));
 const ProfileSetup = lazy(() => import('./pages/ProfileSetup.jsx'));
@@ -26,6 +32,36 @@ const ResetPassword = lazy(() => import('./pages/ResetPassword.jsx'));
 // Testing components (development only)
 const ErrorTestComponent = lazy(() => import('./components/common/ErrorTestComponent.jsx'));
 
+// Host mode: on a profile's custom domain the app only serves that profile at "/"
+// and its short links at "/:slug"
+const customDomainHost = getCustomDomainHost();
+
+const CustomDomainRoutes = ({ hostname }) => (
+  <Routes>
+    <Route
+      path={ROUTES.HOME}
+      element={
+        <ErrorBoundary fallback={<ErrorState type="profileNotFound" />}>
+          <CustomDomainProfile hostname={hostname} />
+        </ErrorBoundary>
+      }
+    />
+    <Route
+      path="/:slug"
+      element={
+        <ErrorBoundary fallback={<ErrorState type="general" />}>
+          <CustomDomainProfile hostname={hostname} view="shortLink" />
+        </ErrorBoundary>
+      }
+    />
+    <Route path="*" element={<NotFound />} />
+  </Routes>
+);
+
+CustomDomainRoutes.propTypes = {
+  hostname: PropTypes.string.isRequired,
+};
+
 function App() {
   return (
     <GlobalErrorBoundary onError={(error, errorInfo) => {
@@ -43,10 +79,13 @@ function App() {
               <div className="app-container">
                 {/* 4. BUNGKUS <Routes> DENGAN <Suspense> */}
                 <Suspense fallback={<InitialLoading />}>
+              {customDomainHost ? (
+                <CustomDomainRoutes hostname={customDomainHost} />
+              ) : (
               <Routes>
                 {/* Rute Publik: bisa diakses siapa saja */}
                 <Route 
-                  path="/" 
+                  path={ROUTES.HOME} 
                   element={
                     <ErrorBoundary fallback={<ErrorState type="general" />}>
                       <LandingPage />
@@ -54,7 +93,7 @@ function App() {
                   } 
                 />
                 <Route 
-                  path="/login" 
+                  path={ROUTES.LOGIN} 
                   element={
                     <ErrorBoundary fallback={<ErrorState type="general" />}>
                       <Auth />
@@ -62,7 +101,7 @@ function App() {
                   } 
                 />
                 <Route 
-                  path="/reset-password" 
+                  path={ROUTES.RESET_PASSWORD} 
                   element={
                     <ErrorBoundary fallback={<ErrorState type="general" />}>
                       <ResetPassword />
@@ -70,7 +109,7 @@ function App() {
                   } 
                 />
                 <Route 
-                  path="/verify-email" 
+                  path={ROUTES.VERIFY_EMAIL} 
                   element={
                     <ErrorBoundary fallback={<ErrorState type="general" />}>
                       <EmailVerification />
@@ -78,7 +117,7 @@ function App() {
                   } 
                 />
                 <Route 
-                  path="/check-email" 
+                  path={ROUTES.CHECK_EMAIL} 
                   element={
                     <ErrorBoundary fallback={<ErrorState type="general" />}>
                       <CheckEmailPage />
@@ -86,17 +125,34 @@ function App() {
                   } 
                 />
                 <Route 
-                  path="/:username" 
+                  path={ROUTES.PUBLIC_PROFILE} 
                   element={
                     <ErrorBoundary fallback={<ErrorState type="profileNotFound" />}>
                       <PublicProfile />
                     </ErrorBoundary>
                   } 
                 />
+                {/* Short links: catat klik lalu redirect ke URL link */}
+                <Route 
+                  path={ROUTES.SHORT_LINK} 
+                  element={
+                    <ErrorBoundary fallback={<ErrorState type="general" />}>
+                      <LinkRedirect />
+                    </ErrorBoundary>
+                  } 
+                />
+                <Route 
+                  path={ROUTES.GO_LINK} 
+                  element={
+                    <ErrorBoundary fallback={<ErrorState type="general" />}>
+                      <LinkRedirect />
+                    </ErrorBoundary>
+                  } 
+                />
                 
                 {/* Rute yang Dilindungi: hanya untuk pengguna yang sudah login */}
                 <Route 
-                  path="/dashboard" 
+                  path={ROUTES.DASHBOARD} 
                   element={
                     <ErrorBoundary fallback={<ErrorState type="general" />}>
                       <ProtectedRoute><Dashboard /></ProtectedRoute>
@@ -104,7 +160,7 @@ function App() {
                   } 
                 />
                 <Route 
-                  path="/links" 
+                  path={ROUTES.LINKS} 
                   element={
                     <ErrorBoundary fallback={<ErrorState type="general" />}>
                       <ProtectedRoute><LinksPage /></ProtectedRoute>
@@ -112,7 +168,15 @@ function App() {
                   } 
                 />
                 <Route 
-                  path="/setup" 
+                  path={ROUTES.ANALYTICS} 
+                  element={
+                    <ErrorBoundary fallback={<ErrorState type="general" />}>
+                      <ProtectedRoute><AnalyticsPage /></ProtectedRoute>
+                    </ErrorBoundary>
+                  } 
+                />
+                <Route 
+                  path={ROUTES.PROFILE_SETUP} 
                   element={
                     <ErrorBoundary fallback={<ErrorState type="general" />}>
                       <ProtectedRoute><ProfileSetup /></ProtectedRoute>
@@ -122,7 +186,7 @@ function App() {
                 
                 {/* Rute untuk Testing Tools - untuk development/debugging */}
                 <Route 
-                  path="/test-errors" 
+                  path={ROUTES.TEST_ERRORS} 
                   element={
                     <ErrorBoundary fallback={<ErrorState type="general" />}>
                       <ErrorTestComponent />
@@ -133,6 +197,7 @@ function App() {
                 {/* Rute Catch-all untuk 404 - harus selalu paling akhir */}
                 <Route path="*" element={<NotFound />} />
               </Routes>
+              )}
             </Suspense>
           </div>
         </Router>
@@ -0,0 +1,39 @@
+/**
+ * Toggle Component Test Suite
+ * 
+ * Tests switch semantics, change events and disabled state
+ */
+
+import React from 'react';
+import { describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import Toggle from '../../../components/common/Toggle.jsx';
+
+describe('Toggle Component', () => {
+  it('renders as an accessible switch', () => {
+    render(<Toggle checked label="Show link" />);
+
+    const toggle = screen.getByRole('switch', { name: /show link/i });
+    expect(toggle).toHaveAttribute('aria-checked', 'true');
+  });
+
+  it('calls onChange with the next state', () => {
+    const handleChange = vi.fn();
+    render(<Toggle checked={false} onChange={handleChange} label="Show link" />);
+
+    fireEvent.click(screen.getByRole('switch'));
+
+    expect(handleChange).toHaveBeenCalledWith(true);
+  });
+
+  it('does not call onChange when disabled', () => {
+    const handleChange = vi.fn();
+    render(<Toggle disabled onChange={handleChange} label="Show link" />);
+
+    const toggle = screen.getByRole('switch');
+    fireEvent.click(toggle);
+
+    expect(toggle).toBeDisabled();
+    expect(handleChange).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * useDocumentHead Hook Test Suite
+ *
+ * Tests that page head tags are applied while mounted and the defaults restored afterwards
+ */
+
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { renderHook } from '@testing-library/react';
+import { useDocumentHead } from '../../hooks/useDocumentHead.js';
+import { buildProfileHead } from '../../utils/seoUtils.js';
+
+const head = buildProfileHead({ username: 'jane', name: 'Jane Doe', bio: 'Hello' }, 'https://lynqee.com/jane');
+
+describe('useDocumentHead Hook', () => {
+  beforeEach(() => {
+    document.title = 'Lynqee';
+    document.head.innerHTML = '<meta name="description" content="Default" data-lynqee-head>';
+  });
+
+  afterEach(() => {
+    document.head.innerHTML = '';
+  });
+
+  it('applies title, meta, canonical and JSON-LD', () => {
+    renderHook(() => useDocumentHead(head));
+
+    expect(document.title).toBe('Jane Doe (@jane) | Lynqee');
+    expect(document.head.querySelectorAll('meta[name="description"]')).toHaveLength(1);
+    expect(document.head.querySelector('meta[name="description"]').content).toBe('Hello');
+    expect(document.head.querySelector('link[rel="canonical"]').href).toBe('https://lynqee.com/jane');
+    expect(JSON.parse(document.head.querySelector('script[type="application/ld+json"]').textContent))
+      .toEqual(head.jsonLd);
+  });
+
+  it('restores the defaults on unmount', () => {
+    const { unmount } = renderHook(() => useDocumentHead(head));
+    unmount();
+
+    expect(document.title).toBe('Lynqee');
+    expect(document.head.querySelector('meta[name="description"]').content).toBe('Default');
+    expect(document.head.querySelector('link[rel="canonical"]')).toBeNull();
+  });
+
+  it('leaves the head alone without a description', () => {
+    renderHook(() => useDocumentHead(null));
+
+    expect(document.head.querySelector('meta[name="description"]').content).toBe('Default');
+  });
+});
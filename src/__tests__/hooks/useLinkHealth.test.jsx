@@ -0,0 +1,75 @@
+/**
+ * useLinkHealth Hook Test Suite
+ *
+ * Tests that automatic and on-demand link checks never overlap and that
+ * "Check now" during an automatic check still checks the links
+ */
+
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, renderHook, waitFor } from '@testing-library/react';
+
+vi.mock('../../services', () => ({
+  LinkHealthService: {
+    checkLinks: vi.fn(),
+  },
+}));
+
+import { useLinkHealth } from '../../hooks/useLinkHealth.js';
+import { LinksProvider } from '../../contexts/LinksContext.jsx';
+import AuthContext from '../../contexts/AuthContext.jsx';
+import { LinkHealthService } from '../../services';
+import { mockAuthContextAuthenticated } from '../mocks/testUtils.jsx';
+
+const wrapper = ({ children }) => (
+  <AuthContext.Provider value={mockAuthContextAuthenticated}>
+    <LinksProvider>{children}</LinksProvider>
+  </AuthContext.Provider>
+);
+
+const LINKS = [
+  { id: 'link-1', url: 'https://example.com/a' },
+  { id: 'link-2', url: 'https://example.com/b' },
+];
+
+describe('useLinkHealth Hook', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('runs "Check now" after an automatic check instead of skipping it', async () => {
+    let finishAutoCheck;
+    LinkHealthService.checkLinks
+      .mockImplementationOnce(() => new Promise(resolve => {
+        finishAutoCheck = () => resolve({ success: true, error: null, data: LINKS });
+      }))
+      .mockResolvedValueOnce({ success: true, error: null, data: LINKS });
+
+    const { result } = renderHook(() => useLinkHealth(LINKS), { wrapper });
+
+    // Links never checked are due, so an automatic check starts right away
+    await waitFor(() => expect(result.current.loading).toBe(true));
+    expect(LinkHealthService.checkLinks).toHaveBeenCalledTimes(1);
+
+    let checkNowResult;
+    let checkNowPromise;
+    act(() => {
+      checkNowPromise = result.current.checkNow();
+    });
+    expect(LinkHealthService.checkLinks).toHaveBeenCalledTimes(1);
+
+    await act(async () => {
+      finishAutoCheck();
+      checkNowResult = await checkNowPromise;
+    });
+
+    expect(LinkHealthService.checkLinks).toHaveBeenCalledTimes(2);
+    expect(LinkHealthService.checkLinks.mock.calls[1][0]).toEqual(LINKS);
+    expect(checkNowResult.data).toEqual(LINKS);
+    expect(result.current.loading).toBe(false);
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * useLinkUndo Hook Test Suite
+ *
+ * Tests for the link undo stack: undoable alerts, one-shot undo entries,
+ * expiry, and restoring links through LinksService
+ */
+
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, renderHook } from '@testing-library/react';
+
+const mockAlerts = {
+  showSuccess: vi.fn(() => 'alert-1'),
+  showError: vi.fn(),
+  hideAlert: vi.fn(),
+};
+
+vi.mock('../../hooks/useAlerts.js', () => ({
+  useAlerts: () => mockAlerts,
+  default: () => mockAlerts,
+}));
+
+vi.mock('../../services', () => ({
+  LinksService: {
+    restoreLinks: vi.fn(),
+    deleteLinks: vi.fn(),
+    setLinkPositions: vi.fn(),
+    updateLink: vi.fn(),
+  },
+}));
+
+import { useLinkUndo } from '../../hooks/useLinkUndo.js';
+import { LinksProvider, useLinks } from '../../contexts/LinksContext.jsx';
+import AuthContext from '../../contexts/AuthContext.jsx';
+import { LinksService } from '../../services';
+import { APP_CONFIG } from '../../constants';
+import { mockAuthContextAuthenticated } from '../mocks/testUtils.jsx';
+
+const wrapper = ({ children }) => (
+  <AuthContext.Provider value={mockAuthContextAuthenticated}>
+    <LinksProvider>{children}</LinksProvider>
+  </AuthContext.Provider>
+);
+
+const renderUndo = () => renderHook(() => ({ ...useLinkUndo(), links: useLinks() }), { wrapper });
+
+describe('useLinkUndo Hook', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('shows a success alert with an Undo action and records the change', () => {
+    const { result } = renderUndo();
+
+    act(() => {
+      result.current.recordUndoable({ title: 'Link Deleted', message: 'Removed', undo: vi.fn() });
+    });
+
+    expect(result.current.canUndo).toBe(true);
+    expect(mockAlerts.showSuccess).toHaveBeenCalledWith(
+      { title: 'Link Deleted', message: 'Removed' },
+      expect.objectContaining({
+        duration: APP_CONFIG.UNDO_DURATION,
+        action: expect.objectContaining({ label: 'Undo' }),
+      })
+    );
+  });
+
+  it('runs each undo entry only once', async () => {
+    const revert = vi.fn().mockResolvedValue({ success: true, error: null });
+    const { result } = renderUndo();
+
+    let entryId;
+    act(() => {
+      entryId = result.current.recordUndoable({ title: 'Order Updated', message: 'Moved', undo: revert });
+    });
+
+    let first;
+    let second;
+    await act(async () => {
+      first = await result.current.undo(entryId);
+      second = await result.current.undo(entryId);
+    });
+
+    expect(first.success).toBe(true);
+    expect(second.success).toBe(false);
+    expect(revert).toHaveBeenCalledTimes(1);
+    expect(mockAlerts.hideAlert).toHaveBeenCalledWith('alert-1');
+    expect(result.current.canUndo).toBe(false);
+  });
+
+  it('undoes the most recent change when no entry is given', async () => {
+    const older = vi.fn().mockResolvedValue({ success: true });
+    const newer = vi.fn().mockResolvedValue({ success: true });
+    const { result } = renderUndo();
+
+    act(() => {
+      result.current.recordUndoable({ title: 'Link Updated', message: 'a', undo: older });
+      result.current.recordUndoable({ title: 'Link Deleted', message: 'b', undo: newer });
+    });
+
+    await act(async () => {
+      await result.current.undo();
+    });
+
+    expect(newer).toHaveBeenCalled();
+    expect(older).not.toHaveBeenCalled();
+  });
+
+  it('ignores entries older than the undo window', async () => {
+    const revert = vi.fn();
+    const now = Date.now();
+    const dateSpy = vi.spyOn(Date, 'now').mockReturnValue(now);
+    const { result } = renderUndo();
+
+    let entryId;
+    act(() => {
+      entryId = result.current.recordUndoable({ title: 'Link Deleted', message: 'Removed', undo: revert });
+    });
+
+    dateSpy.mockReturnValue(now + APP_CONFIG.UNDO_DURATION + 1);
+
+    let outcome;
+    await act(async () => {
+      outcome = await result.current.undo(entryId);
+    });
+
+    expect(outcome.success).toBe(false);
+    expect(revert).not.toHaveBeenCalled();
+  });
+
+  it('shows an error when the undo fails', async () => {
+    const revert = vi.fn().mockResolvedValue({ success: false, error: 'Network error' });
+    const { result } = renderUndo();
+
+    let entryId;
+    act(() => {
+      entryId = result.current.recordUndoable({ title: 'Link Deleted', message: 'Removed', undo: revert });
+    });
+
+    await act(async () => {
+      await result.current.undo(entryId);
+    });
+
+    expect(mockAlerts.showError).toHaveBeenCalledWith(
+      expect.objectContaining({ title: 'Undo Failed' }),
+      expect.any(Object)
+    );
+  });
+
+  it('restores deleted rows at their original positions', async () => {
+    const deleted = { id: 'link-2', title: 'Second', position: 2 };
+    LinksService.restoreLinks.mockResolvedValue({ success: true, error: null, data: [deleted] });
+    const { result } = renderUndo();
+
+    act(() => {
+      result.current.links.updateLinks([
+        { id: 'link-1', title: 'First', position: 1 },
+        { id: 'link-3', title: 'Third', position: 3 },
+      ]);
+    });
+
+    await act(async () => {
+      await result.current.restoreLinks([deleted]);
+    });
+
+    expect(LinksService.restoreLinks).toHaveBeenCalledWith([deleted]);
+    expect(result.current.links.linksData.map(link => link.id)).toEqual(['link-1', 'link-2', 'link-3']);
+  });
+
+  it('stores previous positions optimistically in one request', async () => {
+    LinksService.setLinkPositions.mockResolvedValue({ success: true, error: null, data: null });
+    const { result } = renderUndo();
+
+    act(() => {
+      result.current.links.updateLinks([
+        { id: 'a', position: 1 },
+        { id: 'b', position: 2 },
+      ]);
+    });
+
+    await act(async () => {
+      await result.current.applyPositions([{ id: 'a', position: 2 }, { id: 'b', position: 1 }]);
+    });
+
+    expect(result.current.links.linksData.map(link => link.id)).toEqual(['b', 'a']);
+    expect(LinksService.setLinkPositions).toHaveBeenCalledWith([
+      { id: 'a', position: 2 },
+      { id: 'b', position: 1 },
+    ]);
+  });
+});
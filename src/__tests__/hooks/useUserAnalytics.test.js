@@ -0,0 +1,87 @@
+/**
+ * useUserAnalytics Hook Test Suite
+ *
+ * Tests that clicks are loaded once and counts and the daily series are derived from them,
+ * and that responses for an earlier range are ignored
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, renderHook, waitFor } from '@testing-library/react';
+
+vi.mock('../../services', () => ({
+  AnalyticsService: {
+    getClicks: vi.fn(),
+    getProfileViews: vi.fn(),
+  },
+}));
+
+import { useUserAnalytics } from '../../hooks/useUserAnalytics.js';
+import { AnalyticsService } from '../../services';
+
+describe('useUserAnalytics Hook', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('derives click counts and the daily series from one clicks query', async () => {
+    const today = new Date().toISOString();
+    AnalyticsService.getClicks.mockResolvedValue({
+      success: true,
+      error: null,
+      data: [
+        { link_id: 'link-1', clicked_at: today },
+        { link_id: 'link-1', clicked_at: today },
+        { link_id: 'link-2', clicked_at: today },
+      ],
+    });
+    AnalyticsService.getProfileViews.mockResolvedValue({
+      success: true,
+      error: null,
+      data: { total: 6, uniqueVisitors: 4, series: [], topReferrers: [], deviceTypes: [] },
+    });
+
+    const { result } = renderHook(() => useUserAnalytics('user-1', 7));
+
+    await waitFor(() => expect(result.current.loading).toBe(false));
+
+    expect(AnalyticsService.getClicks).toHaveBeenCalledTimes(1);
+    expect(AnalyticsService.getClicks).toHaveBeenCalledWith('user-1', 7);
+    expect(result.current.data.totalClicks).toBe(3);
+    expect(result.current.data.clicksByLink).toEqual({ 'link-1': 2, 'link-2': 1 });
+    expect(result.current.data.clicksSeries).toHaveLength(7);
+    expect(result.current.data.clicksSeries[6].count).toBe(3);
+  });
+
+  it('ignores a slower response for a range that is no longer selected', async () => {
+    const today = new Date().toISOString();
+    let resolveOldClicks;
+    AnalyticsService.getClicks
+      .mockReturnValueOnce(new Promise(resolve => { resolveOldClicks = resolve; }))
+      .mockResolvedValueOnce({ success: true, error: null, data: [{ link_id: 'link-1', clicked_at: today }] });
+    AnalyticsService.getProfileViews.mockResolvedValue({
+      success: true,
+      error: null,
+      data: { total: 2, uniqueVisitors: 1, series: [], topReferrers: [], deviceTypes: [] },
+    });
+
+    const { result, rerender } = renderHook(({ days }) => useUserAnalytics('user-1', days), {
+      initialProps: { days: 90 },
+    });
+    rerender({ days: 7 });
+
+    await waitFor(() => expect(result.current.loading).toBe(false));
+    expect(result.current.data.totalClicks).toBe(1);
+
+    await act(async () => {
+      resolveOldClicks({
+        success: true,
+        error: null,
+        data: Array.from({ length: 5 }, () => ({ link_id: 'link-2', clicked_at: today })),
+      });
+    });
+
+    expect(result.current.data.totalClicks).toBe(1);
+    expect(result.current.data.clicksSeries).toHaveLength(7);
+    expect(result.current.loading).toBe(false);
+  });
+});
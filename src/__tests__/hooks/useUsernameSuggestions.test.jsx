@@ -0,0 +1,63 @@
+/**
+ * useUsernameSuggestions Hook Test Suite
+ *
+ * Tests that candidates are checked in one batch and only available ones are offered
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { renderHook, waitFor } from '@testing-library/react';
+
+vi.mock('../../services', () => ({
+  ProfileService: {
+    checkUsernamesAvailability: vi.fn(),
+  },
+}));
+
+import { useUsernameSuggestions } from '../../hooks/useUsernameSuggestions.js';
+import { ProfileService } from '../../services';
+
+describe('useUsernameSuggestions Hook', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    ProfileService.checkUsernamesAvailability.mockImplementation(async (candidates) => ({
+      success: true,
+      error: null,
+      data: candidates.filter(candidate => candidate !== 'janedoe'),
+    }));
+  });
+
+  it('checks name and email ideas in a single batched query', async () => {
+    const { result } = renderHook(() => useUsernameSuggestions({
+      email: 'jane.doe+news@example.com',
+      fullName: 'Jane Doe',
+      enabled: true,
+    }));
+
+    await waitFor(() => expect(result.current.data.length).toBeGreaterThan(0));
+
+    expect(ProfileService.checkUsernamesAvailability).toHaveBeenCalledTimes(1);
+    const [candidates] = ProfileService.checkUsernamesAvailability.mock.calls[0];
+    expect(candidates).toEqual(expect.arrayContaining(['janedoe', 'jane_doe', 'jdoe']));
+    expect(result.current.data).not.toContain('janedoe');
+    expect(result.current.data.length).toBeLessThanOrEqual(5);
+  });
+
+  it('leads with variations of a taken username', async () => {
+    const { result } = renderHook(() => useUsernameSuggestions({
+      username: 'jane',
+      email: 'jd@example.com',
+      enabled: true,
+    }));
+
+    await waitFor(() => expect(result.current.data.length).toBeGreaterThan(0));
+
+    expect(result.current.data[0]).toBe('janehq');
+  });
+
+  it('does nothing while disabled', () => {
+    const { result } = renderHook(() => useUsernameSuggestions({ email: 'jane@example.com', enabled: false }));
+
+    expect(result.current.data).toEqual([]);
+    expect(ProfileService.checkUsernamesAvailability).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * AnalyticsPage Tests
+ *
+ * Tests the summary totals, range switching and the per-link table
+ */
+
+import React from 'react';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { fireEvent, screen, within } from '@testing-library/react';
+import { mockLinks, renderWithProviders } from '../mocks/testUtils.jsx';
+import AnalyticsPage from '../../pages/AnalyticsPage.jsx';
+import { useUserAnalytics } from '../../hooks/useUserAnalytics.js';
+
+vi.mock('../../hooks/useUserLinks.js', () => ({
+  useUserLinks: () => ({ data: mockLinks, loading: false, error: null, refetch: vi.fn() }),
+}));
+
+vi.mock('../../hooks/useUserAnalytics.js', () => ({
+  useUserAnalytics: vi.fn(),
+}));
+
+// The guard loads the profile; these tests start from a finished setup
+vi.mock('../../components/common', async (importOriginal) => ({
+  ...await importOriginal(),
+  ProfileSetupGuard: ({ children }) => children,
+}));
+
+const mockAnalytics = {
+  totalClicks: 8,
+  clicksByLink: { 'link-1': 3, 'link-2': 5 },
+  clicksSeries: [{ date: '2024-01-01', count: 8 }],
+  totalViews: 40,
+  uniqueVisitors: 25,
+  viewsSeries: [{ date: '2024-01-01', count: 40 }],
+  topReferrers: [{ label: 'twitter.com', count: 30 }],
+  deviceTypes: [{ label: 'mobile', count: 40 }],
+};
+
+const getSummaryValue = (label) => screen.getByText(label).closest('div').nextElementSibling.textContent;
+
+describe('AnalyticsPage', () => {
+  beforeEach(() => {
+    useUserAnalytics.mockReset();
+    useUserAnalytics.mockReturnValue({ data: mockAnalytics, loading: false, error: null, refetch: vi.fn() });
+  });
+
+  it('shows view, visitor, click and click-through totals', () => {
+    renderWithProviders(<AnalyticsPage />);
+
+    expect(getSummaryValue('Profile Views')).toBe('40');
+    expect(getSummaryValue('Unique Visitors')).toBe('25');
+    expect(getSummaryValue('Link Clicks')).toBe('8');
+    expect(getSummaryValue('Click-through')).toBe('20%');
+  });
+
+  it('loads the selected range', () => {
+    renderWithProviders(<AnalyticsPage />);
+
+    expect(useUserAnalytics).toHaveBeenLastCalledWith('test-user-id', 30);
+
+    fireEvent.click(screen.getByRole('button', { name: '7d' }));
+
+    expect(useUserAnalytics).toHaveBeenLastCalledWith('test-user-id', 7);
+    expect(screen.getByRole('button', { name: '7d' })).toHaveAttribute('aria-pressed', 'true');
+    expect(screen.getByText('Last 7 days')).toBeInTheDocument();
+  });
+
+  it('lists links by clicks and reverses the order on a second tap', () => {
+    renderWithProviders(<AnalyticsPage />);
+
+    const table = screen.getByRole('table');
+    const linkTitles = () => within(table).getAllByRole('row').slice(1)
+      .map(row => within(row).getAllByRole('cell')[0].querySelector('p').textContent);
+
+    expect(linkTitles()).toEqual(['Test Link 2', 'Test Link 1']);
+    expect(within(table).getByText('5')).toBeInTheDocument();
+    expect(within(table).getByText('3')).toBeInTheDocument();
+
+    fireEvent.click(within(table).getByRole('button', { name: /clicks/i }));
+
+    expect(linkTitles()).toEqual(['Test Link 1', 'Test Link 2']);
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * AccountService Tests
+ *
+ * Tests for collecting profile, links and avatar into the account export, restoring
+ * a profile from it, and for immediate and scheduled account deletion
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../services/supabase.js', () => ({
+  supabase: {
+    from: vi.fn(),
+    storage: { from: vi.fn() },
+  },
+  SUPABASE_TABLES: {
+    PROFILES: 'profiles',
+    LINKS: 'links',
+  },
+}));
+
+import AccountService from '../../services/AccountService.js';
+import ProfileService from '../../services/ProfileService.js';
+import LinksService from '../../services/LinksService.js';
+import AvatarService from '../../services/AvatarService.js';
+import AuthService from '../../services/AuthService.js';
+import AnalyticsService from '../../services/AnalyticsService.js';
+import { ACCOUNT_DELETION_STEPS, ACCOUNT_EXPORT } from '../../constants';
+import { buildAccountExport } from '../../utils/accountExportUtils.js';
+import { mockLinks, mockUser } from '../mocks/testUtils.jsx';
+
+const mockProfile = { id: mockUser.id, username: 'testuser', name: 'Test User' };
+
+describe('AccountService', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(ProfileService, 'getProfileByUserId').mockResolvedValue({ success: true, error: null, data: mockProfile });
+    vi.spyOn(LinksService, 'getLinksByUserId').mockResolvedValue({ success: true, error: null, data: mockLinks });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('exportAccountData', () => {
+    it('should package profile, links and avatar into a versioned document', async () => {
+      vi.spyOn(AvatarService, 'downloadAvatar').mockResolvedValue({
+        fileName: 'avatar_1.png',
+        blob: new Blob(['png'], { type: 'image/png' }),
+      });
+
+      const result = await AccountService.exportAccountData(mockUser.id);
+      const { document, warnings } = result.data;
+
+      expect(result.success).toBe(true);
+      expect(warnings).toEqual([]);
+      expect(document.format).toBe(ACCOUNT_EXPORT.FORMAT);
+      expect(document.version).toBe(ACCOUNT_EXPORT.VERSION);
+      expect(document.profile).toEqual(expect.objectContaining({ username: 'testuser', name: 'Test User' }));
+      expect(document.profile).not.toHaveProperty('id');
+      expect(document.links).toHaveLength(mockLinks.length);
+      expect(document.avatar).toEqual(expect.objectContaining({
+        file_name: 'avatar_1.png',
+        content_type: 'image/png',
+      }));
+      expect(document.avatar.data_url).toMatch(/^data:image\/png;base64,/);
+    });
+
+    it('should still export when the avatar cannot be downloaded', async () => {
+      vi.spyOn(AvatarService, 'downloadAvatar').mockRejectedValue(new Error('Storage offline'));
+
+      const result = await AccountService.exportAccountData(mockUser.id);
+
+      expect(result.success).toBe(true);
+      expect(result.data.document.avatar).toBeNull();
+      expect(result.data.warnings).toHaveLength(1);
+    });
+
+    it('should fail when the links cannot be loaded', async () => {
+      LinksService.getLinksByUserId.mockResolvedValue({ success: false, error: 'Network error', data: null });
+      vi.spyOn(AvatarService, 'downloadAvatar').mockResolvedValue(null);
+
+      const result = await AccountService.exportAccountData(mockUser.id);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Network error');
+    });
+
+    it('should require a user ID', async () => {
+      const result = await AccountService.exportAccountData(null);
+
+      expect(result.success).toBe(false);
+      expect(ProfileService.getProfileByUserId).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('restoreAccountData', () => {
+    const exported = buildAccountExport({
+      profile: { username: 'testuser', name: 'Restored Name', bio: 'Restored bio', utm_defaults: { utm_source: 'lynqee' } },
+      links: [],
+      avatar: { fileName: 'avatar_1.png', contentType: 'image/png', size: 4, dataUrl: 'data:image/png;base64,iVBORw==' },
+    });
+
+    beforeEach(() => {
+      vi.spyOn(ProfileService, 'updateProfile').mockImplementation(async (_userId, updates) => ({
+        success: true,
+        error: null,
+        data: { ...mockProfile, ...updates },
+      }));
+    });
+
+    it('should upload the avatar and restore the profile settings', async () => {
+      vi.spyOn(AvatarService, 'uploadAvatar').mockResolvedValue('https://cdn.example.com/avatar_2.png');
+
+      const result = await AccountService.restoreAccountData(mockUser.id, exported);
+
+      expect(result.success).toBe(true);
+      expect(result.data.warnings).toEqual([]);
+      const [userId, file] = AvatarService.uploadAvatar.mock.calls[0];
+      expect(userId).toBe(mockUser.id);
+      expect(file.name).toBe('avatar_1.png');
+      expect(file.type).toBe('image/png');
+      expect(ProfileService.updateProfile).toHaveBeenCalledWith(mockUser.id, {
+        name: 'Restored Name',
+        bio: 'Restored bio',
+        theme: null,
+        social_links: [],
+        utm_defaults: { utm_source: 'lynqee' },
+        avatar_url: 'https://cdn.example.com/avatar_2.png',
+      });
+      expect(result.data.profile.name).toBe('Restored Name');
+    });
+
+    it('should still restore the profile when the avatar upload fails', async () => {
+      vi.spyOn(AvatarService, 'uploadAvatar').mockRejectedValue(new Error('Failed to upload avatar: too large'));
+
+      const result = await AccountService.restoreAccountData(mockUser.id, exported);
+
+      expect(result.success).toBe(true);
+      expect(result.data.warnings).toHaveLength(1);
+      expect(ProfileService.updateProfile.mock.calls[0][1]).not.toHaveProperty('avatar_url');
+    });
+
+    it('should refuse files that are not account exports', async () => {
+      const result = await AccountService.restoreAccountData(mockUser.id, [{ url: 'https://example.com' }]);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('not a Lynqee account export');
+      expect(ProfileService.updateProfile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteAccount', () => {
+    const ok = { success: true, error: null, data: null };
+
+    beforeEach(() => {
+      vi.spyOn(AnalyticsService, 'deleteAnalyticsByUserId').mockResolvedValue(ok);
+      vi.spyOn(LinksService, 'deleteLinksByUserId').mockResolvedValue(ok);
+      vi.spyOn(AvatarService, 'deleteAvatar').mockResolvedValue(true);
+      vi.spyOn(ProfileService, 'deleteUsernameHistory').mockResolvedValue(ok);
+      vi.spyOn(ProfileService, 'deleteProfile').mockResolvedValue(ok);
+      vi.spyOn(AuthService, 'deleteCurrentUser').mockResolvedValue(ok);
+      vi.spyOn(AuthService, 'signOut').mockResolvedValue(ok);
+    });
+
+    it('should delete analytics, links, avatar, history, profile and auth user, then sign out', async () => {
+      const result = await AccountService.deleteAccount(mockUser.id);
+
+      expect(result.success).toBe(true);
+      expect(result.data.completed).toEqual(Object.values(ACCOUNT_DELETION_STEPS));
+      expect(AnalyticsService.deleteAnalyticsByUserId).toHaveBeenCalledWith(mockUser.id);
+      expect(LinksService.deleteLinksByUserId).toHaveBeenCalledWith(mockUser.id);
+      expect(AvatarService.deleteAvatar).toHaveBeenCalledWith(mockUser.id);
+      expect(ProfileService.deleteUsernameHistory).toHaveBeenCalledWith(mockUser.id);
+      expect(ProfileService.deleteProfile).toHaveBeenCalledWith(mockUser.id);
+      expect(AuthService.signOut).toHaveBeenCalled();
+    });
+
+    it('should clear only the local session and still succeed if signing out fails', async () => {
+      AuthService.signOut.mockResolvedValue({ success: false, error: 'User not found', data: null });
+
+      const result = await AccountService.deleteAccount(mockUser.id);
+
+      expect(AuthService.signOut).toHaveBeenCalledWith({ scope: 'local' });
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ completed: Object.values(ACCOUNT_DELETION_STEPS), failedStep: null });
+    });
+
+    it('should stop at the first failing step and report what was deleted', async () => {
+      AvatarService.deleteAvatar.mockRejectedValue(new Error('Failed to delete avatar: storage offline'));
+
+      const result = await AccountService.deleteAccount(mockUser.id);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('storage offline');
+      expect(result.data).toEqual({
+        completed: [ACCOUNT_DELETION_STEPS.ANALYTICS, ACCOUNT_DELETION_STEPS.LINKS],
+        failedStep: ACCOUNT_DELETION_STEPS.AVATAR,
+      });
+      expect(ProfileService.deleteProfile).not.toHaveBeenCalled();
+      expect(AuthService.signOut).not.toHaveBeenCalled();
+    });
+
+    it('should report a failed service response as a failed step', async () => {
+      AuthService.deleteCurrentUser.mockResolvedValue({ success: false, error: 'Permission denied', data: null });
+
+      const result = await AccountService.deleteAccount(mockUser.id);
+
+      expect(result.success).toBe(false);
+      expect(result.data.failedStep).toBe(ACCOUNT_DELETION_STEPS.AUTH_USER);
+      expect(result.data.completed).toHaveLength(5);
+    });
+  });
+
+  describe('scheduleAccountDeletion', () => {
+    it('should set the deletion date after the grace period and sign out', async () => {
+      const now = new Date('2026-01-01T00:00:00Z').getTime();
+      vi.spyOn(Date, 'now').mockReturnValue(now);
+      vi.spyOn(ProfileService, 'scheduleDeletion').mockResolvedValue({ success: true, error: null, data: mockProfile });
+      vi.spyOn(AuthService, 'signOut').mockResolvedValue({ success: true, error: null });
+
+      const result = await AccountService.scheduleAccountDeletion(mockUser.id, 14);
+
+      expect(result.success).toBe(true);
+      expect(result.data.scheduledFor).toBe('2026-01-15T00:00:00.000Z');
+      expect(ProfileService.scheduleDeletion).toHaveBeenCalledWith(mockUser.id, new Date('2026-01-15T00:00:00Z'));
+      expect(AuthService.signOut).toHaveBeenCalled();
+    });
+
+    it('should not sign out when scheduling fails', async () => {
+      vi.spyOn(ProfileService, 'scheduleDeletion').mockResolvedValue({ success: false, error: 'Network error', data: null });
+      vi.spyOn(AuthService, 'signOut');
+
+      const result = await AccountService.scheduleAccountDeletion(mockUser.id);
+
+      expect(result.success).toBe(false);
+      expect(AuthService.signOut).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,278 @@
+/**
+ * AnalyticsService Tests
+ * 
+ * Tests for click and profile view tracking and aggregation
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Mock the supabase module before importing the service
+vi.mock('../../services/supabase.js', () => {
+  const mockSupabaseClient = {
+    from: vi.fn(),
+  };
+  
+  return {
+    supabase: mockSupabaseClient,
+    SUPABASE_TABLES: {
+      LINKS: 'links',
+      PROFILES: 'profiles',
+      LINK_CLICKS: 'link_clicks',
+      PROFILE_VIEWS: 'profile_views',
+    },
+  };
+});
+
+import AnalyticsService from '../../services/AnalyticsService.js';
+import { supabase } from '../../services/supabase.js';
+
+// Event queries are paged with range(); each call resolves the next page
+const mockPagedEventQuery = (...pages) => {
+  const chain = {
+    select: vi.fn(),
+    eq: vi.fn(),
+    gte: vi.fn(),
+    order: vi.fn(),
+    range: vi.fn(),
+  };
+  ['select', 'eq', 'gte', 'order'].forEach(method => chain[method].mockReturnValue(chain));
+  pages.forEach(page => chain.range.mockResolvedValueOnce(page));
+  supabase.from.mockReturnValue(chain);
+  return { mockEq: chain.eq, mockRange: chain.range };
+};
+
+describe('AnalyticsService', () => {
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    vi.clearAllMocks();
+  });
+
+  describe('trackLinkClick', () => {
+    it('inserts a click event with referrer host and device class', async () => {
+      const mockInsert = vi.fn().mockResolvedValue({ error: null });
+      supabase.from.mockReturnValue({ insert: mockInsert });
+
+      const result = await AnalyticsService.trackLinkClick({
+        linkId: 'link-1',
+        profileId: 'user-1',
+        referrer: 'https://www.twitter.com/some/post',
+        deviceType: 'mobile',
+      });
+
+      expect(supabase.from).toHaveBeenCalledWith('link_clicks');
+      expect(mockInsert).toHaveBeenCalledWith([
+        expect.objectContaining({
+          link_id: 'link-1',
+          profile_id: 'user-1',
+          referrer: 'twitter.com',
+          device_type: 'mobile',
+        }),
+      ]);
+      expect(result.success).toBe(true);
+    });
+
+    it('rejects clicks without link or profile IDs', async () => {
+      const result = await AnalyticsService.trackLinkClick({ linkId: 'link-1' });
+
+      expect(supabase.from).not.toHaveBeenCalled();
+      expect(result.success).toBe(false);
+    });
+
+    it('never throws when the insert fails', async () => {
+      supabase.from.mockReturnValue({
+        insert: vi.fn().mockRejectedValue(new Error('Network error')),
+      });
+
+      const result = await AnalyticsService.trackLinkClick({ linkId: 'link-1', profileId: 'user-1' });
+
+      expect(result).toEqual({ success: false, error: 'Network error', data: null });
+    });
+  });
+
+  describe('getClickCountsByUser', () => {
+    it('aggregates clicks per link', async () => {
+      const { mockEq } = mockPagedEventQuery({
+        data: [
+          { link_id: 'link-1', clicked_at: new Date().toISOString() },
+          { link_id: 'link-2', clicked_at: new Date().toISOString() },
+          { link_id: 'link-1', clicked_at: new Date().toISOString() },
+        ],
+        error: null,
+      });
+
+      const result = await AnalyticsService.getClickCountsByUser('user-1', 7);
+
+      expect(mockEq).toHaveBeenCalledWith('profile_id', 'user-1');
+      expect(result).toEqual({
+        success: true,
+        error: null,
+        data: { total: 3, byLink: { 'link-1': 2, 'link-2': 1 } },
+      });
+    });
+
+    it('returns the service error when the query fails', async () => {
+      mockPagedEventQuery({ data: null, error: { message: 'permission denied' } });
+
+      const result = await AnalyticsService.getClickCountsByUser('user-1');
+
+      expect(result).toEqual({ success: false, error: 'permission denied', data: null });
+    });
+
+    it('reads every page of clicks, past the per-request row cap', async () => {
+      const clickedAt = new Date().toISOString();
+      const fullPage = Array.from({ length: 1000 }, () => ({ link_id: 'link-1', clicked_at: clickedAt }));
+      const { mockRange } = mockPagedEventQuery(
+        { data: fullPage, error: null },
+        { data: [{ link_id: 'link-2', clicked_at: clickedAt }], error: null }
+      );
+
+      const result = await AnalyticsService.getClickCountsByUser('user-1', 7);
+
+      expect(mockRange.mock.calls).toEqual([[0, 999], [1000, 1999]]);
+      expect(result.data).toEqual({ total: 1001, byLink: { 'link-1': 1000, 'link-2': 1 } });
+    });
+  });
+
+  describe('getClicksTimeSeries', () => {
+    it('returns one bucket per day, optionally filtered by link', async () => {
+      const today = new Date().toISOString();
+      mockPagedEventQuery({
+        data: [
+          { link_id: 'link-1', clicked_at: today },
+          { link_id: 'link-2', clicked_at: today },
+        ],
+        error: null,
+      });
+
+      const result = await AnalyticsService.getClicksTimeSeries('user-1', { days: 7, linkId: 'link-1' });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toHaveLength(7);
+      expect(result.data[6].count).toBe(1);
+      expect(result.data.slice(0, 6).every(day => day.count === 0)).toBe(true);
+    });
+  });
+
+  describe('trackProfileView', () => {
+    it('inserts a view event with the visitor ID', async () => {
+      const mockInsert = vi.fn().mockResolvedValue({ error: null });
+      supabase.from.mockReturnValue({ insert: mockInsert });
+
+      const result = await AnalyticsService.trackProfileView({
+        profileId: 'user-1',
+        visitorId: 'visitor-1',
+        referrer: '',
+        deviceType: 'desktop',
+      });
+
+      expect(supabase.from).toHaveBeenCalledWith('profile_views');
+      expect(mockInsert).toHaveBeenCalledWith([
+        expect.objectContaining({
+          profile_id: 'user-1',
+          visitor_id: 'visitor-1',
+          referrer: null,
+          device_type: 'desktop',
+        }),
+      ]);
+      expect(result.success).toBe(true);
+    });
+
+    it('rejects views without a visitor ID', async () => {
+      const result = await AnalyticsService.trackProfileView({ profileId: 'user-1' });
+
+      expect(supabase.from).not.toHaveBeenCalled();
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('getProfileViews', () => {
+    it('returns total views, unique visitors and a daily series', async () => {
+      const today = new Date().toISOString();
+      const { mockEq } = mockPagedEventQuery({
+        data: [
+          { visitor_id: 'visitor-1', viewed_at: today, referrer: 'twitter.com', device_type: 'mobile' },
+          { visitor_id: 'visitor-2', viewed_at: today, referrer: null, device_type: 'desktop' },
+          { visitor_id: 'visitor-1', viewed_at: today, referrer: 'twitter.com', device_type: 'mobile' },
+        ],
+        error: null,
+      });
+
+      const result = await AnalyticsService.getProfileViews('user-1', 7);
+
+      expect(supabase.from).toHaveBeenCalledWith('profile_views');
+      expect(mockEq).toHaveBeenCalledWith('profile_id', 'user-1');
+      expect(result.success).toBe(true);
+      expect(result.data.total).toBe(3);
+      expect(result.data.uniqueVisitors).toBe(2);
+      expect(result.data.series).toHaveLength(7);
+      expect(result.data.series[6].count).toBe(3);
+      expect(result.data.topReferrers).toEqual([
+        { label: 'twitter.com', count: 2 },
+        { label: 'direct', count: 1 },
+      ]);
+      expect(result.data.deviceTypes).toEqual([
+        { label: 'mobile', count: 2 },
+        { label: 'desktop', count: 1 },
+      ]);
+    });
+
+    it('returns the service error when the query fails', async () => {
+      mockPagedEventQuery({ data: null, error: { message: 'permission denied' } });
+
+      const result = await AnalyticsService.getProfileViews('user-1');
+
+      expect(result).toEqual({ success: false, error: 'permission denied', data: null });
+    });
+
+    it('counts views on every page, past the per-request row cap', async () => {
+      const viewedAt = new Date().toISOString();
+      const fullPage = Array.from({ length: 1000 }, (_, index) => ({
+        visitor_id: `visitor-${index % 10}`,
+        viewed_at: viewedAt,
+        referrer: null,
+        device_type: 'mobile',
+      }));
+      const { mockRange } = mockPagedEventQuery(
+        { data: fullPage, error: null },
+        { data: [{ visitor_id: 'visitor-new', viewed_at: viewedAt, referrer: null, device_type: 'desktop' }], error: null }
+      );
+
+      const result = await AnalyticsService.getProfileViews('user-1', 7);
+
+      expect(mockRange).toHaveBeenCalledTimes(2);
+      expect(result.data.total).toBe(1001);
+      expect(result.data.uniqueVisitors).toBe(11);
+      expect(result.data.series[6].count).toBe(1001);
+    });
+  });
+
+  describe('deleteAnalyticsByUserId', () => {
+    it('deletes the profile\'s clicks, then its views', async () => {
+      const mockEq = vi.fn().mockResolvedValue({ error: null });
+      const mockDelete = vi.fn().mockReturnValue({ eq: mockEq });
+      supabase.from.mockReturnValue({ delete: mockDelete });
+
+      const result = await AnalyticsService.deleteAnalyticsByUserId('user-1');
+
+      expect(supabase.from.mock.calls).toEqual([['link_clicks'], ['profile_views']]);
+      expect(mockEq).toHaveBeenCalledWith('profile_id', 'user-1');
+      expect(result.success).toBe(true);
+    });
+
+    it('stops at the first failed delete', async () => {
+      const mockEq = vi.fn().mockResolvedValue({ error: { message: 'permission denied' } });
+      supabase.from.mockReturnValue({ delete: vi.fn().mockReturnValue({ eq: mockEq }) });
+
+      const result = await AnalyticsService.deleteAnalyticsByUserId('user-1');
+
+      expect(supabase.from).toHaveBeenCalledTimes(1);
+      expect(result).toEqual({ success: false, error: 'permission denied', data: null });
+    });
+  });
+});
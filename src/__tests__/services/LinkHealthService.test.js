@@ -0,0 +1,166 @@
+/**
+ * LinkHealthService Tests
+ *
+ * Runs the direct HTTP fetcher against a local stub server, so status codes,
+ * redirect chains and loops are exercised without the edge function.
+ */
+
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createServer } from 'node:http';
+
+vi.mock('../../services/supabase.js', () => ({
+  supabase: {
+    functions: { invoke: vi.fn() },
+  },
+}));
+
+import LinkHealthService from '../../services/LinkHealthService.js';
+import LinksService from '../../services/LinksService.js';
+import { supabase } from '../../services/supabase.js';
+import { LINK_HEALTH_STATUS } from '../../constants';
+
+describe('LinkHealthService', () => {
+  let server;
+  let baseUrl;
+  let consoleErrorSpy;
+
+  beforeAll(async () => {
+    server = createServer((request, response) => {
+      const { url, method } = request;
+      const redirect = (location) => {
+        response.writeHead(302, { Location: location });
+        response.end();
+      };
+
+      if (url === '/ok') {
+        response.writeHead(200);
+      } else if (url === '/moved') {
+        return redirect('/ok');
+      } else if (url === '/other-site') {
+        return redirect(`http://localhost:${server.address().port}/ok`);
+      } else if (url === '/loop-a') {
+        return redirect('/loop-b');
+      } else if (url === '/loop-b') {
+        return redirect('/loop-a');
+      } else if (url.startsWith('/chain/')) {
+        return redirect(`/chain/${Number(url.split('/')[2]) + 1}`);
+      } else if (url === '/no-head') {
+        response.writeHead(method === 'HEAD' ? 405 : 200);
+      } else {
+        response.writeHead(404);
+      }
+      response.end();
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    LinkHealthService.setFetcher(LinkHealthService.createHttpFetcher());
+  });
+
+  afterEach(() => {
+    LinkHealthService.resetFetcher();
+    consoleErrorSpy.mockRestore();
+    vi.restoreAllMocks();
+    vi.clearAllMocks();
+  });
+
+  it('reports working pages and follows redirects on the same site', async () => {
+    const ok = await LinkHealthService.checkUrl(`${baseUrl}/ok`);
+    expect(ok.data).toEqual({
+      url: `${baseUrl}/ok`,
+      status: LINK_HEALTH_STATUS.OK,
+      statusCode: 200,
+      finalUrl: `${baseUrl}/ok`,
+      redirects: [],
+      error: null,
+    });
+
+    const moved = await LinkHealthService.checkUrl(`${baseUrl}/moved`);
+    expect(moved.data.status).toBe(LINK_HEALTH_STATUS.OK);
+    expect(moved.data.redirects).toEqual([`${baseUrl}/ok`]);
+
+    const noHead = await LinkHealthService.checkUrl(`${baseUrl}/no-head`);
+    expect(noHead.data.status).toBe(LINK_HEALTH_STATUS.OK);
+  });
+
+  it('flags redirects to another site', async () => {
+    const result = await LinkHealthService.checkUrl(`${baseUrl}/other-site`);
+
+    expect(result.data.status).toBe(LINK_HEALTH_STATUS.REDIRECTED);
+    expect(result.data.finalUrl).toMatch(/^http:\/\/localhost:\d+\/ok$/);
+  });
+
+  it('flags missing pages, redirect loops and long redirect chains', async () => {
+    const missing = await LinkHealthService.checkUrl(`${baseUrl}/missing`);
+    expect(missing.success).toBe(true);
+    expect(missing.data).toMatchObject({ status: LINK_HEALTH_STATUS.BROKEN, statusCode: 404 });
+
+    const loop = await LinkHealthService.checkUrl(`${baseUrl}/loop-a`);
+    expect(loop.data).toMatchObject({ status: LINK_HEALTH_STATUS.BROKEN, error: 'Redirect loop' });
+
+    const chain = await LinkHealthService.checkUrl(`${baseUrl}/chain/0`);
+    expect(chain.data).toMatchObject({ status: LINK_HEALTH_STATUS.BROKEN, error: 'Too many redirects' });
+    expect(chain.data.redirects).toHaveLength(5);
+  });
+
+  it('tells certificate errors apart from unreachable sites', async () => {
+    const certificateError = new TypeError('fetch failed');
+    certificateError.cause = { code: 'CERT_HAS_EXPIRED', message: 'certificate has expired' };
+    LinkHealthService.setFetcher(vi.fn().mockRejectedValueOnce(certificateError));
+
+    const tls = await LinkHealthService.checkUrl('https://expired.example');
+    expect(tls.data.status).toBe(LINK_HEALTH_STATUS.TLS_ERROR);
+
+    const dnsError = new TypeError('fetch failed');
+    dnsError.cause = { code: 'ENOTFOUND', message: 'getaddrinfo ENOTFOUND nowhere.example' };
+    LinkHealthService.setFetcher(vi.fn().mockRejectedValueOnce(dnsError));
+
+    const unreachable = await LinkHealthService.checkUrl('https://nowhere.example');
+    expect(unreachable.data.status).toBe(LINK_HEALTH_STATUS.UNREACHABLE);
+  });
+
+  it('saves results on links and skips section headers', async () => {
+    const updateSpy = vi.spyOn(LinksService, 'updateLink').mockImplementation(async (id, updates) => ({
+      success: true,
+      error: null,
+      data: { id, ...updates },
+    }));
+    const onLinkChecked = vi.fn();
+
+    const result = await LinkHealthService.checkLinks([
+      { id: 'header-1', type: 'header', title: 'Shop', url: null },
+      { id: 'link-1', url: `${baseUrl}/missing` },
+    ], { onLinkChecked });
+
+    expect(result.success).toBe(true);
+    expect(updateSpy).toHaveBeenCalledTimes(1);
+    expect(updateSpy).toHaveBeenCalledWith('link-1', {
+      health: expect.objectContaining({ url: `${baseUrl}/missing`, status: LINK_HEALTH_STATUS.BROKEN }),
+      last_checked_at: expect.any(String),
+    });
+    expect(onLinkChecked).toHaveBeenCalledWith(result.data[0]);
+  });
+
+  it('uses the edge function by default', async () => {
+    LinkHealthService.resetFetcher();
+    supabase.functions.invoke.mockResolvedValueOnce({
+      data: { status: 200, location: null },
+      error: null,
+    });
+
+    const result = await LinkHealthService.checkUrl('https://example.com');
+
+    expect(supabase.functions.invoke).toHaveBeenCalledWith('check-link-health', {
+      body: { url: 'https://example.com/' },
+    });
+    expect(result.data.status).toBe(LINK_HEALTH_STATUS.OK);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * LinkMetadataService Tests
+ *
+ * Runs the direct HTTP fetcher against a local stub server, so page parsing,
+ * redirects and error handling are exercised without the edge function.
+ */
+
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createServer } from 'node:http';
+
+vi.mock('../../services/supabase.js', () => ({
+  supabase: {
+    functions: { invoke: vi.fn() },
+  },
+}));
+
+import LinkMetadataService from '../../services/LinkMetadataService.js';
+import { supabase } from '../../services/supabase.js';
+
+const PAGES = {
+  '/article': `
+    <html><head>
+      <title>Fallback title</title>
+      <meta property="og:title" content="Stub Article">
+      <meta property="og:image" content="/cover.jpg">
+      <link rel="icon" href="/icon.png">
+    </head><body>Hello</body></html>
+  `,
+};
+
+describe('LinkMetadataService', () => {
+  let server;
+  let baseUrl;
+  let consoleErrorSpy;
+
+  beforeAll(async () => {
+    server = createServer((request, response) => {
+      if (request.url === '/old-article') {
+        response.writeHead(301, { Location: '/article' });
+        response.end();
+        return;
+      }
+
+      const page = PAGES[request.url];
+      response.writeHead(page ? 200 : 404, { 'Content-Type': 'text/html' });
+      response.end(page || 'Not found');
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    LinkMetadataService.setFetcher(LinkMetadataService.createHttpFetcher());
+  });
+
+  afterEach(() => {
+    LinkMetadataService.resetFetcher();
+    consoleErrorSpy.mockRestore();
+    vi.clearAllMocks();
+  });
+
+  it('reads the title, thumbnail and favicon from a page', async () => {
+    const result = await LinkMetadataService.fetchMetadata(`${baseUrl}/article`);
+
+    expect(result.success).toBe(true);
+    expect(result.data).toEqual({
+      url: `${baseUrl}/article`,
+      title: 'Stub Article',
+      description: null,
+      thumbnailUrl: `${baseUrl}/cover.jpg`,
+      faviconUrl: `${baseUrl}/icon.png`,
+    });
+  });
+
+  it('resolves relative URLs against the page after redirects', async () => {
+    const result = await LinkMetadataService.fetchMetadata(`${baseUrl}/old-article`);
+
+    expect(result.success).toBe(true);
+    expect(result.data.url).toBe(`${baseUrl}/article`);
+    expect(result.data.thumbnailUrl).toBe(`${baseUrl}/cover.jpg`);
+  });
+
+  it('reports pages that fail to load', async () => {
+    const result = await LinkMetadataService.fetchMetadata(`${baseUrl}/missing`);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Page responded with status 404');
+  });
+
+  it('rejects URLs that are not http(s) without fetching', async () => {
+    const fetcher = vi.fn();
+    LinkMetadataService.setFetcher(fetcher);
+
+    const result = await LinkMetadataService.fetchMetadata('ftp://example.com/file');
+
+    expect(result.success).toBe(false);
+    expect(fetcher).not.toHaveBeenCalled();
+  });
+
+  it('uses the edge function by default', async () => {
+    LinkMetadataService.resetFetcher();
+    supabase.functions.invoke.mockResolvedValueOnce({
+      data: { html: '<title>From the server</title>', url: 'https://example.com/' },
+      error: null,
+    });
+
+    const result = await LinkMetadataService.fetchMetadata('https://example.com');
+
+    expect(supabase.functions.invoke).toHaveBeenCalledWith('fetch-link-metadata', {
+      body: { url: 'https://example.com/' },
+    });
+    expect(result.data.title).toBe('From the server');
+  });
+});
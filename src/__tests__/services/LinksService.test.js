@@ -11,6 +11,7 @@ import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 vi.mock('../../services/supabase.js', () => {
   const mockSupabaseClient = {
     from: vi.fn(),
+    rpc: vi.fn(),
   };
   
   return {
@@ -86,6 +87,7 @@ describe('LinksService CRUD Operations', () => {
       expect(mockInsert).toHaveBeenCalledWith([{
         title: 'New Test Link',
         url: 'https://newtest.com',
+        slug: expect.stringMatching(/^[a-z0-9]{6}$/),
         user_id: mockUser.id,
         position: 1,
       }]);
@@ -99,6 +101,42 @@ describe('LinksService CRUD Operations', () => {
       });
     });
 
+    it('should create a section header without a URL', async () => {
+      vi.spyOn(LinksService, 'getLinkCountByUserId').mockResolvedValue({
+        success: true,
+        error: null,
+        data: 5,
+        errorCode: null,
+        httpStatus: 200,
+      });
+
+      const mockInsert = vi.fn().mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          single: vi.fn().mockResolvedValue({ data: { id: 'header-id' }, error: null }),
+        }),
+      });
+      supabase.from.mockReturnValue({ insert: mockInsert });
+
+      const result = await LinksService.createLink({
+        type: 'header',
+        title: ' Music ',
+        is_collapsible: true,
+        user_id: mockUser.id,
+        position: 2,
+      });
+
+      expect(result.success).toBe(true);
+      expect(mockInsert).toHaveBeenCalledWith([{
+        type: 'header',
+        title: 'Music',
+        url: null,
+        slug: null,
+        is_collapsible: true,
+        user_id: mockUser.id,
+        position: 2,
+      }]);
+    });
+
     it('should handle create link errors', async () => {
       const newLinkData = {
         title: 'Failed Link',
@@ -176,6 +214,7 @@ describe('LinksService CRUD Operations', () => {
       expect(mockChain.insert).toHaveBeenCalledWith([{
         title: 'Valid Link',
         url: 'https://valid.com',
+        slug: expect.stringMatching(/^[a-z0-9]{6}$/),
         user_id: 'user-123',
         position: 3,
       }]);
@@ -314,6 +353,59 @@ describe('LinksService CRUD Operations', () => {
         httpStatus: null,
       });
     });
+
+    it('should find a public link by username and slug', async () => {
+      const mockLimit = vi.fn().mockResolvedValue({ data: [mockLinks[0]], error: null });
+      const mockEq = vi.fn();
+      mockEq.mockReturnValue({ eq: mockEq, limit: mockLimit });
+      supabase.from.mockReturnValue({ select: vi.fn().mockReturnValue({ eq: mockEq }) });
+
+      const result = await LinksService.getPublicLinkBySlug('testuser', 'k7mq2x');
+
+      expect(mockEq).toHaveBeenCalledWith('profiles.username', 'testuser');
+      expect(mockEq).toHaveBeenCalledWith('slug', 'k7mq2x');
+      expect(mockEq).toHaveBeenCalledWith('is_public', true);
+      expect(mockLimit).toHaveBeenCalledWith(1);
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual(mockLinks[0]);
+    });
+
+    it('should return null for an unknown or hidden link ID', async () => {
+      const mockLimit = vi.fn().mockResolvedValue({ data: [], error: null });
+      const mockEq = vi.fn();
+      mockEq.mockReturnValue({ eq: mockEq, limit: mockLimit });
+      supabase.from.mockReturnValue({ select: vi.fn().mockReturnValue({ eq: mockEq }) });
+
+      const missingId = '3f2b8c1e-9a4d-4e7b-8c2a-1d5e6f7a8b9c';
+      const result = await LinksService.getPublicLinkById(missingId);
+
+      expect(mockEq).toHaveBeenCalledWith('id', missingId);
+      expect(mockEq).toHaveBeenCalledWith('is_public', true);
+      expect(result.success).toBe(true);
+      expect(result.data).toBeNull();
+    });
+
+    it('should treat links of a profile pending deletion as not found', async () => {
+      const pendingLink = { ...mockLinks[0], profiles: { username: 'testuser', deletion_scheduled_at: '2024-02-01T00:00:00.000Z' } };
+      const mockLimit = vi.fn().mockResolvedValue({ data: [pendingLink], error: null });
+      const mockEq = vi.fn();
+      mockEq.mockReturnValue({ eq: mockEq, limit: mockLimit });
+      supabase.from.mockReturnValue({ select: vi.fn().mockReturnValue({ eq: mockEq }) });
+
+      const bySlug = await LinksService.getPublicLinkBySlug('testuser', 'k7mq2x');
+      const byId = await LinksService.getPublicLinkById('3f2b8c1e-9a4d-4e7b-8c2a-1d5e6f7a8b9c');
+
+      expect(bySlug).toMatchObject({ success: true, data: null });
+      expect(byId).toMatchObject({ success: true, data: null });
+    });
+
+    it('should treat a malformed link ID as not found without querying', async () => {
+      const result = await LinksService.getPublicLinkById('not-a-uuid');
+
+      expect(supabase.from).not.toHaveBeenCalled();
+      expect(result.success).toBe(true);
+      expect(result.data).toBeNull();
+    });
   });
 
   describe('UPDATE Operations', () => {
@@ -439,6 +531,121 @@ describe('LinksService CRUD Operations', () => {
       });
       expect(mockUpdate).toHaveBeenCalledTimes(2);
     });
+
+    it('should store several positions in one request', async () => {
+      supabase.rpc.mockResolvedValue({ data: null, error: null });
+
+      const result = await LinksService.setLinkPositions([
+        { id: 'link-1', position: 2, title: 'Ignored' },
+        { id: 'link-2', position: 1 },
+      ]);
+
+      expect(supabase.rpc).toHaveBeenCalledTimes(1);
+      expect(supabase.rpc).toHaveBeenCalledWith('set_link_positions', {
+        positions: [{ id: 'link-1', position: 2 }, { id: 'link-2', position: 1 }],
+      });
+      expect(supabase.from).not.toHaveBeenCalled();
+      expect(result.success).toBe(true);
+    });
+
+    it('should report a failed position update without partial writes', async () => {
+      supabase.rpc.mockResolvedValue({ data: null, error: { message: 'Link not found' } });
+
+      const result = await LinksService.setLinkPositions([{ id: 'link-1', position: 1 }]);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Link not found');
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Visibility Operations', () => {
+    it('should get only public links by username', async () => {
+      const mockOrder = vi.fn().mockResolvedValue({
+        data: mockLinks,
+        error: null,
+      });
+      const mockEqPublic = vi.fn().mockReturnValue({ order: mockOrder });
+      const mockEqUsername = vi.fn().mockReturnValue({ eq: mockEqPublic });
+      const mockSelect = vi.fn().mockReturnValue({ eq: mockEqUsername });
+
+      supabase.from.mockReturnValue({
+        select: mockSelect,
+      });
+
+      const result = await LinksService.getPublicLinksByUsername('testuser');
+
+      expect(mockEqUsername).toHaveBeenCalledWith('profiles.username', 'testuser');
+      expect(mockEqPublic).toHaveBeenCalledWith('is_public', true);
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual(mockLinks);
+    });
+
+    it('should apply a limit to public links when provided', async () => {
+      const mockLimit = vi.fn().mockResolvedValue({
+        data: [mockLinks[0]],
+        error: null,
+      });
+      const mockOrder = vi.fn().mockReturnValue({ limit: mockLimit });
+      const mockEqPublic = vi.fn().mockReturnValue({ order: mockOrder });
+      const mockEqUsername = vi.fn().mockReturnValue({ eq: mockEqPublic });
+
+      supabase.from.mockReturnValue({
+        select: vi.fn().mockReturnValue({ eq: mockEqUsername }),
+      });
+
+      const result = await LinksService.getPublicLinksByUsername('testuser', 1);
+
+      expect(mockLimit).toHaveBeenCalledWith(1);
+      expect(result.data).toHaveLength(1);
+    });
+
+    it('should toggle link visibility through updateLink', async () => {
+      const mockSingle = vi.fn().mockResolvedValue({
+        data: { ...mockLinks[0], is_public: false },
+        error: null,
+      });
+      const mockEq = vi.fn().mockReturnValue({
+        select: vi.fn().mockReturnValue({ single: mockSingle }),
+      });
+      const mockUpdate = vi.fn().mockReturnValue({ eq: mockEq });
+
+      supabase.from.mockReturnValue({
+        update: mockUpdate,
+      });
+
+      const result = await LinksService.toggleLinkVisibility('link-1', false);
+
+      expect(mockUpdate).toHaveBeenCalledWith({ is_public: false });
+      expect(mockEq).toHaveBeenCalledWith('id', 'link-1');
+      expect(result.success).toBe(true);
+      expect(result.data.is_public).toBe(false);
+    });
+
+    it('should return public and private link statistics', async () => {
+      const mockEq = vi.fn().mockResolvedValue({
+        data: [
+          { id: 'link-1', is_public: true },
+          { id: 'link-2', is_public: false },
+          { id: 'link-3', is_public: null },
+        ],
+        error: null,
+      });
+
+      supabase.from.mockReturnValue({
+        select: vi.fn().mockReturnValue({ eq: mockEq }),
+      });
+
+      const result = await LinksService.getLinkStats(mockUser.id);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual(expect.objectContaining({
+        total: 3,
+        public: 2,
+        private: 1,
+      }));
+      expect(result.data.remaining_slots).toBeGreaterThanOrEqual(0);
+    });
   });
 
   describe('DELETE Operations', () => {
@@ -518,6 +725,140 @@ describe('LinksService CRUD Operations', () => {
     });
   });
 
+  describe('Bulk Operations', () => {
+    it('should delete several links in one query and return the removed rows', async () => {
+      const mockSelect = vi.fn().mockResolvedValue({ data: mockLinks, error: null });
+      const mockIn = vi.fn().mockReturnValue({ select: mockSelect });
+      const mockDelete = vi.fn().mockReturnValue({ in: mockIn });
+
+      supabase.from.mockReturnValue({ delete: mockDelete });
+
+      const result = await LinksService.deleteLinks(['link-1', 'link-2']);
+
+      expect(mockIn).toHaveBeenCalledWith('id', ['link-1', 'link-2']);
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual(mockLinks);
+    });
+
+    it('should reject an empty selection', async () => {
+      const result = await LinksService.deleteLinks([]);
+
+      expect(result.success).toBe(false);
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('should restore deleted rows with a single insert', async () => {
+      const mockSelect = vi.fn().mockResolvedValue({ data: mockLinks, error: null });
+      const mockInsert = vi.fn().mockReturnValue({ select: mockSelect });
+
+      supabase.from.mockReturnValue({ insert: mockInsert });
+
+      const result = await LinksService.restoreLinks(mockLinks);
+
+      expect(mockInsert).toHaveBeenCalledWith(mockLinks);
+      expect(result.success).toBe(true);
+    });
+
+    it('should duplicate links as copies placed after the given position', async () => {
+      vi.spyOn(LinksService, 'getLinkCountByUserId').mockResolvedValue({
+        success: true,
+        data: 2,
+        error: null,
+      });
+      const mockSelect = vi.fn().mockResolvedValue({ data: [], error: null });
+      const mockInsert = vi.fn().mockReturnValue({ select: mockSelect });
+
+      supabase.from.mockReturnValue({ insert: mockInsert });
+
+      const source = { ...mockLinks[0], title: 'x'.repeat(50), slug: 'abc234' };
+      const result = await LinksService.duplicateLinks([source], 10);
+      const [inserted] = mockInsert.mock.calls[0][0];
+
+      expect(result.success).toBe(true);
+      expect(inserted.id).toBeUndefined();
+      expect(inserted.slug).toMatch(/^[a-z0-9]{6}$/);
+      expect(inserted.slug).not.toBe('abc234');
+      expect(inserted.position).toBe(10);
+      expect(inserted.title).toHaveLength(50);
+      expect(inserted.title.endsWith(' (copy)')).toBe(true);
+    });
+
+    it('should refuse to duplicate past the link limit', async () => {
+      vi.spyOn(LinksService, 'getLinkCountByUserId').mockResolvedValue({
+        success: true,
+        data: 149,
+        error: null,
+      });
+
+      const result = await LinksService.duplicateLinks(mockLinks.slice(0, 2), 150);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('maximum limit');
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('should import links in order after the given position', async () => {
+      vi.spyOn(LinksService, 'getLinkCountByUserId').mockResolvedValue({
+        success: true,
+        data: 3,
+        error: null,
+      });
+      const mockSelect = vi.fn().mockResolvedValue({ data: [], error: null });
+      const mockInsert = vi.fn().mockReturnValue({ select: mockSelect });
+
+      supabase.from.mockReturnValue({ insert: mockInsert });
+
+      const result = await LinksService.importLinks(mockUser.id, [
+        { title: ' Blog ', url: 'https://blog.example.com', extra: 'ignored' },
+        { type: 'header', title: 'Music', is_collapsible: true },
+        { title: 'Tour', url: 'https://tour.example.com', platform: 'bandcamp', ends_at: '2026-12-01T00:00:00.000Z' },
+      ], 4);
+
+      expect(result.success).toBe(true);
+      expect(mockInsert).toHaveBeenCalledWith([
+        { user_id: mockUser.id, title: 'Blog', url: 'https://blog.example.com', slug: expect.stringMatching(/^[a-z0-9]{6}$/), position: 4 },
+        { user_id: mockUser.id, title: 'Music', url: null, slug: null, position: 5, type: 'header', is_collapsible: true },
+        {
+          user_id: mockUser.id,
+          title: 'Tour',
+          url: 'https://tour.example.com',
+          slug: expect.stringMatching(/^[a-z0-9]{6}$/),
+          position: 6,
+          platform: 'bandcamp',
+          ends_at: '2026-12-01T00:00:00.000Z',
+        },
+      ]);
+    });
+
+    it('should refuse an import that exceeds the link limit', async () => {
+      vi.spyOn(LinksService, 'getLinkCountByUserId').mockResolvedValue({
+        success: true,
+        data: 149,
+        error: null,
+      });
+
+      const result = await LinksService.importLinks(mockUser.id, mockLinks.slice(0, 2), 150);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('1 more link');
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('should set visibility for several links at once', async () => {
+      const mockSelect = vi.fn().mockResolvedValue({ data: mockLinks, error: null });
+      const mockIn = vi.fn().mockReturnValue({ select: mockSelect });
+      const mockUpdate = vi.fn().mockReturnValue({ in: mockIn });
+
+      supabase.from.mockReturnValue({ update: mockUpdate });
+
+      const result = await LinksService.setLinksVisibility(['link-1', 'link-2'], false);
+
+      expect(mockUpdate).toHaveBeenCalledWith({ is_public: false });
+      expect(mockIn).toHaveBeenCalledWith('id', ['link-1', 'link-2']);
+      expect(result.success).toBe(true);
+    });
+  });
+
   describe('Complex CRUD Scenarios', () => {
     it('should handle multiple operations in sequence', async () => {
       // Create a link
@@ -19,10 +19,14 @@ vi.mock('../../services/supabase.js', () => ({
         getPublicUrl: vi.fn(),
       })),
     },
+    functions: {
+      invoke: vi.fn(),
+    },
   },
   SUPABASE_TABLES: {
     PROFILES: 'profiles',
     LINKS: 'links',
+    USERNAME_HISTORY: 'username_history',
   },
 }));
 
@@ -63,6 +67,11 @@ describe('ProfileService CRUD Operations', () => {
       update: vi.fn().mockReturnThis(),
       delete: vi.fn().mockReturnThis(),
       eq: vi.fn().mockReturnThis(),
+      ilike: vi.fn().mockReturnThis(),
+      in: vi.fn().mockReturnThis(),
+      or: vi.fn().mockReturnThis(),
+      gt: vi.fn().mockReturnThis(),
+      order: vi.fn().mockReturnThis(),
       limit: vi.fn().mockReturnThis(),
       single: vi.fn().mockReturnThis(),
     };
@@ -219,6 +228,20 @@ describe('ProfileService CRUD Operations', () => {
       expect(result.data).toEqual(mockPublicProfile);
     });
 
+    it('should hide public profiles scheduled for deletion', async () => {
+      const mockResponse = {
+        data: [{ ...mockPublicProfile, deletion_scheduled_at: '2026-01-15T00:00:00.000Z' }],
+        error: null,
+      };
+
+      supabase.from().select().eq().limit.mockResolvedValue(mockResponse);
+
+      const result = await ProfileService.getPublicProfileByUsername('testuser');
+
+      expect(result.success).toBe(true);
+      expect(result.data).toBe(null);
+    });
+
     it('should handle profile not found', async () => {
       const errorResponse = {
         data: [],
@@ -347,6 +370,16 @@ describe('ProfileService CRUD Operations', () => {
       expect(result.error).toContain('Delete failed');
       expect(console.error).toHaveBeenCalled();
     });
+
+    it('should delete the user\'s username history', async () => {
+      supabase.from().delete().eq.mockResolvedValue({ data: null, error: null });
+
+      const result = await ProfileService.deleteUsernameHistory('123e4567-e89b-12d3-a456-426614174000');
+
+      expect(supabase.from).toHaveBeenCalledWith('username_history');
+      expect(supabase.from().eq).toHaveBeenCalledWith('user_id', '123e4567-e89b-12d3-a456-426614174000');
+      expect(result.success).toBe(true);
+    });
   });
 
   describe('Avatar Management', () => {
@@ -411,6 +444,206 @@ describe('ProfileService CRUD Operations', () => {
     });
   });
 
+  describe('Username History', () => {
+    const userId = mockProfile.id;
+
+    it('should treat handles reserved by another user as unavailable', async () => {
+      supabase.from().select().eq().limit
+        .mockResolvedValueOnce({ data: [], error: null })
+        .mockResolvedValueOnce({ data: [{ user_id: 'other-user' }], error: null });
+
+      const result = await ProfileService.checkUsernameAvailability('oldname', userId);
+
+      expect(supabase.from).toHaveBeenCalledWith('username_history');
+      expect(result.available).toBe(false);
+    });
+
+    it('should compare usernames case-insensitively and literally', async () => {
+      supabase.from().select().ilike().limit
+        .mockResolvedValueOnce({ data: [{ id: 'other-user', username: 'Jane_Doe' }], error: null });
+
+      const result = await ProfileService.checkUsernameAvailability('jane_doe', userId);
+
+      expect(supabase.from().ilike).toHaveBeenCalledWith('username', 'jane\\_doe');
+      expect(result.available).toBe(false);
+    });
+
+    it('should let users take back their own reserved handle', async () => {
+      supabase.from().select().eq().limit
+        .mockResolvedValueOnce({ data: [], error: null })
+        .mockResolvedValueOnce({ data: [{ user_id: userId }], error: null });
+
+      const result = await ProfileService.checkUsernameAvailability('oldname', userId);
+
+      expect(result.available).toBe(true);
+    });
+
+    it('should reject changes inside the change interval', async () => {
+      supabase.from().select().eq().order().limit
+        .mockResolvedValueOnce({ data: [{ changed_at: new Date().toISOString() }], error: null });
+
+      const result = await ProfileService.updateUsername(userId, 'newname');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('You can change your username again on');
+      expect(supabase.from().update).not.toHaveBeenCalled();
+    });
+
+    it('should record the old username with a reservation window', async () => {
+      supabase.from().select().eq().limit
+        .mockResolvedValueOnce({ data: [], error: null }) // no earlier changes
+        .mockResolvedValueOnce({ data: [mockProfile], error: null }) // current profile
+        .mockResolvedValueOnce({ data: [], error: null }) // new name unused
+        .mockResolvedValueOnce({ data: [], error: null }); // and not reserved
+      supabase.from().update().eq().select().single
+        .mockResolvedValueOnce({ data: { ...mockProfile, username: 'newname' }, error: null });
+
+      const result = await ProfileService.updateUsername(userId, 'newname');
+
+      expect(result.success).toBe(true);
+      const [[historyRow]] = supabase.from().insert.mock.calls[0];
+      expect(historyRow).toMatchObject({ user_id: userId, old_username: 'testuser', new_username: 'newname' });
+      const reservedDays = (new Date(historyRow.reserved_until) - new Date(historyRow.changed_at)) / 86400000;
+      expect(reservedDays).toBe(30);
+    });
+
+    it('should keep the username when its history row cannot be recorded', async () => {
+      supabase.from().select().eq().limit
+        .mockResolvedValueOnce({ data: [], error: null })
+        .mockResolvedValueOnce({ data: [mockProfile], error: null })
+        .mockResolvedValueOnce({ data: [], error: null })
+        .mockResolvedValueOnce({ data: [], error: null });
+      supabase.from().insert
+        .mockResolvedValueOnce({ error: { message: 'History insert failed' } });
+
+      const result = await ProfileService.updateUsername(userId, 'newname');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('History insert failed');
+      expect(supabase.from().update).not.toHaveBeenCalled();
+    });
+
+    it('should remove the history row when the rename fails', async () => {
+      supabase.from().select().eq().limit
+        .mockResolvedValueOnce({ data: [], error: null })
+        .mockResolvedValueOnce({ data: [mockProfile], error: null })
+        .mockResolvedValueOnce({ data: [], error: null })
+        .mockResolvedValueOnce({ data: [], error: null });
+      supabase.from().insert.mockResolvedValueOnce({ error: null });
+      supabase.from().update().eq().select().single
+        .mockResolvedValueOnce({ data: null, error: { message: 'Username already taken' } });
+
+      const result = await ProfileService.updateUsername(userId, 'newname');
+
+      expect(result.success).toBe(false);
+      const [[historyRow]] = supabase.from().insert.mock.calls[0];
+      expect(supabase.from().delete).toHaveBeenCalled();
+      expect(supabase.from().eq).toHaveBeenCalledWith('changed_at', historyRow.changed_at);
+    });
+
+    it('should check suggestion candidates in one batch', async () => {
+      // The profiles query ends at or(); the reservations query continues to gt()
+      supabase.from().gt
+        .mockResolvedValueOnce({ data: [{ old_username: 'JDoe', user_id: 'other-user' }], error: null });
+      supabase.from().or
+        .mockReturnValueOnce(Promise.resolve({ data: [{ username: 'JaneDoe' }], error: null }));
+
+      const result = await ProfileService.checkUsernamesAvailability(['janedoe', 'jdoe', 'jane_doe']);
+
+      // Mixed-case handles and reservations are matched case-insensitively and literally
+      expect(supabase.from().or).toHaveBeenCalledWith('username.ilike.janedoe,username.ilike.jdoe,username.ilike.jane\\_doe');
+      expect(supabase.from().or).toHaveBeenCalledWith('old_username.ilike.janedoe,old_username.ilike.jdoe,old_username.ilike.jane\\_doe');
+      expect(result.data).toEqual(['jane_doe']);
+    });
+
+    it('should resolve an old username to the current one', async () => {
+      supabase.from().select().eq().limit
+        .mockResolvedValueOnce({ data: [{ user_id: userId }], error: null })
+        .mockResolvedValueOnce({ data: [{ ...mockProfile, username: 'newname' }], error: null });
+
+      const result = await ProfileService.resolveUsernameRedirect('testuser');
+
+      expect(result.success).toBe(true);
+      expect(result.data).toBe('newname');
+    });
+
+    it('should resolve old usernames case-insensitively and literally', async () => {
+      supabase.from().select().ilike().limit
+        .mockResolvedValueOnce({ data: [{ user_id: userId }], error: null })
+        .mockResolvedValueOnce({ data: [{ ...mockProfile, username: 'newname' }], error: null });
+
+      const result = await ProfileService.resolveUsernameRedirect('Old_Name');
+
+      expect(supabase.from().ilike).toHaveBeenCalledWith('old_username', 'Old\\_Name');
+      expect(result.data).toBe('newname');
+    });
+  });
+
+  describe('Custom Domains', () => {
+    const domainProfile = {
+      ...mockProfile,
+      custom_domain: 'links.example.com',
+      custom_domain_token: 'token-123',
+      custom_domain_verified_at: '2026-01-01T00:00:00.000Z',
+    };
+
+    it('should resolve a verified domain to its profile', async () => {
+      supabase.from().select().eq().limit.mockResolvedValue({ data: [domainProfile], error: null });
+
+      const result = await ProfileService.getPublicProfileByDomain('links.example.com');
+
+      expect(supabase.from().eq).toHaveBeenCalledWith('custom_domain', 'links.example.com');
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual(domainProfile);
+    });
+
+    it('should not resolve unverified domains', async () => {
+      supabase.from().select().eq().limit.mockResolvedValue({
+        data: [{ ...domainProfile, custom_domain_verified_at: null }],
+        error: null,
+      });
+
+      const result = await ProfileService.getPublicProfileByDomain('links.example.com');
+
+      expect(result.success).toBe(true);
+      expect(result.data).toBe(null);
+    });
+
+    it('should issue a new token and clear verification when setting a domain', async () => {
+      supabase.from().select().eq().limit.mockResolvedValueOnce({ data: [], error: null });
+      supabase.from().update().eq().select().single.mockResolvedValueOnce({ data: domainProfile, error: null });
+
+      const result = await ProfileService.setCustomDomain(mockProfile.id, 'links.example.com');
+
+      expect(result.success).toBe(true);
+      expect(supabase.from().update).toHaveBeenCalledWith({
+        custom_domain: 'links.example.com',
+        custom_domain_token: expect.any(String),
+        custom_domain_verified_at: null,
+      });
+    });
+
+    it('should reject a domain connected to another profile', async () => {
+      supabase.from().select().eq().limit.mockResolvedValueOnce({ data: [{ id: 'other-user' }], error: null });
+
+      const result = await ProfileService.setCustomDomain(mockProfile.id, 'links.example.com');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('This domain is already connected to another profile');
+      expect(supabase.from().update).not.toHaveBeenCalled();
+    });
+
+    it('should verify through the edge function', async () => {
+      supabase.functions.invoke.mockResolvedValue({ data: { verified: true, profile: domainProfile }, error: null });
+
+      const result = await ProfileService.verifyCustomDomain();
+
+      expect(supabase.functions.invoke).toHaveBeenCalledWith('verify-custom-domain');
+      expect(result.success).toBe(true);
+      expect(result.data.verified).toBe(true);
+    });
+  });
+
   describe('Privacy Settings', () => {
     it('should update privacy setting successfully', async () => {
       const updatedProfile = { ...mockProfile, is_private: true };
@@ -88,6 +88,8 @@ vi.mock('../services/supabase.js', () => ({
       update: vi.fn().mockReturnThis(),
       delete: vi.fn().mockReturnThis(),
       eq: vi.fn().mockReturnThis(),
+      gte: vi.fn().mockReturnThis(),
+      in: vi.fn().mockReturnThis(),
       order: vi.fn().mockReturnThis(),
       limit: vi.fn().mockResolvedValue({ data: [], error: null }),
       single: vi.fn().mockResolvedValue({ data: null, error: null }),
@@ -120,5 +122,7 @@ vi.mock('../services/supabase.js', () => ({
   SUPABASE_TABLES: {
     PROFILES: 'profiles',
     LINKS: 'links',
+    LINK_CLICKS: 'link_clicks',
+    PROFILE_VIEWS: 'profile_views',
   },
 }));
@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+import {
+  blobToDataUrl,
+  buildAccountExport,
+  dataUrlToBlob,
+  getAccountRestoreData,
+} from '../../utils/accountExportUtils.js';
+import { ACCOUNT_EXPORT, DEFAULT_THEME_PRESET } from '../../constants';
+
+const profileRow = {
+  id: 'user-1',
+  username: 'jane',
+  name: 'Jane',
+  bio: 'Maker',
+  theme: { preset: DEFAULT_THEME_PRESET, accentColor: '#ff0000' },
+  social_links: [{ platform: 'github', url: 'https://github.com/jane' }],
+  utm_defaults: { utm_source: 'lynqee' },
+  custom_domain: 'links.jane.dev',
+  custom_domain_token: 'secret-token',
+  custom_domain_verified_at: '2024-01-01T00:00:00.000Z',
+  deletion_scheduled_at: null,
+  created_at: '2024-01-01T00:00:00.000Z',
+};
+
+describe('accountExportUtils', () => {
+  it('exports only the allow-listed profile columns', () => {
+    const exported = buildAccountExport({ profile: profileRow, links: [] });
+
+    expect(Object.keys(exported.profile)).toEqual(ACCOUNT_EXPORT.PROFILE_FIELDS);
+    expect(exported.profile).not.toHaveProperty('custom_domain_token');
+    expect(exported.profile).not.toHaveProperty('deletion_scheduled_at');
+    expect(exported.profile).not.toHaveProperty('id');
+    expect(exported.profile.name).toBe('Jane');
+  });
+
+  it('decodes base64 and URL-encoded data URLs', async () => {
+    const png = dataUrlToBlob('data:image/png;base64,iVBORw==');
+    expect(png.type).toBe('image/png');
+    expect(png.size).toBe(4);
+    expect(await blobToDataUrl(png)).toBe('data:image/png;base64,iVBORw==');
+
+    expect(await blobToDataUrl(dataUrlToBlob('data:text/plain,a%20b'))).toBe('data:text/plain;base64,YSBi');
+    expect(() => dataUrlToBlob('https://example.com/avatar.png')).toThrow('Invalid data URL');
+  });
+
+  it('reads the profile settings and avatar to restore', () => {
+    const exported = buildAccountExport({
+      profile: profileRow,
+      links: [],
+      avatar: { fileName: 'avatar_1.png', contentType: 'image/png', size: 4, dataUrl: 'data:image/png;base64,iVBORw==' },
+    });
+
+    const { profile, avatar } = getAccountRestoreData(exported);
+
+    expect(profile).toEqual({
+      name: 'Jane',
+      bio: 'Maker',
+      theme: expect.objectContaining({ preset: DEFAULT_THEME_PRESET, accentColor: '#ff0000' }),
+      social_links: [{ platform: 'github', url: 'https://github.com/jane' }],
+      utm_defaults: { utm_source: 'lynqee' },
+    });
+    expect(avatar.fileName).toBe('avatar_1.png');
+    expect(avatar.blob.type).toBe('image/png');
+  });
+
+  it('drops stored values the profile form would refuse', () => {
+    const exported = buildAccountExport({
+      profile: {
+        name: 42,
+        social_links: [{ platform: 'github', url: 'javascript:alert(1)' }, { platform: 'myspace', url: 'jane' }],
+        utm_defaults: { utm_source: 'line\nbreak' },
+      },
+      links: [],
+    });
+
+    expect(getAccountRestoreData(exported)).toEqual({
+      profile: { name: null, bio: null, theme: null, social_links: [], utm_defaults: null },
+      avatar: null,
+    });
+  });
+
+  it('refuses other files and exports from newer versions', () => {
+    expect(() => getAccountRestoreData({ links: [] })).toThrow('not a Lynqee account export');
+
+    const newer = { ...buildAccountExport({ profile: {}, links: [] }), version: ACCOUNT_EXPORT.VERSION + 1 };
+    expect(() => getAccountRestoreData(newer)).toThrow('newer version');
+  });
+});
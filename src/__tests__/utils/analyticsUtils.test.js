@@ -0,0 +1,155 @@
+/**
+ * Analytics Utilities Test Suite
+ * 
+ * Tests for device classification, referrer parsing, daily aggregation
+ * and profile view deduplication
+ */
+
+import { describe, expect, it } from 'vitest';
+import {
+  bucketEventsByDay,
+  calculateClickThroughRate,
+  countBy,
+  countDistinct,
+  getDeviceType,
+  getRangeStart,
+  getReferrerDomain,
+  getTopEntries,
+  getVisitorId,
+  markProfileViewRecorded,
+  shouldRecordProfileView,
+} from '../../utils/analyticsUtils.js';
+
+describe('Analytics Utilities', () => {
+  describe('getDeviceType', () => {
+    it('classifies common user agents', () => {
+      expect(getDeviceType('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Mobile/15E148')).toBe('mobile');
+      expect(getDeviceType('Mozilla/5.0 (Linux; Android 14; Pixel 8) Mobile Safari/537.36')).toBe('mobile');
+      expect(getDeviceType('Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X)')).toBe('tablet');
+      expect(getDeviceType('Mozilla/5.0 (Linux; Android 13; SM-X700) Safari/537.36')).toBe('tablet');
+      expect(getDeviceType('Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/126.0')).toBe('desktop');
+    });
+
+    it('falls back to desktop for empty user agents', () => {
+      expect(getDeviceType('')).toBe('desktop');
+      expect(getDeviceType(null)).toBe('desktop');
+    });
+  });
+
+  describe('getReferrerDomain', () => {
+    it('keeps only the hostname without www', () => {
+      expect(getReferrerDomain('https://www.instagram.com/p/abc?utm=1')).toBe('instagram.com');
+      expect(getReferrerDomain('https://t.co/xyz')).toBe('t.co');
+    });
+
+    it('returns null for direct visits and invalid referrers', () => {
+      expect(getReferrerDomain('')).toBeNull();
+      expect(getReferrerDomain('not a url')).toBeNull();
+    });
+  });
+
+  describe('countBy', () => {
+    it('counts rows per key and skips missing values', () => {
+      const rows = [{ link_id: 'a' }, { link_id: 'b' }, { link_id: 'a' }, { link_id: null }];
+      expect(countBy(rows, 'link_id')).toEqual({ a: 2, b: 1 });
+    });
+  });
+
+  describe('getRangeStart', () => {
+    it('returns local midnight of the first day in the range', () => {
+      const start = getRangeStart(7, new Date(2024, 4, 10, 15, 30));
+      expect(start).toEqual(new Date(2024, 4, 4, 0, 0, 0, 0));
+    });
+  });
+
+  describe('bucketEventsByDay', () => {
+    it('returns a contiguous series with zero-filled days', () => {
+      const now = new Date(2024, 4, 10, 12);
+      const events = [
+        { clicked_at: new Date(2024, 4, 8, 9).toISOString() },
+        { clicked_at: new Date(2024, 4, 10, 1).toISOString() },
+        { clicked_at: new Date(2024, 4, 10, 23).toISOString() },
+      ];
+
+      expect(bucketEventsByDay(events, 'clicked_at', 3, now)).toEqual([
+        { date: '2024-05-08', count: 1 },
+        { date: '2024-05-09', count: 0 },
+        { date: '2024-05-10', count: 2 },
+      ]);
+    });
+  });
+
+  describe('getTopEntries', () => {
+    it('sorts by count then label and applies the limit', () => {
+      expect(getTopEntries({ 'b.com': 2, 'a.com': 2, 'c.com': 5, 'd.com': 1 }, 3)).toEqual([
+        { label: 'c.com', count: 5 },
+        { label: 'a.com', count: 2 },
+        { label: 'b.com', count: 2 },
+      ]);
+    });
+  });
+
+  describe('countDistinct', () => {
+    it('counts distinct non-empty values', () => {
+      const rows = [{ visitor_id: 'a' }, { visitor_id: 'b' }, { visitor_id: 'a' }, { visitor_id: null }];
+      expect(countDistinct(rows, 'visitor_id')).toBe(2);
+    });
+  });
+
+  describe('calculateClickThroughRate', () => {
+    it('returns a percentage rounded to one decimal', () => {
+      expect(calculateClickThroughRate(1, 3)).toBe(33.3);
+      expect(calculateClickThroughRate(5, 5)).toBe(100);
+    });
+
+    it('returns null without views', () => {
+      expect(calculateClickThroughRate(4, 0)).toBeNull();
+    });
+  });
+
+  describe('profile view deduplication', () => {
+    const createStorage = () => {
+      const store = {};
+      return {
+        getItem: (key) => (key in store ? store[key] : null),
+        setItem: (key, value) => { store[key] = String(value); },
+      };
+    };
+
+    it('persists a single visitor ID', () => {
+      const storage = createStorage();
+      const first = getVisitorId(storage);
+
+      expect(first).toMatch(/^[0-9a-f-]{36}$/);
+      expect(getVisitorId(storage)).toBe(first);
+    });
+
+    it('still returns a visitor ID when storage is unavailable', () => {
+      const storage = {
+        getItem: () => { throw new Error('denied'); },
+        setItem: () => { throw new Error('denied'); },
+      };
+
+      expect(getVisitorId(storage)).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    it('skips repeat views within the window', () => {
+      const storage = createStorage();
+      const now = 1_000_000;
+
+      expect(shouldRecordProfileView('profile-1', { storage, now, windowMs: 1000 })).toBe(true);
+      markProfileViewRecorded('profile-1', { storage, now, windowMs: 1000 });
+
+      expect(shouldRecordProfileView('profile-1', { storage, now: now + 500, windowMs: 1000 })).toBe(false);
+      expect(shouldRecordProfileView('profile-2', { storage, now: now + 500, windowMs: 1000 })).toBe(true);
+      expect(shouldRecordProfileView('profile-1', { storage, now: now + 1000, windowMs: 1000 })).toBe(true);
+    });
+
+    it('ignores corrupt stored data', () => {
+      const storage = createStorage();
+      storage.setItem('lynqee_recent_views', '{not json');
+
+      expect(shouldRecordProfileView('profile-1', { storage })).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  getCustomDomainHost,
+  getVerificationRecord,
+  normalizeCustomDomain,
+} from '../../utils/customDomainUtils.js';
+import { getPublicProfileLabel, getPublicProfileUrl, getShortLinkUrl } from '../../utils/profileUrlUtils.js';
+
+describe('customDomainUtils', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('normalizes pasted URLs to bare hostnames', () => {
+    expect(normalizeCustomDomain('  https://Links.Brand.com:443/path?x=1 ')).toBe('links.brand.com');
+    expect(normalizeCustomDomain('brand.com.')).toBe('brand.com');
+    expect(normalizeCustomDomain(null)).toBe('');
+  });
+
+  it('only enables host mode on hosts outside VITE_APP_HOSTS', () => {
+    vi.stubEnv('VITE_APP_HOSTS', '');
+    expect(getCustomDomainHost('links.brand.com')).toBe(null);
+
+    vi.stubEnv('VITE_APP_HOSTS', 'lynqee.com, www.lynqee.com');
+    expect(getCustomDomainHost('links.brand.com')).toBe('links.brand.com');
+    expect(getCustomDomainHost('www.lynqee.com')).toBe(null);
+    expect(getCustomDomainHost('preview.lynqee.com')).toBe(null);
+    expect(getCustomDomainHost('localhost')).toBe(null);
+  });
+
+  it('builds the TXT record for a pending domain', () => {
+    expect(getVerificationRecord({ custom_domain: 'links.brand.com', custom_domain_token: 'abc' })).toEqual({
+      name: '_lynqee.links.brand.com',
+      value: 'lynqee-verification=abc',
+    });
+    expect(getVerificationRecord({ custom_domain: null })).toBe(null);
+  });
+});
+
+describe('profileUrlUtils', () => {
+  const profile = { username: 'jane', custom_domain: 'links.brand.com', custom_domain_verified_at: null };
+
+  it('uses the username path until the domain is verified', () => {
+    expect(getPublicProfileUrl(profile, 'https://lynqee.com')).toBe('https://lynqee.com/jane');
+    expect(getPublicProfileLabel(profile)).toBe('/jane');
+  });
+
+  it('prefers a verified custom domain', () => {
+    const verified = { ...profile, custom_domain_verified_at: '2026-01-01T00:00:00.000Z' };
+
+    expect(getPublicProfileUrl(verified, 'https://lynqee.com')).toBe('https://links.brand.com');
+    expect(getPublicProfileLabel(verified)).toBe('links.brand.com');
+  });
+
+  it('builds short links on the profile URL, falling back to /go/:id', () => {
+    const verified = { ...profile, custom_domain_verified_at: '2026-01-01T00:00:00.000Z' };
+
+    expect(getShortLinkUrl(profile, { id: 'link-1', slug: 'k7mq2x' }, 'https://lynqee.com')).toBe('https://lynqee.com/jane/k7mq2x');
+    expect(getShortLinkUrl(verified, { id: 'link-1', slug: 'k7mq2x' }, 'https://lynqee.com')).toBe('https://links.brand.com/k7mq2x');
+    expect(getShortLinkUrl(profile, { id: 'link-1', slug: null }, 'https://lynqee.com')).toBe('https://lynqee.com/go/link-1');
+    expect(getShortLinkUrl(null, { id: 'link-1', slug: 'k7mq2x' }, 'https://lynqee.com')).toBe('https://lynqee.com/go/link-1');
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import {
+  describeLinkHealth,
+  getLinkHealthCounts,
+  getStatusCodeHealth,
+  isLinkBroken,
+  isLinkHealthDue,
+} from '../../utils/linkHealthUtils.js';
+import { LINK_HEALTH_CONFIG, LINK_HEALTH_STATUS } from '../../constants';
+
+const NOW = Date.parse('2026-05-01T12:00:00Z');
+const url = 'https://example.com/page';
+const checkedLink = (status, checkedAgo = 0, fields = {}) => ({
+  id: status,
+  url,
+  health: { url, status, statusCode: null, redirects: [], ...fields },
+  last_checked_at: new Date(NOW - checkedAgo).toISOString(),
+});
+
+describe('linkHealthUtils', () => {
+  it('only counts a result while the link still has the checked URL', () => {
+    const broken = checkedLink(LINK_HEALTH_STATUS.BROKEN);
+
+    expect(isLinkBroken(broken)).toBe(true);
+    expect(isLinkBroken({ ...broken, url: 'https://example.com/fixed' })).toBe(false);
+    expect(isLinkBroken(checkedLink(LINK_HEALTH_STATUS.TLS_ERROR))).toBe(true);
+    expect(isLinkBroken(checkedLink(LINK_HEALTH_STATUS.REDIRECTED))).toBe(false);
+  });
+
+  it('decides which links are due a check', () => {
+    expect(isLinkHealthDue({ url }, NOW)).toBe(true);
+    expect(isLinkHealthDue(checkedLink(LINK_HEALTH_STATUS.OK, 1000), NOW)).toBe(false);
+    expect(isLinkHealthDue(checkedLink(LINK_HEALTH_STATUS.OK, LINK_HEALTH_CONFIG.RECHECK_INTERVAL), NOW)).toBe(true);
+    expect(isLinkHealthDue({ ...checkedLink(LINK_HEALTH_STATUS.OK, 1000), url: 'https://example.com/new' }, NOW)).toBe(true);
+    expect(isLinkHealthDue({ type: 'header', title: 'Shop', url: null }, NOW)).toBe(false);
+    expect(isLinkHealthDue({ url: 'mailto:hi@example.com' }, NOW)).toBe(false);
+  });
+
+  it('maps status codes, treating pages that block bots as working', () => {
+    expect(getStatusCodeHealth(200)).toBe(LINK_HEALTH_STATUS.OK);
+    expect(getStatusCodeHealth(403)).toBe(LINK_HEALTH_STATUS.OK);
+    expect(getStatusCodeHealth(404)).toBe(LINK_HEALTH_STATUS.BROKEN);
+    expect(getStatusCodeHealth(503)).toBe(LINK_HEALTH_STATUS.BROKEN);
+  });
+
+  it('counts and describes results', () => {
+    const links = [
+      checkedLink(LINK_HEALTH_STATUS.OK),
+      checkedLink(LINK_HEALTH_STATUS.BROKEN, 0, { statusCode: 404 }),
+      checkedLink(LINK_HEALTH_STATUS.REDIRECTED, 0, { finalUrl: 'https://new.example/page', redirects: ['https://new.example/page'] }),
+      { url },
+    ];
+
+    expect(getLinkHealthCounts(links)).toEqual({ checked: 3, broken: 1, redirected: 1 });
+    expect(describeLinkHealth(links[1].health)).toBe('Page not found (404)');
+    expect(describeLinkHealth(links[2].health)).toBe('Redirects to new.example (1 redirect)');
+    expect(describeLinkHealth(links[0].health)).toBe('');
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Link Import Utilities Test Suite
+ *
+ * Tests for parsing JSON, CSV and plain-text imports and checking rows before import
+ */
+
+import { describe, expect, it } from 'vitest';
+import {
+  detectImportFormat,
+  normalizeImportUrl,
+  parseCsv,
+  parseLinkImport,
+  prepareImportRows,
+  summarizeImportRows,
+  titleFromUrl,
+} from '../../utils/linkImportUtils.js';
+import { buildAccountExport } from '../../utils/accountExportUtils.js';
+import { ACCOUNT_EXPORT, LINK_IMPORT_FORMATS, LINK_IMPORT_STATUS } from '../../constants';
+
+describe('Link Import Utilities', () => {
+  describe('detectImportFormat', () => {
+    it('prefers the file extension', () => {
+      expect(detectImportFormat('https://a.com', 'links.csv')).toBe(LINK_IMPORT_FORMATS.CSV);
+      expect(detectImportFormat('', 'export.JSON')).toBe(LINK_IMPORT_FORMATS.JSON);
+    });
+
+    it('sniffs pasted content', () => {
+      expect(detectImportFormat('[{"url":"https://a.com"}]')).toBe(LINK_IMPORT_FORMATS.JSON);
+      expect(detectImportFormat('title,url\nA,https://a.com')).toBe(LINK_IMPORT_FORMATS.CSV);
+      expect(detectImportFormat('https://a.com\nhttps://b.com')).toBe(LINK_IMPORT_FORMATS.TEXT);
+    });
+  });
+
+  describe('URL helpers', () => {
+    it('adds https:// to bare domains only', () => {
+      expect(normalizeImportUrl(' example.com/shop ')).toBe('https://example.com/shop');
+      expect(normalizeImportUrl('http://example.com')).toBe('http://example.com');
+    });
+
+    it('derives titles from the host and first path segment', () => {
+      expect(titleFromUrl('https://www.github.com/lynqee/app')).toBe('github.com/lynqee');
+      expect(titleFromUrl('https://example.com/')).toBe('example.com');
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('handles quoted cells with commas, quotes and CRLF line endings', () => {
+      const rows = parseCsv('title,url\r\n"Shop, new","https://a.com"\r\n"Say ""hi""",https://b.com\r\n');
+      expect(rows).toEqual([
+        ['title', 'url'],
+        ['Shop, new', 'https://a.com'],
+        ['Say "hi"', 'https://b.com'],
+      ]);
+    });
+  });
+
+  describe('parseLinkImport', () => {
+    it('reads JSON arrays and objects with a links list', () => {
+      const fromArray = parseLinkImport('[{"name":"Blog","href":"blog.example.com"},"https://a.com"]');
+      expect(fromArray.rows).toEqual([
+        { title: 'Blog', url: 'https://blog.example.com' },
+        { title: 'a.com', url: 'https://a.com' },
+      ]);
+
+      const fromExport = parseLinkImport(JSON.stringify({
+        links: [
+          { type: 'header', title: 'Music', is_collapsible: true },
+          { title: 'Album', url: 'https://music.example.com', is_public: false },
+        ],
+      }));
+      expect(fromExport.rows).toEqual([
+        { type: 'header', title: 'Music', is_collapsible: true },
+        { title: 'Album', url: 'https://music.example.com', is_public: false },
+      ]);
+    });
+
+    it('re-imports the links of an account export', () => {
+      const exported = buildAccountExport({
+        profile: { id: 'user-1', username: 'jane' },
+        links: [
+          { id: 'b', title: 'Second', url: 'https://b.com', position: 2 },
+          { id: 'a', title: 'First', url: 'https://a.com', position: 1 },
+        ],
+      });
+
+      const result = parseLinkImport(JSON.stringify(exported));
+      expect(result.rows.map(row => row.title)).toEqual(['First', 'Second']);
+    });
+
+    it('round-trips an account export with its link columns and order', () => {
+      const links = [
+        { id: 'c', user_id: 'user-1', slug: 'k7mq2x', title: 'Sale', url: 'https://shop.example.com/sale', position: 3,
+          is_public: false, starts_at: '2026-11-01T00:00:00.000Z', ends_at: '2026-11-30T00:00:00.000Z',
+          platform: null, thumbnail_url: 'https://shop.example.com/cover.jpg', favicon_url: null },
+        { id: 'a', user_id: 'user-1', type: 'header', title: 'Shop', url: null, position: 1, is_collapsible: true },
+        { id: 'b', user_id: 'user-1', slug: 'p3r8tw', title: 'Videos', url: 'https://www.youtube.com/@jane', position: 2,
+          platform: 'youtube', favicon_url: 'https://www.youtube.com/favicon.ico' },
+      ];
+      const exported = buildAccountExport({ profile: { id: 'user-1', username: 'jane' }, links });
+
+      const { rows, error } = parseLinkImport(JSON.stringify(exported), LINK_IMPORT_FORMATS.JSON);
+      const prepared = prepareImportRows(rows, []);
+
+      expect(error).toBeNull();
+      expect(prepared.map(row => row.status)).toEqual([
+        LINK_IMPORT_STATUS.READY, LINK_IMPORT_STATUS.READY, LINK_IMPORT_STATUS.READY,
+      ]);
+      expect(prepared.map(row => row.data)).toEqual([
+        { type: 'header', title: 'Shop', is_collapsible: true },
+        { title: 'Videos', url: 'https://www.youtube.com/@jane', platform: 'youtube', favicon_url: 'https://www.youtube.com/favicon.ico' },
+        { title: 'Sale', url: 'https://shop.example.com/sale', is_public: false, starts_at: '2026-11-01T00:00:00.000Z',
+          ends_at: '2026-11-30T00:00:00.000Z', thumbnail_url: 'https://shop.example.com/cover.jpg' },
+      ]);
+    });
+
+    it('only carries link columns over from account exports', () => {
+      const result = parseLinkImport('[{"title":"Blog","url":"https://blog.example.com","platform":"github"}]');
+      expect(result.rows).toEqual([{ title: 'Blog', url: 'https://blog.example.com' }]);
+    });
+
+    it('rejects exports from a newer version', () => {
+      const exported = { ...buildAccountExport({ profile: {}, links: [] }), version: ACCOUNT_EXPORT.VERSION + 1 };
+      expect(parseLinkImport(JSON.stringify(exported)).error).toContain('newer version');
+    });
+
+    it('reports invalid JSON', () => {
+      const result = parseLinkImport('{"links": [', LINK_IMPORT_FORMATS.JSON);
+      expect(result.rows).toEqual([]);
+      expect(result.error).toBe('The file is not valid JSON');
+    });
+
+    it('reads CSV with and without a header row', () => {
+      const withHeader = parseLinkImport('URL,Title\nhttps://a.com,Site A', LINK_IMPORT_FORMATS.CSV);
+      expect(withHeader.rows).toEqual([{ title: 'Site A', url: 'https://a.com' }]);
+
+      const withoutHeader = parseLinkImport('Site B,b.com', LINK_IMPORT_FORMATS.CSV);
+      expect(withoutHeader.rows).toEqual([{ title: 'Site B', url: 'https://b.com' }]);
+    });
+
+    it('reads plain-text lists with optional titles', () => {
+      const result = parseLinkImport('# my links\nBlog - https://blog.example.com\n\nexample.org');
+      expect(result.format).toBe(LINK_IMPORT_FORMATS.TEXT);
+      expect(result.rows).toEqual([
+        { title: 'Blog', url: 'https://blog.example.com' },
+        { title: 'example.org', url: 'https://example.org' },
+      ]);
+    });
+  });
+
+  describe('prepareImportRows', () => {
+    const existingLinks = [{ id: 'link-1', title: 'Home', url: 'https://example.com/', position: 1 }];
+
+    it('flags duplicates of existing links and of earlier rows', () => {
+      const rows = prepareImportRows([
+        { title: 'Homepage', url: 'https://EXAMPLE.com' },
+        { title: 'Shop', url: 'https://shop.example.com' },
+        { title: 'Shop again', url: 'https://shop.example.com/' },
+      ], existingLinks);
+
+      expect(rows.map(row => row.status)).toEqual([
+        LINK_IMPORT_STATUS.DUPLICATE,
+        LINK_IMPORT_STATUS.READY,
+        LINK_IMPORT_STATUS.DUPLICATE,
+      ]);
+      expect(rows[0].errors.url).toContain('Home');
+    });
+
+    it('marks rows that fail validation', () => {
+      const rows = prepareImportRows([{ title: 'Local', url: 'http://localhost:3000' }], existingLinks);
+      expect(rows[0].status).toBe(LINK_IMPORT_STATUS.INVALID);
+      expect(rows[0].errors.url).toBeTruthy();
+    });
+
+    it('stops accepting rows at the link limit', () => {
+      const rows = prepareImportRows([
+        { title: 'A', url: 'https://a.com' },
+        { title: 'B', url: 'https://b.com' },
+      ], existingLinks, 2);
+
+      expect(rows.map(row => row.status)).toEqual([LINK_IMPORT_STATUS.READY, LINK_IMPORT_STATUS.OVER_LIMIT]);
+      expect(summarizeImportRows(rows)).toEqual(expect.objectContaining({
+        [LINK_IMPORT_STATUS.READY]: 1,
+        [LINK_IMPORT_STATUS.OVER_LIMIT]: 1,
+        total: 2,
+      }));
+    });
+  });
+});
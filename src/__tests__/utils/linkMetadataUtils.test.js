@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { parseLinkMetadata, truncateLinkTitle } from '../../utils/linkMetadataUtils.js';
+
+describe('linkMetadataUtils', () => {
+  it('prefers Open Graph tags over the page title', () => {
+    const html = `
+      <html><head>
+        <title>Plain title</title>
+        <meta property="og:title" content="Tom &amp; Jerry&#39;s Shop">
+        <meta content='Cartoon goods' property='og:description'>
+        <meta property="og:image" content="/images/cover.png">
+      </head></html>
+    `;
+
+    expect(parseLinkMetadata(html, 'https://shop.example.com/store/')).toEqual({
+      title: "Tom & Jerry's Shop",
+      description: 'Cartoon goods',
+      thumbnailUrl: 'https://shop.example.com/images/cover.png',
+      faviconUrl: 'https://shop.example.com/favicon.ico',
+    });
+  });
+
+  it('falls back to the <title> and prefers a plain icon link', () => {
+    const html = `
+      <title>
+        My   Portfolio
+      </title>
+      <link rel="apple-touch-icon" href="/touch.png">
+      <link rel="shortcut icon" href="icons/favicon.svg">
+    `;
+
+    const metadata = parseLinkMetadata(html, 'https://jane.dev/work/index.html');
+    expect(metadata.title).toBe('My Portfolio');
+    expect(metadata.thumbnailUrl).toBe(null);
+    expect(metadata.faviconUrl).toBe('https://jane.dev/work/icons/favicon.svg');
+  });
+
+  it('ignores non-http image URLs', () => {
+    const html = '<meta property="og:image" content="javascript:alert(1)"><link rel="icon" href="data:image/png;base64,AAAA">';
+
+    const metadata = parseLinkMetadata(html, 'https://example.com');
+    expect(metadata.thumbnailUrl).toBe(null);
+    expect(metadata.faviconUrl).toBe('https://example.com/favicon.ico');
+    expect(metadata.title).toBe(null);
+  });
+
+  it('shortens long titles to the link title limit', () => {
+    const title = truncateLinkTitle('The Complete Guide to Building Mobile Friendly Link Pages in 2024');
+    expect(title.length).toBeLessThanOrEqual(50);
+    expect(title).toBe('The Complete Guide to Building Mobile Friendly…');
+    expect(truncateLinkTitle('Short')).toBe('Short');
+  });
+});
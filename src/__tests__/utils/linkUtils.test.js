@@ -0,0 +1,157 @@
+/**
+ * Link Utilities Test Suite
+ * 
+ * Tests for public visibility, link scheduling, section grouping, reordering and short link slug helpers
+ */
+
+import { describe, expect, it } from 'vitest';
+import {
+  fromDateTimeLocalValue,
+  generateLinkSlug,
+  getLinkScheduleStatus,
+  getLinkVisibilityCounts,
+  getNextScheduleChangeDelay,
+  getPositionChanges,
+  groupLinksIntoSections,
+  isLinkPublic,
+  isLinkVisibleNow,
+  isValidLinkSlug,
+  moveLinksToEdge,
+  toDateTimeLocalValue,
+} from '../../utils/linkUtils.js';
+
+describe('Link Utilities', () => {
+  describe('isLinkPublic', () => {
+    it('treats links without an is_public value as public', () => {
+      expect(isLinkPublic({ id: '1' })).toBe(true);
+      expect(isLinkPublic({ id: '1', is_public: null })).toBe(true);
+      expect(isLinkPublic({ id: '1', is_public: true })).toBe(true);
+    });
+
+    it('hides links explicitly marked private', () => {
+      expect(isLinkPublic({ id: '1', is_public: false })).toBe(false);
+      expect(isLinkPublic(null)).toBe(false);
+    });
+  });
+
+  describe('getLinkVisibilityCounts', () => {
+    it('counts public and private links', () => {
+      const links = [{ is_public: true }, { is_public: false }, {}];
+      expect(getLinkVisibilityCounts(links)).toEqual({ total: 3, public: 2, private: 1 });
+    });
+  });
+
+  describe('link scheduling', () => {
+    const now = new Date('2024-05-10T12:00:00Z').getTime();
+    const hour = 60 * 60 * 1000;
+    const iso = (time) => new Date(time).toISOString();
+
+    it('reports scheduled, live and expired states', () => {
+      expect(getLinkScheduleStatus({}, now)).toBeNull();
+      expect(getLinkScheduleStatus({ starts_at: iso(now + hour) }, now)).toBe('scheduled');
+      expect(getLinkScheduleStatus({ starts_at: iso(now - hour), ends_at: iso(now + hour) }, now)).toBe('live');
+      expect(getLinkScheduleStatus({ ends_at: iso(now) }, now)).toBe('expired');
+    });
+
+    it('only shows public links inside their window', () => {
+      expect(isLinkVisibleNow({}, now)).toBe(true);
+      expect(isLinkVisibleNow({ ends_at: iso(now + hour) }, now)).toBe(true);
+      expect(isLinkVisibleNow({ starts_at: iso(now + hour) }, now)).toBe(false);
+      expect(isLinkVisibleNow({ is_public: false }, now)).toBe(false);
+    });
+
+    it('finds the next boundary across links', () => {
+      const links = [
+        { starts_at: iso(now - hour), ends_at: iso(now + 3 * hour) },
+        { starts_at: iso(now + 2 * hour) },
+        {},
+      ];
+      expect(getNextScheduleChangeDelay(links, now)).toBe(2 * hour);
+      expect(getNextScheduleChangeDelay([{}], now)).toBeNull();
+    });
+
+    it('round-trips datetime-local values', () => {
+      const local = toDateTimeLocalValue(iso(now));
+      expect(local).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/);
+      expect(fromDateTimeLocalValue(local)).toBe(iso(now));
+      expect(fromDateTimeLocalValue('')).toBeNull();
+      expect(toDateTimeLocalValue(null)).toBe('');
+    });
+  });
+
+  describe('groupLinksIntoSections', () => {
+    const items = [
+      { id: 'a', title: 'Intro' },
+      { id: 'h1', type: 'header', title: 'Music' },
+      { id: 'b', title: 'Album' },
+      { id: 'c', title: 'Tour' },
+      { id: 'h2', type: 'header', title: 'Empty' },
+    ];
+
+    it('starts a new section at each header', () => {
+      const sections = groupLinksIntoSections(items);
+      expect(sections).toHaveLength(3);
+      expect(sections[0].header).toBeNull();
+      expect(sections[0].links.map(link => link.id)).toEqual(['a']);
+      expect(sections[1].header.id).toBe('h1');
+      expect(sections[1].links.map(link => link.id)).toEqual(['b', 'c']);
+      expect(sections[2].links).toEqual([]);
+    });
+
+    it('can drop headers without links', () => {
+      const sections = groupLinksIntoSections(items, { dropEmpty: true });
+      expect(sections.map(section => section.header?.id ?? null)).toEqual([null, 'h1']);
+    });
+
+    it('omits the leading section when the list starts with a header', () => {
+      const sections = groupLinksIntoSections(items.slice(1));
+      expect(sections[0].header.id).toBe('h1');
+    });
+  });
+
+  describe('bulk reordering', () => {
+    const ordered = [
+      { id: 'a', position: 1 },
+      { id: 'b', position: 2 },
+      { id: 'c', position: 3 },
+      { id: 'd', position: 4 },
+    ];
+
+    it('moves selected links to the top keeping their relative order', () => {
+      const result = moveLinksToEdge(ordered, ['d', 'b'], 'top');
+      expect(result.map(link => link.id)).toEqual(['b', 'd', 'a', 'c']);
+    });
+
+    it('moves selected links to the bottom', () => {
+      const result = moveLinksToEdge(ordered, ['a'], 'bottom');
+      expect(result.map(link => link.id)).toEqual(['b', 'c', 'd', 'a']);
+    });
+
+    it('only lists links whose position changes', () => {
+      const result = getPositionChanges(moveLinksToEdge(ordered, ['c'], 'top'));
+      expect(result).toEqual([
+        { id: 'c', position: 1 },
+        { id: 'a', position: 2 },
+        { id: 'b', position: 3 },
+      ]);
+      expect(getPositionChanges(ordered)).toEqual([]);
+    });
+  });
+
+  describe('short link slugs', () => {
+    it('generates slugs from the unambiguous alphabet', () => {
+      const slugs = Array.from({ length: 50 }, generateLinkSlug);
+
+      slugs.forEach(slug => expect(isValidLinkSlug(slug)).toBe(true));
+      expect(new Set(slugs).size).toBeGreaterThan(1);
+    });
+
+    it('rejects segments that cannot be slugs', () => {
+      expect(isValidLinkSlug('k7mq2x')).toBe(true);
+      expect(isValidLinkSlug('k7mq2')).toBe(false);
+      expect(isValidLinkSlug('k7mq0x')).toBe(false);
+      expect(isValidLinkSlug('K7MQ2X')).toBe(false);
+      expect(isValidLinkSlug(undefined)).toBe(false);
+    });
+  });
+});
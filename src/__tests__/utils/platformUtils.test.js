@@ -0,0 +1,71 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import {
+  detectPlatform,
+  getLinkPlatform,
+  getPlatformById,
+  getPlatforms,
+  registerPlatform,
+  resetPlatforms,
+} from '../../utils/platformUtils.js';
+import { DEFAULT_LINK_PLATFORM, LINK_PLATFORMS } from '../../constants';
+
+describe('platformUtils', () => {
+  afterEach(() => {
+    resetPlatforms();
+  });
+
+  it('detects platforms from hostnames and their subdomains', () => {
+    expect(detectPlatform('https://www.youtube.com/watch?v=abc').id).toBe('youtube');
+    expect(detectPlatform('https://youtu.be/abc').id).toBe('youtube');
+    expect(detectPlatform('https://m.facebook.com/jane').id).toBe('facebook');
+    expect(detectPlatform('https://open.spotify.com/artist/1').id).toBe('spotify');
+    expect(detectPlatform('github.com/jane').id).toBe('github');
+  });
+
+  it('does not match look-alike hostnames', () => {
+    expect(detectPlatform('https://notyoutube.com')).toBe(null);
+    expect(detectPlatform('https://youtube.com.evil.example')).toBe(null);
+    expect(detectPlatform('https://example.com')).toBe(null);
+    expect(detectPlatform('not a url')).toBe(null);
+    expect(detectPlatform('')).toBe(null);
+  });
+
+  it('prefers the most specific host', () => {
+    registerPlatform({ id: 'apple', name: 'Apple', hosts: ['apple.com'], color: '#000000' });
+
+    expect(detectPlatform('https://music.apple.com/album/1').id).toBe('apple-music');
+    expect(detectPlatform('https://podcasts.apple.com/show/1').id).toBe('apple-podcasts');
+    expect(detectPlatform('https://www.apple.com').id).toBe('apple');
+  });
+
+  it('uses the link override before detection, then the generic fallback', () => {
+    expect(getLinkPlatform({ url: 'https://github.com/jane', platform: 'gitlab' }).id).toBe('gitlab');
+    expect(getLinkPlatform({ url: 'https://github.com/jane', platform: DEFAULT_LINK_PLATFORM }).id).toBe(DEFAULT_LINK_PLATFORM);
+    expect(getLinkPlatform({ url: 'https://github.com/jane', platform: 'removed-platform' }).id).toBe('github');
+    expect(getLinkPlatform({ url: 'https://example.com' }).id).toBe(DEFAULT_LINK_PLATFORM);
+  });
+
+  it('registers new platforms before the fallback and replaces existing ones', () => {
+    registerPlatform({ id: 'mastodon', name: 'Mastodon', hosts: ['Mastodon.Social'], color: '#6364FF' });
+    registerPlatform({ id: 'github', name: 'GitHub Enterprise', hosts: ['github.example.com'], color: '#181717' });
+
+    const ids = getPlatforms().map(platform => platform.id);
+    expect(ids[ids.length - 1]).toBe(DEFAULT_LINK_PLATFORM);
+    expect(ids[ids.length - 2]).toBe('mastodon');
+    expect(detectPlatform('https://mastodon.social/@jane').id).toBe('mastodon');
+    expect(getPlatformById('github').name).toBe('GitHub Enterprise');
+    expect(detectPlatform('https://github.com/jane')).toBe(null);
+
+    expect(() => registerPlatform({ hosts: ['x.example'] })).toThrow();
+  });
+
+  it('gives every built-in platform a unique id, a name and a hex color', () => {
+    const ids = LINK_PLATFORMS.map(platform => platform.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    LINK_PLATFORMS.forEach((platform) => {
+      expect(platform.name).toBeTruthy();
+      expect(platform.color).toMatch(/^#[0-9A-F]{6}$/i);
+      platform.hosts.forEach(host => expect(host).toBe(host.toLowerCase()));
+    });
+  });
+});
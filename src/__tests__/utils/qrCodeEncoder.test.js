@@ -0,0 +1,109 @@
+/**
+ * QR Code Encoder Test Suite
+ *
+ * Tests for version selection, fixed patterns and format information
+ * of the pure JavaScript QR encoder
+ */
+
+import { describe, expect, it } from 'vitest';
+import jsQR from 'jsqr';
+import { encodeQrCode, getDataCapacity } from '../../utils/qrCodeEncoder.js';
+import { QR_CODE_CONFIG, QR_ERROR_CORRECTION } from '../../constants';
+
+const FORMAT_LEVELS = { 1: 'L', 0: 'M', 3: 'Q', 2: 'H' };
+
+// Read the first copy of the format information and undo its XOR mask
+const readFormat = ({ modules }) => {
+  const positions = [
+    [8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8],
+    [7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8],
+  ];
+  const bits = positions.reduce((value, [x, y], i) => value | ((modules[y][x] ? 1 : 0) << i), 0) ^ 0x5412;
+  const data = bits >>> 10;
+  return { errorCorrection: FORMAT_LEVELS[data >>> 3], mask: data & 7 };
+};
+
+// Draw the code as black-on-white RGBA pixels with a quiet zone, as a scanner sees it
+const toImageData = ({ modules, size }, scale = 4) => {
+  const width = (size + QR_CODE_CONFIG.MARGIN * 2) * scale;
+  const data = new Uint8ClampedArray(width * width * 4).fill(255);
+
+  for (let y = 0; y < width; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const row = modules[Math.floor(y / scale) - QR_CODE_CONFIG.MARGIN];
+      if (row?.[Math.floor(x / scale) - QR_CODE_CONFIG.MARGIN]) {
+        data.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 3);
+      }
+    }
+  }
+  return { data, width };
+};
+
+const decode = (qr) => {
+  const { data, width } = toImageData(qr);
+  return jsQR(data, width, width, { inversionAttempts: 'dontInvert' });
+};
+
+describe('QR Code Encoder', () => {
+  it('uses the smallest version that fits', () => {
+    const qr = encodeQrCode('https://lynqee.com/jane', QR_ERROR_CORRECTION.MEDIUM);
+
+    expect(qr.version).toBe(2);
+    expect(qr.size).toBe(25);
+    expect(qr.modules).toHaveLength(25);
+    expect(qr.modules.every(row => row.length === 25)).toBe(true);
+  });
+
+  it('needs larger versions for higher error correction', () => {
+    const text = 'https://lynqee.com/a-rather-long-username';
+
+    expect(encodeQrCode(text, QR_ERROR_CORRECTION.HIGH).version)
+      .toBeGreaterThan(encodeQrCode(text, QR_ERROR_CORRECTION.LOW).version);
+  });
+
+  it('matches the standard data capacities', () => {
+    expect(getDataCapacity(1, QR_ERROR_CORRECTION.LOW)).toBe(19);
+    expect(getDataCapacity(1, QR_ERROR_CORRECTION.HIGH)).toBe(9);
+    expect(getDataCapacity(7, QR_ERROR_CORRECTION.HIGH)).toBe(66);
+    expect(getDataCapacity(40, QR_ERROR_CORRECTION.LOW)).toBe(2956);
+  });
+
+  it('draws the three finder patterns', () => {
+    const { modules, size } = encodeQrCode('hello');
+
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -3; dy <= 3; dy += 1) {
+        for (let dx = -3; dx <= 3; dx += 1) {
+          expect(modules[cy + dy][cx + dx]).toBe(Math.max(Math.abs(dx), Math.abs(dy)) !== 2);
+        }
+      }
+    });
+  });
+
+  it('stores the error correction level and chosen mask in the format bits', () => {
+    Object.values(QR_ERROR_CORRECTION).forEach(level => {
+      const qr = encodeQrCode('https://lynqee.com/jane', level);
+      expect(readFormat(qr)).toEqual({ errorCorrection: level, mask: qr.mask });
+    });
+  });
+
+  it('encodes non-ASCII text as UTF-8', () => {
+    expect(() => encodeQrCode('https://lynqee.com/zoë')).not.toThrow();
+  });
+
+  it('produces codes a scanner decodes back to the text at every level', () => {
+    const texts = ['https://lynqee.com/jane', 'https://lynqee.com/zoë', `https://lynqee.com/${'a'.repeat(120)}`];
+
+    Object.values(QR_ERROR_CORRECTION).forEach(level => {
+      texts.forEach(text => {
+        const result = decode(encodeQrCode(text, level));
+        expect(result?.data).toBe(text);
+      });
+    });
+  });
+
+  it('rejects text that does not fit and unknown levels', () => {
+    expect(() => encodeQrCode('x'.repeat(3000), QR_ERROR_CORRECTION.LOW)).toThrow('too long');
+    expect(() => encodeQrCode('hello', 'X')).toThrow('Unknown error correction level');
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * QR Code Utilities Test Suite
+ *
+ * Tests for rendering QR codes as SVG, with and without a centered avatar
+ */
+
+import { describe, expect, it } from 'vitest';
+import { buildQrSvg, getQrFileName, svgToDataUrl } from '../../utils/qrCodeUtils.js';
+import { encodeQrCode } from '../../utils/qrCodeEncoder.js';
+import { QR_CODE_CONFIG } from '../../constants';
+
+const qr = encodeQrCode('https://lynqee.com/jane');
+
+describe('QR Code Utilities', () => {
+  it('renders every dark module inside the quiet zone', () => {
+    const svg = buildQrSvg(qr, { size: 256 });
+    const darkCount = qr.modules.flat().filter(Boolean).length;
+    const total = qr.size + QR_CODE_CONFIG.MARGIN * 2;
+
+    expect(svg).toContain('width="256" height="256"');
+    expect(svg).toContain(`viewBox="0 0 ${total} ${total}"`);
+    expect(svg.match(/h1v1h-1z/g)).toHaveLength(darkCount);
+    expect(svg).toContain(`M${QR_CODE_CONFIG.MARGIN} ${QR_CODE_CONFIG.MARGIN}h1v1h-1z`);
+  });
+
+  it('centers the avatar image clipped to a circle', () => {
+    const svg = buildQrSvg(qr, { avatar: { imageUrl: 'data:image/png;base64,AAAA' } });
+
+    expect(svg).toContain('<image href="data:image/png;base64,AAAA"');
+    expect(svg).toContain('clip-path="url(#qr-avatar)"');
+  });
+
+  it('falls back to an escaped initial without an image', () => {
+    const svg = buildQrSvg(qr, { avatar: { initial: '<' } });
+
+    expect(svg).toContain('>&lt;</text>');
+    expect(svg).not.toContain('<image');
+  });
+
+  it('builds data URLs and file names', () => {
+    expect(svgToDataUrl('<svg/>')).toBe('data:image/svg+xml;charset=utf-8,%3Csvg%2F%3E');
+    expect(getQrFileName('jane', 512, 'png')).toBe('lynqee-jane-qr-512.png');
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * SEO Utilities Test Suite
+ *
+ * Tests for profile head tags and their static HTML form used by the prerender script
+ */
+
+import { describe, expect, it } from 'vitest';
+import {
+  buildProfileHead,
+  injectHeadHtml,
+  renderHeadHtml,
+  truncateDescription,
+} from '../../utils/seoUtils.js';
+import { SEO_CONFIG } from '../../constants';
+
+const profile = {
+  username: 'jane',
+  name: 'Jane Doe',
+  bio: 'Designer & maker',
+  avatar_url: 'https://cdn.example.com/avatars/jane.png',
+};
+const url = 'https://lynqee.com/jane';
+
+const metaContent = (head, key) => head.meta.find(item => item.key === key)?.content;
+
+describe('SEO Utilities', () => {
+  describe('truncateDescription', () => {
+    it('keeps short text and collapses whitespace', () => {
+      expect(truncateDescription('Hello\n  world')).toBe('Hello world');
+    });
+
+    it('cuts long text at a word boundary', () => {
+      const result = truncateDescription('word '.repeat(60));
+      expect(result.length).toBeLessThanOrEqual(SEO_CONFIG.DESCRIPTION_MAX_LENGTH);
+      expect(result.endsWith('word…')).toBe(true);
+    });
+  });
+
+  describe('buildProfileHead', () => {
+    it('uses name, bio and avatar for title, description and preview tags', () => {
+      const head = buildProfileHead(profile, url);
+
+      expect(head.title).toBe('Jane Doe (@jane) | Lynqee');
+      expect(head.description).toBe('Designer & maker');
+      expect(head.canonical).toBe(url);
+      expect(metaContent(head, 'og:url')).toBe(url);
+      expect(metaContent(head, 'og:image')).toBe(profile.avatar_url);
+      expect(metaContent(head, 'twitter:image')).toBe(profile.avatar_url);
+      expect(head.jsonLd).toEqual(expect.objectContaining({
+        '@type': 'Person',
+        name: 'Jane Doe',
+        alternateName: '@jane',
+        image: profile.avatar_url,
+      }));
+    });
+
+    it('falls back to the handle and a generic description', () => {
+      const head = buildProfileHead({ username: 'jane' }, url);
+
+      expect(head.title).toBe('@jane | Lynqee');
+      expect(head.description).toBe("Check out @jane's links on Lynqee.");
+      expect(metaContent(head, 'og:image')).toBeUndefined();
+      expect(head.jsonLd.image).toBeUndefined();
+    });
+  });
+
+  describe('static HTML', () => {
+    it('escapes profile text in tags and JSON-LD', () => {
+      const html = renderHeadHtml(buildProfileHead({ ...profile, bio: '</script><b>"hi"</b>' }, url));
+
+      expect(html).toContain('content="&lt;/script&gt;&lt;b&gt;&quot;hi&quot;&lt;/b&gt;"');
+      expect(html).toContain('\\u003c/script>');
+      expect(html).not.toContain('</script><b>');
+    });
+
+    it('replaces the default title and tags in index.html', () => {
+      const template = [
+        '<html><head>',
+        '<title>Lynqee</title>',
+        '<meta name="description" content="Default" data-lynqee-head />',
+        '</head><body></body></html>',
+      ].join('\n');
+
+      const html = injectHeadHtml(template, buildProfileHead({ ...profile, name: 'Jane $& Doe' }, url));
+
+      expect(html).not.toContain('<title>Lynqee</title>');
+      expect(html).not.toContain('content="Default"');
+      expect(html).toContain('<title>Jane $&amp; Doe (@jane) | Lynqee</title>');
+      expect(html).toContain(`<link rel="canonical" href="${url}"`);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { buildSocialLinkUrl, getRenderableSocialLinks, getSocialPlatforms } from '../../utils/socialLinkUtils.js';
+import { SOCIAL_PLATFORMS } from '../../constants';
+
+describe('socialLinkUtils', () => {
+  it('turns handles into each platform\'s profile URL', () => {
+    expect(buildSocialLinkUrl('tiktok', '@jane').url).toBe('https://www.tiktok.com/@jane');
+    expect(buildSocialLinkUrl('twitter', 'jane_doe').url).toBe('https://x.com/jane_doe');
+    expect(buildSocialLinkUrl('youtube', '@JaneMakes').url).toBe('https://www.youtube.com/@JaneMakes');
+    expect(buildSocialLinkUrl('linkedin', 'jane-doe-123').url).toBe('https://www.linkedin.com/in/jane-doe-123');
+    expect(buildSocialLinkUrl('bluesky', '@jane.bsky.social').url).toBe('https://bsky.app/profile/jane.bsky.social');
+    expect(buildSocialLinkUrl('substack', 'janewrites').url).toBe('https://janewrites.substack.com');
+  });
+
+  it('rejects handles the platform does not allow', () => {
+    expect(buildSocialLinkUrl('twitter', 'this_handle_is_too_long')).toEqual({
+      isValid: false,
+      url: null,
+      error: 'This doesn\'t look like a X (Twitter) username',
+    });
+    expect(buildSocialLinkUrl('instagram', 'jane doe').isValid).toBe(false);
+    expect(buildSocialLinkUrl('github', '-jane').isValid).toBe(false);
+    expect(buildSocialLinkUrl('instagram', '  ').error).toBe('Enter a username or profile URL');
+    expect(buildSocialLinkUrl('myspace', 'jane').error).toBe('Choose a platform from the list');
+  });
+
+  it('accepts pasted profile URLs on the platform\'s own hosts', () => {
+    expect(buildSocialLinkUrl('instagram', 'instagram.com/jane/').url).toBe('https://instagram.com/jane/');
+    expect(buildSocialLinkUrl('github', 'http://github.com/jane').url).toBe('https://github.com/jane');
+    expect(buildSocialLinkUrl('twitter', 'https://x.com/jane').url).toBe('https://x.com/jane');
+
+    expect(buildSocialLinkUrl('instagram', 'https://tiktok.com/@jane')).toEqual({
+      isValid: false,
+      url: null,
+      error: 'This URL doesn\'t point to Instagram',
+    });
+    expect(buildSocialLinkUrl('instagram', 'https://instagram.com.evil.example/jane').isValid).toBe(false);
+    expect(buildSocialLinkUrl('github', 'javascript://github.com/%0Aalert(1)').isValid).toBe(false);
+  });
+
+  it('only renders known, safe and unique social links', () => {
+    const links = getRenderableSocialLinks([
+      { platform: 'github', url: 'https://github.com/jane' },
+      { platform: 'github', url: 'https://github.com/jane-again' },
+      { platform: 'instagram', url: 'javascript:alert(1)' },
+      { platform: 'unknown', url: 'https://example.com' },
+      null,
+      { platform: 'tiktok', url: 'https://www.tiktok.com/@jane' },
+    ]);
+
+    expect(links.map(link => [link.platform.id, link.url])).toEqual([
+      ['github', 'https://github.com/jane'],
+      ['tiktok', 'https://www.tiktok.com/@jane'],
+    ]);
+    expect(getRenderableSocialLinks(null)).toEqual([]);
+  });
+
+  it('offers every social platform from the platform table', () => {
+    expect(getSocialPlatforms().map(platform => platform.id)).toEqual(Object.keys(SOCIAL_PLATFORMS));
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Theme Utilities Test Suite
+ *
+ * Tests for resolving stored profile themes into CSS variables
+ */
+
+import { describe, expect, it } from 'vitest';
+import {
+  getContrastTextColor,
+  getThemeCssVariables,
+  isValidHexColor,
+  resolveTheme,
+} from '../../utils/themeUtils.js';
+import { THEME_CORNER_RADII, THEME_FONTS, THEME_PRESETS } from '../../constants';
+
+describe('Theme Utilities', () => {
+  describe('isValidHexColor', () => {
+    it('accepts short and long hex colors', () => {
+      expect(isValidHexColor('#fff')).toBe(true);
+      expect(isValidHexColor('#00473E')).toBe(true);
+    });
+
+    it('rejects other color formats and non-strings', () => {
+      expect(isValidHexColor('red')).toBe(false);
+      expect(isValidHexColor('#ggg')).toBe(false);
+      expect(isValidHexColor('rgb(0,0,0)')).toBe(false);
+      expect(isValidHexColor(null)).toBe(false);
+    });
+  });
+
+  describe('getContrastTextColor', () => {
+    it('uses dark text on light backgrounds and light text on dark ones', () => {
+      expect(getContrastTextColor('#ffffff')).toBe('#111827');
+      expect(getContrastTextColor('#00473e')).toBe('#ffffff');
+    });
+  });
+
+  describe('resolveTheme', () => {
+    it('falls back to the default preset when no theme is stored', () => {
+      const theme = resolveTheme(null);
+      expect(theme.preset).toBe('classic');
+      expect(theme.background).toBe(THEME_PRESETS.classic.background);
+    });
+
+    it('fills missing fields from the chosen preset', () => {
+      const theme = resolveTheme({ preset: 'forest', accentColor: '#abc' });
+      expect(theme.background).toBe(THEME_PRESETS.forest.background);
+      expect(theme.accentColor).toBe('#aabbcc');
+      expect(theme.buttonStyle).toBe(THEME_PRESETS.forest.buttonStyle);
+    });
+
+    it('discards invalid values', () => {
+      const theme = resolveTheme({
+        preset: 'unknown',
+        background: 'url(evil)',
+        buttonStyle: 'glow',
+        cornerRadius: 'blob',
+        fontFamily: 'comic',
+      });
+      expect(theme).toEqual(resolveTheme(null));
+    });
+  });
+
+  describe('getThemeCssVariables', () => {
+    it('maps theme fields onto CSS variables', () => {
+      const vars = getThemeCssVariables({
+        preset: 'paper',
+        cornerRadius: 'pill',
+        fontFamily: 'mono',
+      });
+      expect(vars['--theme-page-bg']).toBe(THEME_PRESETS.paper.background);
+      expect(vars['--theme-radius']).toBe(THEME_CORNER_RADII.pill);
+      expect(vars['--theme-font']).toBe(THEME_FONTS.mono);
+      expect(vars['--theme-text']).toBe('#111827');
+    });
+
+    it('fills buttons with the accent color for the filled style', () => {
+      const vars = getThemeCssVariables({ background: '#ffffff', accentColor: '#00473e', buttonStyle: 'filled' });
+      expect(vars['--theme-button-bg']).toBe('#00473e');
+      expect(vars['--theme-button-text']).toBe('#ffffff');
+    });
+
+    it('keeps outline buttons transparent with an accent border', () => {
+      const vars = getThemeCssVariables({ background: '#0f172a', accentColor: '#38bdf8', buttonStyle: 'outline' });
+      expect(vars['--theme-button-bg']).toBe('transparent');
+      expect(vars['--theme-button-border']).toBe('#38bdf8');
+      expect(vars['--theme-button-text']).toBe('#ffffff');
+    });
+
+    it('tints soft buttons with a translucent accent', () => {
+      const vars = getThemeCssVariables({ accentColor: '#fa5246', buttonStyle: 'soft' });
+      expect(vars['--theme-button-bg']).toMatch(/^#fa5246[0-9a-f]{2}$/);
+      expect(vars['--theme-button-border']).toBe('transparent');
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import {
+  USERNAME_RESTRICTIONS,
+  buildUsernameAlternatives,
+  buildUsernameSuggestions,
+  getRouteUsernames,
+  getUsernameRestriction,
+  getUsernameSkeleton,
+} from '../../utils/usernameUtils.js';
+
+describe('usernameUtils', () => {
+  it('folds case, separators and look-alike characters', () => {
+    expect(getUsernameSkeleton('Log_1n')).toBe(getUsernameSkeleton('login'));
+    expect(getUsernameSkeleton('DASH-B0ARD')).toBe(getUsernameSkeleton('dashboard'));
+    expect(getUsernameSkeleton('adrnin')).toBe(getUsernameSkeleton('admin'));
+    expect(getUsernameSkeleton('café')).toBe('cafe');
+  });
+
+  it('reserves the first segment of every static route', () => {
+    const routeUsernames = getRouteUsernames();
+
+    expect(routeUsernames).toEqual(expect.arrayContaining(['dashboard', 'links', 'setup', 'login', 'test-errors']));
+    expect(routeUsernames.some(name => name.startsWith(':'))).toBe(false);
+  });
+
+  it('classifies reserved, blocked and allowed usernames', () => {
+    expect(getUsernameRestriction('Dashboard')).toBe(USERNAME_RESTRICTIONS.RESERVED);
+    expect(getUsernameRestriction('test_errors')).toBe(USERNAME_RESTRICTIONS.RESERVED);
+    expect(getUsernameRestriction('5upport')).toBe(USERNAME_RESTRICTIONS.RESERVED);
+    expect(getUsernameRestriction('sh1tposter')).toBe(USERNAME_RESTRICTIONS.BLOCKED);
+    expect(getUsernameRestriction('jane_doe')).toBe(null);
+    expect(getUsernameRestriction('dashboards')).toBe(null);
+  });
+
+  it('blocks offensive whole words but not innocent words containing them', () => {
+    expect(getUsernameRestriction('big_fuck_fan')).toBe(USERNAME_RESTRICTIONS.BLOCKED);
+    expect(getUsernameRestriction('BigShitFan')).toBe(USERNAME_RESTRICTIONS.BLOCKED);
+    expect(getUsernameRestriction('s-h-1-t')).toBe(USERNAME_RESTRICTIONS.BLOCKED);
+    expect(getUsernameRestriction('B1TCH')).toBe(USERNAME_RESTRICTIONS.BLOCKED);
+
+    expect(getUsernameRestriction('scunthorpe')).toBe(null);
+    expect(getUsernameRestriction('shitake_recipes')).toBe(null);
+    expect(getUsernameRestriction('bitchute-fan')).toBe(null);
+    expect(getUsernameRestriction('mishit')).toBe(null);
+  });
+
+  it('builds unique alternatives that fit the length limit', () => {
+    const alternatives = buildUsernameAlternatives('Links');
+
+    expect(alternatives).toContain('linkshq');
+    expect(new Set(alternatives).size).toBe(alternatives.length);
+    expect(buildUsernameAlternatives('a'.repeat(30)).every(name => name.length <= 30)).toBe(true);
+    expect(buildUsernameAlternatives('')).toEqual([]);
+  });
+
+  it('derives suggestions from the full name and email local-part', () => {
+    const suggestions = buildUsernameSuggestions({ email: 'j.doe+work@example.com', fullName: 'José van Dijk' });
+
+    expect(suggestions.slice(0, 3)).toEqual(['josedijk', 'jose_dijk', 'jose-dijk']);
+    expect(suggestions).toEqual(expect.arrayContaining(['jdijk', 'josed', 'dijkjose', 'jvd', 'jdoe', 'j_doe', 'josedijk1']));
+    expect(suggestions.some(name => name.includes('work'))).toBe(false);
+  });
+
+  it('skips candidates shorter than the minimum length', () => {
+    expect(buildUsernameSuggestions({ email: 'al@example.com' })).not.toContain('al');
+    expect(buildUsernameSuggestions({})).toEqual([]);
+  });
+});
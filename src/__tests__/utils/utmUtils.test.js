@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { applyUtmParams, cleanUtmParams, getUtmParams, stripUtmParams } from '../../utils/utmUtils.js';
+
+describe('utmUtils', () => {
+  it('reads the UTM tags set in a URL', () => {
+    expect(getUtmParams('https://example.com/?ref=bio&utm_source=instagram&utm_campaign=spring%20sale#top')).toEqual({
+      utm_source: 'instagram',
+      utm_campaign: 'spring sale',
+    });
+    expect(getUtmParams('https://example.com')).toEqual({});
+  });
+
+  it('merges tags into an existing query string and keeps the fragment', () => {
+    expect(applyUtmParams('https://example.com/shop?ref=bio&q=a%20b#top', { utm_source: 'instagram', utm_medium: 'social' }))
+      .toBe('https://example.com/shop?ref=bio&q=a%20b&utm_source=instagram&utm_medium=social#top');
+    expect(applyUtmParams('https://example.com/?utm_source=old&x=1', { utm_source: ' new ', utm_medium: '' }))
+      .toBe('https://example.com/?utm_source=new&x=1');
+    expect(applyUtmParams('https://example.com/?utm_source=old&x=1', { utm_source: '' }))
+      .toBe('https://example.com/?x=1');
+  });
+
+  it('only adds missing tags when not overwriting', () => {
+    const defaults = { utm_source: 'lynqee', utm_medium: 'profile' };
+
+    expect(applyUtmParams('https://example.com/?utm_source=newsletter', defaults, { overwrite: false }))
+      .toBe('https://example.com/?utm_source=newsletter&utm_medium=profile');
+    expect(applyUtmParams('https://example.com', null, { overwrite: false })).toBe('https://example.com');
+  });
+
+  it('strips tags and cleans stored values', () => {
+    expect(stripUtmParams('https://example.com/?UTM_Source=a&id=7&utm_term=b')).toBe('https://example.com/?id=7');
+    expect(cleanUtmParams({ utm_source: ' ig ', utm_medium: '', other: 'x' })).toEqual({ utm_source: 'ig' });
+    expect(cleanUtmParams({ utm_source: '  ' })).toBeNull();
+  });
+});
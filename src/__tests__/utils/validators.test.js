@@ -8,9 +8,16 @@ import { describe, expect, it } from 'vitest';
 import { 
   isValidEmail, 
   isValidUrl, 
+  normalizeUrlForComparison, 
+  validateCustomDomain, 
+  validateLinkData, 
+  validateLinkSchedule, 
   validateLinkTitle, 
+  validateLinkUrl, 
   validatePassword, 
-  validateUsername 
+  validateSocialLink, 
+  validateUsername,
+  validateUtmParams 
 } from '../../utils/validators.js';
 
 describe('Validation Utilities', () => {
@@ -135,6 +142,65 @@ describe('Validation Utilities', () => {
     });
   });
 
+  describe('validateCustomDomain', () => {
+    it('accepts hostnames with at least two labels', () => {
+      ['links.brand.com', 'brand.co.uk', 'my-site.dev'].forEach(domain => {
+        expect(validateCustomDomain(domain).isValid).toBe(true);
+      });
+    });
+
+    it('rejects malformed hostnames', () => {
+      ['', 'localhost', 'brand..com', '-brand.com', 'brand.com/path', 'Brand.com'].forEach(domain => {
+        const result = validateCustomDomain(domain);
+        expect(result.isValid).toBe(false);
+        expect(typeof result.error).toBe('string');
+      });
+    });
+
+    it('rejects the app hosts and their subdomains', () => {
+      expect(validateCustomDomain('lynqee.com', ['lynqee.com']).isValid).toBe(false);
+      expect(validateCustomDomain('jane.lynqee.com', ['lynqee.com']).isValid).toBe(false);
+      expect(validateCustomDomain('notlynqee.com', ['lynqee.com']).isValid).toBe(true);
+    });
+  });
+
+  describe('validateSocialLink', () => {
+    it('returns the canonical URL for a valid handle', () => {
+      expect(validateSocialLink('instagram', '@jane.doe')).toEqual({
+        isValid: true,
+        error: null,
+        url: 'https://www.instagram.com/jane.doe',
+      });
+    });
+
+    it('rejects a platform that was already added', () => {
+      const result = validateSocialLink('github', 'jane', [{ platform: 'github', url: 'https://github.com/jane' }]);
+      expect(result).toEqual({ isValid: false, error: 'You already added GitHub', url: null });
+    });
+
+    it('rejects new links once the limit is reached', () => {
+      const existing = Array.from({ length: 10 }, (_, index) => ({ platform: `p${index}`, url: 'https://example.com' }));
+      expect(validateSocialLink('github', 'jane', existing).error).toBe('You can add up to 10 social links');
+    });
+  });
+
+  describe('validateUsername reserved words', () => {
+    it('rejects route names and their look-alikes', () => {
+      ['dashboard', 'Links', 'SETUP', 'l0gin', 'test-errors'].forEach(username => {
+        expect(validateUsername(username)).toEqual({
+          isValid: false,
+          error: 'This username is reserved. Please choose another one',
+        });
+      });
+    });
+
+    it('rejects blocklisted words in the username', () => {
+      const result = validateUsername('big_fuck_fan');
+      expect(result.isValid).toBe(false);
+      expect(result.error).toBe('This username is not allowed. Please choose another one');
+    });
+  });
+
   describe('validateLinkTitle', () => {
     it('returns success for valid link titles', () => {
       const validTitles = [
@@ -166,4 +232,89 @@ describe('Validation Utilities', () => {
       });
     });
   });
+
+  describe('validateLinkSchedule', () => {
+    it('accepts an empty or open-ended schedule', () => {
+      expect(validateLinkSchedule(null, null).isValid).toBe(true);
+      expect(validateLinkSchedule('2024-05-01T09:00', '').isValid).toBe(true);
+      expect(validateLinkSchedule('', '2024-05-01T09:00').isValid).toBe(true);
+    });
+
+    it('rejects invalid dates', () => {
+      const result = validateLinkSchedule('not a date', null);
+      expect(result.isValid).toBe(false);
+      expect(result.errors.starts_at).toBe('Please enter a valid date and time');
+    });
+
+    it('requires the end to be after the start', () => {
+      const result = validateLinkSchedule('2024-05-02T09:00', '2024-05-01T09:00');
+      expect(result.isValid).toBe(false);
+      expect(result.errors.ends_at).toBe('End time must be after the start time');
+    });
+
+    it('is included in validateLinkData', () => {
+      const result = validateLinkData({
+        title: 'Promo',
+        url: 'https://example.com',
+        starts_at: '2024-05-02T09:00',
+        ends_at: '2024-05-02T09:00',
+      });
+      expect(result.isValid).toBe(false);
+      expect(result.errors.ends_at).toBeTruthy();
+    });
+  });
+
+  describe('validateLinkData for section headers', () => {
+    it('only requires a title', () => {
+      expect(validateLinkData({ type: 'header', title: 'Music' }).isValid).toBe(true);
+      expect(validateLinkData({ type: 'header', title: '' }).errors.title).toBeTruthy();
+    });
+
+    it('ignores headers when checking for duplicate URLs', () => {
+      const existing = [{ id: 'h1', type: 'header', title: 'Music', url: null }];
+      const result = validateLinkData({ title: 'Music', url: 'https://example.com' }, existing);
+      expect(result.isValid).toBe(true);
+    });
+
+    it('rejects duplicate header titles', () => {
+      const existing = [{ id: 'h1', type: 'header', title: 'Music', url: null }];
+      const result = validateLinkData({ type: 'header', title: 'music' }, existing);
+      expect(result.errors.title).toBeTruthy();
+    });
+  });
+
+  describe('campaign (UTM) tags', () => {
+    it('treats URLs that only differ in UTM tags as duplicates', () => {
+      const existing = [{ id: 'l1', title: 'Shop', url: 'https://shop.example.com/?utm_source=instagram' }];
+
+      expect(normalizeUrlForComparison('https://shop.example.com/?utm_source=tiktok&utm_medium=social'))
+        .toBe(normalizeUrlForComparison('https://shop.example.com'));
+      expect(normalizeUrlForComparison('https://example.com/?id=1&utm_campaign=x'))
+        .not.toBe(normalizeUrlForComparison('https://example.com/?id=2'));
+      expect(validateLinkData({ title: 'Store', url: 'https://shop.example.com?utm_campaign=sale' }, existing).errors.url)
+        .toBe('This URL already exists in your links: "Shop"');
+    });
+
+    it('limits tag values', () => {
+      expect(validateUtmParams({ utm_source: 'instagram', utm_medium: '' }).isValid).toBe(true);
+      expect(validateUtmParams({ utm_campaign: 'x'.repeat(101) }).errors.utm_campaign)
+        .toBe('Campaign must be 100 characters or less');
+    });
+  });
+
+  describe('validateLinkUrl safety checks', () => {
+    it('explains why an unsafe URL is rejected', () => {
+      expect(validateLinkUrl('javascript:alert(1)').error).toBe('JavaScript, data and file links are not allowed');
+      expect(validateLinkUrl('https://bank.com@evil.example').error).toBe('URLs can\'t include a username or password before the domain');
+      expect(validateLinkUrl('http://[::1]:3000').error).toBe('Local and private network URLs are not allowed');
+      expect(validateLinkUrl('https://аpple.com').error).toBe('This domain uses look-alike characters and may be impersonating another site');
+      expect(validateLinkUrl('https://testsafebrowsing.appspot.com/s/phishing.html').error).toBe('This domain is blocked because it is known to be unsafe');
+      expect(validateLinkUrl('https://tinyurl.com/abc').error).toBe('Link shorteners hide where a link goes. Please use the full URL');
+    });
+
+    it('allows public addresses the old prefix check blocked', () => {
+      expect(validateLinkUrl('http://172.217.3.4/').isValid).toBe(true);
+      expect(validateLinkUrl('http://172.20.0.1/').isValid).toBe(false);
+    });
+  });
 });
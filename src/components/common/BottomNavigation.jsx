@@ -12,9 +12,10 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import { NavLink } from 'react-router-dom';
-import { Eye, LayoutDashboard, Link, LogOut } from 'lucide-react';
+import { BarChart3, Eye, LayoutDashboard, Link, LogOut } from 'lucide-react';
 import { useAuth } from '../../hooks/useAuth.js';
 import { useUserProfile } from '../../hooks/useUserProfile.js';
+import { getPublicProfileUrl } from '../../utils/profileUrlUtils';
 
 const BottomNavigation = ({ className = '' }) => {
   const { user, signOut } = useAuth();
@@ -23,7 +24,7 @@ const BottomNavigation = ({ className = '' }) => {
   const handleProfilePreview = () => {
     if (profile?.username) {
       // Open public profile in new tab
-      window.open(`/${profile.username}`, '_blank');
+      window.open(getPublicProfileUrl(profile), '_blank');
     }
   };
 
@@ -53,6 +54,14 @@ const BottomNavigation = ({ className = '' }) => {
       ),
       path: '/links'
     },
+    {
+      id: 'analytics',
+      label: 'Analytics',
+      icon: (isActive) => (
+        <BarChart3 className={`w-6 h-6 ${isActive ? 'text-golden-yellow' : 'text-sage-gray'}`} />
+      ),
+      path: '/analytics'
+    },
     {
       id: 'preview',
       label: 'Preview',
@@ -12,10 +12,11 @@
 import React, { useState } from 'react';
 import PropTypes from 'prop-types';
 import { NavLink, useNavigate } from 'react-router-dom';
-import { Eye, LayoutDashboard, Link, LogOut } from 'lucide-react';
+import { BarChart3, Eye, LayoutDashboard, Link, LogOut } from 'lucide-react';
 import { useAuth } from '../../hooks/useAuth.js';
 import { useUserProfile } from '../../hooks/useUserProfile.js';
 import { useAlerts } from '../../hooks';
+import { getPublicProfileUrl } from '../../utils/profileUrlUtils';
 
 const SidebarNavigation = ({ className = '' }) => {
   const { user, signOut } = useAuth();
@@ -27,7 +28,7 @@ const SidebarNavigation = ({ className = '' }) => {
 
   const handleProfilePreview = () => {
     if (profile?.username) {
-      window.open(`/${profile.username}`, '_blank');
+      window.open(getPublicProfileUrl(profile), '_blank');
     }
   };
 
@@ -77,6 +78,18 @@ const SidebarNavigation = ({ className = '' }) => {
       ),
       path: '/links'
     },
+    {
+      id: 'analytics',
+      label: 'Analytics',
+      icon: (isActive) => (
+        <BarChart3 
+          className={`w-6 h-6 transition-colors duration-200 ${
+            isActive ? 'text-golden-yellow' : 'text-sage-gray group-hover:text-golden-yellow'
+          }`}
+        />
+      ),
+      path: '/analytics'
+    },
     {
       id: 'preview',
       label: 'Preview Profile',
@@ -0,0 +1,104 @@
+/**
+ * Toggle - Reusable toggle/switch component
+ *
+ * Features:
+ * - Mobile-optimized touch targets (min 44x44px hit area)
+ * - Smooth animations
+ * - Accessibility support (role="switch", aria-checked)
+ * - Multiple sizes and color variants
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const Toggle = ({
+  checked = false,
+  onChange,
+  disabled = false,
+  label,
+  showLabel = false,
+  size = 'medium',
+  color = 'primary',
+  className = '',
+}) => {
+  // Track and thumb dimensions per size
+  const sizeClasses = {
+    small: { track: 'w-8 h-4', thumb: 'w-3 h-3', translate: 'translate-x-4' },
+    medium: { track: 'w-11 h-6', thumb: 'w-5 h-5', translate: 'translate-x-5' },
+    large: { track: 'w-14 h-7', thumb: 'w-6 h-6', translate: 'translate-x-7' },
+  };
+
+  const colorClasses = {
+    primary: 'bg-forest-green',
+    success: 'bg-green-600',
+    warning: 'bg-golden-yellow',
+  };
+
+  const { track, thumb, translate } = sizeClasses[size] || sizeClasses.medium;
+
+  const handleClick = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (!disabled && onChange) onChange(!checked);
+  };
+
+  return (
+    <button
+      type="button"
+      role="switch"
+      aria-checked={checked}
+      aria-label={label}
+      disabled={disabled}
+      onClick={handleClick}
+      className={`
+        inline-flex items-center min-h-[44px] min-w-[44px] justify-center
+        touch-manipulation focus:outline-none group
+        disabled:opacity-50 disabled:cursor-not-allowed
+        ${className}
+      `}
+    >
+      <span
+        className={`
+          relative inline-flex flex-shrink-0 items-center rounded-full
+          transition-colors duration-200 ease-in-out
+          group-focus-visible:ring-2 group-focus-visible:ring-golden-yellow group-focus-visible:ring-offset-2
+          ${track}
+          ${checked ? (colorClasses[color] || colorClasses.primary) : 'bg-gray-300'}
+        `}
+      >
+        <span
+          className={`
+            inline-block rounded-full bg-white shadow transform
+            transition-transform duration-200 ease-in-out
+            ${thumb}
+            ${checked ? translate : 'translate-x-0.5'}
+          `}
+        />
+      </span>
+      {showLabel && label && (
+        <span className="ml-2 text-sm text-gray-700">{label}</span>
+      )}
+    </button>
+  );
+};
+
+Toggle.propTypes = {
+  /** Current state */
+  checked: PropTypes.bool,
+  /** Called with the new state when toggled */
+  onChange: PropTypes.func,
+  /** Disabled state */
+  disabled: PropTypes.bool,
+  /** Accessible label (also shown when showLabel is true) */
+  label: PropTypes.string.isRequired,
+  /** Whether to render the label next to the switch */
+  showLabel: PropTypes.bool,
+  /** Size variant */
+  size: PropTypes.oneOf(['small', 'medium', 'large']),
+  /** Color theme when checked */
+  color: PropTypes.oneOf(['primary', 'success', 'warning']),
+  /** Additional CSS classes */
+  className: PropTypes.string,
+};
+
+export default Toggle;
@@ -9,6 +9,7 @@ export { default as Modal } from './Modal';
 export { default as ProtectedRoute } from './ProtectedRoute';
 export { default as ProfileSetupGuard } from './ProfileSetupGuard';
 export { default as SidebarNavigation } from './SidebarNavigation';
+export { default as Toggle } from './Toggle';
 
 // Consolidated modern loading components (replaces LoadingSpinner and SkeletonLoader)
 export { 
@@ -0,0 +1,74 @@
+/**
+ * AnalyticsBreakdown - Ranked list with proportional bars
+ *
+ * Features:
+ * - Used for top referrers and device types
+ * - Bars scaled to the share of the total
+ * - Optional label formatter
+ * - Empty state message
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const AnalyticsBreakdown = ({
+  title,
+  entries = [],
+  formatLabel = (label) => label,
+  emptyMessage = 'No data yet',
+  className = '',
+}) => {
+  const total = entries.reduce((sum, entry) => sum + entry.count, 0);
+
+  return (
+    <div className={`bg-white rounded-lg shadow-sm p-4 md:p-6 ${className}`}>
+      <h2 className="text-lg font-semibold text-gray-900 md:text-xl mb-3 md:mb-4">
+        {title}
+      </h2>
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500 py-4 text-center">{emptyMessage}</p>
+      ) : (
+        <ul className="space-y-3">
+          {entries.map(entry => {
+            const share = total ? Math.round((entry.count / total) * 100) : 0;
+            return (
+              <li key={entry.label}>
+                <div className="flex items-center justify-between text-sm mb-1">
+                  <span className="text-gray-700 truncate mr-2">{formatLabel(entry.label)}</span>
+                  <span className="text-gray-500 flex-shrink-0">
+                    {entry.count} <span className="text-gray-400">({share}%)</span>
+                  </span>
+                </div>
+                <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-golden-yellow rounded-full"
+                    style={{ width: `${share}%` }}
+                  ></div>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+AnalyticsBreakdown.propTypes = {
+  /** Card heading */
+  title: PropTypes.string.isRequired,
+  /** Entries sorted by count, e.g. from getTopEntries */
+  entries: PropTypes.arrayOf(PropTypes.shape({
+    label: PropTypes.string.isRequired,
+    count: PropTypes.number.isRequired,
+  })),
+  /** Function to turn a raw label into display text */
+  formatLabel: PropTypes.func,
+  /** Text shown when there are no entries */
+  emptyMessage: PropTypes.string,
+  /** Additional CSS classes */
+  className: PropTypes.string,
+};
+
+export default AnalyticsBreakdown;
@@ -0,0 +1,158 @@
+/**
+ * AnalyticsChart - Lightweight SVG line chart for daily analytics series
+ *
+ * Features:
+ * - Hand-rolled SVG (no charting library)
+ * - Multiple series sharing one scale
+ * - Responsive width via viewBox scaling
+ * - Legend with per-series totals
+ * - Accessible summary for screen readers
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const VIEWBOX_WIDTH = 600;
+const VIEWBOX_HEIGHT = 200;
+const PADDING_TOP = 12;
+const PADDING_BOTTOM = 8;
+
+/**
+ * Format a YYYY-MM-DD key as a short, locale-aware label
+ * @param {string} dateKey - Date key
+ * @returns {string} Label such as "May 4"
+ */
+const formatDateLabel = (dateKey) => {
+  if (!dateKey) return '';
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
+
+/**
+ * Build SVG points for a series scaled to the chart area
+ * @param {Array<{count: number}>} data - Daily buckets
+ * @param {number} maxValue - Largest value across all series
+ * @returns {string} Points attribute value
+ */
+const buildPoints = (data, maxValue) => {
+  const plotHeight = VIEWBOX_HEIGHT - PADDING_TOP - PADDING_BOTTOM;
+  const step = data.length > 1 ? VIEWBOX_WIDTH / (data.length - 1) : 0;
+
+  return data
+    .map((point, index) => {
+      const x = data.length > 1 ? index * step : VIEWBOX_WIDTH / 2;
+      const y = PADDING_TOP + plotHeight - (point.count / maxValue) * plotHeight;
+      return `${x.toFixed(2)},${y.toFixed(2)}`;
+    })
+    .join(' ');
+};
+
+const AnalyticsChart = ({
+  series = [],
+  title = '',
+  className = '',
+}) => {
+  const dates = series[0]?.data || [];
+  const maxValue = Math.max(1, ...series.flatMap(item => item.data.map(point => point.count)));
+  const totals = series.map(item => item.data.reduce((sum, point) => sum + point.count, 0));
+
+  const summary = series
+    .map((item, index) => `${item.label}: ${totals[index]}`)
+    .join(', ');
+
+  return (
+    <div className={`bg-white rounded-lg shadow-sm p-4 md:p-6 ${className}`}>
+      <div className="flex flex-col gap-2 mb-4 md:flex-row md:items-center md:justify-between">
+        {title && (
+          <h2 className="text-lg font-semibold text-gray-900 md:text-xl">
+            {title}
+          </h2>
+        )}
+
+        {/* Legend */}
+        <ul className="flex flex-wrap gap-4">
+          {series.map((item, index) => (
+            <li key={item.id} className="flex items-center text-sm text-gray-600">
+              <span className={`w-3 h-3 rounded-full mr-2 bg-current ${item.colorClass}`} aria-hidden="true"></span>
+              {item.label}
+              <span className="ml-1 font-semibold text-gray-900">{totals[index]}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="relative">
+        {/* Max value gridline label */}
+        <span className="absolute top-0 left-0 text-xs text-gray-400">{maxValue}</span>
+
+        <svg
+          viewBox={`0 0 ${VIEWBOX_WIDTH} ${VIEWBOX_HEIGHT}`}
+          preserveAspectRatio="none"
+          className="w-full h-40 md:h-56"
+          role="img"
+          aria-label={title ? `${title}. ${summary}` : summary}
+        >
+          {/* Gridlines */}
+          {[0, 0.5, 1].map(fraction => {
+            const y = PADDING_TOP + (VIEWBOX_HEIGHT - PADDING_TOP - PADDING_BOTTOM) * fraction;
+            return (
+              <line
+                key={fraction}
+                x1="0"
+                x2={VIEWBOX_WIDTH}
+                y1={y}
+                y2={y}
+                className="stroke-current text-gray-100"
+                strokeWidth="1"
+                vectorEffect="non-scaling-stroke"
+              />
+            );
+          })}
+
+          {series.map(item => (
+            <polyline
+              key={item.id}
+              points={buildPoints(item.data, maxValue)}
+              fill="none"
+              className={`stroke-current ${item.colorClass}`}
+              strokeWidth="2"
+              strokeLinejoin="round"
+              strokeLinecap="round"
+              vectorEffect="non-scaling-stroke"
+            />
+          ))}
+        </svg>
+
+        {/* X-axis labels: first, middle and last day */}
+        {dates.length > 0 && (
+          <div className="flex justify-between mt-2 text-xs text-gray-400">
+            <span>{formatDateLabel(dates[0].date)}</span>
+            {dates.length > 2 && (
+              <span className="hidden sm:inline">{formatDateLabel(dates[Math.floor(dates.length / 2)].date)}</span>
+            )}
+            <span>{formatDateLabel(dates[dates.length - 1].date)}</span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+AnalyticsChart.propTypes = {
+  /** Series to plot; all series should cover the same days */
+  series: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired,
+    /** Tailwind text color class used for the line and legend dot */
+    colorClass: PropTypes.string.isRequired,
+    data: PropTypes.arrayOf(PropTypes.shape({
+      date: PropTypes.string.isRequired,
+      count: PropTypes.number.isRequired,
+    })).isRequired,
+  })),
+  /** Chart heading */
+  title: PropTypes.string,
+  className: PropTypes.string,
+};
+
+export default AnalyticsChart;
@@ -5,17 +5,26 @@
  * - Mobile-optimized grid layout
  * - Touch-friendly stat cards
  * - Responsive design
- * - Future-ready for analytics
+ * - Public/private link counts
+ * - Click, profile view and unique visitor analytics
+ * - Overall click-through rate summary
+ * - Warning when health checks found broken links
  */
 
 import React from 'react';
 import PropTypes from 'prop-types';
-import { Eye, Info, Link, MousePointer } from 'lucide-react';
+import { Link as RouterLink } from 'react-router-dom';
+import { AlertTriangle, Eye, Info, Link, MousePointer } from 'lucide-react';
 import { useAlerts } from '../../hooks';
+import { ANALYTICS_CONFIG, ROUTES } from '../../constants';
+import { calculateClickThroughRate } from '../../utils/analyticsUtils';
+
+const DEDUP_MINUTES = Math.round(ANALYTICS_CONFIG.VIEW_DEDUP_WINDOW / 60000);
 
 const DashboardStats = ({ 
   stats = {},
   loading = false,
+  rangeLabel = '',
   className = '',
   
 }) => {
@@ -23,11 +32,17 @@ const DashboardStats = ({
   
   const defaultStats = {
     totalLinks: 0,
+    publicLinks: 0,
+    privateLinks: 0,
     totalClicks: 0,
     profileViews: 0,
+    uniqueVisitors: 0,
+    brokenLinks: 0,
     ...stats
   };
 
+  const clickThroughRate = calculateClickThroughRate(defaultStats.totalClicks, defaultStats.profileViews);
+
   // Handle click on unavailable features
   const handleUnavailableFeatureClick = (featureName) => {
     showInfo({
@@ -46,6 +61,7 @@ const DashboardStats = ({
       icon: (
         <Link className="w-6 h-6 text-golden-yellow" />
       ),
+      detail: `${defaultStats.publicLinks} public · ${defaultStats.privateLinks} private`,
       available: true
     },
     {
@@ -55,7 +71,7 @@ const DashboardStats = ({
       icon: (
         <MousePointer className="w-6 h-6 text-green-600" />
       ),
-      available: false // Future feature
+      available: true
     },
     {
       id: 'views',
@@ -64,7 +80,8 @@ const DashboardStats = ({
       icon: (
         <Eye className="w-6 h-6 text-purple-600" />
       ),
-      available: false // Future feature
+      detail: `${defaultStats.uniqueVisitors} unique`,
+      available: true
     }
   ];
 
@@ -92,6 +109,11 @@ const DashboardStats = ({
         <h2 className="text-lg font-semibold text-gray-900 md:text-xl">
           Quick Stats
         </h2>
+        {rangeLabel && (
+          <span className="text-xs text-gray-500 md:text-sm">
+            {rangeLabel}
+          </span>
+        )}
       </div>
       
       {/* Mobile: Horizontal 3-column layout, Desktop: Keep same layout */}
@@ -146,6 +168,11 @@ const DashboardStats = ({
               `}>
                 {item.id === 'clicks' ? 'Clicks' : item.label}
               </p>
+              {item.detail && (
+                <p className="text-xs text-gray-400">
+                  {item.detail}
+                </p>
+              )}
             </div>
             
             {/* Mobile: Simple "Soon" indicator */}
@@ -158,19 +185,43 @@ const DashboardStats = ({
         ))}
       </div>
 
-      {/* Coming soon message for unavailable features - more compact on mobile */}
+      {/* Broken links found by health checks */}
+      {defaultStats.brokenLinks > 0 && (
+        <div className="mt-3 md:mt-4 p-3 bg-coral-red/10 rounded-lg border border-coral-red/30" role="status">
+          <div className="flex items-start space-x-2">
+            <AlertTriangle className="w-4 h-4 md:w-5 md:h-5 text-coral-red mt-0.5 flex-shrink-0" />
+            <div className="flex-1 min-w-0">
+              <h3 className="text-xs md:text-sm font-medium text-gray-900">
+                {defaultStats.brokenLinks} broken {defaultStats.brokenLinks === 1 ? 'link' : 'links'}
+              </h3>
+              <p className="text-xs text-gray-700 mt-1">
+                Visitors may land on an error page.{' '}
+                <RouterLink
+                  to={ROUTES.LINKS}
+                  className="inline-flex items-center min-h-[44px] md:min-h-0 font-medium text-forest-green underline hover:text-golden-yellow"
+                >
+                  Review links
+                </RouterLink>
+              </p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Click-through summary - more compact on mobile */}
       <div className="mt-3 md:mt-4 p-3 bg-mint-cream rounded-lg border border-golden-yellow/30">
         <div className="flex items-start space-x-2">
           <Info className="w-4 h-4 md:w-5 md:h-5 text-golden-yellow mt-0.5 flex-shrink-0" />
           <div>
             <h3 className="text-xs md:text-sm font-medium text-forest-green">
-              Analytics Coming Soon
+              {clickThroughRate === null
+                ? 'No profile views yet'
+                : `${clickThroughRate}% click-through rate`}
             </h3>
             <p className="text-xs text-sage-gray mt-1 hidden md:block">
-              Click tracking and profile view analytics will be available in upcoming updates.
-            </p>
-            <p className="text-xs text-sage-gray mt-1 md:hidden">
-              Analytics features coming soon.
+              {clickThroughRate === null
+                ? 'Share your profile link to start collecting views. Your own visits are not counted.'
+                : `Link clicks per profile view. Repeat visits within ${DEDUP_MINUTES} minutes and your own visits are not counted.`}
             </p>
           </div>
         </div>
@@ -182,10 +233,17 @@ const DashboardStats = ({
 DashboardStats.propTypes = {
   stats: PropTypes.shape({
     totalLinks: PropTypes.number,
+    publicLinks: PropTypes.number,
+    privateLinks: PropTypes.number,
     totalClicks: PropTypes.number,
     profileViews: PropTypes.number,
+    uniqueVisitors: PropTypes.number,
+    /** Links whose last health check failed */
+    brokenLinks: PropTypes.number,
   }),
   loading: PropTypes.bool,
+  /** Caption describing the analytics time range, e.g. "Last 30 days" */
+  rangeLabel: PropTypes.string,
   className: PropTypes.string,
   showRealTimeIndicator: PropTypes.bool,
 };
@@ -0,0 +1,119 @@
+/**
+ * LinkAnalyticsTable - Per-link click breakdown with sortable columns
+ *
+ * Features:
+ * - Sort by clicks (toggle direction on repeat tap)
+ * - Horizontal scroll on narrow screens
+ * - Touch-friendly header buttons
+ * - Empty state when the user has no links
+ */
+
+import React, { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { ArrowDown, ArrowUp } from 'lucide-react';
+
+const SORTABLE_COLUMNS = [
+  { key: 'clicks', label: 'Clicks' },
+];
+
+const LinkAnalyticsTable = ({
+  rows = [],
+  className = '',
+}) => {
+  const [sortKey, setSortKey] = useState('clicks');
+  const [sortDirection, setSortDirection] = useState('desc');
+
+  const sortedRows = useMemo(() => {
+    const direction = sortDirection === 'asc' ? 1 : -1;
+    return [...rows].sort((a, b) => {
+      if (a[sortKey] === b[sortKey]) return a.title.localeCompare(b.title);
+      return (a[sortKey] - b[sortKey]) * direction;
+    });
+  }, [rows, sortKey, sortDirection]);
+
+  const handleSort = (key) => {
+    if (key === sortKey) {
+      setSortDirection(prev => (prev === 'asc' ? 'desc' : 'asc'));
+    } else {
+      setSortKey(key);
+      setSortDirection('desc');
+    }
+  };
+
+  return (
+    <div className={`bg-white rounded-lg shadow-sm p-4 md:p-6 ${className}`}>
+      <h2 className="text-lg font-semibold text-gray-900 md:text-xl mb-3 md:mb-4">
+        Link Performance
+      </h2>
+
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500 py-6 text-center">
+          Add links to your profile to see how each one performs.
+        </p>
+      ) : (
+        <div className="overflow-x-auto -mx-4 md:mx-0">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 text-left text-gray-500">
+                <th scope="col" className="px-4 py-2 font-medium md:px-2">Link</th>
+                {SORTABLE_COLUMNS.map(column => {
+                  const isActive = sortKey === column.key;
+                  return (
+                    <th
+                      key={column.key}
+                      scope="col"
+                      className="px-4 py-2 font-medium text-right md:px-2"
+                      aria-sort={isActive ? (sortDirection === 'asc' ? 'ascending' : 'descending') : 'none'}
+                    >
+                      <button
+                        type="button"
+                        onClick={() => handleSort(column.key)}
+                        className={`
+                          inline-flex items-center min-h-[44px] md:min-h-0
+                          hover:text-gray-900 transition-colors duration-200
+                          ${isActive ? 'text-gray-900' : ''}
+                        `}
+                      >
+                        {column.label}
+                        {isActive && (sortDirection === 'asc'
+                          ? <ArrowUp className="w-3 h-3 ml-1" />
+                          : <ArrowDown className="w-3 h-3 ml-1" />)}
+                      </button>
+                    </th>
+                  );
+                })}
+              </tr>
+            </thead>
+            <tbody>
+              {sortedRows.map(row => (
+                <tr key={row.id} className="border-b border-gray-100 last:border-0">
+                  <td className="px-4 py-3 md:px-2 max-w-[200px] md:max-w-md">
+                    <p className="font-medium text-gray-900 truncate">{row.title}</p>
+                    <p className="text-xs text-gray-500 truncate">{row.url}</p>
+                  </td>
+                  <td className="px-4 py-3 md:px-2 text-right font-semibold text-gray-900">
+                    {row.clicks}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+LinkAnalyticsTable.propTypes = {
+  /** One row per link with its click count */
+  rows: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    title: PropTypes.string.isRequired,
+    url: PropTypes.string,
+    clicks: PropTypes.number.isRequired,
+  })),
+  /** Additional CSS classes */
+  className: PropTypes.string,
+};
+
+export default LinkAnalyticsTable;
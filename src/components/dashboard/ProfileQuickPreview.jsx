@@ -4,15 +4,17 @@
  * Features:
  * - Compact design for mobile screens
  * - Touch-optimized buttons
- * - Quick access to profile actions
+ * - Quick access to profile actions (copy URL, QR code)
  * - Responsive layout
  */
 
-import React from 'react';
+import React, { useState } from 'react';
 import PropTypes from 'prop-types';
-import { Copy, ExternalLink } from 'lucide-react';
+import { Copy, ExternalLink, QrCode } from 'lucide-react';
 import { Avatar, Button } from '../common';
+import { QrCodeModal } from '../profile';
 import { useAlerts } from '../../hooks';
+import { getPublicProfileLabel, getPublicProfileUrl } from '../../utils/profileUrlUtils';
 
 const ProfileQuickPreview = ({ 
   profile, 
@@ -21,21 +23,14 @@ const ProfileQuickPreview = ({
   className = '' 
 }) => {
   const { showSuccess, showError } = useAlerts();
+  const [isQrModalOpen, setIsQrModalOpen] = useState(false);
 
   if (!profile) {
     return null;
   }
 
-  const getPublicProfileUrl = () => {
-    return profile.username ? `${window.location.origin}/${profile.username}` : '';
-  };
-
-  const getDisplayPath = () => {
-    return profile.username ? `/${profile.username}` : '';
-  };
-
   const handleCopyProfileUrl = async () => {
-    const url = getPublicProfileUrl();
+    const url = getPublicProfileUrl(profile);
     if (!url) {
       showError({
         title: 'No Profile URL',
@@ -127,29 +122,53 @@ const ProfileQuickPreview = ({
                   Public Profile URL
                 </p>
                 <p className="text-xs md:text-sm text-gray-600 truncate">
-                  {getDisplayPath() || 'Set up your username first'}
+                  {getPublicProfileLabel(profile) || 'Set up your username first'}
                 </p>
               </div>
             </div>
-            <Button
-              variant="outline"
-              onClick={handleCopyProfileUrl}
-              disabled={!profile.username}
-              aria-label="Copy profile URL"
-              className="
-                p-4 md:p-3
-                bg-white/80 backdrop-blur-sm
-                border-golden-yellow/50 text-golden-yellow
-                hover:bg-golden-yellow/10 hover:border-golden-yellow
-                transition-all duration-200
-                w-12 h-12 md:w-10 md:h-10
-              "
-            >
-              <Copy className="w-4 h-4 md:w-5 md:h-5 text-golden-yellow" />
-            </Button>
+            <div className="flex items-center space-x-2 flex-shrink-0">
+              <Button
+                variant="outline"
+                onClick={() => setIsQrModalOpen(true)}
+                disabled={!profile.username}
+                aria-label="Show profile QR code"
+                className="
+                  p-4 md:p-3
+                  bg-white/80 backdrop-blur-sm
+                  border-golden-yellow/50 text-golden-yellow
+                  hover:bg-golden-yellow/10 hover:border-golden-yellow
+                  transition-all duration-200
+                  w-12 h-12 md:w-10 md:h-10
+                "
+              >
+                <QrCode className="w-4 h-4 md:w-5 md:h-5 text-golden-yellow" />
+              </Button>
+              <Button
+                variant="outline"
+                onClick={handleCopyProfileUrl}
+                disabled={!profile.username}
+                aria-label="Copy profile URL"
+                className="
+                  p-4 md:p-3
+                  bg-white/80 backdrop-blur-sm
+                  border-golden-yellow/50 text-golden-yellow
+                  hover:bg-golden-yellow/10 hover:border-golden-yellow
+                  transition-all duration-200
+                  w-12 h-12 md:w-10 md:h-10
+                "
+              >
+                <Copy className="w-4 h-4 md:w-5 md:h-5 text-golden-yellow" />
+              </Button>
+            </div>
           </div>
         </div>
       </div>
+
+      <QrCodeModal
+        isOpen={isQrModalOpen}
+        onClose={() => setIsQrModalOpen(false)}
+        profile={profile}
+      />
     </div>
   );
 };
@@ -160,6 +179,8 @@ ProfileQuickPreview.propTypes = {
     username: PropTypes.string.isRequired,
     bio: PropTypes.string,
     avatar_url: PropTypes.string,
+    custom_domain: PropTypes.string,
+    custom_domain_verified_at: PropTypes.string,
   }),
   onEditProfile: PropTypes.func.isRequired,
   loading: PropTypes.bool,
@@ -2,3 +2,6 @@
 export { default as DashboardLayout } from './DashboardLayout.jsx';
 export { default as ProfileQuickPreview } from './ProfileQuickPreview.jsx';
 export { default as DashboardStats } from './DashboardStats.jsx';
+export { default as AnalyticsChart } from './AnalyticsChart.jsx';
+export { default as AnalyticsBreakdown } from './AnalyticsBreakdown.jsx';
+export { default as LinkAnalyticsTable } from './LinkAnalyticsTable.jsx';
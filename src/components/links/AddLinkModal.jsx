@@ -7,16 +7,23 @@
  * - Optimistic UI updates with rollback capability
  * - Loading states and user feedback
  * - Integration with LinksService for data persistence
+ * - Adds either a link or a section header that groups the links below it
  */
 
 import React, { useState } from 'react';
 import PropTypes from 'prop-types';
-import { Info } from 'lucide-react';
+import { Heading, Info, Link } from 'lucide-react';
 import { ErrorDisplay, Modal } from '../common';
 import LinkForm from './LinkForm';
 import { LinksService } from '../../services';
 import { useAlerts, useAuth } from '../../hooks';
 import { getContextualErrorMessage } from '../../utils/errorUtils';
+import { LINK_TYPES } from '../../constants';
+
+const ITEM_TYPE_OPTIONS = [
+  { type: LINK_TYPES.LINK, label: 'Link', icon: Link },
+  { type: LINK_TYPES.HEADER, label: 'Section header', icon: Heading },
+];
 
 const AddLinkModal = ({
   isOpen,
@@ -30,6 +37,8 @@ const AddLinkModal = ({
   const { showSuccess } = useAlerts();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null); // Add local error state for service-level errors
+  const [itemType, setItemType] = useState(LINK_TYPES.LINK);
+  const isHeader = itemType === LINK_TYPES.HEADER;
 
   // Calculate next position for the new link
   const getNextPosition = () => {
@@ -49,11 +58,22 @@ const AddLinkModal = ({
     setLoading(true);
 
     try {
-      // Prepare link data
-      const linkData = {
+      // Prepare link data (headers share positions with links so they reorder alike)
+      const linkData = isHeader ? {
+        user_id: user.id,
+        type: LINK_TYPES.HEADER,
+        title: formData.title,
+        is_collapsible: formData.is_collapsible,
+        position: getNextPosition()
+      } : {
         user_id: user.id,
         title: formData.title,
         url: formData.url,
+        starts_at: formData.starts_at,
+        ends_at: formData.ends_at,
+        thumbnail_url: formData.thumbnail_url,
+        favicon_url: formData.favicon_url,
+        platform: formData.platform,
         position: getNextPosition()
       };
 
@@ -66,7 +86,7 @@ const AddLinkModal = ({
 
       // Show success notification
       showSuccess({
-        title: 'Link Added',
+        title: isHeader ? 'Section Added' : 'Link Added',
         message: `"${formData.title}" has been added to your profile!`,
         duration: 3000,
         position: 'bottom-center'
@@ -78,6 +98,7 @@ const AddLinkModal = ({
       }
 
       // Close modal on success
+      setItemType(LINK_TYPES.LINK);
       onClose();
       
     } catch (err) {
@@ -97,6 +118,7 @@ const AddLinkModal = ({
   const handleClose = () => {
     if (loading) return; // Prevent closing while saving
     setError(null); // Clear errors when closing
+    setItemType(LINK_TYPES.LINK);
     onClose();
   };
 
@@ -104,6 +126,7 @@ const AddLinkModal = ({
   const handleCancel = () => {
     if (loading) return; // Prevent cancel while saving
     setError(null); // Clear errors when canceling
+    setItemType(LINK_TYPES.LINK);
     onClose();
   };
 
@@ -127,6 +150,33 @@ const AddLinkModal = ({
           />
         )}
 
+        {/* Item type selector */}
+        <div className="flex rounded-lg border border-gray-200 overflow-hidden" role="group" aria-label="Item type">
+          {ITEM_TYPE_OPTIONS.map(({ type, label, icon }) => {
+            const Icon = icon;
+            return (
+              <button
+                key={type}
+                type="button"
+                onClick={() => setItemType(type)}
+                disabled={loading}
+                aria-pressed={itemType === type}
+                className={`
+                  flex-1 flex items-center justify-center px-3 py-2 text-sm min-h-[44px]
+                  transition-colors duration-200
+                  ${itemType === type
+                    ? 'bg-golden-yellow text-white font-medium'
+                    : 'bg-white text-gray-600 hover:bg-gray-50'
+                  }
+                `}
+              >
+                <Icon className="w-4 h-4 mr-2" />
+                {label}
+              </button>
+            );
+          })}
+        </div>
+
         {/* Help Text */}
         <div className="
           p-3 bg-mint-cream border border-golden-yellow/30 rounded-lg
@@ -136,9 +186,13 @@ const AddLinkModal = ({
             <Info className="w-5 h-5 text-golden-yellow flex-shrink-0 mt-0.5" />
             <div>
               <p className="font-medium mb-1 text-forest-green">
-                Adding Link #{existingLinksCount + 1}
+                Adding {isHeader ? 'Section' : 'Link'} #{existingLinksCount + 1}
+              </p>
+              <p>
+                {isHeader
+                  ? 'This header will appear at the bottom of your profile. Drag links below it to group them.'
+                  : 'This link will appear at the bottom of your profile. You can reorder links later.'}
               </p>
-              <p>This link will appear at the bottom of your profile. You can reorder links later.</p>
             </div>
           </div>
         </div>
@@ -148,9 +202,10 @@ const AddLinkModal = ({
           onSubmit={handleSubmit}
           onCancel={handleCancel}
           loading={loading}
-          submitLabel="Add Link"
+          submitLabel={isHeader ? 'Add Section' : 'Add Link'}
           cancelLabel="Cancel"
           existingLinks={existingLinks}
+          itemType={itemType}
         />
       </div>
     </Modal>
@@ -171,6 +226,7 @@ AddLinkModal.propTypes = {
     id: PropTypes.string,
     title: PropTypes.string,
     url: PropTypes.string,
+    type: PropTypes.string,
   })),
   /** Additional CSS classes */
   className: PropTypes.string,
@@ -0,0 +1,125 @@
+/**
+ * BulkActionBar Component
+ *
+ * Toolbar shown in the link manager's selection mode.
+ * Features:
+ * - Select-all checkbox scoped to the currently visible (searched) links
+ * - Selected count
+ * - Move to top/bottom, show, hide, duplicate and delete actions
+ * - Icon-only buttons on small screens, labelled on larger ones
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { ArrowDownToLine, ArrowUpToLine, Copy, Eye, EyeOff, Trash2, X } from 'lucide-react';
+import { BULK_LINK_ACTIONS } from '../../constants';
+
+const ACTIONS = [
+  { action: BULK_LINK_ACTIONS.MOVE_TOP, label: 'Move to top', icon: ArrowUpToLine },
+  { action: BULK_LINK_ACTIONS.MOVE_BOTTOM, label: 'Move to bottom', icon: ArrowDownToLine },
+  { action: BULK_LINK_ACTIONS.SHOW, label: 'Show', icon: Eye },
+  { action: BULK_LINK_ACTIONS.HIDE, label: 'Hide', icon: EyeOff },
+  { action: BULK_LINK_ACTIONS.DUPLICATE, label: 'Duplicate', icon: Copy },
+  { action: BULK_LINK_ACTIONS.DELETE, label: 'Delete', icon: Trash2, danger: true },
+];
+
+const BulkActionBar = ({
+  selectedCount,
+  visibleCount,
+  allSelected = false,
+  onToggleSelectAll,
+  onAction,
+  onExit,
+  disabled = false,
+  className = ''
+}) => {
+  const hasSelection = selectedCount > 0;
+
+  return (
+    <div className={`flex flex-col gap-3 p-4 border-b border-gray-100 md:flex-row md:items-center md:justify-between ${className}`}>
+      <div className="flex items-center justify-between md:justify-start md:space-x-4">
+        <label className="flex items-center space-x-3 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={allSelected}
+            onChange={onToggleSelectAll}
+            disabled={disabled || visibleCount === 0}
+            className="w-4 h-4 text-golden-yellow border-gray-300 rounded focus:ring-golden-yellow"
+            aria-label={allSelected ? 'Deselect all links' : 'Select all visible links'}
+          />
+          <span>
+            {hasSelection ? `${selectedCount} of ${visibleCount} selected` : `Select all (${visibleCount})`}
+          </span>
+        </label>
+
+        <button
+          type="button"
+          onClick={onExit}
+          disabled={disabled}
+          className="p-2 text-gray-400 hover:text-gray-600 rounded-lg flex items-center justify-center md:hidden"
+          aria-label="Exit selection mode"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {ACTIONS.map(({ action, label, icon, danger }) => {
+          const Icon = icon;
+          return (
+            <button
+              key={action}
+              type="button"
+              onClick={() => onAction(action)}
+              disabled={disabled || !hasSelection}
+              title={label}
+              aria-label={label}
+              className={`
+                inline-flex items-center justify-center px-3 py-2 text-sm rounded-lg border
+                transition-colors duration-200
+                disabled:opacity-50 disabled:cursor-not-allowed
+                ${danger
+                  ? 'border-red-200 text-red-600 hover:bg-red-50'
+                  : 'border-gray-200 text-gray-700 hover:bg-gray-50'
+                }
+              `}
+            >
+              <Icon className="w-4 h-4" />
+              <span className="hidden ml-2 lg:inline">{label}</span>
+            </button>
+          );
+        })}
+
+        <button
+          type="button"
+          onClick={onExit}
+          disabled={disabled}
+          className="hidden md:inline-flex items-center px-3 py-2 text-sm text-gray-500 hover:text-gray-700 rounded-lg"
+        >
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+BulkActionBar.propTypes = {
+  /** Number of selected links */
+  selectedCount: PropTypes.number.isRequired,
+  /** Number of links currently shown (after search filtering) */
+  visibleCount: PropTypes.number.isRequired,
+  /** Whether every visible link is selected */
+  allSelected: PropTypes.bool,
+  /** Called when the select-all checkbox is toggled */
+  onToggleSelectAll: PropTypes.func.isRequired,
+  /** Called with one of BULK_LINK_ACTIONS */
+  onAction: PropTypes.func.isRequired,
+  /** Called to leave selection mode */
+  onExit: PropTypes.func.isRequired,
+  /** Disable all controls (e.g. while an action runs) */
+  disabled: PropTypes.bool,
+  /** Additional CSS classes */
+  className: PropTypes.string,
+};
+
+export default BulkActionBar;
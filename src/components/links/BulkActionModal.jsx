@@ -0,0 +1,126 @@
+/**
+ * BulkActionModal Component
+ *
+ * Single confirmation dialog for a bulk link action.
+ * Follows the DeleteLinkModal layout with mobile-first buttons.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { AlertTriangle, Info } from 'lucide-react';
+import { Button, Modal } from '../common';
+import { BULK_LINK_ACTIONS } from '../../constants';
+
+const pluralizeLinks = (count) => `${count} link${count === 1 ? '' : 's'}`;
+
+// Copy for each action; `danger` switches to the destructive styling
+const ACTION_COPY = {
+  [BULK_LINK_ACTIONS.DELETE]: {
+    title: 'Delete Links',
+    confirmLabel: 'Delete',
+    describe: (count) => `Delete ${pluralizeLinks(count)} from your profile? You can undo this for a few seconds afterwards.`,
+    danger: true,
+  },
+  [BULK_LINK_ACTIONS.DUPLICATE]: {
+    title: 'Duplicate Links',
+    confirmLabel: 'Duplicate',
+    describe: (count) => `Add copies of ${pluralizeLinks(count)} to the bottom of your list?`,
+  },
+  [BULK_LINK_ACTIONS.MOVE_TOP]: {
+    title: 'Move to Top',
+    confirmLabel: 'Move',
+    describe: (count) => `Move ${pluralizeLinks(count)} to the top of your profile?`,
+  },
+  [BULK_LINK_ACTIONS.MOVE_BOTTOM]: {
+    title: 'Move to Bottom',
+    confirmLabel: 'Move',
+    describe: (count) => `Move ${pluralizeLinks(count)} to the bottom of your profile?`,
+  },
+  [BULK_LINK_ACTIONS.SHOW]: {
+    title: 'Show Links',
+    confirmLabel: 'Show',
+    describe: (count) => `Show ${pluralizeLinks(count)} on your public profile?`,
+  },
+  [BULK_LINK_ACTIONS.HIDE]: {
+    title: 'Hide Links',
+    confirmLabel: 'Hide',
+    describe: (count) => `Hide ${pluralizeLinks(count)} from your public profile?`,
+  },
+};
+
+const BulkActionModal = ({
+  isOpen,
+  action,
+  count,
+  loading = false,
+  onConfirm,
+  onClose
+}) => {
+  const copy = ACTION_COPY[action] || ACTION_COPY[BULK_LINK_ACTIONS.DELETE];
+  const Icon = copy.danger ? AlertTriangle : Info;
+
+  const handleClose = () => {
+    if (loading) return; // Prevent closing while the action runs
+    onClose();
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title={copy.title}
+      size="small"
+      closeOnBackdrop={!loading}
+      closeOnEscape={!loading}
+    >
+      <div className="space-y-4">
+        <div className={`
+          p-4 rounded-lg border text-sm
+          ${copy.danger ? 'bg-red-50 border-red-200 text-red-700' : 'bg-mint-cream border-golden-yellow/30 text-sage-gray'}
+        `}>
+          <div className="flex items-start space-x-3">
+            <Icon className={`w-5 h-5 flex-shrink-0 mt-0.5 ${copy.danger ? 'text-red-500' : 'text-golden-yellow'}`} />
+            <p>{copy.describe(count)}</p>
+          </div>
+        </div>
+
+        <div className="flex flex-row space-x-3 pt-2">
+          <Button
+            variant="outline"
+            onClick={handleClose}
+            disabled={loading}
+            className="flex-1 py-3 text-base min-h-[44px]"
+          >
+            Cancel
+          </Button>
+          <Button
+            variant={copy.danger ? 'danger' : 'primary'}
+            onClick={onConfirm}
+            loading={loading}
+            disabled={loading || count === 0}
+            className="flex-1 py-3 text-base min-h-[44px]"
+          >
+            {copy.confirmLabel} {pluralizeLinks(count)}
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+BulkActionModal.propTypes = {
+  /** Whether the modal is open */
+  isOpen: PropTypes.bool.isRequired,
+  /** Action being confirmed (one of BULK_LINK_ACTIONS) */
+  action: PropTypes.oneOf(Object.values(BULK_LINK_ACTIONS)),
+  /** Number of links the action applies to */
+  count: PropTypes.number.isRequired,
+  /** Whether the action is running */
+  loading: PropTypes.bool,
+  /** Called when the user confirms */
+  onConfirm: PropTypes.func.isRequired,
+  /** Called when the modal should close */
+  onClose: PropTypes.func.isRequired,
+};
+
+export default BulkActionModal;
@@ -2,6 +2,7 @@
  * DeleteLinkModal Component
  * 
  * Confirmation dialog for deleting links with safety measures.
+ * The success alert offers an "Undo" action that restores the link at its original position.
  * Follows existing modal patterns with mobile-first design and accessibility.
  */
 
@@ -10,7 +11,7 @@ import PropTypes from 'prop-types';
 import { AlertTriangle, Link } from 'lucide-react';
 import { Button, ErrorDisplay, Modal } from '../common';
 import LinksService from '../../services/LinksService.js';
-import { useAlerts } from '../../hooks';
+import { useAlerts, useLinkUndo } from '../../hooks';
 import { getContextualErrorMessage } from '../../utils/errorUtils';
 
 const DeleteLinkModal = ({ 
@@ -22,6 +23,7 @@ const DeleteLinkModal = ({
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const { showSuccess, showError } = useAlerts();
+  const { recordUndoable, restoreLinks } = useLinkUndo();
 
   // Handle link deletion
   const handleDelete = async () => {
@@ -40,20 +42,25 @@ const DeleteLinkModal = ({
     setError('');
 
     try {
-      // Delete the link via service
-      const result = await LinksService.deleteLink(link.id);
+      // Delete the link via service; the returned row is kept for undo
+      const result = await LinksService.deleteLinks([link.id]);
 
       if (!result.success) {
         throw new Error(result.error || 'Failed to delete link');
       }
 
-      // Show success notification
-      showSuccess({
+      const deletedRows = result.data;
+      const successAlert = {
         title: 'Link Deleted',
         message: `"${link.title}" has been removed from your profile`,
-        duration: 3000,
-        position: 'bottom-center'
-      });
+      };
+
+      // Show success notification, undoable when the deleted row came back
+      if (deletedRows.length > 0) {
+        recordUndoable({ ...successAlert, undo: () => restoreLinks(deletedRows) });
+      } else {
+        showSuccess(successAlert, { duration: 3000, position: 'bottom-center' });
+      }
 
       // Notify parent component of successful deletion
       if (onLinkDeleted) {
@@ -115,8 +122,8 @@ const DeleteLinkModal = ({
           <div className="flex items-start space-x-3">
             <AlertTriangle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
             <div>
-              <p className="font-medium text-red-800 mb-1">Permanent Deletion</p>
-              <p className="text-red-700">This action cannot be undone. The link will be permanently removed from your profile.</p>
+              <p className="font-medium text-red-800 mb-1">Remove from Profile</p>
+              <p className="text-red-700">The link will be removed from your profile. You can undo this for a few seconds afterwards.</p>
             </div>
           </div>
         </div>
@@ -4,6 +4,8 @@
  * Sortable link component using @dnd-kit for drag and drop functionality.
  * Integrates with LinkManagerCard to provide touch-optimized reordering.
  * Follows mobile-first design principles with proper touch targets.
+ * Section headers are sortable items too, so they reorder exactly like links.
+ * The card shows the link's platform icon, so it stays recognizable while dragged.
  */
 
 import React from 'react';
@@ -18,11 +20,16 @@ const DraggableLink = ({
   showEditButton = true,
   showDeleteButton = true,
   showSelection = false,
+  showVisibilityToggle = false,
   isSelected = false,
   isDragging = false,
   onEdit,
   onDelete,
   onSelect,
+  onToggleVisibility,
+  shortLinkUrl = '',
+  onCopyShortLink,
+  isCheckingHealth = false,
   className = ''
 }) => {
   const {
@@ -36,7 +43,7 @@ const DraggableLink = ({
     id: link.id,
     // Add mobile-specific optimizations
     data: {
-      type: 'link',
+      type: link.type || 'link',
       link: link
     }
   });
@@ -80,10 +87,15 @@ const DraggableLink = ({
         showDeleteButton={showDeleteButton}
         showDragHandle={true}
         showSelection={showSelection}
+        showVisibilityToggle={showVisibilityToggle}
         isSelected={isSelected}
         onEdit={onEdit}
         onDelete={onDelete}
         onSelect={onSelect}
+        onToggleVisibility={onToggleVisibility}
+        shortLinkUrl={shortLinkUrl}
+        onCopyShortLink={onCopyShortLink}
+        isCheckingHealth={isCheckingHealth}
         dragHandleProps={{
           ...attributes,
           ...listeners,
@@ -102,18 +114,34 @@ DraggableLink.propTypes = {
   link: PropTypes.shape({
     id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
     title: PropTypes.string.isRequired,
-    url: PropTypes.string.isRequired,
+    /** Null for section headers */
+    url: PropTypes.string,
+    /** 'header' for section headers; missing means a link */
+    type: PropTypes.string,
+    /** Platform id chosen by the user; missing means detect from the URL */
+    platform: PropTypes.string,
+    /** Short link slug; missing for headers and older links */
+    slug: PropTypes.string,
     position: PropTypes.number,
+    is_public: PropTypes.bool,
   }).isRequired,
   position: PropTypes.number.isRequired,
   showEditButton: PropTypes.bool,
   showDeleteButton: PropTypes.bool,
   showSelection: PropTypes.bool,
+  showVisibilityToggle: PropTypes.bool,
   isSelected: PropTypes.bool,
   isDragging: PropTypes.bool,
   onEdit: PropTypes.func,
   onDelete: PropTypes.func,
   onSelect: PropTypes.func,
+  onToggleVisibility: PropTypes.func,
+  /** Short link passed through to LinkManagerCard */
+  shortLinkUrl: PropTypes.string,
+  /** Called with (link, shortLinkUrl) when the short link is copied */
+  onCopyShortLink: PropTypes.func,
+  /** Whether a health check of this link is running */
+  isCheckingHealth: PropTypes.bool,
   className: PropTypes.string,
 };
 
@@ -8,6 +8,8 @@
  * - Loading states and user feedback
  * - Integration with LinksService for data persistence
  * - Conflict detection and handling
+ * - Edits section headers (title and collapsible option)
+ * - Undoable: the success alert restores the previous values
  */
 
 import React, { useState } from 'react';
@@ -16,8 +18,21 @@ import { Edit } from 'lucide-react';
 import { ErrorDisplay, Modal } from '../common';
 import LinkForm from './LinkForm';
 import { LinksService } from '../../services';
-import { useAlerts, useAuth } from '../../hooks';
+import { useAlerts, useAuth, useLinkUndo } from '../../hooks';
 import { getContextualErrorMessage } from '../../utils/errorUtils';
+import { isSectionHeader, toDateTimeLocalValue } from '../../utils/linkUtils';
+import { LINK_TYPES } from '../../constants';
+
+/**
+ * Compare two optional timestamps, treating null/empty as equal
+ * @param {string|null} a - First timestamp
+ * @param {string|null} b - Second timestamp
+ * @returns {boolean} True if both refer to the same instant (or are both unset)
+ */
+const isSameTime = (a, b) => {
+  if (!a || !b) return !a && !b;
+  return new Date(a).getTime() === new Date(b).getTime();
+};
 
 const EditLinkModal = ({
   isOpen,
@@ -28,9 +43,11 @@ const EditLinkModal = ({
   className = ''
 }) => {
   const { user } = useAuth();
-  const { showSuccess, showInfo } = useAlerts();
+  const { showInfo } = useAlerts();
+  const { recordUndoable, restoreLinkFields } = useLinkUndo();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null); // Add local error state for service-level errors
+  const isHeader = isSectionHeader(link);
 
   // Handle form submission
   const handleSubmit = async (formData) => {
@@ -59,16 +76,43 @@ const EditLinkModal = ({
         changedFields.push('title');
       }
       
-      if (formData.url !== link.url) {
-        updateData.url = formData.url;
-        changedFields.push('URL');
+      if (isHeader) {
+        if (formData.is_collapsible !== !!link.is_collapsible) {
+          updateData.is_collapsible = formData.is_collapsible;
+          changedFields.push('collapsible option');
+        }
+      } else {
+        if (formData.url !== link.url) {
+          updateData.url = formData.url;
+          changedFields.push('URL');
+        }
+
+        if (!isSameTime(formData.starts_at, link.starts_at) || !isSameTime(formData.ends_at, link.ends_at)) {
+          updateData.starts_at = formData.starts_at;
+          updateData.ends_at = formData.ends_at;
+          changedFields.push('schedule');
+        }
+
+        if (formData.platform !== (link.platform ?? null)) {
+          updateData.platform = formData.platform;
+          changedFields.push('icon');
+        }
+
+        // The preview follows the URL; on its own it only counts as a preview change
+        if (formData.thumbnail_url !== (link.thumbnail_url ?? null) || formData.favicon_url !== (link.favicon_url ?? null)) {
+          updateData.thumbnail_url = formData.thumbnail_url;
+          updateData.favicon_url = formData.favicon_url;
+          if (changedFields.length === 0) {
+            changedFields.push('preview');
+          }
+        }
       }
 
       // If no changes were made, show info message and close
       if (Object.keys(updateData).length === 0) {
         showInfo({
           title: 'No Changes',
-          message: 'No changes were made to this link.',
+          message: `No changes were made to this ${isHeader ? 'section' : 'link'}.`,
           duration: 2000,
           position: 'bottom-center'
         });
@@ -83,12 +127,17 @@ const EditLinkModal = ({
         throw new Error(result.error || 'Failed to update link');
       }
 
+      // Previous values of the changed fields, written back on undo
+      const previousData = Object.keys(updateData).reduce((previous, field) => {
+        previous[field] = link[field] ?? null;
+        return previous;
+      }, {});
+
       // Show success notification with what was changed
-      showSuccess({
-        title: 'Link Updated',
+      recordUndoable({
+        title: isHeader ? 'Section Updated' : 'Link Updated',
         message: `Successfully updated ${changedFields.join(' and ')} for "${formData.title}"`,
-        duration: 3000,
-        position: 'bottom-center'
+        undo: () => restoreLinkFields(link.id, previousData),
       });
 
       // Notify parent component of successful update
@@ -129,14 +178,20 @@ const EditLinkModal = ({
   // Prepare initial form data from the link
   const initialFormData = link ? {
     title: link.title || '',
-    url: link.url || ''
+    url: link.url || '',
+    starts_at: toDateTimeLocalValue(link.starts_at),
+    ends_at: toDateTimeLocalValue(link.ends_at),
+    is_collapsible: !!link.is_collapsible,
+    thumbnail_url: link.thumbnail_url || '',
+    favicon_url: link.favicon_url || '',
+    platform: link.platform || ''
   } : null;
 
   return (
     <Modal
       isOpen={isOpen}
       onClose={handleClose}
-      title="Edit Link"
+      title={isHeader ? 'Edit Section' : 'Edit Link'}
       size="medium"
       closeOnBackdrop={!loading}
       closeOnEscape={!loading}
@@ -160,8 +215,8 @@ const EditLinkModal = ({
           <div className="flex items-start space-x-2">
             <Edit className="w-5 h-5 text-golden-yellow flex-shrink-0 mt-0.5" />
             <div>
-              <p className="font-medium mb-1 text-forest-green">Editing Link</p>
-              <p>Make your changes below. The position of this link will remain the same.</p>
+              <p className="font-medium mb-1 text-forest-green">Editing {isHeader ? 'Section' : 'Link'}</p>
+              <p>Make your changes below. The position of this {isHeader ? 'section' : 'link'} will remain the same.</p>
             </div>
           </div>
         </div>
@@ -173,10 +228,11 @@ const EditLinkModal = ({
             onSubmit={handleSubmit}
             onCancel={handleCancel}
             loading={loading}
-            submitLabel="Update Link"
+            submitLabel={isHeader ? 'Update Section' : 'Update Link'}
             cancelLabel="Cancel"
             existingLinks={existingLinks}
             currentLinkId={link.id}
+            itemType={isHeader ? LINK_TYPES.HEADER : LINK_TYPES.LINK}
           />
         )}
 
@@ -204,8 +260,14 @@ EditLinkModal.propTypes = {
   link: PropTypes.shape({
     id: PropTypes.string.isRequired,
     title: PropTypes.string.isRequired,
-    url: PropTypes.string.isRequired,
+    /** Null for section headers */
+    url: PropTypes.string,
+    /** 'header' for section headers; missing means a link */
+    type: PropTypes.string,
+    is_collapsible: PropTypes.bool,
     position: PropTypes.number,
+    starts_at: PropTypes.string,
+    ends_at: PropTypes.string,
     user_id: PropTypes.string,
     created_at: PropTypes.string,
     updated_at: PropTypes.string,
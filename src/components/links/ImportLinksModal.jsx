@@ -0,0 +1,330 @@
+/**
+ * ImportLinksModal - Modal for importing links from other link-in-bio tools
+ *
+ * Features:
+ * - Upload a JSON or CSV export, or paste a plain-text list of URLs
+ * - Preview of every parsed row with its validation result
+ * - Duplicate detection against existing links (and within the import)
+ * - Respects the per-profile link limit
+ * - Imports the ready rows in order after the existing links, undoable from the success alert
+ */
+
+import React, { useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { AlertCircle, CheckCircle, Copy, FileUp, Info, MinusCircle } from 'lucide-react';
+import { Button, ErrorDisplay, Modal } from '../common';
+import { LinksService } from '../../services';
+import { useAuth, useLinkUndo } from '../../hooks';
+import { getContextualErrorMessage } from '../../utils/errorUtils';
+import {
+  detectImportFormat,
+  parseLinkImport,
+  prepareImportRows,
+  summarizeImportRows,
+} from '../../utils/linkImportUtils';
+import { isSectionHeader } from '../../utils/linkUtils';
+import { APP_CONFIG, LINK_IMPORT_CONFIG, LINK_IMPORT_STATUS } from '../../constants';
+
+const pluralizeLinks = (count) => `${count} link${count === 1 ? '' : 's'}`;
+
+// Icon, color and label for each preview row status
+const STATUS_DISPLAY = {
+  [LINK_IMPORT_STATUS.READY]: { icon: CheckCircle, color: 'text-green-600', label: 'Ready' },
+  [LINK_IMPORT_STATUS.DUPLICATE]: { icon: Copy, color: 'text-amber-600', label: 'Duplicate' },
+  [LINK_IMPORT_STATUS.INVALID]: { icon: AlertCircle, color: 'text-red-600', label: 'Invalid' },
+  [LINK_IMPORT_STATUS.OVER_LIMIT]: { icon: MinusCircle, color: 'text-gray-500', label: 'Over limit' },
+};
+
+const ImportLinksModal = ({
+  isOpen,
+  onClose,
+  onLinksImported,
+  existingLinks = [],
+  className = ''
+}) => {
+  const { user } = useAuth();
+  const { recordUndoable, removeLinks } = useLinkUndo();
+  const fileInputRef = useRef(null);
+
+  const [text, setText] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [previewRows, setPreviewRows] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const summary = previewRows ? summarizeImportRows(previewRows) : null;
+  const readyRows = previewRows ? previewRows.filter(row => row.status === LINK_IMPORT_STATUS.READY) : [];
+
+  const resetState = () => {
+    setText('');
+    setFileName('');
+    setPreviewRows(null);
+    setError(null);
+  };
+
+  // Handle file selection: read it into the text area so it can be reviewed before previewing
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    if (file.size > LINK_IMPORT_CONFIG.MAX_FILE_SIZE) {
+      setError('Import files must be 1MB or smaller');
+      return;
+    }
+
+    try {
+      setText(await file.text());
+      setFileName(file.name);
+      setError(null);
+    } catch (err) {
+      console.error('[ImportLinksModal] Failed to read file:', err);
+      setError('Could not read the selected file');
+    }
+  };
+
+  // Parse and validate the input
+  const handlePreview = () => {
+    const { rows, error: parseError } = parseLinkImport(text, detectImportFormat(text, fileName));
+
+    if (parseError) {
+      setError(parseError);
+      return;
+    }
+
+    setError(null);
+    setPreviewRows(prepareImportRows(rows, existingLinks));
+  };
+
+  // Insert the ready rows after the existing links
+  const handleImport = async () => {
+    if (!user) {
+      setError('You must be logged in to import links');
+      return;
+    }
+
+    if (readyRows.length === 0) return;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const lastPosition = existingLinks.reduce((max, link) => Math.max(max, link.position || 0), 0);
+      const result = await LinksService.importLinks(user.id, readyRows.map(row => row.data), lastPosition + 1);
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to import links');
+      }
+
+      const imported = result.data;
+      recordUndoable({
+        title: 'Links Imported',
+        message: `Added ${pluralizeLinks(imported.length)} to your profile`,
+        undo: () => removeLinks(imported.map(link => link.id)),
+      });
+
+      if (onLinksImported) {
+        onLinksImported(imported);
+      }
+
+      resetState();
+      onClose();
+    } catch (err) {
+      console.error('[ImportLinksModal] Failed to import links:', err);
+      setError(getContextualErrorMessage(err, 'link'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleClose = () => {
+    if (loading) return; // Prevent closing while importing
+    resetState();
+    onClose();
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title="Import Links"
+      size="large"
+      closeOnBackdrop={!loading}
+      closeOnEscape={!loading}
+      className={className}
+    >
+      <div className="space-y-4">
+        {error && (
+          <ErrorDisplay
+            error={error}
+            showDetails={false}
+          />
+        )}
+
+        {!previewRows ? (
+          <>
+            {/* Help Text */}
+            <div className="p-3 bg-mint-cream border border-golden-yellow/30 rounded-lg text-sm text-sage-gray">
+              <div className="flex items-start space-x-2">
+                <Info className="w-5 h-5 text-golden-yellow flex-shrink-0 mt-0.5" />
+                <div>
+                  <p className="font-medium mb-1 text-forest-green">Bring your links with you</p>
+                  <p>
+                    Upload a JSON or CSV export from another link-in-bio tool, or paste a list with one URL per line
+                    (optionally with a title, like "Blog - https://example.com").
+                  </p>
+                </div>
+              </div>
+            </div>
+
+            {/* File upload */}
+            <div className="flex flex-col space-y-2 sm:flex-row sm:items-center sm:space-y-0 sm:space-x-3">
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept={LINK_IMPORT_CONFIG.ACCEPTED_FILE_TYPES}
+                onChange={handleFileChange}
+                className="hidden"
+              />
+              <Button
+                variant="outline"
+                onClick={() => fileInputRef.current?.click()}
+                className="py-2 text-sm min-h-[44px]"
+              >
+                <FileUp className="w-4 h-4 mr-2" />
+                Choose File
+              </Button>
+              <span className="text-sm text-gray-500 truncate">
+                {fileName || 'JSON, CSV or TXT, up to 1MB'}
+              </span>
+            </div>
+
+            {/* Paste area */}
+            <div>
+              <label htmlFor="import-links-text" className="block text-sm font-medium text-gray-700 mb-1">
+                Or paste your links
+              </label>
+              <textarea
+                id="import-links-text"
+                value={text}
+                onChange={(e) => {
+                  setText(e.target.value);
+                  setFileName('');
+                }}
+                rows={8}
+                placeholder={'https://example.com\nMy Blog - https://blog.example.com'}
+                className="
+                  block w-full px-3 py-2 font-mono text-sm
+                  border border-gray-300 rounded-lg
+                  placeholder-gray-400 text-gray-900
+                  focus:outline-none focus:ring-2 focus:ring-golden-yellow focus:border-golden-yellow
+                "
+              />
+            </div>
+
+            <div className="flex flex-row space-x-3 pt-2">
+              <Button
+                variant="outline"
+                onClick={handleClose}
+                className="flex-1 py-3 text-base min-h-[44px]"
+              >
+                Cancel
+              </Button>
+              <Button
+                variant="primary"
+                onClick={handlePreview}
+                disabled={!text.trim()}
+                className="flex-1 py-3 text-base min-h-[44px]"
+              >
+                Preview
+              </Button>
+            </div>
+          </>
+        ) : (
+          <>
+            {/* Summary */}
+            <div className="flex flex-wrap gap-2 text-sm">
+              {Object.values(LINK_IMPORT_STATUS).map(status => (
+                summary[status] > 0 && (
+                  <span
+                    key={status}
+                    className={`inline-flex items-center px-2 py-1 rounded-full bg-gray-100 ${STATUS_DISPLAY[status].color}`}
+                  >
+                    {summary[status]} {STATUS_DISPLAY[status].label.toLowerCase()}
+                  </span>
+                )
+              ))}
+            </div>
+
+            {summary[LINK_IMPORT_STATUS.OVER_LIMIT] > 0 && (
+              <p className="text-sm text-gray-600">
+                Profiles can have up to {APP_CONFIG.MAX_LINKS_PER_USER} links, so some rows will be skipped.
+              </p>
+            )}
+
+            {/* Rows */}
+            <ul className="max-h-80 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-lg">
+              {previewRows.map((row, index) => {
+                const display = STATUS_DISPLAY[row.status];
+                const StatusIcon = display.icon;
+                const message = Object.values(row.errors)[0];
+
+                return (
+                  <li key={index} className="flex items-start space-x-3 p-3">
+                    <StatusIcon className={`w-5 h-5 flex-shrink-0 mt-0.5 ${display.color}`} aria-label={display.label} />
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium text-gray-900 truncate">
+                        {row.data.title || 'Untitled'}
+                      </p>
+                      <p className="text-xs text-gray-500 truncate">
+                        {isSectionHeader(row.data) ? 'Section header' : row.data.url || 'No URL'}
+                      </p>
+                      {message && (
+                        <p className={`text-xs mt-1 ${display.color}`}>{message}</p>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+
+            <div className="flex flex-row space-x-3 pt-2">
+              <Button
+                variant="outline"
+                onClick={() => setPreviewRows(null)}
+                disabled={loading}
+                className="flex-1 py-3 text-base min-h-[44px]"
+              >
+                Back
+              </Button>
+              <Button
+                variant="primary"
+                onClick={handleImport}
+                loading={loading}
+                disabled={loading || readyRows.length === 0}
+                className="flex-1 py-3 text-base min-h-[44px]"
+              >
+                Import {pluralizeLinks(readyRows.length)}
+              </Button>
+            </div>
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+ImportLinksModal.propTypes = {
+  /** Whether the modal is open */
+  isOpen: PropTypes.bool.isRequired,
+  /** Function to call when modal should be closed */
+  onClose: PropTypes.func.isRequired,
+  /** Function called with the created link rows after a successful import */
+  onLinksImported: PropTypes.func,
+  /** Existing links, for duplicate checking, the link limit and positions */
+  existingLinks: PropTypes.array,
+  /** Additional CSS classes */
+  className: PropTypes.string,
+};
+
+export default ImportLinksModal;
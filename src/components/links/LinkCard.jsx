@@ -2,6 +2,11 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import { ExternalLink, Eye } from 'lucide-react';
 import { RESPONSIVE_PATTERNS, TOUCH_TARGETS } from '../../utils/mobileUtils';
+import { getLinkPlatform } from '../../utils/platformUtils.js';
+import { applyUtmParams } from '../../utils/utmUtils.js';
+import AnalyticsService from '../../services/AnalyticsService.js';
+import PlatformIcon from './PlatformIcon.jsx';
+import { DEFAULT_LINK_PLATFORM } from '../../constants';
 
 /**
  * LinkCard Component
@@ -9,6 +14,14 @@ import { RESPONSIVE_PATTERNS, TOUCH_TARGETS } from '../../utils/mobileUtils';
  * A touch-optimized link display component with mobile-first responsive design.
  * Features click tracking, accessibility compliance, and enhanced visual feedback.
  * Follows iOS/Android touch target guidelines with minimum 44x44px touch areas.
+ * Colors, corner radius and button style follow the profile theme tokens
+ * (CSS variables set by the page, with defaults when no theme is applied).
+ * A stored page preview is shown next to the title: the thumbnail in the default
+ * variant, otherwise the favicon. Images that fail to load are dropped.
+ * Links to a known platform (YouTube, GitHub, ...) show its brand icon in place of
+ * the external link icon, and then skip the favicon.
+ * The profile's default UTM tags are added to the opened URL (not the displayed one)
+ * for tags the link doesn't set itself.
  */
 const LinkCard = ({ 
   link, 
@@ -17,9 +30,23 @@ const LinkCard = ({
   className = '',
   variant = 'default', // 'default', 'compact', 'minimal'
   showIcon = true,
-  showUrl = true
+  showUrl = true,
+  utmDefaults = null
 }) => {
   const [isPressed, setIsPressed] = React.useState(false);
+  const [failedImages, setFailedImages] = React.useState({});
+
+  // Keyed by image URL, so a new preview from a realtime update gets another try
+  const handleImageError = (url) => () => {
+    setFailedImages(prev => ({ ...prev, [url]: true }));
+  };
+
+  const href = utmDefaults ? applyUtmParams(link.url, utmDefaults, { overwrite: false }) : link.url;
+  const platform = getLinkPlatform(link);
+  const hasBrandIcon = platform.id !== DEFAULT_LINK_PLATFORM;
+
+  const thumbnailUrl = variant === 'default' && !failedImages[link.thumbnail_url] ? link.thumbnail_url : null;
+  const faviconUrl = !hasBrandIcon && !failedImages[link.favicon_url] ? link.favicon_url : null;
 
   const handleClick = (e) => {
     // Call custom onClick handler if provided
@@ -27,10 +54,12 @@ const LinkCard = ({
       onClick(link, e);
     }
 
-    // Track click event (future analytics implementation)
-    if (trackClick) {
-      // Future: implement click tracking with proper analytics service
-      // Example: AnalyticsService.trackLinkClick(link.id, link.url);
+    // Track click event - fire and forget so navigation is never delayed
+    if (trackClick && link.user_id) {
+      AnalyticsService.trackLinkClick({
+        linkId: link.id,
+        profileId: link.user_id,
+      });
     }
   };
 
@@ -61,14 +90,14 @@ const LinkCard = ({
         p-4 
         sm:p-5 
         ${TOUCH_TARGETS.COMFORTABLE}
-        bg-white 
+        bg-theme-button-bg
         border-2 
-        border-gray-200 
-        rounded-xl 
+        border-theme-button-border
+        rounded-theme
         shadow-sm
       `,
-      title: 'text-base font-semibold text-gray-900 sm:text-lg',
-      url: 'text-sm text-gray-500 mt-2 sm:text-base'
+      title: 'text-base font-semibold text-theme-button-text sm:text-lg',
+      url: 'text-sm text-theme-button-text opacity-70 mt-2 sm:text-base'
     },
     compact: {
       container: `
@@ -80,8 +109,8 @@ const LinkCard = ({
         border-gray-200 
         rounded-lg
       `,
-      title: 'text-sm font-medium text-gray-900 sm:text-base',
-      url: 'text-xs text-gray-500 mt-1 sm:text-sm'
+      title: 'text-sm font-medium text-theme-text sm:text-base',
+      url: 'text-xs text-theme-muted mt-1 sm:text-sm'
     },
     minimal: {
       container: `
@@ -90,11 +119,11 @@ const LinkCard = ({
         ${TOUCH_TARGETS.MIN}
         bg-transparent 
         border-b 
-        border-gray-100 
+        border-theme-border
         rounded-none
       `,
-      title: 'text-sm font-medium text-gray-900',
-      url: 'text-xs text-gray-500 mt-1'
+      title: 'text-sm font-medium text-theme-text',
+      url: 'text-xs text-theme-muted mt-1'
     }
   };
 
@@ -106,24 +135,22 @@ const LinkCard = ({
     transition-all
     duration-200
     ease-out
-    hover:border-gray-300
     hover:shadow-md
     hover:scale-[1.02]
     active:scale-[0.98]
     focus:outline-none
     focus:ring-2
-    focus:ring-golden-yellow
+    focus:ring-theme-accent
     focus:ring-offset-2
-    focus:border-golden-yellow
     ${isPressed ? 'scale-[0.98] shadow-sm' : ''}
-    ${variant === 'default' ? 'hover:bg-gray-50' : ''}
+    ${variant === 'default' ? 'hover:bg-theme-button-hover' : ''}
     ${variant === 'compact' ? 'hover:bg-gray-100' : ''}
     ${variant === 'minimal' ? 'hover:bg-gray-50' : ''}
   `;
 
   return (
     <a
-      href={link.url}
+      href={href}
       target="_blank"
       rel="noopener noreferrer"
       onClick={handleClick}
@@ -143,11 +170,29 @@ const LinkCard = ({
       role="button"
     >
       <div className="flex items-start justify-between min-h-0">
+        {/* Page preview */}
+        {thumbnailUrl ? (
+          <img
+            src={thumbnailUrl}
+            alt=""
+            loading="lazy"
+            onError={handleImageError(thumbnailUrl)}
+            className="w-12 h-12 mr-3 flex-shrink-0 object-cover rounded-md sm:w-14 sm:h-14"
+          />
+        ) : faviconUrl && (
+          <img
+            src={faviconUrl}
+            alt=""
+            loading="lazy"
+            onError={handleImageError(faviconUrl)}
+            className="w-5 h-5 mr-3 mt-0.5 flex-shrink-0 rounded-sm sm:w-6 sm:h-6"
+          />
+        )}
+
         <div className="flex-1 min-w-0 space-y-1">
           {/* Link Title */}
           <div className={`
             ${currentStyle.title}
-            group-hover:text-gray-800
             leading-snug
             ${variant === 'minimal' ? 'truncate' : ''}
           `}>
@@ -159,7 +204,6 @@ const LinkCard = ({
             <div className={`
               ${currentStyle.url}
               truncate
-              group-hover:text-gray-600
               transition-colors
             `}>
               {link.url}
@@ -168,14 +212,24 @@ const LinkCard = ({
           
           {/* Optional link description */}
           {link.description && variant === 'default' && (
-            <div className="text-sm text-gray-600 mt-1 line-clamp-2 leading-relaxed">
+            <div className="text-sm text-theme-button-text opacity-80 mt-1 line-clamp-2 leading-relaxed">
               {link.description}
             </div>
           )}
         </div>
         
+        {/* Platform icon (brand color on a light chip, readable on any theme) */}
+        {showIcon && hasBrandIcon && (
+          <div
+            className="ml-3 flex-shrink-0 flex items-center justify-center w-7 h-7 sm:w-8 sm:h-8 rounded-full bg-white/90"
+            title={platform.name}
+          >
+            <PlatformIcon platform={platform} colored className="w-4 h-4 sm:w-5 sm:h-5" />
+          </div>
+        )}
+
         {/* External link icon */}
-        {showIcon && (
+        {showIcon && !hasBrandIcon && (
           <div className="ml-3 flex-shrink-0">
             <ExternalLink 
               className={`
@@ -183,8 +237,9 @@ const LinkCard = ({
                 h-4 
                 sm:w-5 
                 sm:h-5
-                text-gray-400 
-                group-hover:text-gray-600 
+                text-theme-button-text
+                opacity-50
+                group-hover:opacity-80
                 group-hover:translate-x-1
                 transition-all
                 duration-200
@@ -197,8 +252,8 @@ const LinkCard = ({
 
       {/* Optional preview or metadata */}
       {link.click_count && variant === 'default' && (
-        <div className="mt-3 pt-3 border-t border-gray-100">
-          <div className="flex items-center text-xs text-gray-400">
+        <div className="mt-3 pt-3 border-t border-theme-border">
+          <div className="flex items-center text-xs text-theme-button-text opacity-60">
             <Eye className="w-3 h-3 mr-1" />
             {link.click_count} {link.click_count === 1 ? 'click' : 'clicks'}
           </div>
@@ -213,9 +268,16 @@ LinkCard.propTypes = {
   link: PropTypes.shape({
     id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
     url: PropTypes.string.isRequired,
+    user_id: PropTypes.string,
     title: PropTypes.string,
     description: PropTypes.string,
     click_count: PropTypes.number,
+    /** Preview image of the linked page */
+    thumbnail_url: PropTypes.string,
+    /** Favicon of the linked page */
+    favicon_url: PropTypes.string,
+    /** Platform id chosen by the user; missing means detect from the URL */
+    platform: PropTypes.string,
   }).isRequired,
   /** Custom click handler function */
   onClick: PropTypes.func,
@@ -225,10 +287,12 @@ LinkCard.propTypes = {
   className: PropTypes.string,
   /** Visual variant of the link card */
   variant: PropTypes.oneOf(['default', 'compact', 'minimal']),
-  /** Whether to show the external link icon */
+  /** Whether to show the platform or external link icon */
   showIcon: PropTypes.bool,
   /** Whether to show the URL when title is different */
   showUrl: PropTypes.bool,
+  /** Profile's default UTM tags ({ utm_source, ... }) added to the opened URL */
+  utmDefaults: PropTypes.objectOf(PropTypes.string),
 };
 
 export default LinkCard;
@@ -7,14 +7,40 @@
  * - Responsive layout and spacing
  * - Accessibility support
  * - Supports both create and edit modes
+ * - Optional schedule window (go live / expire at)
+ * - Section header mode (title and collapsible option only)
+ * - Page preview: once a valid URL is entered, the page title is suggested and its
+ *   thumbnail and favicon are stored with the link
+ * - Platform icon detected from the URL, with an override picker
+ * - Optional campaign (UTM) tag builder that writes the tags into the URL's query string
  */
 
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import PropTypes from 'prop-types';
-import { Button, Input } from '../common';
-import { validateLinkData } from '../../utils/validators';
+import { Globe, Loader2 } from 'lucide-react';
+import { Button, Input, Toggle } from '../common';
+import PlatformIcon from './PlatformIcon.jsx';
+import UtmBuilder from './UtmBuilder.jsx';
+import { useLinkMetadata } from '../../hooks';
+import { validateLinkData, validateLinkUrl, validateUtmParams } from '../../utils/validators';
+import { fromDateTimeLocalValue } from '../../utils/linkUtils';
+import { truncateLinkTitle } from '../../utils/linkMetadataUtils.js';
+import { detectPlatform, getLinkPlatform, getPlatforms } from '../../utils/platformUtils.js';
+import { applyUtmParams, getUtmParams, stripUtmParams } from '../../utils/utmUtils.js';
+import { URL_SAFETY_ISSUES, getUrlSafetyIssue } from '../../utils/urlSafetyUtils.js';
+import { LINK_TYPES } from '../../constants';
 // Remove useAlerts for inline-only validation
 
+// Format URL helper (add protocol if missing)
+// javascript:/data: URLs are left alone so validation names the problem
+const formatUrl = (url) => {
+  const trimmed = url.trim();
+  if (trimmed && !trimmed.match(/^https?:\/\//i) && getUrlSafetyIssue(trimmed) !== URL_SAFETY_ISSUES.UNSAFE_SCHEME) {
+    return `https://${trimmed}`;
+  }
+  return trimmed;
+};
+
 const LinkForm = ({
   initialData = null, // Changed to null to detect when no data is passed
   onSubmit,
@@ -25,23 +51,85 @@ const LinkForm = ({
   cancelLabel = 'Cancel',
   className = '',
   existingLinks = [], // Array of existing links for duplicate checking
-  currentLinkId = null // For edit mode, to exclude current link from duplicate check
+  currentLinkId = null, // For edit mode, to exclude current link from duplicate check
+  itemType = LINK_TYPES.LINK
 }) => {
+  const isHeader = itemType === LINK_TYPES.HEADER;
+
   // Memoize the default initial data to prevent re-creation on every render
-  const defaultInitialData = useMemo(() => ({ title: '', url: '' }), []);
+  const defaultInitialData = useMemo(() => ({ title: '', url: '', starts_at: '', ends_at: '', is_collapsible: false, thumbnail_url: '', favicon_url: '', platform: '' }), []);
   
-  // Use provided initialData or default
-  const actualInitialData = initialData || defaultInitialData;
+  // Use provided initialData or default (schedule fields are optional in initialData)
+  const actualInitialData = useMemo(() => (
+    initialData ? { ...defaultInitialData, ...initialData } : defaultInitialData
+  ), [initialData, defaultInitialData]);
   
   const [formData, setFormData] = useState(actualInitialData);
   const [errors, setErrors] = useState({});
   const [touched, setTouched] = useState({});
+  // Builder fields keep what was typed (spaces included); the URL gets trimmed values
+  const [utmValues, setUtmValues] = useState(() => getUtmParams(actualInitialData.url));
+  const utmValidation = validateUtmParams(utmValues);
   
   // Remove alert system for inline-only validation
   
   // Use ref to track the last processed initialData to avoid infinite loops
   const lastInitialDataRef = useRef(actualInitialData);
 
+  // Page preview: look up the URL once it's valid, unless it's the saved URL and
+  // the link already has a preview (older links get one on their next edit).
+  // UTM tags don't change the page, so editing them doesn't trigger a lookup.
+  const formattedUrl = formatUrl(formData.url || '');
+  const pageUrl = stripUtmParams(formattedUrl);
+  const urlChanged = pageUrl !== stripUtmParams(formatUrl(actualInitialData.url || ''));
+  const previewUrl = !isHeader
+    && (urlChanged || !actualInitialData.favicon_url)
+    && validateLinkUrl(pageUrl).isValid ? pageUrl : '';
+  const { data: metadata, loading: metadataLoading } = useLinkMetadata(previewUrl, { enabled: !isHeader });
+  const suggestedTitle = metadata?.title ? truncateLinkTitle(metadata.title) : '';
+
+  // Icon shown for the link: the picked platform, else the one detected from the URL
+  const detectedPlatform = detectPlatform(formattedUrl);
+  const linkPlatform = getLinkPlatform({ url: formattedUrl, platform: formData.platform });
+
+  // Title we filled in ourselves; replaced again when the URL changes
+  const autoTitleRef = useRef('');
+
+  // Store the preview with the link and fill in an empty title
+  useEffect(() => {
+    // No preview (yet): keep the saved one for the saved URL, nothing for another URL
+    if (!metadata) {
+      const thumbnailUrl = urlChanged ? '' : (actualInitialData.thumbnail_url || '');
+      const faviconUrl = urlChanged ? '' : (actualInitialData.favicon_url || '');
+      setFormData(prev => (prev.thumbnail_url === thumbnailUrl && prev.favicon_url === faviconUrl
+        ? prev
+        : { ...prev, thumbnail_url: thumbnailUrl, favicon_url: faviconUrl }));
+      return;
+    }
+
+    setFormData(prev => {
+      const canFillTitle = suggestedTitle && (!prev.title.trim() || prev.title === autoTitleRef.current);
+      if (canFillTitle) {
+        autoTitleRef.current = suggestedTitle;
+      }
+
+      return {
+        ...prev,
+        title: canFillTitle ? suggestedTitle : prev.title,
+        thumbnail_url: metadata.thumbnailUrl || '',
+        favicon_url: metadata.faviconUrl || '',
+      };
+    });
+    setErrors(prev => (prev.title ? { ...prev, title: '' } : prev));
+  }, [metadata, suggestedTitle, urlChanged, actualInitialData.thumbnail_url, actualInitialData.favicon_url]);
+
+  // Use the page title after the user typed their own
+  const handleUseSuggestedTitle = () => {
+    autoTitleRef.current = suggestedTitle;
+    setFormData(prev => ({ ...prev, title: suggestedTitle }));
+    setErrors(prev => ({ ...prev, title: '' }));
+  };
+
   // Update form data when initialData changes (for edit mode)
   useEffect(() => {
     const currentDataString = JSON.stringify(actualInitialData);
@@ -50,8 +138,10 @@ const LinkForm = ({
     // Only update if the initial data has actually changed
     if (currentDataString !== lastDataString) {
       setFormData(actualInitialData);
+      setUtmValues(getUtmParams(actualInitialData.url));
       setErrors({});
       setTouched({});
+      autoTitleRef.current = '';
       lastInitialDataRef.current = actualInitialData;
     }
   }, [actualInitialData]);
@@ -65,6 +155,11 @@ const LinkForm = ({
       [name]: value
     }));
 
+    // Tags pasted or typed into the URL show up in the builder
+    if (name === 'url') {
+      setUtmValues(getUtmParams(value));
+    }
+
     // Clear error for this field when user starts typing
     if (errors[name] && touched[name]) {
       setErrors(prev => ({
@@ -74,6 +169,15 @@ const LinkForm = ({
     }
   };
 
+  // Write builder changes into the URL, keeping its other query parameters
+  const handleUtmChange = (values) => {
+    setUtmValues(values);
+    setFormData(prev => ({
+      ...prev,
+      url: applyUtmParams(prev.url, values)
+    }));
+  };
+
   // Handle input blur for validation
   const handleBlur = (event) => {
     const { name } = event.target;
@@ -89,7 +193,7 @@ const LinkForm = ({
 
   // Validate individual field
   const validateField = (fieldName, value) => {
-    const tempData = { ...formData, [fieldName]: value };
+    const tempData = { ...formData, [fieldName]: value, type: itemType };
     const validation = validateLinkData(tempData, existingLinks, currentLinkId);
     
     setErrors(prev => ({
@@ -105,16 +209,38 @@ const LinkForm = ({
     // Mark all fields as touched for validation display
     setTouched({
       title: true,
-      url: true
+      url: true,
+      starts_at: true,
+      ends_at: true
     });
 
+    // Section headers only need a valid title
+    if (isHeader) {
+      const headerData = { type: itemType, title: formData.title.trim() };
+      const validation = validateLinkData(headerData, existingLinks, currentLinkId);
+
+      if (!validation.isValid) {
+        setErrors(validation.errors);
+        return;
+      }
+
+      try {
+        await onSubmit({ title: headerData.title, is_collapsible: !!formData.is_collapsible });
+      } catch (error) {
+        console.error('[LinkForm] Submit error:', error);
+      }
+      return;
+    }
+
     // Format URL before validation
     const formattedUrl = formatUrl(formData.url.trim());
 
     // Create data object with formatted URL for validation
     const dataToValidate = {
       title: formData.title.trim(),
-      url: formattedUrl
+      url: formattedUrl,
+      starts_at: formData.starts_at,
+      ends_at: formData.ends_at
     };
 
     // Validate all data
@@ -127,10 +253,21 @@ const LinkForm = ({
       return;
     }
 
+    // UTM errors are already shown in the builder
+    if (!utmValidation.isValid) {
+      return;
+    }
+
     // Use the validated and formatted data
+    // Schedule inputs are local times; store them as ISO timestamps (null when cleared)
     const cleanedData = {
       title: dataToValidate.title,
-      url: dataToValidate.url
+      url: dataToValidate.url,
+      starts_at: fromDateTimeLocalValue(formData.starts_at),
+      ends_at: fromDateTimeLocalValue(formData.ends_at),
+      thumbnail_url: formData.thumbnail_url || null,
+      favicon_url: formData.favicon_url || null,
+      platform: formData.platform || null
     };
 
     try {
@@ -141,15 +278,6 @@ const LinkForm = ({
     }
   };
 
-  // Format URL helper (add protocol if missing)
-  const formatUrl = (url) => {
-    const trimmed = url.trim();
-    if (trimmed && !trimmed.match(/^https?:\/\//i)) {
-      return `https://${trimmed}`;
-    }
-    return trimmed;
-  };
-
   // Handle URL field special formatting
   const handleUrlBlur = (event) => {
     const { value } = event.target;
@@ -172,8 +300,8 @@ const LinkForm = ({
         <Input
           type="text"
           name="title"
-          label="Link Title"
-          placeholder="e.g., My Portfolio, Instagram, etc."
+          label={isHeader ? 'Section Title' : 'Link Title'}
+          placeholder={isHeader ? 'e.g., Music, Latest Videos, Shop' : 'e.g., My Portfolio, Instagram, etc.'}
           value={formData.title}
           onChange={handleChange}
           onBlur={handleBlur}
@@ -188,34 +316,194 @@ const LinkForm = ({
           "
         />
         <p className="mt-1 text-xs text-gray-600 sm:text-sm">
-          Choose a descriptive title for your link
+          {isHeader
+            ? 'Links below this header are grouped under it on your profile'
+            : 'Choose a descriptive title for your link'}
         </p>
+        {!isHeader && suggestedTitle && formData.title !== suggestedTitle && (
+          <button
+            type="button"
+            onClick={handleUseSuggestedTitle}
+            disabled={loading || disabled}
+            className="
+              mt-1 min-h-[44px] max-w-full
+              text-left text-xs sm:text-sm
+              text-blue-600 hover:text-blue-800
+              truncate
+            "
+          >
+            Use page title: &ldquo;{suggestedTitle}&rdquo;
+          </button>
+        )}
       </div>
 
-      {/* URL Field */}
-      <div>
-        <Input
-          type="text"
-          name="url"
-          label="URL"
-          placeholder="https://example.com"
-          value={formData.url}
-          onChange={handleChange}
-          onBlur={handleUrlBlur}
-          error={errors.url}
-          touched={touched.url}
-          required
-          disabled={loading || disabled}
-          autoComplete="url"
-          className="
-            text-base sm:text-sm
-            min-h-[44px]
-          "
-        />
-        <p className="mt-1 text-xs text-gray-600 sm:text-sm">
-          Include the full URL starting with https://
-        </p>
-      </div>
+      {/* Collapsible option (section headers only) */}
+      {isHeader && (
+        <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+          <div className="pr-3">
+            <p className="text-sm font-medium text-gray-700">Collapsible</p>
+            <p className="text-xs text-gray-600 sm:text-sm">
+              Visitors can expand and collapse this section
+            </p>
+          </div>
+          <Toggle
+            checked={!!formData.is_collapsible}
+            onChange={(checked) => setFormData(prev => ({ ...prev, is_collapsible: checked }))}
+            disabled={loading || disabled}
+            label="Collapsible section"
+          />
+        </div>
+      )}
+
+      {!isHeader && (
+        <>
+          {/* URL Field */}
+          <div>
+            <Input
+              type="text"
+              name="url"
+              label="URL"
+              placeholder="https://example.com"
+              value={formData.url}
+              onChange={handleChange}
+              onBlur={handleUrlBlur}
+              error={errors.url}
+              touched={touched.url}
+              required
+              disabled={loading || disabled}
+              autoComplete="url"
+              className="
+                text-base sm:text-sm
+                min-h-[44px]
+              "
+            />
+            <p className="mt-1 text-xs text-gray-600 sm:text-sm">
+              Include the full URL starting with https://
+            </p>
+
+            {/* Page preview */}
+            {metadataLoading && (
+              <p className="mt-2 flex items-center text-xs text-gray-500 sm:text-sm" aria-live="polite">
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" aria-hidden="true" />
+                Looking up page details...
+              </p>
+            )}
+            {!metadataLoading && (formData.thumbnail_url || formData.favicon_url) && (
+              <div className="mt-2 flex items-center space-x-3 p-2 bg-gray-50 rounded-lg border border-gray-100">
+                {formData.thumbnail_url ? (
+                  <img
+                    src={formData.thumbnail_url}
+                    alt=""
+                    className="w-16 h-10 object-cover rounded flex-shrink-0"
+                    onError={() => setFormData(prev => ({ ...prev, thumbnail_url: '' }))}
+                  />
+                ) : (
+                  <div className="w-10 h-10 flex items-center justify-center flex-shrink-0">
+                    {formData.favicon_url ? (
+                      <img
+                        src={formData.favicon_url}
+                        alt=""
+                        className="w-5 h-5"
+                        onError={() => setFormData(prev => ({ ...prev, favicon_url: '' }))}
+                      />
+                    ) : (
+                      <Globe className="w-5 h-5 text-gray-400" aria-hidden="true" />
+                    )}
+                  </div>
+                )}
+                <p className="text-xs text-gray-600 sm:text-sm">
+                  Preview image and icon will be shown on your profile
+                </p>
+              </div>
+            )}
+          </div>
+
+          {/* Campaign tags (optional) */}
+          <UtmBuilder
+            values={utmValues}
+            onChange={handleUtmChange}
+            errors={utmValidation.errors}
+            description={formData.url.trim()
+              ? 'Tags are added to the URL above; its other parameters are kept.'
+              : 'Enter a URL first, then add tags to it.'}
+            disabled={loading || disabled || !formData.url.trim()}
+          />
+
+          {/* Platform Icon */}
+          <div>
+            <label htmlFor="link-platform" className="block text-sm font-medium text-gray-700 mb-1">
+              Icon
+            </label>
+            <div className="flex items-center space-x-3">
+              <div
+                className="w-11 h-11 flex-shrink-0 rounded-lg flex items-center justify-center bg-gray-50 border border-gray-200"
+                title={linkPlatform.name}
+              >
+                <PlatformIcon platform={linkPlatform} colored />
+              </div>
+              <select
+                id="link-platform"
+                name="platform"
+                value={formData.platform || ''}
+                onChange={handleChange}
+                disabled={loading || disabled}
+                className="flex-1 min-w-0 px-3 py-2 min-h-[44px] border border-gray-300 rounded-lg bg-white text-base sm:text-sm focus:ring-2 focus:ring-golden-yellow focus:border-golden-yellow"
+              >
+                <option value="">
+                  {detectedPlatform ? `Detect automatically (${detectedPlatform.name})` : 'Detect automatically'}
+                </option>
+                {getPlatforms().map(platform => (
+                  <option key={platform.id} value={platform.id}>
+                    {platform.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {/* Schedule Fields (optional) */}
+          <fieldset className="space-y-3">
+            <legend className="text-sm font-medium text-gray-700">
+              Schedule <span className="font-normal text-gray-500">(optional)</span>
+            </legend>
+            <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+              <Input
+                type="datetime-local"
+                name="starts_at"
+                label="Go live at"
+                value={formData.starts_at}
+                onChange={handleChange}
+                onBlur={handleBlur}
+                error={errors.starts_at}
+                touched={touched.starts_at}
+                disabled={loading || disabled}
+                className="
+                  text-base sm:text-sm
+                  min-h-[44px]
+                "
+              />
+              <Input
+                type="datetime-local"
+                name="ends_at"
+                label="Expire at"
+                value={formData.ends_at}
+                onChange={handleChange}
+                onBlur={handleBlur}
+                error={errors.ends_at}
+                touched={touched.ends_at}
+                disabled={loading || disabled}
+                className="
+                  text-base sm:text-sm
+                  min-h-[44px]
+                "
+              />
+            </div>
+            <p className="text-xs text-gray-600 sm:text-sm">
+              Leave empty to show the link right away and keep it up indefinitely
+            </p>
+          </fieldset>
+        </>
+      )}
 
       {/* Form Actions */}
       <div className="
@@ -270,6 +558,18 @@ LinkForm.propTypes = {
   initialData: PropTypes.shape({
     title: PropTypes.string,
     url: PropTypes.string,
+    /** Go-live time as a datetime-local value */
+    starts_at: PropTypes.string,
+    /** Expiry time as a datetime-local value */
+    ends_at: PropTypes.string,
+    /** Whether a section header can be collapsed by visitors */
+    is_collapsible: PropTypes.bool,
+    /** Preview image of the linked page */
+    thumbnail_url: PropTypes.string,
+    /** Favicon of the linked page */
+    favicon_url: PropTypes.string,
+    /** Platform id picked by the user; empty means detect from the URL */
+    platform: PropTypes.string,
   }),
   /** Function called when form is submitted with valid data */
   onSubmit: PropTypes.func.isRequired,
@@ -293,6 +593,8 @@ LinkForm.propTypes = {
   })),
   /** Current link ID (for edit mode) */
   currentLinkId: PropTypes.string,
+  /** Item being edited: a link or a section header */
+  itemType: PropTypes.oneOf(Object.values(LINK_TYPES)),
 };
 
 export default LinkForm;
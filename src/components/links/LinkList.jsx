@@ -1,9 +1,11 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import LinkCard from './LinkCard';
+import LinkSection from './LinkSection';
 import { ErrorState, LinksSkeleton } from '../common';
-import { RESPONSIVE_PATTERNS, TOUCH_SPACING } from '../../utils/mobileUtils';
+import { TOUCH_SPACING } from '../../utils/mobileUtils';
 import { getErrorType } from '../../utils/errorUtils';
+import { groupLinksIntoSections } from '../../utils/linkUtils';
 
 /**
  * LinkList Component
@@ -11,6 +13,10 @@ import { getErrorType } from '../../utils/errorUtils';
  * Container component for displaying a list of links with mobile-first responsive design.
  * Handles loading, error, and empty states with enhanced touch-optimized spacing.
  * Features enhanced accessibility and responsive layout patterns.
+ * Empty state and cards render through profile theme tokens.
+ * Section headers split the list into (optionally collapsible) groups;
+ * headers without any visible links are not shown.
+ * The profile's default UTM tags are passed on to each card.
  */
 const LinkList = ({ 
   links = [],
@@ -22,7 +28,8 @@ const LinkList = ({
   className = '',
   variant = 'default', // 'default', 'compact', 'minimal'
   spacing = 'comfortable', // 'tight', 'comfortable', 'large'
-  showAnimation = true
+  showAnimation = true,
+  utmDefaults = null
 }) => {
   // Enhanced responsive spacing with mobile-first approach
   const spacingClasses = {
@@ -60,17 +67,23 @@ const LinkList = ({
     );
   }
 
+  const sections = groupLinksIntoSections(links, { dropEmpty: true });
+  const linkCount = sections.reduce((sum, section) => sum + section.links.length, 0);
+
   // Enhanced empty state
-  if (links.length === 0) {
+  if (linkCount === 0) {
     return (
-      <div className={`${RESPONSIVE_PATTERNS.CARD} text-center space-y-4 sm:space-y-6`}>
+      <div className={`
+        bg-theme-surface border border-theme-border rounded-theme shadow-sm p-4 sm:p-6
+        text-center space-y-4 sm:space-y-6
+      `}>
         <div className="text-4xl sm:text-5xl md:text-6xl">🔗</div>
         <div className="space-y-2">
-          <h3 className={RESPONSIVE_PATTERNS.SUBHEADING}>
+          <h3 className="text-lg font-semibold text-theme-text sm:text-xl">
             {emptyMessage}
           </h3>
           {emptySubtext && (
-            <p className={RESPONSIVE_PATTERNS.BODY}>
+            <p className="text-base text-theme-muted leading-relaxed">
               {emptySubtext}
             </p>
           )}
@@ -78,7 +91,7 @@ const LinkList = ({
         
         {/* Optional call-to-action for authenticated users */}
         <div className="pt-2">
-          <p className="text-xs text-gray-400 sm:text-sm">
+          <p className="text-xs text-theme-muted opacity-80 sm:text-sm">
             Share links to let people discover your content
           </p>
         </div>
@@ -86,40 +99,63 @@ const LinkList = ({
     );
   }
 
+  // Running index across sections keeps the staggered entrance animation in order
+  let animationIndex = 0;
+
+  const renderLinkItem = (link) => {
+    const index = animationIndex++;
+
+    return (
+      <div 
+        key={link.id} 
+        role="listitem"
+        className={showAnimation ? `
+          animate-fadeIn
+          ${index < 3 ? 'animation-delay-' + (index * 100) : ''}
+        ` : ''}
+        style={showAnimation ? {
+          animationDelay: `${index * 100}ms`,
+          animationFillMode: 'both'
+        } : {}}
+      >
+        <LinkCard
+          link={link}
+          onClick={onLinkClick}
+          variant={variant}
+          utmDefaults={utmDefaults}
+          className="transition-transform hover:scale-[1.02] active:scale-[0.98]"
+        />
+      </div>
+    );
+  };
+
   // Enhanced links display with responsive animations
   return (
     <div 
       className={`${spacingClasses[spacing]} ${className}`}
-      role="list"
-      aria-label={`${links.length} link${links.length === 1 ? '' : 's'}`}
+      aria-label={`${linkCount} link${linkCount === 1 ? '' : 's'}`}
     >
-      {links.map((link, index) => (
-        <div 
-          key={link.id} 
-          role="listitem"
-          className={showAnimation ? `
-            animate-fadeIn
-            ${index < 3 ? 'animation-delay-' + (index * 100) : ''}
-          ` : ''}
-          style={showAnimation ? {
-            animationDelay: `${index * 100}ms`,
-            animationFillMode: 'both'
-          } : {}}
-        >
-          <LinkCard
-            link={link}
-            onClick={onLinkClick}
-            variant={variant}
-            className="transition-transform hover:scale-[1.02] active:scale-[0.98]"
-          />
-        </div>
+      {sections.map(section => (
+        section.header ? (
+          <LinkSection
+            key={section.header.id}
+            header={section.header}
+            contentClassName={spacingClasses[spacing]}
+          >
+            {section.links.map(renderLinkItem)}
+          </LinkSection>
+        ) : (
+          <div key="unsectioned" role="list" className={spacingClasses[spacing]}>
+            {section.links.map(renderLinkItem)}
+          </div>
+        )
       ))}
 
       {/* Performance optimization note for large lists */}
-      {links.length > 20 && (
+      {linkCount > 20 && (
         <div className="pt-4 text-center">
-          <p className="text-xs text-gray-400">
-            Showing {links.length} links
+          <p className="text-xs text-theme-muted">
+            Showing {linkCount} links
           </p>
         </div>
       )}
@@ -128,13 +164,17 @@ const LinkList = ({
 };
 
 LinkList.propTypes = {
-  /** Array of link objects to display */
+  /** Array of links and section headers to display, in position order */
   links: PropTypes.arrayOf(
     PropTypes.shape({
       id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
-      url: PropTypes.string.isRequired,
+      /** Null for section headers */
+      url: PropTypes.string,
       title: PropTypes.string,
       description: PropTypes.string,
+      /** 'header' for section headers; missing means a link */
+      type: PropTypes.string,
+      is_collapsible: PropTypes.bool,
     })
   ),
   /** Loading state indicator */
@@ -155,6 +195,8 @@ LinkList.propTypes = {
   spacing: PropTypes.oneOf(['tight', 'comfortable', 'large']),
   /** Whether to show entrance animations */
   showAnimation: PropTypes.bool,
+  /** Profile's default UTM tags, added to link URLs when opened */
+  utmDefaults: PropTypes.objectOf(PropTypes.string),
 };
 
 export default LinkList;
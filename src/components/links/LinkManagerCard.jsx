@@ -2,13 +2,42 @@
  * LinkManagerCard Component
  * 
  * Enhanced link card for management interface with edit/delete actions
- * Includes drag handles, selection checkboxes, and management actions
+ * Includes drag handles, selection checkboxes, visibility toggle, schedule badges
+ * and management actions. Section headers render as a compact variant without
+ * URL or stats. Links to a known platform show its brand icon and color.
+ * When a short link URL is passed, links get a "Copy short link" action.
+ * Links whose last health check failed are flagged with the reason.
  */
 
 import React, { useEffect, useRef, useState } from 'react';
 import { createPortal } from 'react-dom';
 import PropTypes from 'prop-types';
-import { Edit, GripVertical, Link, MoreVertical, Trash2 } from 'lucide-react';
+import { AlertTriangle, ChevronsUpDown, Clock, Copy, Edit, Eye, EyeOff, GripVertical, Heading, Link, Loader2, MoreVertical, Trash2 } from 'lucide-react';
+import Toggle from '../common/Toggle.jsx';
+import PlatformIcon from './PlatformIcon.jsx';
+import { getLinkScheduleStatus, isLinkPublic, isSectionHeader } from '../../utils/linkUtils.js';
+import { getLinkPlatform } from '../../utils/platformUtils.js';
+import { describeLinkHealth, getLinkHealth, isLinkBroken } from '../../utils/linkHealthUtils.js';
+import { DEFAULT_LINK_PLATFORM, LINK_SCHEDULE_STATUS } from '../../constants';
+
+// Badge styling for scheduled links
+const SCHEDULE_BADGES = {
+  [LINK_SCHEDULE_STATUS.SCHEDULED]: { label: 'Scheduled', className: 'text-blue-700 bg-blue-50' },
+  [LINK_SCHEDULE_STATUS.LIVE]: { label: 'Live', className: 'text-green-700 bg-green-50' },
+  [LINK_SCHEDULE_STATUS.EXPIRED]: { label: 'Expired', className: 'text-coral-red bg-coral-red/10' },
+};
+
+/**
+ * Describe a link's schedule window for the badge tooltip
+ * @param {Object} link - Link with optional starts_at / ends_at
+ * @returns {string} Human readable window
+ */
+const describeSchedule = (link) => {
+  const format = (value) => new Date(value).toLocaleString();
+  if (link.starts_at && link.ends_at) return `${format(link.starts_at)} – ${format(link.ends_at)}`;
+  if (link.starts_at) return `Goes live ${format(link.starts_at)}`;
+  return `Expires ${format(link.ends_at)}`;
+};
 
 const LinkManagerCard = ({ 
   link, 
@@ -17,10 +46,15 @@ const LinkManagerCard = ({
   showDeleteButton = true,
   showDragHandle = true,
   showSelection = false,
+  showVisibilityToggle = false,
   isSelected = false,
   onEdit,
   onDelete,
   onSelect,
+  onToggleVisibility,
+  shortLinkUrl = '',
+  onCopyShortLink,
+  isCheckingHealth = false,
   dragHandleProps = null,
   className = ''
 }) => {
@@ -28,6 +62,15 @@ const LinkManagerCard = ({
   const dropdownRef = useRef(null);
   const buttonRef = useRef(null);
   const [dropdownPosition, setDropdownPosition] = useState({ top: 0, left: 0 });
+  const isPublic = isLinkPublic(link);
+  const isHeader = isSectionHeader(link);
+  const itemNoun = isHeader ? 'section' : 'link';
+  const scheduleBadge = SCHEDULE_BADGES[getLinkScheduleStatus(link)];
+  const platform = isHeader ? null : getLinkPlatform(link);
+  const hasBrandIcon = !!platform && platform.id !== DEFAULT_LINK_PLATFORM;
+  const showCopyShortLink = !isHeader && !!shortLinkUrl && !!onCopyShortLink;
+  const isBroken = !isHeader && isLinkBroken(link);
+  const healthMessage = isHeader ? '' : describeLinkHealth(getLinkHealth(link));
 
   // Calculate dropdown position when showing
   useEffect(() => {
@@ -90,6 +133,18 @@ const LinkManagerCard = ({
     if (onDelete) onDelete(link);
   };
 
+  const handleCopyShortLink = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setShowActions(false); // Close dropdown when the link is copied
+    onCopyShortLink(link, shortLinkUrl);
+  };
+
+  const handleToggleVisibility = (nextIsPublic) => {
+    setShowActions(false); // Close dropdown when visibility is changed
+    if (onToggleVisibility) onToggleVisibility(link, nextIsPublic);
+  };
+
   const handleSelect = (e) => {
     e.preventDefault();
     e.stopPropagation();
@@ -119,6 +174,7 @@ const LinkManagerCard = ({
               checked={isSelected}
               onChange={handleSelect}
               className="w-4 h-4 text-golden-yellow border-gray-300 rounded focus:ring-golden-yellow"
+              aria-label={`Select ${link.title}`}
             />
           </div>
         )}
@@ -139,23 +195,83 @@ const LinkManagerCard = ({
           </div>
         )}
 
-        {/* Link Icon */}
+        {/* Link / Section Icon */}
         <div className="flex-shrink-0">
-          <div className="w-10 h-10 bg-golden-yellow/20 rounded-lg flex items-center justify-center">
-            <Link className="w-5 h-5 text-golden-yellow" />
-          </div>
+          {isHeader ? (
+            <div className="w-10 h-10 bg-forest-green/10 rounded-lg flex items-center justify-center">
+              <Heading className="w-5 h-5 text-forest-green" />
+            </div>
+          ) : hasBrandIcon ? (
+            <div
+              className="w-10 h-10 rounded-lg flex items-center justify-center"
+              style={{ backgroundColor: `${platform.color}1A` }}
+              title={platform.name}
+            >
+              <PlatformIcon platform={platform} colored />
+            </div>
+          ) : (
+            <div className="w-10 h-10 bg-golden-yellow/20 rounded-lg flex items-center justify-center">
+              <Link className="w-5 h-5 text-golden-yellow" />
+            </div>
+          )}
         </div>
 
         {/* Link Content */}
         <div className="flex-1 min-w-0">
           <div className="flex items-start justify-between">
             <div className="min-w-0 flex-1">
-              <h3 className="text-sm font-medium text-gray-900 truncate">
-                {link.title}
-              </h3>
+              <div className="flex items-center space-x-2 min-w-0">
+                <h3 className={`
+                  text-sm truncate
+                  ${isHeader ? 'font-semibold uppercase tracking-wide' : 'font-medium'}
+                  ${isPublic ? 'text-gray-900' : 'text-gray-500'}
+                `}>
+                  {link.title}
+                </h3>
+                {isHeader && link.is_collapsible && (
+                  <span className="flex-shrink-0 inline-flex items-center px-2 py-0.5 text-xs text-forest-green bg-mint-cream rounded-full">
+                    <ChevronsUpDown className="w-3 h-3 mr-1" />
+                    Collapsible
+                  </span>
+                )}
+                {!isPublic && (
+                  <span className="flex-shrink-0 inline-flex items-center px-2 py-0.5 text-xs text-gray-600 bg-gray-100 rounded-full">
+                    <EyeOff className="w-3 h-3 mr-1" />
+                    Hidden
+                  </span>
+                )}
+                {scheduleBadge && (
+                  <span
+                    className={`flex-shrink-0 inline-flex items-center px-2 py-0.5 text-xs rounded-full ${scheduleBadge.className}`}
+                    title={describeSchedule(link)}
+                  >
+                    <Clock className="w-3 h-3 mr-1" />
+                    {scheduleBadge.label}
+                  </span>
+                )}
+                {isCheckingHealth ? (
+                  <span className="flex-shrink-0 inline-flex items-center px-2 py-0.5 text-xs text-gray-600 bg-gray-100 rounded-full">
+                    <Loader2 className="w-3 h-3 mr-1 animate-spin" aria-hidden="true" />
+                    Checking
+                  </span>
+                ) : isBroken && (
+                  <span
+                    className="flex-shrink-0 inline-flex items-center px-2 py-0.5 text-xs text-coral-red bg-coral-red/10 rounded-full"
+                    title={healthMessage}
+                  >
+                    <AlertTriangle className="w-3 h-3 mr-1" aria-hidden="true" />
+                    Broken
+                  </span>
+                )}
+              </div>
               <p className="text-xs text-gray-600 truncate mt-1">
-                {link.url}
+                {isHeader ? 'Section header' : link.url}
               </p>
+              {healthMessage && !isCheckingHealth && (
+                <p className={`text-xs truncate mt-1 ${isBroken ? 'text-coral-red' : 'text-gray-500'}`}>
+                  {healthMessage}
+                </p>
+              )}
               {position && (
                 <p className="text-xs text-gray-400 mt-1">
                   Position {position}
@@ -163,13 +279,35 @@ const LinkManagerCard = ({
               )}
             </div>
 
+            {/* Visibility Toggle - always visible on desktop */}
+            {showVisibilityToggle && (
+              <div className="hidden md:flex items-center mr-2">
+                <Toggle
+                  checked={isPublic}
+                  onChange={handleToggleVisibility}
+                  label={isPublic ? `Hide ${itemNoun} from public profile` : `Show ${itemNoun} on public profile`}
+                  size="small"
+                />
+              </div>
+            )}
+
             {/* Desktop Actions */}
             <div className="hidden md:flex items-center space-x-2 opacity-0 group-hover:opacity-100 transition-opacity">
+              {showCopyShortLink && (
+                <button
+                  onClick={handleCopyShortLink}
+                  className="p-1 text-gray-400 hover:text-golden-yellow rounded"
+                  title={`Copy short link (${shortLinkUrl})`}
+                  aria-label="Copy short link"
+                >
+                  <Copy className="w-4 h-4" />
+                </button>
+              )}
               {showEditButton && (
                 <button
                   onClick={handleEdit}
                   className="p-1 text-gray-400 hover:text-golden-yellow rounded"
-                  title="Edit link"
+                  title={`Edit ${itemNoun}`}
                 >
                   <Edit className="w-4 h-4" />
                 </button>
@@ -178,7 +316,7 @@ const LinkManagerCard = ({
                 <button
                   onClick={handleDelete}
                   className="p-1 text-gray-400 hover:text-red-600 rounded"
-                  title="Delete link"
+                  title={`Delete ${itemNoun}`}
                 >
                   <Trash2 className="w-4 h-4" />
                 </button>
@@ -201,10 +339,15 @@ const LinkManagerCard = ({
       </div>
 
       {/* Link Stats (if available) */}
-      {link.click_count !== undefined && (
+      {!isHeader && link.click_count !== undefined && (
         <div className="mt-3 pt-3 border-t border-gray-100">
           <div className="flex items-center justify-between text-xs text-gray-500">
-            <span>{link.click_count} clicks</span>
+            <span>
+              {link.click_count} {link.click_count === 1 ? 'click' : 'clicks'}
+              {typeof link.click_through_rate === 'number' && (
+                <span className="ml-2 text-gray-400">{link.click_through_rate}% CTR</span>
+              )}
+            </span>
             {link.created_at && (
               <span>Added {new Date(link.created_at).toLocaleDateString()}</span>
             )}
@@ -223,10 +366,32 @@ const LinkManagerCard = ({
               left: `${dropdownPosition.left}px`,
             }}
           >
+            {showVisibilityToggle && (
+              <button
+                onClick={(e) => {
+                  e.preventDefault();
+                  e.stopPropagation();
+                  handleToggleVisibility(!isPublic);
+                }}
+                className="w-full px-3 py-2 text-left text-sm text-gray-700 hover:bg-gray-50 flex items-center rounded-t-lg"
+              >
+                {isPublic ? <EyeOff className="w-4 h-4 mr-2" /> : <Eye className="w-4 h-4 mr-2" />}
+                {isPublic ? 'Hide' : 'Show'}
+              </button>
+            )}
+            {showCopyShortLink && (
+              <button
+                onClick={handleCopyShortLink}
+                className={`w-full px-3 py-2 text-left text-sm text-gray-700 hover:bg-gray-50 flex items-center ${showVisibilityToggle ? '' : 'rounded-t-lg'}`}
+              >
+                <Copy className="w-4 h-4 mr-2" />
+                Copy link
+              </button>
+            )}
             {showEditButton && (
               <button
                 onClick={handleEdit}
-                className="w-full px-3 py-2 text-left text-sm text-gray-700 hover:bg-gray-50 flex items-center rounded-t-lg"
+                className={`w-full px-3 py-2 text-left text-sm text-gray-700 hover:bg-gray-50 flex items-center ${showVisibilityToggle || showCopyShortLink ? '' : 'rounded-t-lg'}`}
               >
                 <Edit className="w-4 h-4 mr-2" />
                 Edit
@@ -252,9 +417,37 @@ const LinkManagerCard = ({
 LinkManagerCard.propTypes = {
   link: PropTypes.shape({
     id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
-    url: PropTypes.string.isRequired,
+    /** Null for section headers */
+    url: PropTypes.string,
     title: PropTypes.string.isRequired,
+    /** 'header' for section headers; missing means a link */
+    type: PropTypes.string,
+    /** Whether visitors can collapse a section header */
+    is_collapsible: PropTypes.bool,
+    /** Platform id chosen by the user; missing means detect from the URL */
+    platform: PropTypes.string,
+    /** Short link slug; missing for headers and older links */
+    slug: PropTypes.string,
     click_count: PropTypes.number,
+    /** Clicks on this link as a percentage of profile views, or null without views */
+    click_through_rate: PropTypes.number,
+    /** Whether the link is shown on the public profile (missing means public) */
+    is_public: PropTypes.bool,
+    /** When the link goes live (ISO timestamp) */
+    starts_at: PropTypes.string,
+    /** When the link expires (ISO timestamp) */
+    ends_at: PropTypes.string,
+    /** Last health check result for the URL it was checked with */
+    health: PropTypes.shape({
+      url: PropTypes.string,
+      status: PropTypes.string,
+      statusCode: PropTypes.number,
+      finalUrl: PropTypes.string,
+      redirects: PropTypes.arrayOf(PropTypes.string),
+      error: PropTypes.string,
+    }),
+    /** When the link was last health checked (ISO timestamp) */
+    last_checked_at: PropTypes.string,
     created_at: PropTypes.string,
   }).isRequired,
   position: PropTypes.number,
@@ -262,10 +455,20 @@ LinkManagerCard.propTypes = {
   showDeleteButton: PropTypes.bool,
   showDragHandle: PropTypes.bool,
   showSelection: PropTypes.bool,
+  /** Whether to show the public/private visibility control */
+  showVisibilityToggle: PropTypes.bool,
   isSelected: PropTypes.bool,
   onEdit: PropTypes.func,
   onDelete: PropTypes.func,
   onSelect: PropTypes.func,
+  /** Called with (link, isPublic) when visibility is changed */
+  onToggleVisibility: PropTypes.func,
+  /** Short link that counts clicks and redirects to the link URL */
+  shortLinkUrl: PropTypes.string,
+  /** Called with (link, shortLinkUrl) when the short link is copied */
+  onCopyShortLink: PropTypes.func,
+  /** Whether a health check of this link is running */
+  isCheckingHealth: PropTypes.bool,
   dragHandleProps: PropTypes.object,
   className: PropTypes.string,
 };
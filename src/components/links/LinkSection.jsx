@@ -0,0 +1,92 @@
+import React, { useId, useState } from 'react';
+import PropTypes from 'prop-types';
+import { ChevronDown } from 'lucide-react';
+
+/**
+ * LinkSection Component
+ *
+ * Groups the links that follow a section header on the public profile.
+ * Renders the header as a divider; collapsible headers become a toggle button
+ * so visitors can expand and collapse the section.
+ * Colors come from the profile theme tokens.
+ */
+const LinkSection = ({
+  header,
+  children,
+  className = '',
+  contentClassName = ''
+}) => {
+  const [isExpanded, setIsExpanded] = useState(true);
+  const headingId = useId();
+  const contentId = useId();
+  const isCollapsible = !!header.is_collapsible;
+
+  const divider = <span className="h-px flex-1 bg-theme-border" aria-hidden="true"></span>;
+
+  const title = (
+    <h3
+      id={headingId}
+      className="text-xs font-semibold uppercase tracking-wider text-theme-muted sm:text-sm"
+    >
+      {header.title}
+    </h3>
+  );
+
+  return (
+    <section aria-labelledby={headingId} className={className}>
+      {isCollapsible ? (
+        <button
+          type="button"
+          onClick={() => setIsExpanded(prev => !prev)}
+          aria-expanded={isExpanded}
+          aria-controls={contentId}
+          className="
+            w-full flex items-center gap-3 py-2 rounded-theme
+            focus:outline-none focus:ring-2 focus:ring-theme-accent focus:ring-offset-2
+          "
+        >
+          {divider}
+          {title}
+          <ChevronDown
+            className={`
+              w-4 h-4 text-theme-muted transition-transform duration-200
+              ${isExpanded ? 'rotate-180' : ''}
+            `}
+            aria-hidden="true"
+          />
+          {divider}
+        </button>
+      ) : (
+        <div className="flex items-center gap-3 py-2">
+          {divider}
+          {title}
+          {divider}
+        </div>
+      )}
+
+      {isExpanded && (
+        <div id={contentId} role="list" className={`mt-3 sm:mt-4 ${contentClassName}`}>
+          {children}
+        </div>
+      )}
+    </section>
+  );
+};
+
+LinkSection.propTypes = {
+  /** Section header item (type 'header') */
+  header: PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    title: PropTypes.string.isRequired,
+    /** Whether visitors can collapse the section */
+    is_collapsible: PropTypes.bool,
+  }).isRequired,
+  /** Link list items belonging to this section */
+  children: PropTypes.node,
+  /** Additional CSS classes */
+  className: PropTypes.string,
+  /** Classes for the links container (spacing) */
+  contentClassName: PropTypes.string,
+};
+
+export default LinkSection;
@@ -0,0 +1,113 @@
+/**
+ * PlatformIcon Component
+ *
+ * Brand icon for a link platform (see utils/platformUtils.js). Platforms without a
+ * brand icon in our icon set use the closest generic one; registered platforms can
+ * bring their own `icon` component. Decorative by default: the link title already
+ * names the destination.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {
+  AtSign,
+  BookOpen,
+  Calendar,
+  Camera,
+  Codepen,
+  Coffee,
+  Dribbble,
+  Facebook,
+  Figma,
+  Github,
+  Gitlab,
+  Globe,
+  Headphones,
+  Heart,
+  Instagram,
+  Linkedin,
+  MessageCircle,
+  Music,
+  Music2,
+  Newspaper,
+  PenTool,
+  Phone,
+  Pin,
+  Podcast,
+  Send,
+  ShoppingBag,
+  Slack,
+  Twitch,
+  Twitter,
+  Video,
+  Youtube,
+} from 'lucide-react';
+
+const PLATFORM_ICONS = {
+  youtube: Youtube,
+  instagram: Instagram,
+  tiktok: Music2,
+  twitter: Twitter,
+  facebook: Facebook,
+  threads: AtSign,
+  bluesky: AtSign,
+  linkedin: Linkedin,
+  github: Github,
+  gitlab: Gitlab,
+  spotify: Music,
+  'apple-music': Music,
+  'apple-podcasts': Podcast,
+  soundcloud: Headphones,
+  twitch: Twitch,
+  vimeo: Video,
+  pinterest: Pin,
+  snapchat: Camera,
+  reddit: MessageCircle,
+  discord: MessageCircle,
+  telegram: Send,
+  whatsapp: Phone,
+  slack: Slack,
+  dribbble: Dribbble,
+  behance: PenTool,
+  figma: Figma,
+  codepen: Codepen,
+  medium: BookOpen,
+  substack: Newspaper,
+  patreon: Heart,
+  kofi: Coffee,
+  etsy: ShoppingBag,
+  calendly: Calendar,
+};
+
+const PlatformIcon = ({ platform, colored = false, className = 'w-5 h-5', title }) => {
+  const Icon = platform?.icon || PLATFORM_ICONS[platform?.id] || Globe;
+
+  return (
+    <Icon
+      className={className}
+      style={colored && platform?.color ? { color: platform.color } : undefined}
+      aria-hidden={title ? undefined : 'true'}
+      aria-label={title}
+      role={title ? 'img' : undefined}
+    />
+  );
+};
+
+PlatformIcon.propTypes = {
+  /** Platform from getLinkPlatform / detectPlatform */
+  platform: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    color: PropTypes.string,
+    /** Custom icon component for registered platforms */
+    icon: PropTypes.elementType,
+  }),
+  /** Tint the icon with the platform's accent color */
+  colored: PropTypes.bool,
+  /** Icon size and color classes */
+  className: PropTypes.string,
+  /** Accessible name; omit when the icon is decorative */
+  title: PropTypes.string,
+};
+
+export default PlatformIcon;
@@ -0,0 +1,104 @@
+/**
+ * UtmBuilder Component
+ *
+ * Collapsible set of campaign (UTM) tag fields: source, medium, campaign, term and
+ * content. Controlled: the parent decides where the values live (a link's URL in
+ * LinkForm, the profile's default tags in ProfileSettings). Starts open when any
+ * tag is set.
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { ChevronDown, Tag } from 'lucide-react';
+import { Input } from '../common';
+import { UTM_PARAMETERS } from '../../constants';
+
+const UtmBuilder = ({
+  values = {},
+  onChange,
+  errors = {},
+  title = 'Campaign tracking (UTM)',
+  description = '',
+  disabled = false,
+  className = ''
+}) => {
+  const filledCount = UTM_PARAMETERS.filter(({ key }) => values[key]).length;
+  const [isOpen, setIsOpen] = useState(filledCount > 0);
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    onChange({ ...values, [name]: value });
+  };
+
+  return (
+    <fieldset className={`border border-gray-200 rounded-lg ${className}`}>
+      <legend className="sr-only">{title}</legend>
+      <button
+        type="button"
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+        className="w-full flex items-center justify-between px-3 min-h-[44px] text-left text-sm font-medium text-gray-700"
+      >
+        <span className="flex items-center">
+          <Tag className="w-4 h-4 mr-2 text-gray-400" aria-hidden="true" />
+          {title}
+          <span className="ml-1 font-normal text-gray-500">
+            {filledCount > 0 ? `(${filledCount} set)` : '(optional)'}
+          </span>
+        </span>
+        <ChevronDown
+          className={`w-4 h-4 text-gray-400 transition-transform ${isOpen ? 'rotate-180' : ''}`}
+          aria-hidden="true"
+        />
+      </button>
+
+      {isOpen && (
+        <div className="px-3 pb-3 space-y-3">
+          {description && (
+            <p className="text-xs text-gray-600 sm:text-sm">{description}</p>
+          )}
+          <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+            {UTM_PARAMETERS.map(({ key, label, placeholder }) => (
+              <Input
+                key={key}
+                type="text"
+                name={key}
+                label={label}
+                placeholder={placeholder}
+                value={values[key] || ''}
+                onChange={handleChange}
+                error={errors[key]}
+                touched={!!errors[key]}
+                disabled={disabled}
+                autoComplete="off"
+                className="
+                  text-base sm:text-sm
+                  min-h-[44px]
+                "
+              />
+            ))}
+          </div>
+        </div>
+      )}
+    </fieldset>
+  );
+};
+
+UtmBuilder.propTypes = {
+  /** Tag values keyed by utm_source, utm_medium, ... */
+  values: PropTypes.objectOf(PropTypes.string),
+  /** Function called with all tag values after a field changes */
+  onChange: PropTypes.func.isRequired,
+  /** Validation errors keyed like values */
+  errors: PropTypes.objectOf(PropTypes.string),
+  /** Heading of the collapsible section */
+  title: PropTypes.string,
+  /** Help text shown above the fields */
+  description: PropTypes.string,
+  /** Disable all fields */
+  disabled: PropTypes.bool,
+  /** Additional CSS classes */
+  className: PropTypes.string,
+};
+
+export default UtmBuilder;
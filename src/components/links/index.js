@@ -9,7 +9,13 @@ export { default as LinkCard } from './LinkCard.jsx';
 export { default as LinkManagerCard } from './LinkManagerCard.jsx';
 export { default as DraggableLink } from './DraggableLink.jsx';
 export { default as LinkList } from './LinkList.jsx';
+export { default as LinkSection } from './LinkSection.jsx';
 export { default as AddLinkModal } from './AddLinkModal.jsx';
 export { default as EditLinkModal } from './EditLinkModal.jsx';
 export { default as DeleteLinkModal } from './DeleteLinkModal.jsx';
+export { default as BulkActionBar } from './BulkActionBar.jsx';
+export { default as BulkActionModal } from './BulkActionModal.jsx';
+export { default as ImportLinksModal } from './ImportLinksModal.jsx';
 export { default as LinkForm } from './LinkForm.jsx';
+export { default as PlatformIcon } from './PlatformIcon.jsx';
+export { default as UtmBuilder } from './UtmBuilder.jsx';
@@ -0,0 +1,190 @@
+/**
+ * AccountDataSection - "Your Data" area of the profile settings
+ *
+ * Lets users download everything stored for their account (profile, links and
+ * profile photo) as a versioned JSON file, restore the profile settings and photo
+ * from such a file (links are imported from the Links page), and opens the account
+ * deletion dialog.
+ */
+
+import React, { useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Download, Trash2, Upload } from 'lucide-react';
+import { Button } from '../common';
+import ErrorDisplay from '../common/error/ErrorDisplay.jsx';
+import DeleteAccountModal from './DeleteAccountModal.jsx';
+import { AccountService } from '../../services';
+import { useAlerts } from '../../hooks';
+import { ACCOUNT_EXPORT } from '../../constants';
+import { downloadJsonFile, getAccountExportFileName } from '../../utils/accountExportUtils.js';
+
+const AccountDataSection = ({ userId, username, onRestore, disabled = false, className = '' }) => {
+  const { showSuccess, showWarning } = useAlerts();
+  const fileInputRef = useRef(null);
+  const [exporting, setExporting] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const [error, setError] = useState(null);
+  const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
+
+  const handleExport = async () => {
+    setExporting(true);
+    setError(null);
+
+    try {
+      const result = await AccountService.exportAccountData(userId);
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to export your data');
+      }
+
+      const { document, warnings } = result.data;
+      downloadJsonFile(document, getAccountExportFileName(username));
+
+      if (warnings.length > 0) {
+        showWarning({
+          title: 'Export Downloaded',
+          message: `${warnings.join('. ')}. Everything else was exported.`,
+        }, { duration: 5000, position: 'bottom-center' });
+      } else {
+        showSuccess({
+          title: 'Export Downloaded',
+          message: `Your profile and ${document.links.length} links were saved`,
+        }, { duration: 3000, position: 'bottom-center' });
+      }
+    } catch (err) {
+      console.error('[AccountDataSection] Failed to export data:', err);
+      setError(err.message || 'Failed to export your data');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleRestoreFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setRestoring(true);
+    setError(null);
+
+    try {
+      if (file.size > ACCOUNT_EXPORT.MAX_FILE_SIZE) {
+        throw new Error('Export files must be 5MB or smaller');
+      }
+
+      let document;
+      try {
+        document = JSON.parse(await file.text());
+      } catch {
+        throw new Error('This file is not a Lynqee account export');
+      }
+
+      const result = await AccountService.restoreAccountData(userId, document);
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to restore your profile');
+      }
+
+      const { profile, warnings } = result.data;
+      if (warnings.length > 0) {
+        showWarning({
+          title: 'Profile Restored',
+          message: `${warnings.join('. ')}. Everything else was restored.`,
+        }, { duration: 5000, position: 'bottom-center' });
+      } else {
+        showSuccess({
+          title: 'Profile Restored',
+          message: 'Your profile settings and photo were restored',
+        }, { duration: 3000, position: 'bottom-center' });
+      }
+
+      onRestore?.(profile);
+    } catch (err) {
+      console.error('[AccountDataSection] Failed to restore data:', err);
+      setError(err.message || 'Failed to restore your profile');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const busy = exporting || restoring;
+
+  return (
+    <section className={`space-y-3 ${className}`} aria-labelledby="account-data-heading">
+      <div>
+        <h3 id="account-data-heading" className="text-sm font-medium text-gray-700 md:text-base">
+          Your Data
+        </h3>
+        <p className="mt-1 text-xs text-gray-500 md:text-sm">
+          Download your profile, links and profile photo as a JSON file. Restoring a file replaces
+          your name, bio, theme, social icons, campaign tags and photo; import its links from the
+          Links page.
+        </p>
+      </div>
+
+      {error && (
+        <ErrorDisplay error={error} />
+      )}
+
+      <Button
+        variant="outline"
+        onClick={handleExport}
+        loading={exporting}
+        disabled={disabled || busy}
+        className="w-full py-3 text-base min-h-[44px] md:text-sm"
+      >
+        <Download className="w-4 h-4 mr-2" />
+        {exporting ? 'Preparing Export...' : 'Download My Data'}
+      </Button>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,application/json"
+        onChange={handleRestoreFile}
+        className="hidden"
+      />
+      <Button
+        variant="outline"
+        onClick={() => fileInputRef.current?.click()}
+        loading={restoring}
+        disabled={disabled || busy}
+        className="w-full py-3 text-base min-h-[44px] md:text-sm"
+      >
+        <Upload className="w-4 h-4 mr-2" />
+        {restoring ? 'Restoring...' : 'Restore From Export'}
+      </Button>
+
+      <Button
+        variant="danger"
+        onClick={() => setIsDeleteModalOpen(true)}
+        disabled={disabled || busy}
+        className="w-full py-3 text-base min-h-[44px] md:text-sm"
+      >
+        <Trash2 className="w-4 h-4 mr-2" />
+        Delete My Account
+      </Button>
+
+      <DeleteAccountModal
+        isOpen={isDeleteModalOpen}
+        onClose={() => setIsDeleteModalOpen(false)}
+        userId={userId}
+        username={username}
+      />
+    </section>
+  );
+};
+
+AccountDataSection.propTypes = {
+  /** ID of the signed-in user */
+  userId: PropTypes.string.isRequired,
+  /** Username, used in the export file name and to confirm deletion */
+  username: PropTypes.string,
+  /** Called with the updated profile after a restore */
+  onRestore: PropTypes.func,
+  /** Disable actions (e.g. while the profile form saves) */
+  disabled: PropTypes.bool,
+  /** Additional CSS classes */
+  className: PropTypes.string,
+};
+
+export default AccountDataSection;
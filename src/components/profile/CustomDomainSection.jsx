@@ -0,0 +1,244 @@
+/**
+ * CustomDomainSection - "Custom Domain" area of the profile settings
+ *
+ * Lets users serve their public profile at a domain they own:
+ * 1. Save the domain, which issues a verification token
+ * 2. Add the shown TXT record (ownership) and CNAME record (traffic)
+ * 3. Verify; once verified, shared links and QR codes use the domain
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { CheckCircle, Clock, Copy, Globe } from 'lucide-react';
+import { Button, Input } from '../common';
+import ErrorDisplay from '../common/error/ErrorDisplay.jsx';
+import { ProfileService } from '../../services';
+import { useAlerts } from '../../hooks';
+import { getAppHosts, getCustomDomainTarget, getVerificationRecord, normalizeCustomDomain } from '../../utils/customDomainUtils.js';
+import { validateCustomDomain } from '../../utils/validators.js';
+
+const DnsRecord = ({ type, name, value, onCopy }) => (
+  <div className="p-3 bg-gray-50 rounded-lg border border-gray-100 text-xs md:text-sm">
+    <div className="flex items-center justify-between">
+      <span className="font-medium text-gray-700">{type} record</span>
+      <button
+        type="button"
+        onClick={() => onCopy(value)}
+        className="inline-flex items-center text-gray-500 hover:text-gray-900 min-h-[44px] min-w-[44px] justify-center"
+        aria-label={`Copy ${type} record value`}
+      >
+        <Copy className="w-4 h-4" />
+      </button>
+    </div>
+    <dl className="space-y-1">
+      <div className="flex space-x-2">
+        <dt className="text-gray-500 w-12 flex-shrink-0">Name</dt>
+        <dd className="font-mono text-gray-900 break-all">{name}</dd>
+      </div>
+      <div className="flex space-x-2">
+        <dt className="text-gray-500 w-12 flex-shrink-0">Value</dt>
+        <dd className="font-mono text-gray-900 break-all">{value}</dd>
+      </div>
+    </dl>
+  </div>
+);
+
+DnsRecord.propTypes = {
+  /** DNS record type, e.g. "TXT" */
+  type: PropTypes.string.isRequired,
+  /** Record name (host) */
+  name: PropTypes.string.isRequired,
+  /** Record value */
+  value: PropTypes.string.isRequired,
+  /** Function called with the value to copy */
+  onCopy: PropTypes.func.isRequired,
+};
+
+const CustomDomainSection = ({ profile, onChange, disabled = false, className = '' }) => {
+  const { showSuccess, showError, showWarning } = useAlerts();
+  const [domainInput, setDomainInput] = useState(profile.custom_domain || '');
+  const [touched, setTouched] = useState(false);
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState(null);
+
+  const normalizedDomain = normalizeCustomDomain(domainInput);
+  const validation = validateCustomDomain(normalizedDomain, getAppHosts());
+  const verificationRecord = getVerificationRecord(profile);
+  const isVerified = !!(profile.custom_domain && profile.custom_domain_verified_at);
+  const isUnchanged = normalizedDomain === (profile.custom_domain || '');
+
+  const runAction = async (action, request) => {
+    setPending(action);
+    setError(null);
+
+    try {
+      const result = await request();
+      if (!result.success) {
+        throw new Error(result.error || 'Something went wrong. Please try again.');
+      }
+      return result.data;
+    } catch (err) {
+      console.error(`[CustomDomainSection] Failed to ${action} domain:`, err);
+      setError(err.message);
+      return null;
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const handleSave = async () => {
+    setTouched(true);
+    if (!validation.isValid) return;
+
+    const updated = await runAction('save', () => ProfileService.setCustomDomain(profile.id, normalizedDomain));
+    if (updated) {
+      setDomainInput(updated.custom_domain);
+      setTouched(false);
+      onChange(updated);
+    }
+  };
+
+  const handleVerify = async () => {
+    const result = await runAction('verify', () => ProfileService.verifyCustomDomain());
+    if (!result) return;
+
+    if (result.verified) {
+      onChange(result.profile);
+      showSuccess({
+        title: 'Domain Verified',
+        message: `Your profile is now shared as ${result.profile.custom_domain}`,
+      }, { duration: 3000, position: 'bottom-center' });
+    } else {
+      showWarning({
+        title: 'Not Verified Yet',
+        message: 'The TXT record was not found. DNS changes can take up to a few hours to appear.',
+      }, { duration: 5000, position: 'bottom-center' });
+    }
+  };
+
+  const handleRemove = async () => {
+    const updated = await runAction('remove', () => ProfileService.removeCustomDomain(profile.id));
+    if (updated) {
+      setDomainInput('');
+      setTouched(false);
+      onChange(updated);
+    }
+  };
+
+  const handleCopy = async (value) => {
+    try {
+      await navigator.clipboard.writeText(value);
+      showSuccess({ title: 'Copied!', message: 'Record value copied to clipboard' }, { duration: 2000, position: 'bottom-center' });
+    } catch (err) {
+      console.error('[CustomDomainSection] Failed to copy record:', err);
+      showError({ title: 'Copy Failed', message: 'Could not copy to clipboard. Please copy it manually.' });
+    }
+  };
+
+  return (
+    <section className={`space-y-3 ${className}`} aria-labelledby="custom-domain-heading">
+      <div>
+        <h3 id="custom-domain-heading" className="text-sm font-medium text-gray-700 md:text-base">
+          Custom Domain
+        </h3>
+        <p className="mt-1 text-xs text-gray-500 md:text-sm">
+          Show your profile at a domain you own, such as links.yourbrand.com.
+        </p>
+      </div>
+
+      {error && (
+        <ErrorDisplay error={error} />
+      )}
+
+      <Input
+        name="custom_domain"
+        value={domainInput}
+        onChange={(e) => setDomainInput(e.target.value)}
+        onBlur={() => setTouched(true)}
+        placeholder="links.yourbrand.com"
+        error={validation.error}
+        touched={touched && !!domainInput}
+        disabled={disabled || !!pending}
+        autoComplete="off"
+        icon={<Globe className="w-4 h-4" />}
+      />
+
+      {profile.custom_domain && (
+        <p className={`flex items-center text-xs md:text-sm ${isVerified ? 'text-green-600' : 'text-amber-600'}`}>
+          {isVerified ? (
+            <CheckCircle className="w-4 h-4 mr-1 flex-shrink-0" />
+          ) : (
+            <Clock className="w-4 h-4 mr-1 flex-shrink-0" />
+          )}
+          {isVerified
+            ? `${profile.custom_domain} is verified`
+            : `${profile.custom_domain} is waiting for verification`}
+        </p>
+      )}
+
+      {verificationRecord && !isVerified && (
+        <div className="space-y-2">
+          <p className="text-xs text-gray-600 md:text-sm">
+            Add these records at your DNS provider, then select Verify.
+          </p>
+          <DnsRecord type="TXT" name={verificationRecord.name} value={verificationRecord.value} onCopy={handleCopy} />
+          <DnsRecord type="CNAME" name={profile.custom_domain} value={getCustomDomainTarget()} onCopy={handleCopy} />
+        </div>
+      )}
+
+      <div className="flex flex-row space-x-3">
+        {!isUnchanged && (
+          <Button
+            variant="primary"
+            onClick={handleSave}
+            loading={pending === 'save'}
+            disabled={disabled || !!pending || !normalizedDomain}
+            className="flex-1 py-3 text-base min-h-[44px] md:text-sm"
+          >
+            Save Domain
+          </Button>
+        )}
+        {isUnchanged && verificationRecord && !isVerified && (
+          <Button
+            variant="primary"
+            onClick={handleVerify}
+            loading={pending === 'verify'}
+            disabled={disabled || !!pending}
+            className="flex-1 py-3 text-base min-h-[44px] md:text-sm"
+          >
+            Verify
+          </Button>
+        )}
+        {profile.custom_domain && (
+          <Button
+            variant="outline"
+            onClick={handleRemove}
+            loading={pending === 'remove'}
+            disabled={disabled || !!pending}
+            className="flex-1 py-3 text-base min-h-[44px] md:text-sm"
+          >
+            Remove
+          </Button>
+        )}
+      </div>
+    </section>
+  );
+};
+
+CustomDomainSection.propTypes = {
+  /** Profile of the signed-in user */
+  profile: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    custom_domain: PropTypes.string,
+    custom_domain_token: PropTypes.string,
+    custom_domain_verified_at: PropTypes.string,
+  }).isRequired,
+  /** Function called with the updated profile after the domain changes */
+  onChange: PropTypes.func.isRequired,
+  /** Disable actions (e.g. while the profile form saves) */
+  disabled: PropTypes.bool,
+  /** Additional CSS classes */
+  className: PropTypes.string,
+};
+
+export default CustomDomainSection;
@@ -0,0 +1,200 @@
+/**
+ * DeleteAccountModal Component
+ *
+ * Confirmation dialog for deleting the whole account.
+ * The user types their username to confirm. By default the deletion is scheduled
+ * after a grace period (the profile is hidden and they are signed out); unticking
+ * the option deletes analytics, links, profile photo, previous usernames, profile and
+ * login right away.
+ * If an immediate deletion stops part way, the modal lists what was and wasn't deleted
+ * so the user can retry.
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { AlertTriangle, CheckCircle, XCircle } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { Button, Input, Modal } from '../common';
+import ErrorDisplay from '../common/error/ErrorDisplay.jsx';
+import { AccountService } from '../../services';
+import { useAlerts } from '../../hooks';
+import { ACCOUNT_DELETION_STEPS, APP_CONFIG } from '../../constants';
+
+// What each deletion step removes, in the order they run
+const STEP_LABELS = {
+  [ACCOUNT_DELETION_STEPS.ANALYTICS]: 'Analytics',
+  [ACCOUNT_DELETION_STEPS.LINKS]: 'Links',
+  [ACCOUNT_DELETION_STEPS.AVATAR]: 'Profile photo',
+  [ACCOUNT_DELETION_STEPS.USERNAME_HISTORY]: 'Previous usernames',
+  [ACCOUNT_DELETION_STEPS.PROFILE]: 'Profile',
+  [ACCOUNT_DELETION_STEPS.AUTH_USER]: 'Login',
+  [ACCOUNT_DELETION_STEPS.SIGN_OUT]: 'Sign out',
+};
+
+const DeleteAccountModal = ({ isOpen, onClose, userId, username }) => {
+  const navigate = useNavigate();
+  const { showSuccess } = useAlerts();
+  const [confirmation, setConfirmation] = useState('');
+  const [useGracePeriod, setUseGracePeriod] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [progress, setProgress] = useState(null);
+
+  const graceDays = APP_CONFIG.ACCOUNT_DELETION_GRACE_DAYS;
+  const isConfirmed = confirmation.trim().toLowerCase() === (username || '').toLowerCase() && !!username;
+
+  const resetState = () => {
+    setConfirmation('');
+    setUseGracePeriod(true);
+    setError(null);
+    setProgress(null);
+  };
+
+  const handleClose = () => {
+    if (loading) return; // Prevent closing while deleting
+    resetState();
+    onClose();
+  };
+
+  const handleDelete = async () => {
+    if (!isConfirmed) return;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      if (useGracePeriod) {
+        const result = await AccountService.scheduleAccountDeletion(userId, graceDays);
+        if (!result.success) {
+          throw new Error(result.error || 'Failed to schedule account deletion');
+        }
+
+        showSuccess({
+          title: 'Deletion Scheduled',
+          message: `Your account will be deleted on ${new Date(result.data.scheduledFor).toLocaleDateString()}. Sign in before then to keep it.`,
+        }, { duration: 6000, position: 'bottom-center' });
+      } else {
+        const result = await AccountService.deleteAccount(userId);
+        if (!result.success) {
+          setProgress(result.data);
+          throw new Error(result.error || 'Failed to delete account');
+        }
+
+        showSuccess({
+          title: 'Account Deleted',
+          message: 'Your profile, links and login have been removed',
+        }, { duration: 4000, position: 'bottom-center' });
+      }
+
+      navigate('/', { replace: true });
+    } catch (err) {
+      console.error('[DeleteAccountModal] Failed to delete account:', err);
+      setError(err.message || 'Failed to delete account');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title="Delete Account"
+      size="small"
+      closeOnBackdrop={!loading}
+      closeOnEscape={!loading}
+    >
+      <div className="space-y-4">
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          <div className="flex items-start space-x-3">
+            <AlertTriangle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+            <p>
+              This deletes your profile, all your links and their analytics, your profile photo
+              and your login.
+              Consider downloading your data first.
+            </p>
+          </div>
+        </div>
+
+        {error && (
+          <ErrorDisplay error={error} showDetails={false} />
+        )}
+
+        {/* Partial failure: what was removed before the failing step */}
+        {progress?.failedStep && (
+          <ul className="space-y-1 text-sm" aria-label="Deletion progress">
+            {Object.values(ACCOUNT_DELETION_STEPS).map(step => {
+              const done = progress.completed.includes(step);
+              const failed = progress.failedStep === step;
+              if (!done && !failed) return null;
+
+              return (
+                <li key={step} className={`flex items-center space-x-2 ${done ? 'text-green-700' : 'text-red-700'}`}>
+                  {done ? <CheckCircle className="w-4 h-4" /> : <XCircle className="w-4 h-4" />}
+                  <span>{STEP_LABELS[step]} {done ? 'deleted' : 'not deleted'}</span>
+                </li>
+              );
+            })}
+            <li className="text-gray-600 pt-1">Try again to finish deleting your account.</li>
+          </ul>
+        )}
+
+        <Input
+          id="delete-account-confirmation"
+          label={`Type your username (${username}) to confirm`}
+          value={confirmation}
+          onChange={(e) => setConfirmation(e.target.value)}
+          autoComplete="off"
+          disabled={loading}
+        />
+
+        <label className="flex items-start space-x-3 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={useGracePeriod}
+            onChange={(e) => setUseGracePeriod(e.target.checked)}
+            disabled={loading}
+            className="mt-0.5 h-4 w-4 rounded border-gray-300 text-golden-yellow focus:ring-golden-yellow"
+          />
+          <span>
+            Wait {graceDays} days before deleting permanently. Your profile is hidden right away and
+            signing in again lets you cancel.
+          </span>
+        </label>
+
+        <div className="flex flex-row space-x-3 pt-2">
+          <Button
+            variant="outline"
+            onClick={handleClose}
+            disabled={loading}
+            className="flex-1 py-3 text-base min-h-[44px]"
+          >
+            Cancel
+          </Button>
+          <Button
+            variant="danger"
+            onClick={handleDelete}
+            loading={loading}
+            disabled={loading || !isConfirmed}
+            className="flex-1 py-3 text-base min-h-[44px]"
+          >
+            {useGracePeriod ? 'Schedule Deletion' : 'Delete Now'}
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+DeleteAccountModal.propTypes = {
+  /** Whether the modal is open */
+  isOpen: PropTypes.bool.isRequired,
+  /** Function to call when modal should be closed */
+  onClose: PropTypes.func.isRequired,
+  /** ID of the signed-in user */
+  userId: PropTypes.string.isRequired,
+  /** Username the user must type to confirm */
+  username: PropTypes.string,
+};
+
+export default DeleteAccountModal;
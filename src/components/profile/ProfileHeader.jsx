@@ -3,6 +3,7 @@ import PropTypes from 'prop-types';
 import { ExternalLink } from 'lucide-react';
 import Avatar from '../common/Avatar';
 import ProfileInfo from './ProfileInfo';
+import SocialLinksRow from './SocialLinksRow.jsx';
 import { RESPONSIVE_PATTERNS } from '../../utils/mobileUtils';
 
 /**
@@ -11,6 +12,8 @@ import { RESPONSIVE_PATTERNS } from '../../utils/mobileUtils';
  * Main profile header container optimized for mobile-first responsive design.
  * Combines avatar and profile information with touch-optimized layout and spacing.
  * Features responsive typography and spacing that scales from mobile to desktop.
+ * Colors, corner radius and font follow the profile theme via CSS variable tokens.
+ * Social links render as a row of icons under the bio (not in the minimal layout).
  */
 const ProfileHeader = ({ 
   profile, 
@@ -95,6 +98,11 @@ const ProfileHeader = ({
               size={size}
               layout={layout === 'horizontal' ? 'left' : 'center'}
             />
+            <SocialLinksRow
+              links={profile?.social_links}
+              align={layout === 'horizontal' ? 'left' : 'center'}
+              className="mt-3 sm:mt-4"
+            />
           </div>
         </>
       )}
@@ -108,10 +116,13 @@ const ProfileHeader = ({
             rel="noopener noreferrer"
             className={`
               ${RESPONSIVE_PATTERNS.BUTTON}
-              bg-gray-100 
-              text-gray-700 
-              hover:bg-gray-200 
-              focus:ring-gray-500
+              bg-theme-button-bg
+              text-theme-button-text
+              border
+              border-theme-button-border
+              rounded-theme
+              hover:bg-theme-button-hover
+              focus:ring-theme-accent
               text-sm
               inline-flex
               items-center
@@ -135,6 +146,11 @@ ProfileHeader.propTypes = {
     bio: PropTypes.string,
     avatar_url: PropTypes.string,
     website: PropTypes.string,
+    /** Social icons ({ platform, url }), in display order */
+    social_links: PropTypes.arrayOf(PropTypes.shape({
+      platform: PropTypes.string,
+      url: PropTypes.string,
+    })),
   }),
   /** Username (required, used as fallback if profile.name is not available) */
   username: PropTypes.string.isRequired,
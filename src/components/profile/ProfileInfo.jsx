@@ -8,6 +8,7 @@ import { RESPONSIVE_PATTERNS } from '../../utils/mobileUtils';
  * Displays user profile information including display name, username, and bio.
  * Features mobile-first responsive typography that scales beautifully across devices.
  * Supports multiple layout modes and size variants.
+ * Text colors come from profile theme tokens (text-theme-*).
  */
 const ProfileInfo = ({ 
   name, 
@@ -20,25 +21,25 @@ const ProfileInfo = ({
   // Responsive typography configuration
   const sizeConfig = {
     small: {
-      name: 'text-lg font-bold text-gray-900 sm:text-xl',
+      name: 'text-lg font-bold text-theme-text sm:text-xl',
       username: name 
-        ? 'text-gray-600 text-sm sm:text-base' 
-        : 'text-lg font-bold text-gray-900 sm:text-xl',
-      bio: 'text-sm text-gray-600 leading-relaxed'
+        ? 'text-theme-muted text-sm sm:text-base' 
+        : 'text-lg font-bold text-theme-text sm:text-xl',
+      bio: 'text-sm text-theme-muted leading-relaxed'
     },
     medium: {
-      name: 'text-xl font-bold text-gray-900 sm:text-2xl lg:text-3xl',
+      name: 'text-xl font-bold text-theme-text sm:text-2xl lg:text-3xl',
       username: name 
-        ? 'text-gray-600 text-base sm:text-lg' 
-        : 'text-xl font-bold text-gray-900 sm:text-2xl',
-      bio: 'text-sm text-gray-600 leading-relaxed sm:text-base'
+        ? 'text-theme-muted text-base sm:text-lg' 
+        : 'text-xl font-bold text-theme-text sm:text-2xl',
+      bio: 'text-sm text-theme-muted leading-relaxed sm:text-base'
     },
     large: {
-      name: 'text-2xl font-bold text-gray-900 sm:text-3xl lg:text-4xl',
+      name: 'text-2xl font-bold text-theme-text sm:text-3xl lg:text-4xl',
       username: name 
-        ? 'text-gray-600 text-lg sm:text-xl' 
-        : 'text-2xl font-bold text-gray-900 sm:text-3xl',
-      bio: 'text-base text-gray-600 leading-relaxed sm:text-lg'
+        ? 'text-theme-muted text-lg sm:text-xl' 
+        : 'text-2xl font-bold text-theme-text sm:text-3xl',
+      bio: 'text-base text-theme-muted leading-relaxed sm:text-lg'
     }
   };
 
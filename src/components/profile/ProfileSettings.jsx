@@ -2,12 +2,18 @@
  * ProfileSettings - Profile editing interface
  * 
  * Mobile-first component for editing user profile information.
- * Allows users to update their display name, bio, username, and avatar.
+ * Allows users to update their display name, bio, username, avatar, social links,
+ * default campaign tags and theme.
  * 
  * Features:
  * - Edit display name and bio
- * - Username change with availability checking
+ * - Username change with availability checking, redirect warning and rate limit
  * - Avatar upload and management
+ * - Social icons from a handle or profile URL, shown under the bio
+ * - Default UTM tags added to link clicks on the public profile
+ * - Theme presets and custom colors with live preview
+ * - Custom domain with DNS verification
+ * - Account data export and restore
  * - Mobile-optimized form design
  * - Real-time validation
  */
@@ -16,13 +22,20 @@ import React, { useEffect, useState } from 'react';
 import PropTypes from 'prop-types';
 import { AvatarUpload, Button, Input } from '../common';
 import ErrorDisplay from '../common/error/ErrorDisplay.jsx';
+import ThemePicker from './ThemePicker.jsx';
+import AccountDataSection from './AccountDataSection.jsx';
+import CustomDomainSection from './CustomDomainSection.jsx';
+import SocialLinksEditor from './SocialLinksEditor.jsx';
+import UtmBuilder from '../links/UtmBuilder.jsx';
 import { ProfileService } from '../../services';
 import { useAlerts, useAvatar } from '../../hooks';
 import useAsync from '../../hooks/useAsync.js';
-import { validateUsername } from '../../utils/validators.js';
+import { validateUsername, validateUtmParams } from '../../utils/validators.js';
+import { cleanUtmParams } from '../../utils/utmUtils.js';
 import { SERVICE_ERROR_MESSAGES, VALIDATION_MESSAGES, formatMessage } from '../../constants/validationMessages';
+import { APP_CONFIG } from '../../constants';
 
-const ProfileSettings = ({ profile, onUpdate, onCancel }) => {
+const ProfileSettings = ({ profile, onUpdate, onCancel, onDomainChange }) => {
   const { avatarUrl, updateAvatarUrl, refreshAvatar } = useAvatar(profile?.avatar_url);
   const { showSuccess } = useAlerts(); // Remove showError for inline-only validation
   
@@ -30,19 +43,40 @@ const ProfileSettings = ({ profile, onUpdate, onCancel }) => {
     name: profile?.name || '',
     bio: profile?.bio || '',
     username: profile?.username || '',
+    theme: profile?.theme || null,
+    social_links: profile?.social_links || [],
+    utm_defaults: profile?.utm_defaults || {},
   });
   
   const [originalUsername] = useState(profile?.username || '');
+  // Domain changes save immediately, separately from the form
+  const [domainProfile, setDomainProfile] = useState(profile);
   const [errors, setErrors] = useState({});
   const [touched, setTouched] = useState({});
   const [avatarError, setAvatarError] = useState(null); // Add separate state for avatar errors
   const [isUsernameAvailable, setIsUsernameAvailable] = useState(null);
   const [checkingUsername, setCheckingUsername] = useState(false);
+  const [usernameChangeStatus, setUsernameChangeStatus] = useState(null);
   const { loading, error, execute } = useAsync();
 
   const BIO_MAX_LENGTH = 160;
   const NAME_MAX_LENGTH = 50;
 
+  // Load when the username may change again (changes are rate limited)
+  useEffect(() => {
+    let cancelled = false;
+
+    ProfileService.getUsernameChangeStatus(profile.id).then(result => {
+      if (!cancelled && result.success) {
+        setUsernameChangeStatus(result.data);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [profile.id]);
+
   // Check username availability when it changes
   useEffect(() => {
     const checkAvailability = async () => {
@@ -61,7 +95,7 @@ const ProfileSettings = ({ profile, onUpdate, onCancel }) => {
 
       setCheckingUsername(true);
       try {
-        const isAvailable = await ProfileService.isUsernameAvailable(formData.username);
+        const isAvailable = await ProfileService.isUsernameAvailable(formData.username, profile.id);
         setIsUsernameAvailable(isAvailable);
       } catch (error) {
         console.error('Error checking username availability:', error);
@@ -73,7 +107,7 @@ const ProfileSettings = ({ profile, onUpdate, onCancel }) => {
 
     const timeoutId = setTimeout(checkAvailability, 500);
     return () => clearTimeout(timeoutId);
-  }, [formData.username, originalUsername]);
+  }, [formData.username, originalUsername, profile.id]);
 
   const handleInputChange = (field) => (e) => {
     const value = e.target.value;
@@ -168,9 +202,24 @@ const ProfileSettings = ({ profile, onUpdate, onCancel }) => {
           bio: formData.bio,
         };
 
-        // Only include username if it changed
+        // Username changes go through their own call so the history and limits apply
         if (formData.username !== originalUsername) {
-          updates.username = formData.username;
+          const usernameResult = await ProfileService.updateUsername(profile.id, formData.username);
+          if (!usernameResult.success) {
+            throw new Error(usernameResult.error || 'Failed to change username');
+          }
+        }
+
+        if (isThemeChanged) {
+          updates.theme = formData.theme;
+        }
+
+        if (isSocialLinksChanged) {
+          updates.social_links = formData.social_links;
+        }
+
+        if (isUtmDefaultsChanged) {
+          updates.utm_defaults = cleanUtmParams(formData.utm_defaults);
         }
 
         // Include avatar_url in updates (it's managed by the avatar hook)
@@ -191,6 +240,9 @@ const ProfileSettings = ({ profile, onUpdate, onCancel }) => {
         if (formData.bio !== (profile?.bio || '')) changedFields.push('bio');
         if (formData.username !== originalUsername) changedFields.push('username');
         if (avatarUrl !== (profile?.avatar_url || null)) changedFields.push('avatar');
+        if (isThemeChanged) changedFields.push('theme');
+        if (isSocialLinksChanged) changedFields.push('social links');
+        if (isUtmDefaultsChanged) changedFields.push('campaign tags');
 
         const successMessage = changedFields.length > 0 
           ? `Updated ${changedFields.join(', ')} successfully!`
@@ -225,7 +277,36 @@ const ProfileSettings = ({ profile, onUpdate, onCancel }) => {
     // Keep inline error display only, no alert needed
   };
 
+  const handleThemeChange = (theme) => {
+    setFormData(prev => ({
+      ...prev,
+      theme
+    }));
+  };
+
+  const handleSocialLinksChange = (socialLinks) => {
+    setFormData(prev => ({
+      ...prev,
+      social_links: socialLinks
+    }));
+  };
+
+  const handleUtmDefaultsChange = (utmDefaults) => {
+    setFormData(prev => ({
+      ...prev,
+      utm_defaults: utmDefaults
+    }));
+  };
+
+  const isThemeChanged = JSON.stringify(formData.theme) !== JSON.stringify(profile?.theme || null);
+  const isSocialLinksChanged = JSON.stringify(formData.social_links) !== JSON.stringify(profile?.social_links || []);
+  const isUtmDefaultsChanged = JSON.stringify(cleanUtmParams(formData.utm_defaults)) !== JSON.stringify(cleanUtmParams(profile?.utm_defaults));
+  const utmDefaultsValidation = validateUtmParams(formData.utm_defaults);
+
   const hasChanges = 
+    isThemeChanged ||
+    isSocialLinksChanged ||
+    isUtmDefaultsChanged ||
     formData.name !== (profile?.name || '') ||
     formData.bio !== (profile?.bio || '') ||
     formData.username !== originalUsername ||
@@ -244,6 +325,7 @@ const ProfileSettings = ({ profile, onUpdate, onCancel }) => {
     !loading && 
     !checkingUsername && 
     Object.keys(actualErrors).length === 0 &&
+    utmDefaultsValidation.isValid &&
     isUsernameChangeValid;
 
   const getUsernameStatus = () => {
@@ -255,6 +337,7 @@ const ProfileSettings = ({ profile, onUpdate, onCancel }) => {
   };
 
   const usernameStatus = getUsernameStatus();
+  const isUsernameLocked = usernameChangeStatus?.canChange === false;
 
   return (
     <div className="w-full bg-white rounded-lg p-4 md:p-2 md:max-w-md md:mx-auto">
@@ -311,7 +394,17 @@ const ProfileSettings = ({ profile, onUpdate, onCancel }) => {
             touched={touched.username}
             className="text-base md:text-sm"
             autoComplete="username"
+            disabled={isUsernameLocked}
           />
+
+          {isUsernameLocked && (
+            <p className="mt-1 text-xs text-gray-500 md:text-sm">
+              {formatMessage(
+                VALIDATION_MESSAGES.USERNAME_CHANGE_TOO_SOON,
+                new Date(usernameChangeStatus.nextChangeAt).toLocaleDateString()
+              )}
+            </p>
+          )}
           
           {usernameStatus && (
             <div className={`mt-2 flex items-center text-sm ${usernameStatus.color}`}>
@@ -325,6 +418,15 @@ const ProfileSettings = ({ profile, onUpdate, onCancel }) => {
               Your profile URL will be: lynqee.com/{formData.username}
             </p>
           )}
+
+          {formData.username !== originalUsername && (
+            <div className="mt-2 p-3 bg-amber-50 border border-amber-200 rounded-lg text-xs text-amber-800 md:text-sm">
+              Links to lynqee.com/{originalUsername} will redirect to your new username
+              for {APP_CONFIG.USERNAME_REDIRECT_DAYS} days. After that, anyone can claim
+              &quot;{originalUsername}&quot;. You can change your username once every{' '}
+              {APP_CONFIG.USERNAME_CHANGE_INTERVAL_DAYS} days.
+            </div>
+          )}
         </div>
 
         <div>
@@ -349,6 +451,39 @@ const ProfileSettings = ({ profile, onUpdate, onCancel }) => {
           </div>
         </div>
 
+        <SocialLinksEditor
+          links={formData.social_links}
+          onChange={handleSocialLinksChange}
+          disabled={loading}
+        />
+
+        <UtmBuilder
+          values={formData.utm_defaults}
+          onChange={handleUtmDefaultsChange}
+          errors={utmDefaultsValidation.errors}
+          title="Default campaign tags (UTM)"
+          description="Added to every link clicked on your public profile. Tags set on a link itself take priority."
+          disabled={loading}
+        />
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2 md:text-base">
+            Theme
+          </label>
+          <ThemePicker
+            value={formData.theme}
+            onChange={handleThemeChange}
+            previewProfile={{
+              name: formData.name,
+              username: formData.username,
+              bio: formData.bio,
+              avatar_url: avatarUrl,
+              social_links: formData.social_links,
+            }}
+            disabled={loading}
+          />
+        </div>
+
         <div className="flex flex-row space-x-3 pt-2">
           <Button
             type="submit"
@@ -370,6 +505,24 @@ const ProfileSettings = ({ profile, onUpdate, onCancel }) => {
           </Button>
         </div>
       </form>
+
+      <CustomDomainSection
+        profile={domainProfile}
+        onChange={(updatedProfile) => {
+          setDomainProfile(updatedProfile);
+          onDomainChange?.(updatedProfile);
+        }}
+        disabled={loading}
+        className="mt-6 pt-6 border-t border-gray-100"
+      />
+
+      <AccountDataSection
+        userId={profile.id}
+        username={profile.username}
+        onRestore={onUpdate}
+        disabled={loading}
+        className="mt-6 pt-6 border-t border-gray-100"
+      />
     </div>
   );
 };
@@ -381,9 +534,21 @@ ProfileSettings.propTypes = {
     name: PropTypes.string,
     bio: PropTypes.string,
     avatar_url: PropTypes.string,
+    theme: PropTypes.object,
+    /** Social icons ({ platform, url }), in display order */
+    social_links: PropTypes.arrayOf(PropTypes.shape({
+      platform: PropTypes.string,
+      url: PropTypes.string,
+    })),
+    /** Default UTM tags for link clicks on the public profile, keyed by tag */
+    utm_defaults: PropTypes.objectOf(PropTypes.string),
+    custom_domain: PropTypes.string,
+    custom_domain_token: PropTypes.string,
+    custom_domain_verified_at: PropTypes.string,
   }).isRequired,
   onUpdate: PropTypes.func.isRequired,
   onCancel: PropTypes.func.isRequired,
+  onDomainChange: PropTypes.func,
 };
 
 export default ProfileSettings;
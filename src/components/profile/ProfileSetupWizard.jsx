@@ -65,6 +65,7 @@ const ProfileSetupWizard = ({
             initialUsername={formData.username}
             onComplete={handleStepComplete}
             userEmail={userEmail}
+            userFullName={user?.user_metadata?.full_name || user?.user_metadata?.name}
           />
         );
       case 2:
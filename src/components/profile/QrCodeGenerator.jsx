@@ -0,0 +1,240 @@
+/**
+ * QrCodeGenerator - QR code for a public profile URL with download options
+ *
+ * Features:
+ * - Generated in the browser (no external API)
+ * - SVG and PNG downloads in several sizes
+ * - Error correction level picker
+ * - Optional centered avatar (or initial when there is no photo)
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Download } from 'lucide-react';
+import { Avatar, Button } from '../common';
+import ErrorDisplay from '../common/error/ErrorDisplay.jsx';
+import { encodeQrCode } from '../../utils/qrCodeEncoder';
+import { buildQrPng, buildQrSvg, getQrFileName, svgToDataUrl } from '../../utils/qrCodeUtils';
+import { blobToDataUrl, downloadBlob } from '../../utils/accountExportUtils';
+import { QR_CODE_CONFIG, QR_ERROR_CORRECTION } from '../../constants';
+
+const ERROR_CORRECTION_OPTIONS = [
+  { value: QR_ERROR_CORRECTION.LOW, label: 'Low', description: 'Simplest code, recovers 7% damage' },
+  { value: QR_ERROR_CORRECTION.MEDIUM, label: 'Medium', description: 'Recovers 15% damage' },
+  { value: QR_ERROR_CORRECTION.QUARTILE, label: 'Quartile', description: 'Recovers 25% damage' },
+  { value: QR_ERROR_CORRECTION.HIGH, label: 'High', description: 'Best for print and merch, recovers 30%' },
+];
+
+const optionClass = (selected) => `
+  flex-1 px-2 py-2 text-sm rounded-lg border min-h-[44px] transition-colors
+  disabled:opacity-40 disabled:cursor-not-allowed
+  ${selected
+    ? 'border-golden-yellow bg-golden-yellow/10 text-forest-green font-medium'
+    : 'border-gray-200 text-gray-700 hover:border-gray-300'}
+`;
+
+const QrCodeGenerator = ({ url, username, name, avatarUrl, className = '' }) => {
+  const [size, setSize] = useState(QR_CODE_CONFIG.DEFAULT_SIZE);
+  const [errorCorrection, setErrorCorrection] = useState(QR_CODE_CONFIG.DEFAULT_ERROR_CORRECTION);
+  const [includeAvatar, setIncludeAvatar] = useState(false);
+  const [avatarDataUrl, setAvatarDataUrl] = useState(null);
+  const [downloading, setDownloading] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Embed the photo as a data URL so downloads are self-contained and the canvas stays exportable
+  useEffect(() => {
+    if (!includeAvatar || !avatarUrl) {
+      setAvatarDataUrl(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    fetch(avatarUrl)
+      .then(response => {
+        if (!response.ok) throw new Error(`Avatar request failed with status ${response.status}`);
+        return response.blob();
+      })
+      .then(blobToDataUrl)
+      .then(dataUrl => {
+        if (!cancelled) setAvatarDataUrl(dataUrl);
+      })
+      .catch(err => {
+        // Fall back to the initial; the code itself is unaffected
+        console.warn('[QrCodeGenerator] Could not load avatar:', err);
+        if (!cancelled) setAvatarDataUrl(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [includeAvatar, avatarUrl]);
+
+  const qr = useMemo(() => {
+    try {
+      return url ? encodeQrCode(url, errorCorrection) : null;
+    } catch (err) {
+      console.error('[QrCodeGenerator] Failed to encode URL:', err);
+      return null;
+    }
+  }, [url, errorCorrection]);
+
+  const renderOptions = useMemo(() => ({
+    size,
+    avatar: includeAvatar
+      ? { imageUrl: avatarDataUrl, initial: (name || username || '?').charAt(0).toUpperCase() }
+      : null,
+  }), [size, includeAvatar, avatarDataUrl, name, username]);
+
+  const svg = useMemo(() => (qr ? buildQrSvg(qr, renderOptions) : ''), [qr, renderOptions]);
+
+  // A centered avatar hides modules, so only the higher levels stay scannable
+  const handleAvatarToggle = (checked) => {
+    setIncludeAvatar(checked);
+    if (checked && !QR_CODE_CONFIG.AVATAR_ERROR_CORRECTION.includes(errorCorrection)) {
+      setErrorCorrection(QR_CODE_CONFIG.AVATAR_ERROR_CORRECTION[0]);
+    }
+  };
+
+  const handleDownload = async (format) => {
+    if (!qr) return;
+
+    setDownloading(format);
+    setError(null);
+
+    try {
+      const blob = format === 'svg'
+        ? new Blob([svg], { type: 'image/svg+xml' })
+        : await buildQrPng(qr, renderOptions);
+      downloadBlob(blob, getQrFileName(username, size, format));
+    } catch (err) {
+      console.error('[QrCodeGenerator] Failed to download QR code:', err);
+      setError('Could not create the QR code image. Please try again.');
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  if (!qr) {
+    return (
+      <ErrorDisplay
+        error="A QR code can't be created for this profile URL"
+        className={className}
+      />
+    );
+  }
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      {/* Preview */}
+      <div className="flex justify-center p-3 bg-gray-50 rounded-xl border border-gray-100">
+        <img
+          src={svgToDataUrl(svg)}
+          alt={`QR code for ${url}`}
+          className="w-48 h-48 md:w-56 md:h-56"
+        />
+      </div>
+
+      {error && (
+        <ErrorDisplay error={error} />
+      )}
+
+      {/* Size */}
+      <fieldset>
+        <legend className="block text-sm font-medium text-gray-700 mb-2">Size</legend>
+        <div className="flex space-x-2">
+          {QR_CODE_CONFIG.SIZES.map(option => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => setSize(option)}
+              aria-pressed={size === option}
+              className={optionClass(size === option)}
+            >
+              {option} px
+            </button>
+          ))}
+        </div>
+      </fieldset>
+
+      {/* Error correction */}
+      <fieldset>
+        <legend className="block text-sm font-medium text-gray-700 mb-2">Error correction</legend>
+        <div className="grid grid-cols-2 gap-2 sm:grid-cols-4">
+          {ERROR_CORRECTION_OPTIONS.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => setErrorCorrection(option.value)}
+              disabled={includeAvatar && !QR_CODE_CONFIG.AVATAR_ERROR_CORRECTION.includes(option.value)}
+              aria-pressed={errorCorrection === option.value}
+              title={option.description}
+              className={optionClass(errorCorrection === option.value)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <p className="mt-1 text-xs text-gray-500">
+          {ERROR_CORRECTION_OPTIONS.find(option => option.value === errorCorrection)?.description}
+        </p>
+      </fieldset>
+
+      {/* Avatar */}
+      <label className="flex items-center space-x-3 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={includeAvatar}
+          onChange={(e) => handleAvatarToggle(e.target.checked)}
+          className="h-4 w-4 rounded border-gray-300 text-golden-yellow focus:ring-golden-yellow"
+        />
+        <Avatar
+          src={avatarUrl}
+          alt=""
+          fallbackText={name || username || ''}
+          size="small"
+          className="!w-8 !h-8 !text-sm flex-shrink-0"
+        />
+        <span>Show {avatarUrl ? 'profile photo' : 'initial'} in the middle</span>
+      </label>
+
+      {/* Downloads */}
+      <div className="flex flex-row space-x-3 pt-2">
+        <Button
+          variant="outline"
+          onClick={() => handleDownload('svg')}
+          loading={downloading === 'svg'}
+          disabled={!!downloading}
+          className="flex-1 py-3 text-base min-h-[44px]"
+        >
+          <Download className="w-4 h-4 mr-2" />
+          SVG
+        </Button>
+        <Button
+          variant="primary"
+          onClick={() => handleDownload('png')}
+          loading={downloading === 'png'}
+          disabled={!!downloading}
+          className="flex-1 py-3 text-base min-h-[44px]"
+        >
+          <Download className="w-4 h-4 mr-2" />
+          PNG
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+QrCodeGenerator.propTypes = {
+  /** Profile URL to encode */
+  url: PropTypes.string.isRequired,
+  /** Profile username, used in file names */
+  username: PropTypes.string,
+  /** Display name, used for the initial when there is no photo */
+  name: PropTypes.string,
+  /** Avatar image URL */
+  avatarUrl: PropTypes.string,
+  /** Additional CSS classes */
+  className: PropTypes.string,
+};
+
+export default QrCodeGenerator;
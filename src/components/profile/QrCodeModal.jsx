@@ -0,0 +1,48 @@
+/**
+ * QrCodeModal - Modal wrapper around QrCodeGenerator for the dashboard
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Modal } from '../common';
+import QrCodeGenerator from './QrCodeGenerator.jsx';
+import { getPublicProfileUrl } from '../../utils/profileUrlUtils';
+
+const QrCodeModal = ({ isOpen, onClose, profile }) => {
+  if (!profile?.username) {
+    return null;
+  }
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Profile QR Code"
+      size="medium"
+    >
+      <QrCodeGenerator
+        url={getPublicProfileUrl(profile)}
+        username={profile.username}
+        name={profile.name}
+        avatarUrl={profile.avatar_url}
+      />
+    </Modal>
+  );
+};
+
+QrCodeModal.propTypes = {
+  /** Whether the modal is open */
+  isOpen: PropTypes.bool.isRequired,
+  /** Function to call when modal should be closed */
+  onClose: PropTypes.func.isRequired,
+  /** Profile whose public URL is encoded */
+  profile: PropTypes.shape({
+    username: PropTypes.string,
+    name: PropTypes.string,
+    avatar_url: PropTypes.string,
+    custom_domain: PropTypes.string,
+    custom_domain_verified_at: PropTypes.string,
+  }),
+};
+
+export default QrCodeModal;
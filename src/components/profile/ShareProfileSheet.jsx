@@ -0,0 +1,127 @@
+/**
+ * ShareProfileSheet - Share options for a public profile
+ *
+ * Features:
+ * - Copy the profile URL
+ * - Native share sheet where the browser supports it
+ * - QR code with SVG / PNG download
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { ChevronLeft, Copy, QrCode, Share2 } from 'lucide-react';
+import { Modal } from '../common';
+import QrCodeGenerator from './QrCodeGenerator.jsx';
+import { useAlerts } from '../../hooks';
+import { getPublicProfileUrl } from '../../utils/profileUrlUtils';
+
+const actionClass = `
+  w-full flex items-center space-x-3 p-3 min-h-[44px]
+  rounded-lg border border-gray-200 text-left text-gray-900
+  hover:bg-gray-50 transition-colors
+`;
+
+const ShareProfileSheet = ({ isOpen, onClose, profile }) => {
+  const { showSuccess, showError } = useAlerts();
+  const [showQrCode, setShowQrCode] = useState(false);
+
+  const url = getPublicProfileUrl(profile);
+  const displayName = profile?.name || `@${profile?.username}`;
+  const canNativeShare = typeof navigator !== 'undefined' && typeof navigator.share === 'function';
+
+  const handleClose = () => {
+    setShowQrCode(false);
+    onClose();
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      showSuccess({ title: 'Copied!', message: 'Profile URL copied to clipboard' }, { duration: 2000, position: 'bottom-center' });
+    } catch (error) {
+      console.error('[ShareProfileSheet] Failed to copy URL:', error);
+      showError({ title: 'Copy Failed', message: 'Could not copy URL to clipboard. Please try again.' });
+    }
+  };
+
+  const handleNativeShare = async () => {
+    try {
+      await navigator.share({ title: displayName, url });
+    } catch (error) {
+      // Closing the share sheet rejects with AbortError; nothing to report
+      if (error.name !== 'AbortError') {
+        console.error('[ShareProfileSheet] Failed to share:', error);
+      }
+    }
+  };
+
+  if (!profile?.username) {
+    return null;
+  }
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title={showQrCode ? 'QR Code' : 'Share Profile'}
+      size="medium"
+    >
+      {showQrCode ? (
+        <div className="space-y-4">
+          <button
+            type="button"
+            onClick={() => setShowQrCode(false)}
+            className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900 min-h-[44px]"
+          >
+            <ChevronLeft className="w-4 h-4 mr-1" />
+            Back
+          </button>
+          <QrCodeGenerator
+            url={url}
+            username={profile.username}
+            name={profile.name}
+            avatarUrl={profile.avatar_url}
+          />
+        </div>
+      ) : (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-600 truncate">{url}</p>
+
+          <button type="button" onClick={handleCopy} className={actionClass}>
+            <Copy className="w-5 h-5 text-golden-yellow flex-shrink-0" />
+            <span className="text-sm font-medium">Copy link</span>
+          </button>
+
+          {canNativeShare && (
+            <button type="button" onClick={handleNativeShare} className={actionClass}>
+              <Share2 className="w-5 h-5 text-golden-yellow flex-shrink-0" />
+              <span className="text-sm font-medium">Share via...</span>
+            </button>
+          )}
+
+          <button type="button" onClick={() => setShowQrCode(true)} className={actionClass}>
+            <QrCode className="w-5 h-5 text-golden-yellow flex-shrink-0" />
+            <span className="text-sm font-medium">QR code</span>
+          </button>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+ShareProfileSheet.propTypes = {
+  /** Whether the sheet is open */
+  isOpen: PropTypes.bool.isRequired,
+  /** Function to call when the sheet should be closed */
+  onClose: PropTypes.func.isRequired,
+  /** Profile being shared */
+  profile: PropTypes.shape({
+    username: PropTypes.string,
+    name: PropTypes.string,
+    avatar_url: PropTypes.string,
+    custom_domain: PropTypes.string,
+    custom_domain_verified_at: PropTypes.string,
+  }),
+};
+
+export default ShareProfileSheet;
@@ -0,0 +1,173 @@
+/**
+ * SocialLinksEditor - "Social Links" area of the profile settings
+ *
+ * Controlled list of social icons ({ platform, url }). Users pick a platform and
+ * type a handle or paste a profile URL; it's turned into the platform's profile
+ * URL before it's added. Changes are saved with the rest of the profile form.
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { ArrowDown, ArrowUp, Plus, X } from 'lucide-react';
+import { Button, Input } from '../common';
+import PlatformIcon from '../links/PlatformIcon.jsx';
+import { MAX_SOCIAL_LINKS } from '../../constants';
+import { getPlatformById } from '../../utils/platformUtils.js';
+import { getSocialPlatforms } from '../../utils/socialLinkUtils.js';
+import { validateSocialLink } from '../../utils/validators.js';
+
+const SocialLinksEditor = ({ links = [], onChange, disabled = false, className = '' }) => {
+  const availablePlatforms = getSocialPlatforms().filter(platform => !links.some(link => link.platform === platform.id));
+  const [platformId, setPlatformId] = useState(availablePlatforms[0]?.id || '');
+  const [value, setValue] = useState('');
+  const [touched, setTouched] = useState(false);
+
+  // Keep the picker on a platform that hasn't been added yet
+  const selectedPlatformId = availablePlatforms.some(platform => platform.id === platformId)
+    ? platformId
+    : availablePlatforms[0]?.id || '';
+  const validation = validateSocialLink(selectedPlatformId, value, links);
+  const isFull = links.length >= MAX_SOCIAL_LINKS || availablePlatforms.length === 0;
+
+  const handleAdd = () => {
+    setTouched(true);
+    if (!validation.isValid) return;
+
+    onChange([...links, { platform: selectedPlatformId, url: validation.url }]);
+    setValue('');
+    setTouched(false);
+  };
+
+  const handleKeyDown = (event) => {
+    // Enter adds the link instead of submitting the profile form
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      handleAdd();
+    }
+  };
+
+  const handleRemove = (index) => {
+    onChange(links.filter((_link, linkIndex) => linkIndex !== index));
+  };
+
+  const handleMove = (index, offset) => {
+    const next = [...links];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange(next);
+  };
+
+  return (
+    <section className={`space-y-3 ${className}`} aria-labelledby="social-links-heading">
+      <div>
+        <h3 id="social-links-heading" className="text-sm font-medium text-gray-700 md:text-base">
+          Social Links
+          <span className="text-gray-500 font-normal ml-1">(optional)</span>
+        </h3>
+        <p className="mt-1 text-xs text-gray-500 md:text-sm">
+          Shown as icons under your bio. Enter a username like @jane or paste your profile URL.
+        </p>
+      </div>
+
+      {links.length > 0 && (
+        <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+          {links.map((link, index) => {
+            const platform = getPlatformById(link.platform);
+            return (
+              <li key={link.platform} className="flex items-center pl-3 pr-1">
+                <PlatformIcon platform={platform} colored className="w-5 h-5 flex-shrink-0" />
+                <span className="ml-3 flex-1 min-w-0 truncate text-sm text-gray-700" title={link.url}>
+                  {link.url}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleMove(index, -1)}
+                  disabled={disabled || index === 0}
+                  className="flex items-center justify-center min-w-[44px] min-h-[44px] text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                  aria-label={`Move ${platform?.name || link.platform} up`}
+                >
+                  <ArrowUp className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleMove(index, 1)}
+                  disabled={disabled || index === links.length - 1}
+                  className="flex items-center justify-center min-w-[44px] min-h-[44px] text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                  aria-label={`Move ${platform?.name || link.platform} down`}
+                >
+                  <ArrowDown className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleRemove(index)}
+                  disabled={disabled}
+                  className="flex items-center justify-center min-w-[44px] min-h-[44px] text-gray-400 hover:text-red-600"
+                  aria-label={`Remove ${platform?.name || link.platform}`}
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {!isFull && (
+        <div className="space-y-2 sm:space-y-0 sm:flex sm:items-start sm:space-x-2">
+          <select
+            aria-label="Social platform"
+            value={selectedPlatformId}
+            onChange={(e) => setPlatformId(e.target.value)}
+            disabled={disabled}
+            className="w-full sm:w-40 px-3 py-2 min-h-[44px] border border-gray-300 rounded-lg bg-white text-base md:text-sm focus:ring-2 focus:ring-golden-yellow focus:border-golden-yellow"
+          >
+            {availablePlatforms.map(platform => (
+              <option key={platform.id} value={platform.id}>
+                {platform.name}
+              </option>
+            ))}
+          </select>
+          <div className="flex-1 min-w-0">
+            <Input
+              name="social_link"
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              onBlur={() => setTouched(!!value)}
+              onKeyDown={handleKeyDown}
+              placeholder="@username or profile URL"
+              error={validation.error}
+              touched={touched}
+              disabled={disabled}
+              autoComplete="off"
+            />
+          </div>
+          <Button
+            type="button"
+            variant="outline"
+            onClick={handleAdd}
+            disabled={disabled || !value.trim()}
+            className="w-full sm:w-auto py-3 text-base min-h-[44px] md:text-sm"
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            Add
+          </Button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+SocialLinksEditor.propTypes = {
+  /** Social links ({ platform, url }), in display order */
+  links: PropTypes.arrayOf(PropTypes.shape({
+    platform: PropTypes.string.isRequired,
+    url: PropTypes.string.isRequired,
+  })),
+  /** Function called with the updated list */
+  onChange: PropTypes.func.isRequired,
+  /** Disable editing (e.g. while the profile form saves) */
+  disabled: PropTypes.bool,
+  /** Additional CSS classes */
+  className: PropTypes.string,
+};
+
+export default SocialLinksEditor;
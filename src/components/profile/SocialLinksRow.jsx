@@ -0,0 +1,72 @@
+/**
+ * SocialLinksRow Component
+ *
+ * Compact row of social icons shown under the bio on public profiles. Only links
+ * that pass getRenderableSocialLinks are rendered. Icons use the profile theme's
+ * text color so they sit with the rest of the header.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import PlatformIcon from '../links/PlatformIcon.jsx';
+import { TOUCH_TARGETS } from '../../utils/mobileUtils';
+import { getRenderableSocialLinks } from '../../utils/socialLinkUtils.js';
+
+const SocialLinksRow = ({ links, align = 'center', className = '' }) => {
+  const socialLinks = getRenderableSocialLinks(links);
+
+  if (socialLinks.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul
+      className={`
+        flex flex-wrap items-center gap-1
+        ${align === 'left' ? 'justify-center sm:justify-start' : 'justify-center'}
+        ${className}
+      `}
+      aria-label="Social profiles"
+    >
+      {socialLinks.map(({ platform, url }) => (
+        <li key={platform.id}>
+          <a
+            href={url}
+            target="_blank"
+            rel="noopener noreferrer me"
+            aria-label={platform.name}
+            title={platform.name}
+            className={`
+              flex items-center justify-center
+              ${TOUCH_TARGETS.MIN}
+              rounded-full
+              text-theme-text
+              opacity-80
+              hover:opacity-100
+              focus:outline-none
+              focus:ring-2
+              focus:ring-theme-accent
+              transition-opacity
+            `}
+          >
+            <PlatformIcon platform={platform} className="w-5 h-5 sm:w-6 sm:h-6" />
+          </a>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+SocialLinksRow.propTypes = {
+  /** Stored social links ({ platform, url }), in display order */
+  links: PropTypes.arrayOf(PropTypes.shape({
+    platform: PropTypes.string,
+    url: PropTypes.string,
+  })),
+  /** Row alignment, matching the header layout */
+  align: PropTypes.oneOf(['center', 'left']),
+  /** Additional CSS classes */
+  className: PropTypes.string,
+};
+
+export default SocialLinksRow;
@@ -0,0 +1,219 @@
+/**
+ * ThemePicker - Choose and customise the public profile theme
+ *
+ * Features:
+ * - Built-in presets plus the default look
+ * - Custom background and accent colors
+ * - Button style, corner radius and font family options
+ * - Live preview rendered with the real ProfileHeader and LinkCard
+ * - Touch-friendly segmented controls
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Check } from 'lucide-react';
+import ProfileHeader from './ProfileHeader.jsx';
+import LinkCard from '../links/LinkCard.jsx';
+import {
+  THEME_BUTTON_STYLES,
+  THEME_CORNER_RADII,
+  THEME_FONTS,
+  THEME_OPTION_LABELS,
+  THEME_PRESETS,
+} from '../../constants';
+import { getThemeCssVariables, resolveTheme } from '../../utils/themeUtils';
+
+const PREVIEW_LINKS = [
+  { id: 'preview-1', title: 'My latest project', url: 'https://example.com/project' },
+  { id: 'preview-2', title: 'Read my blog', url: 'https://example.com/blog' },
+];
+
+const SEGMENTED_OPTIONS = [
+  { field: 'buttonStyle', label: 'Button style', values: Object.values(THEME_BUTTON_STYLES) },
+  { field: 'cornerRadius', label: 'Corners', values: Object.keys(THEME_CORNER_RADII) },
+];
+
+const ThemePicker = ({
+  value = null,
+  onChange,
+  previewProfile = {},
+  disabled = false,
+  className = '',
+}) => {
+  const resolved = value ? resolveTheme(value) : null;
+
+  const handlePresetSelect = (presetKey) => {
+    onChange(presetKey ? resolveTheme({ preset: presetKey }) : null);
+  };
+
+  const handleFieldChange = (field, fieldValue) => {
+    onChange({ ...resolved, [field]: fieldValue });
+  };
+
+  const renderColorField = (field, label) => (
+    <div className="flex items-center justify-between">
+      <label htmlFor={`theme-${field}`} className="text-sm text-gray-700">{label}</label>
+      <div className="flex items-center space-x-2">
+        <span className="text-xs font-mono text-gray-500 uppercase">{resolved[field]}</span>
+        <input
+          id={`theme-${field}`}
+          type="color"
+          value={resolved[field]}
+          onChange={(e) => handleFieldChange(field, e.target.value)}
+          disabled={disabled}
+          className="w-11 h-11 p-1 border border-gray-300 rounded-lg cursor-pointer bg-white"
+        />
+      </div>
+    </div>
+  );
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      {/* Presets */}
+      <div className="grid grid-cols-3 gap-2 sm:grid-cols-4" role="group" aria-label="Theme presets">
+        <button
+          type="button"
+          onClick={() => handlePresetSelect(null)}
+          disabled={disabled}
+          aria-pressed={!value}
+          className={`
+            relative flex flex-col items-center p-2 rounded-lg border-2 transition-colors duration-200
+            ${!value ? 'border-golden-yellow' : 'border-gray-200 hover:border-gray-300'}
+          `}
+        >
+          <span className="w-full h-8 rounded-md bg-gray-50 border border-gray-200" aria-hidden="true"></span>
+          <span className="mt-1 text-xs text-gray-700">Default</span>
+          {!value && <Check className="absolute top-1 right-1 w-3 h-3 text-golden-yellow" />}
+        </button>
+
+        {Object.entries(THEME_PRESETS).map(([key, preset]) => {
+          const isSelected = resolved?.preset === key;
+          return (
+            <button
+              key={key}
+              type="button"
+              onClick={() => handlePresetSelect(key)}
+              disabled={disabled}
+              aria-pressed={isSelected}
+              className={`
+                relative flex flex-col items-center p-2 rounded-lg border-2 transition-colors duration-200
+                ${isSelected ? 'border-golden-yellow' : 'border-gray-200 hover:border-gray-300'}
+              `}
+            >
+              <span
+                className="flex items-center justify-center w-full h-8 rounded-md border border-gray-200"
+                style={{ backgroundColor: preset.background }}
+                aria-hidden="true"
+              >
+                <span className="w-8 h-3 rounded-full" style={{ backgroundColor: preset.accentColor }}></span>
+              </span>
+              <span className="mt-1 text-xs text-gray-700">{preset.name}</span>
+              {isSelected && <Check className="absolute top-1 right-1 w-3 h-3 text-golden-yellow" />}
+            </button>
+          );
+        })}
+      </div>
+
+      {/* Customisation - only once a theme is chosen */}
+      {resolved && (
+        <div className="space-y-3 p-3 bg-gray-50 rounded-lg">
+          {renderColorField('background', 'Background')}
+          {renderColorField('accentColor', 'Accent color')}
+
+          {SEGMENTED_OPTIONS.map(option => (
+            <div key={option.field}>
+              <p className="text-sm text-gray-700 mb-1">{option.label}</p>
+              <div className="flex rounded-lg border border-gray-200 overflow-hidden" role="group" aria-label={option.label}>
+                {option.values.map(optionValue => (
+                  <button
+                    key={optionValue}
+                    type="button"
+                    onClick={() => handleFieldChange(option.field, optionValue)}
+                    disabled={disabled}
+                    aria-pressed={resolved[option.field] === optionValue}
+                    className={`
+                      flex-1 px-3 py-2 text-sm min-h-[44px] transition-colors duration-200
+                      ${resolved[option.field] === optionValue
+                        ? 'bg-golden-yellow text-white font-medium'
+                        : 'bg-white text-gray-600 hover:bg-gray-50'
+                      }
+                    `}
+                  >
+                    {THEME_OPTION_LABELS[option.field][optionValue]}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          <div>
+            <label htmlFor="theme-font" className="block text-sm text-gray-700 mb-1">Font</label>
+            <select
+              id="theme-font"
+              value={resolved.fontFamily}
+              onChange={(e) => handleFieldChange('fontFamily', e.target.value)}
+              disabled={disabled}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg bg-white text-base md:text-sm focus:ring-2 focus:ring-golden-yellow focus:border-golden-yellow"
+            >
+              {Object.keys(THEME_FONTS).map(fontKey => (
+                <option key={fontKey} value={fontKey}>
+                  {THEME_OPTION_LABELS.fontFamily[fontKey]}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+
+      {/* Live preview */}
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-2">Preview</p>
+        <div
+          className="bg-theme-page font-theme rounded-lg border border-gray-200 overflow-hidden pointer-events-none"
+          style={value ? getThemeCssVariables(value) : undefined}
+          aria-hidden="true"
+          data-testid="theme-preview"
+        >
+          <ProfileHeader
+            profile={previewProfile}
+            username={previewProfile.username || 'username'}
+            size="small"
+          />
+          <div className="px-4 pb-4 space-y-3">
+            {PREVIEW_LINKS.map(link => (
+              <LinkCard key={link.id} link={link} trackClick={false} showUrl={false} />
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+ThemePicker.propTypes = {
+  /** Current theme (null for the default look) */
+  value: PropTypes.shape({
+    preset: PropTypes.string,
+    background: PropTypes.string,
+    accentColor: PropTypes.string,
+    buttonStyle: PropTypes.string,
+    cornerRadius: PropTypes.string,
+    fontFamily: PropTypes.string,
+  }),
+  /** Called with the new theme object, or null when the default is chosen */
+  onChange: PropTypes.func.isRequired,
+  /** Profile data shown in the preview header */
+  previewProfile: PropTypes.shape({
+    name: PropTypes.string,
+    username: PropTypes.string,
+    bio: PropTypes.string,
+    avatar_url: PropTypes.string,
+    social_links: PropTypes.arrayOf(PropTypes.object),
+  }),
+  /** Disable all controls (e.g. while saving) */
+  disabled: PropTypes.bool,
+  /** Additional CSS classes */
+  className: PropTypes.string,
+};
+
+export default ThemePicker;
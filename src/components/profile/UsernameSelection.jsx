@@ -9,16 +9,22 @@
  * - Format validation (alphanumeric, hyphens, underscores)
  * - Mobile-optimized input design
  * - Visual feedback for availability status
+ * - Rejects route names, reserved words and look-alikes
+ * - One-tap suggestions from the email, Google name and taken username,
+ *   checked for availability in one batch
+ * - Explains the redirect window and limit for later changes
  */
 
 import React, { useEffect, useRef, useState } from 'react';
 import PropTypes from 'prop-types';
 import { Button, Input } from '../common';
 import { ProfileService } from '../../services';
-import { useAlerts } from '../../hooks';
+import { useAlerts, useUsernameSuggestions } from '../../hooks';
 import { validateUsername } from '../../utils/validators.js';
+import { VALIDATION_MESSAGES } from '../../constants/validationMessages';
+import { APP_CONFIG } from '../../constants';
 
-const UsernameSelection = ({ initialUsername, onComplete, userEmail }) => {
+const UsernameSelection = ({ initialUsername, onComplete, userEmail, userFullName }) => {
   const [username, setUsername] = useState(initialUsername || '');
   const [validationError, setValidationError] = useState('');
   const [touched, setTouched] = useState(false);
@@ -79,6 +85,15 @@ const UsernameSelection = ({ initialUsername, onComplete, userEmail }) => {
     return () => clearTimeout(timeoutId);
   }, [username, validationError, showSuccess, showError]);
 
+  // Suggest before anything is typed, and again when the typed username can't be used
+  const isUnusable = validationError === VALIDATION_MESSAGES.USERNAME_RESERVED || isAvailable === false;
+  const { data: suggestions } = useUsernameSuggestions({
+    username: isUnusable ? username : '',
+    email: userEmail,
+    fullName: userFullName,
+    enabled: !username || isUnusable,
+  });
+
   const handleUsernameChange = (e) => {
     const value = e.target.value;
     setUsername(value);
@@ -90,10 +105,9 @@ const UsernameSelection = ({ initialUsername, onComplete, userEmail }) => {
     // Validate format
     const validation = validateUsername(value);
     setValidationError(validation.error);
-    
-    if (!validation.isValid) {
-      setIsAvailable(null);
-    }
+
+    // The previous result belongs to the previous username
+    setIsAvailable(null);
   };
 
   const handleSubmit = (e) => {
@@ -135,9 +149,6 @@ const UsernameSelection = ({ initialUsername, onComplete, userEmail }) => {
 
   const canProceed = username && !validationError && isAvailable === true && !isChecking;
 
-  // Generate suggested username from email
-  const suggestedUsername = userEmail ? userEmail.split('@')[0].toLowerCase().replace(/[^a-z0-9]/g, '') : '';
-
   const getStatusIcon = () => {
     if (isChecking) return '⏳';
     if (isAvailable === true) return '✅';
@@ -196,6 +207,27 @@ const UsernameSelection = ({ initialUsername, onComplete, userEmail }) => {
               <span>{getStatusText()}</span>
             </div>
           )}
+
+          {/* Available suggestions */}
+          {suggestions.length > 0 && (
+            <div className="mt-3">
+              <p className="text-xs text-gray-500 mb-2 md:text-sm">
+                {username ? 'Available instead:' : 'Available for you:'}
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {suggestions.map(suggestion => (
+                  <button
+                    key={suggestion}
+                    type="button"
+                    onClick={() => handleUsernameChange({ target: { value: suggestion } })}
+                    className="px-3 min-h-[44px] rounded-full border border-golden-yellow/40 bg-mint-cream text-sm text-forest-green hover:bg-golden-yellow/10 transition-colors"
+                  >
+                    {suggestion}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Username requirements - Mobile optimized */}
@@ -206,22 +238,12 @@ const UsernameSelection = ({ initialUsername, onComplete, userEmail }) => {
             <li>Letters, numbers, hyphens, and underscores only</li>
             <li>Must start and end with a letter or number</li>
           </ul>
+          <p className="mt-2 text-xs text-gray-400">
+            You can change it later, once every {APP_CONFIG.USERNAME_CHANGE_INTERVAL_DAYS} days.
+            Your old link keeps redirecting for {APP_CONFIG.USERNAME_REDIRECT_DAYS} days after a change.
+          </p>
         </div>
 
-        {/* Suggested username - Mobile optimized */}
-        {suggestedUsername && suggestedUsername !== username && !username && (
-          <div className="p-3 bg-mint-cream rounded-lg border border-golden-yellow/30">
-            <p className="text-xs text-sage-gray mb-2 md:text-sm">Suggestion:</p>
-            <button
-              type="button"
-              onClick={() => setUsername(suggestedUsername)}
-              className="text-xs font-medium text-golden-yellow hover:text-golden-yellow/80 underline md:text-sm"
-            >
-              Use "{suggestedUsername}"
-            </button>
-          </div>
-        )}
-
         <Button
           type="submit"
           variant="primary"
@@ -239,10 +261,13 @@ UsernameSelection.propTypes = {
   initialUsername: PropTypes.string,
   onComplete: PropTypes.func.isRequired,
   userEmail: PropTypes.string.isRequired,
+  /** Full name from the auth provider (e.g. Google), used for suggestions */
+  userFullName: PropTypes.string,
 };
 
 UsernameSelection.defaultProps = {
   initialUsername: '',
+  userFullName: '',
 };
 
 export default UsernameSelection;
@@ -12,3 +12,12 @@ export { default as UsernameSelection } from './UsernameSelection.jsx';
 export { default as AvatarSelection } from './AvatarSelection.jsx';
 export { default as ProfileInformation } from './ProfileInformation.jsx';
 export { default as ProfileSettings } from './ProfileSettings.jsx';
+export { default as ThemePicker } from './ThemePicker.jsx';
+export { default as CustomDomainSection } from './CustomDomainSection.jsx';
+export { default as SocialLinksEditor } from './SocialLinksEditor.jsx';
+export { default as SocialLinksRow } from './SocialLinksRow.jsx';
+export { default as AccountDataSection } from './AccountDataSection.jsx';
+export { default as DeleteAccountModal } from './DeleteAccountModal.jsx';
+export { default as QrCodeGenerator } from './QrCodeGenerator.jsx';
+export { default as QrCodeModal } from './QrCodeModal.jsx';
+export { default as ShareProfileSheet } from './ShareProfileSheet.jsx';
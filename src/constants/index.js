@@ -7,29 +7,236 @@ export const APP_CONFIG = {
   MAX_LINKS_PER_USER: 150,
   USERNAME_MIN_LENGTH: 3,
   USERNAME_MAX_LENGTH: 30,
+  UNDO_DURATION: 6000, // How long (ms) the "Undo" action stays on a success alert
+  UNDO_STACK_LIMIT: 20, // Most recent link changes kept for undo
+  ACCOUNT_DELETION_GRACE_DAYS: 14, // Optional wait before a deleted account is purged
+  USERNAME_REDIRECT_DAYS: 30, // Old usernames stay reserved and redirect to the new one this long
+  USERNAME_CHANGE_INTERVAL_DAYS: 7, // Minimum wait between username changes
 };
 
 // Session management
 export { SESSION_CONFIG, SESSION_EVENTS } from './session.js';
 
+// Profile themes
+export {
+  DEFAULT_THEME_PRESET,
+  THEME_BUTTON_STYLES,
+  THEME_CORNER_RADII,
+  THEME_FONTS,
+  THEME_OPTION_LABELS,
+  THEME_PRESETS,
+} from './themes.js';
+
 // Route paths
+// Top-level paths are reserved as usernames (see utils/usernameUtils.js)
 export const ROUTES = {
   HOME: '/',
+  LOGIN: '/login',
+  RESET_PASSWORD: '/reset-password',
+  VERIFY_EMAIL: '/verify-email',
+  CHECK_EMAIL: '/check-email',
   DASHBOARD: '/dashboard',
+  LINKS: '/links',
+  ANALYTICS: '/analytics',
   PROFILE_SETUP: '/setup',
+  TEST_ERRORS: '/test-errors',
+  GO_LINK: '/go/:id', // Short link for links without a slug
   PUBLIC_PROFILE: '/:username',
+  SHORT_LINK: '/:username/:slug',
 };
 
+// Reserved and blocked usernames
+export {
+  RESERVED_USERNAMES,
+  USERNAME_BLOCKLIST,
+  USERNAME_CONFUSABLES,
+  USERNAME_SUGGESTION_BATCH_SIZE,
+  USERNAME_SUGGESTION_COUNT,
+} from './usernames.js';
+
+// Link URL safety: blocked domains, shorteners and look-alike letters
+export { BLOCKED_LINK_DOMAINS, HOMOGRAPH_LOOKALIKES, LINK_SHORTENER_DOMAINS } from './urlSafety.js';
+
+// Link platforms (brand icons and colors by hostname) and profile social icons
+export { DEFAULT_LINK_PLATFORM, LINK_PLATFORMS, MAX_SOCIAL_LINKS, SOCIAL_PLATFORMS } from './platforms.js';
+
 // API endpoints (if needed for external APIs)
 export const API_ENDPOINTS = {
   // Example: EXTERNAL_API: 'https://api.example.com',
 };
 
+// Analytics configuration
+export const ANALYTICS_CONFIG = {
+  DEFAULT_RANGE_DAYS: 30,
+  DEVICE_TYPES: {
+    MOBILE: 'mobile',
+    TABLET: 'tablet',
+    DESKTOP: 'desktop',
+  },
+  // Referrers are stored as hostnames; longer values are truncated
+  MAX_REFERRER_LENGTH: 255,
+  // Repeat views of the same profile by the same visitor within this window count once
+  VIEW_DEDUP_WINDOW: 30 * 60 * 1000, // 30 minutes
+  // LocalStorage keys for anonymous visitor identification
+  VISITOR_ID_KEY: 'lynqee_visitor_id',
+  RECENT_VIEWS_KEY: 'lynqee_recent_views',
+  // Selectable ranges on the analytics page, in days
+  RANGE_OPTIONS: [7, 30, 90],
+  // Number of entries shown in top referrer / device breakdowns
+  TOP_LIST_LIMIT: 5,
+  // Event rows fetched per request; must not exceed the API's max rows (1000 by default)
+  QUERY_PAGE_SIZE: 1000,
+};
+
+// Item types stored in the links table - headers group the links that follow them
+export const LINK_TYPES = {
+  LINK: 'link',
+  HEADER: 'header',
+};
+
+// Bulk actions available in the link manager selection mode
+export const BULK_LINK_ACTIONS = {
+  DELETE: 'delete',
+  DUPLICATE: 'duplicate',
+  MOVE_TOP: 'move_top',
+  MOVE_BOTTOM: 'move_bottom',
+  HIDE: 'hide',
+  SHOW: 'show',
+};
+
+// Link import: accepted input formats and the status of each previewed row
+export const LINK_IMPORT_FORMATS = {
+  JSON: 'json',
+  CSV: 'csv',
+  TEXT: 'text',
+};
+
+export const LINK_IMPORT_STATUS = {
+  READY: 'ready',
+  INVALID: 'invalid',
+  DUPLICATE: 'duplicate',
+  OVER_LIMIT: 'over_limit',
+};
+
+export const LINK_IMPORT_CONFIG = {
+  MAX_FILE_SIZE: 1024 * 1024, // 1MB
+  ACCEPTED_FILE_TYPES: '.json,.csv,.txt,application/json,text/csv,text/plain',
+};
+
+// Title, preview image and favicon looked up when a URL is entered in the link form
+export const LINK_METADATA_CONFIG = {
+  FUNCTION_NAME: 'fetch-link-metadata', // Edge function that fetches pages server-side (no CORS)
+  FETCH_TIMEOUT: 8000, // 8 seconds
+  MAX_HTML_LENGTH: 512 * 1024, // Only the head is parsed; the rest of large pages is dropped
+  DEBOUNCE_DELAY: 600, // Wait for typing to pause before fetching
+};
+
+// Short links (/:username/:slug) that count the click and redirect to the link URL
+export const LINK_SLUG_CONFIG = {
+  LENGTH: 6,
+  ALPHABET: 'abcdefghjkmnpqrstuvwxyz23456789', // No 0/o, 1/l/i, so slugs can be read out loud
+  TRACKING_TIMEOUT: 1500, // Redirect even if recording the click is slow
+};
+
+// Link health checks: each link URL is requested to find dead pages, redirects and TLS errors
+export const LINK_HEALTH_CONFIG = {
+  FUNCTION_NAME: 'check-link-health', // Edge function that requests one URL server-side (no CORS)
+  REQUEST_TIMEOUT: 10000, // 10 seconds per request (each redirect is a request)
+  MAX_REDIRECTS: 5,
+  RECHECK_INTERVAL: 24 * 60 * 60 * 1000, // Links checked longer ago than this are checked again
+  POLL_INTERVAL: 60 * 60 * 1000, // How often an open dashboard looks for links due a check
+};
+
+// Result of a link health check (stored in the link's `health` column)
+export const LINK_HEALTH_STATUS = {
+  OK: 'ok',
+  REDIRECTED: 'redirected',
+  BROKEN: 'broken',
+  TLS_ERROR: 'tls_error',
+  UNREACHABLE: 'unreachable',
+};
+
+// Campaign (UTM) tags, in builder order; values are stored in the link URL's query string
+export const UTM_PARAMETERS = [
+  { key: 'utm_source', label: 'Source', placeholder: 'e.g., instagram' },
+  { key: 'utm_medium', label: 'Medium', placeholder: 'e.g., social' },
+  { key: 'utm_campaign', label: 'Campaign', placeholder: 'e.g., spring_sale' },
+  { key: 'utm_term', label: 'Term', placeholder: 'e.g., running+shoes' },
+  { key: 'utm_content', label: 'Content', placeholder: 'e.g., bio_link' },
+];
+
+// Account data export document; bump VERSION when the shape changes
+export const ACCOUNT_EXPORT = {
+  FORMAT: 'lynqee-account-export',
+  VERSION: 2,
+  MAX_FILE_SIZE: 5 * 1024 * 1024, // 5MB, room for the avatar as a data URL
+  // Profile columns written to the export; tokens and internal state are left out
+  PROFILE_FIELDS: ['username', 'name', 'bio', 'theme', 'social_links', 'utm_defaults', 'custom_domain', 'created_at'],
+  // Link columns carried over when an account export is re-imported (besides title,
+  // url, type, is_collapsible and is_public); ids, slugs and stats are not
+  LINK_FIELDS: ['starts_at', 'ends_at', 'platform', 'thumbnail_url', 'favicon_url'],
+};
+
+// Steps of a permanent account deletion, in the order they run (also by the scheduled
+// purge in scripts/purge-deleted-accounts.js)
+export const ACCOUNT_DELETION_STEPS = {
+  ANALYTICS: 'analytics',
+  LINKS: 'links',
+  AVATAR: 'avatar',
+  USERNAME_HISTORY: 'username_history',
+  PROFILE: 'profile',
+  AUTH_USER: 'auth_user',
+  SIGN_OUT: 'sign_out',
+};
+
+// Custom domains for public profiles
+export const CUSTOM_DOMAIN_CONFIG = {
+  VERIFICATION_RECORD_PREFIX: '_lynqee', // Owners add a TXT record at _lynqee.<domain>
+  VERIFICATION_TOKEN_PREFIX: 'lynqee-verification=',
+};
+
+// Head tags for shared profile links (search engines, chat apps, social networks)
+export const SEO_CONFIG = {
+  SITE_NAME: 'Lynqee',
+  DEFAULT_DESCRIPTION: 'All your important links on one simple, mobile-friendly page.',
+  DESCRIPTION_MAX_LENGTH: 160,
+  HEAD_ATTRIBUTE: 'data-lynqee-head', // Marks tags owned by useDocumentHead and the prerender script
+};
+
+// QR code error correction levels (share of the code that can be damaged: 7%, 15%, 25%, 30%)
+export const QR_ERROR_CORRECTION = {
+  LOW: 'L',
+  MEDIUM: 'M',
+  QUARTILE: 'Q',
+  HIGH: 'H',
+};
+
+// QR code generator options
+export const QR_CODE_CONFIG = {
+  SIZES: [256, 512, 1024], // Download sizes in pixels
+  DEFAULT_SIZE: 512,
+  DEFAULT_ERROR_CORRECTION: QR_ERROR_CORRECTION.MEDIUM,
+  MARGIN: 4, // Quiet zone in modules, as required by the spec
+  AVATAR_SIZE_RATIO: 0.22, // Avatar width relative to the code
+  // A centered avatar hides modules, so it needs at least this level
+  AVATAR_ERROR_CORRECTION: [QR_ERROR_CORRECTION.QUARTILE, QR_ERROR_CORRECTION.HIGH],
+};
+
+// Scheduled link states shown in the link manager
+export const LINK_SCHEDULE_STATUS = {
+  SCHEDULED: 'scheduled',
+  LIVE: 'live',
+  EXPIRED: 'expired',
+};
+
 // Validation rules
 export const VALIDATION_RULES = {
   USERNAME_PATTERN: /^[a-zA-Z0-9_-]+$/,
   URL_PATTERN: /^https?:\/\/.+/,
   EMAIL_PATTERN: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  // Lowercase hostname with at least two labels, e.g. links.brand.com
+  DOMAIN_PATTERN: /^(?=.{4,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/,
+  UTM_VALUE_MAX_LENGTH: 100,
 };
 
 // UI constants
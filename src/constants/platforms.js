@@ -0,0 +1,78 @@
+/**
+ * Link platform constants
+ *
+ * Maps link hostnames to the platform they belong to, so links can show a brand
+ * icon and accent color. A host matches itself and its subdomains ("youtube.com"
+ * covers "m.youtube.com"). Icons live in components/links/PlatformIcon.jsx; more
+ * platforms can be added at runtime with registerPlatform (utils/platformUtils.js).
+ *
+ * SOCIAL_PLATFORMS lists the platforms offered as profile social icons and how a
+ * handle becomes a profile URL (see utils/socialLinkUtils.js).
+ */
+
+// Generic fallback, also used as the "no brand icon" override
+export const DEFAULT_LINK_PLATFORM = 'website';
+
+export const LINK_PLATFORMS = [
+  { id: 'youtube', name: 'YouTube', hosts: ['youtube.com', 'youtu.be'], color: '#FF0000' },
+  { id: 'instagram', name: 'Instagram', hosts: ['instagram.com', 'instagr.am'], color: '#E4405F' },
+  { id: 'tiktok', name: 'TikTok', hosts: ['tiktok.com'], color: '#010101' },
+  { id: 'twitter', name: 'X (Twitter)', hosts: ['twitter.com', 'x.com', 't.co'], color: '#000000' },
+  { id: 'facebook', name: 'Facebook', hosts: ['facebook.com', 'fb.com', 'fb.me'], color: '#1877F2' },
+  { id: 'threads', name: 'Threads', hosts: ['threads.net', 'threads.com'], color: '#000000' },
+  { id: 'bluesky', name: 'Bluesky', hosts: ['bsky.app'], color: '#0085FF' },
+  { id: 'linkedin', name: 'LinkedIn', hosts: ['linkedin.com', 'lnkd.in'], color: '#0A66C2' },
+  { id: 'github', name: 'GitHub', hosts: ['github.com', 'github.io'], color: '#181717' },
+  { id: 'gitlab', name: 'GitLab', hosts: ['gitlab.com'], color: '#FC6D26' },
+  { id: 'spotify', name: 'Spotify', hosts: ['spotify.com', 'spotify.link'], color: '#1DB954' },
+  { id: 'apple-music', name: 'Apple Music', hosts: ['music.apple.com'], color: '#FA243C' },
+  { id: 'apple-podcasts', name: 'Apple Podcasts', hosts: ['podcasts.apple.com'], color: '#9933CC' },
+  { id: 'soundcloud', name: 'SoundCloud', hosts: ['soundcloud.com'], color: '#FF5500' },
+  { id: 'twitch', name: 'Twitch', hosts: ['twitch.tv'], color: '#9146FF' },
+  { id: 'vimeo', name: 'Vimeo', hosts: ['vimeo.com'], color: '#1AB7EA' },
+  { id: 'pinterest', name: 'Pinterest', hosts: ['pinterest.com', 'pin.it'], color: '#BD081C' },
+  { id: 'snapchat', name: 'Snapchat', hosts: ['snapchat.com'], color: '#FFFC00' },
+  { id: 'reddit', name: 'Reddit', hosts: ['reddit.com', 'redd.it'], color: '#FF4500' },
+  { id: 'discord', name: 'Discord', hosts: ['discord.gg', 'discord.com'], color: '#5865F2' },
+  { id: 'telegram', name: 'Telegram', hosts: ['t.me', 'telegram.me', 'telegram.org'], color: '#26A5E4' },
+  { id: 'whatsapp', name: 'WhatsApp', hosts: ['wa.me', 'whatsapp.com'], color: '#25D366' },
+  { id: 'slack', name: 'Slack', hosts: ['slack.com'], color: '#4A154B' },
+  { id: 'dribbble', name: 'Dribbble', hosts: ['dribbble.com'], color: '#EA4C89' },
+  { id: 'behance', name: 'Behance', hosts: ['behance.net'], color: '#1769FF' },
+  { id: 'figma', name: 'Figma', hosts: ['figma.com'], color: '#F24E1E' },
+  { id: 'codepen', name: 'CodePen', hosts: ['codepen.io'], color: '#000000' },
+  { id: 'medium', name: 'Medium', hosts: ['medium.com'], color: '#000000' },
+  { id: 'substack', name: 'Substack', hosts: ['substack.com'], color: '#FF6719' },
+  { id: 'patreon', name: 'Patreon', hosts: ['patreon.com'], color: '#FF424D' },
+  { id: 'kofi', name: 'Ko-fi', hosts: ['ko-fi.com', 'buymeacoffee.com'], color: '#FF5E5B' },
+  { id: 'etsy', name: 'Etsy', hosts: ['etsy.com'], color: '#F16521' },
+  { id: 'calendly', name: 'Calendly', hosts: ['calendly.com'], color: '#006BFF' },
+  { id: DEFAULT_LINK_PLATFORM, name: 'Website', hosts: [], color: '#6B7280' },
+];
+
+// Social icons under the bio: "{0}" in profileUrl is the handle without a leading "@",
+// handlePattern is what the platform accepts as a username. Listed in picker order.
+export const SOCIAL_PLATFORMS = {
+  instagram: { profileUrl: 'https://www.instagram.com/{0}', handlePattern: /^[a-z0-9._]{1,30}$/i },
+  tiktok: { profileUrl: 'https://www.tiktok.com/@{0}', handlePattern: /^[a-z0-9._]{2,24}$/i },
+  youtube: { profileUrl: 'https://www.youtube.com/@{0}', handlePattern: /^[a-z0-9._-]{3,30}$/i },
+  twitter: { profileUrl: 'https://x.com/{0}', handlePattern: /^[a-z0-9_]{1,15}$/i },
+  threads: { profileUrl: 'https://www.threads.net/@{0}', handlePattern: /^[a-z0-9._]{1,30}$/i },
+  bluesky: { profileUrl: 'https://bsky.app/profile/{0}', handlePattern: /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i },
+  facebook: { profileUrl: 'https://www.facebook.com/{0}', handlePattern: /^[a-z0-9.]{5,50}$/i },
+  linkedin: { profileUrl: 'https://www.linkedin.com/in/{0}', handlePattern: /^[a-z0-9-]{3,100}$/i },
+  github: { profileUrl: 'https://github.com/{0}', handlePattern: /^[a-z0-9](?:[a-z0-9-]{0,38})$/i },
+  twitch: { profileUrl: 'https://www.twitch.tv/{0}', handlePattern: /^[a-z0-9_]{4,25}$/i },
+  snapchat: { profileUrl: 'https://www.snapchat.com/add/{0}', handlePattern: /^[a-z][a-z0-9._-]{2,14}$/i },
+  pinterest: { profileUrl: 'https://www.pinterest.com/{0}', handlePattern: /^[a-z0-9_]{3,30}$/i },
+  reddit: { profileUrl: 'https://www.reddit.com/user/{0}', handlePattern: /^[a-z0-9_-]{3,20}$/i },
+  telegram: { profileUrl: 'https://t.me/{0}', handlePattern: /^[a-z][a-z0-9_]{4,31}$/i },
+  soundcloud: { profileUrl: 'https://soundcloud.com/{0}', handlePattern: /^[a-z0-9_-]{3,25}$/i },
+  dribbble: { profileUrl: 'https://dribbble.com/{0}', handlePattern: /^[a-z0-9_-]{2,20}$/i },
+  behance: { profileUrl: 'https://www.behance.net/{0}', handlePattern: /^[a-z0-9_-]{3,20}$/i },
+  medium: { profileUrl: 'https://medium.com/@{0}', handlePattern: /^[a-z0-9._]{1,30}$/i },
+  substack: { profileUrl: 'https://{0}.substack.com', handlePattern: /^[a-z0-9-]{1,63}$/i },
+  patreon: { profileUrl: 'https://www.patreon.com/{0}', handlePattern: /^[a-z0-9_]{1,64}$/i },
+};
+
+export const MAX_SOCIAL_LINKS = 10;
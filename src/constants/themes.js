@@ -0,0 +1,101 @@
+/**
+ * Profile theme constants
+ *
+ * A theme is stored on the profile as a small JSON object:
+ *   { preset, background, accentColor, buttonStyle, cornerRadius, fontFamily }
+ * Presets provide complete starting points; any field can then be customised.
+ * Rendering goes through CSS variables (see utils/themeUtils.js and the `theme` colors in
+ * tailwind.config.js).
+ */
+
+export const THEME_BUTTON_STYLES = {
+  FILLED: 'filled',
+  OUTLINE: 'outline',
+  SOFT: 'soft',
+};
+
+export const THEME_CORNER_RADII = {
+  square: '0',
+  rounded: '1rem',
+  pill: '9999px',
+};
+
+export const THEME_FONTS = {
+  system: "system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+  serif: "Georgia, Cambria, 'Times New Roman', Times, serif",
+  mono: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace",
+  rounded: "ui-rounded, 'SF Pro Rounded', 'Nunito', 'Varela Round', system-ui, sans-serif",
+};
+
+// Human readable labels for the theme picker
+export const THEME_OPTION_LABELS = {
+  buttonStyle: {
+    filled: 'Filled',
+    outline: 'Outline',
+    soft: 'Soft',
+  },
+  cornerRadius: {
+    square: 'Square',
+    rounded: 'Rounded',
+    pill: 'Pill',
+  },
+  fontFamily: {
+    system: 'System',
+    serif: 'Serif',
+    mono: 'Mono',
+    rounded: 'Rounded',
+  },
+};
+
+export const THEME_PRESETS = {
+  classic: {
+    name: 'Classic',
+    background: '#ffffff',
+    accentColor: '#d97706',
+    buttonStyle: THEME_BUTTON_STYLES.OUTLINE,
+    cornerRadius: 'rounded',
+    fontFamily: 'system',
+  },
+  forest: {
+    name: 'Forest',
+    background: '#00473e',
+    accentColor: '#faae2b',
+    buttonStyle: THEME_BUTTON_STYLES.FILLED,
+    cornerRadius: 'rounded',
+    fontFamily: 'system',
+  },
+  mint: {
+    name: 'Mint',
+    background: '#f2f7f5',
+    accentColor: '#00473e',
+    buttonStyle: THEME_BUTTON_STYLES.SOFT,
+    cornerRadius: 'rounded',
+    fontFamily: 'rounded',
+  },
+  midnight: {
+    name: 'Midnight',
+    background: '#0f172a',
+    accentColor: '#38bdf8',
+    buttonStyle: THEME_BUTTON_STYLES.OUTLINE,
+    cornerRadius: 'pill',
+    fontFamily: 'mono',
+  },
+  sunset: {
+    name: 'Sunset',
+    background: '#fff7ed',
+    accentColor: '#fa5246',
+    buttonStyle: THEME_BUTTON_STYLES.FILLED,
+    cornerRadius: 'pill',
+    fontFamily: 'rounded',
+  },
+  paper: {
+    name: 'Paper',
+    background: '#fdfaf3',
+    accentColor: '#374151',
+    buttonStyle: THEME_BUTTON_STYLES.OUTLINE,
+    cornerRadius: 'square',
+    fontFamily: 'serif',
+  },
+};
+
+export const DEFAULT_THEME_PRESET = 'classic';
@@ -0,0 +1,36 @@
+/**
+ * Link URL safety constants
+ *
+ * Local lists used by utils/urlSafetyUtils.js to refuse links that could be used for
+ * phishing. Matching covers subdomains ("bit.ly" also blocks "www.bit.ly"). More
+ * domains can be added at runtime with registerBlockedDomains, e.g. from a feed.
+ */
+
+// Domains known to host phishing or malware (Safe Browsing test pages included so
+// the check can be tried without a real threat)
+export const BLOCKED_LINK_DOMAINS = [
+  'testsafebrowsing.appspot.com',
+  'malware.testing.google.test',
+];
+
+// General-purpose shorteners hide where a link really goes; platform short links
+// that stay on the platform (youtu.be, lnkd.in, ...) are fine
+export const LINK_SHORTENER_DOMAINS = [
+  'bit.ly',
+  'bitly.com',
+  'buff.ly',
+  'cutt.ly',
+  'goo.gl',
+  'is.gd',
+  'ow.ly',
+  'rb.gy',
+  'rebrand.ly',
+  'shorturl.at',
+  't.ly',
+  'tiny.cc',
+  'tinyurl.com',
+  'v.gd',
+];
+
+// Cyrillic and Greek letters that pass for Latin ones in a hostname ("аррӏе.com")
+export const HOMOGRAPH_LOOKALIKES = 'аеорсухіјѕԁһӏԛԝүкмнтвзαβεικνορτυχϲϳ';
@@ -0,0 +1,82 @@
+/**
+ * Username reservation constants
+ *
+ * Usernames live at the root of the site (/:username), so every top-level route is
+ * reserved automatically (see utils/usernameUtils.js, which reads ROUTES). The lists
+ * below add words that aren't routes yet and words that shouldn't be public handles.
+ * Matching ignores case, "-" / "_" and look-alike characters, so "Log_1n" matches "login".
+ */
+
+// Matched against the whole username
+export const RESERVED_USERNAMES = [
+  'about',
+  'account',
+  'admin',
+  'administrator',
+  'api',
+  'app',
+  'assets',
+  'auth',
+  'blog',
+  'contact',
+  'explore',
+  'go',
+  'help',
+  'home',
+  'lynqee',
+  'moderator',
+  'official',
+  'pricing',
+  'privacy',
+  'profile',
+  'register',
+  'root',
+  'security',
+  'settings',
+  'signin',
+  'signup',
+  'staff',
+  'static',
+  'status',
+  'support',
+  'system',
+  'terms',
+  'user',
+  'www',
+];
+
+// Offensive words, matched against whole words of the username (split at "-", "_" and
+// capital letters) so names like "scunthorpe" stay allowed; list each form to block
+export const USERNAME_BLOCKLIST = [
+  'asshole',
+  'bitch',
+  'bitches',
+  'cunt',
+  'fuck',
+  'fucker',
+  'fucking',
+  'nazi',
+  'shit',
+  'shithead',
+  'shitposter',
+  'whore',
+];
+
+// ASCII look-alikes folded to the letter they imitate, longest first
+export const USERNAME_CONFUSABLES = [
+  ['rn', 'm'],
+  ['vv', 'w'],
+  ['0', 'o'],
+  ['1', 'l'],
+  ['i', 'l'],
+  ['3', 'e'],
+  ['4', 'a'],
+  ['5', 's'],
+  ['7', 't'],
+  ['8', 'b'],
+  ['9', 'g'],
+];
+
+// Username suggestions: how many to show, and how many candidates to check at once
+export const USERNAME_SUGGESTION_COUNT = 5;
+export const USERNAME_SUGGESTION_BATCH_SIZE = 30;
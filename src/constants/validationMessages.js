@@ -20,6 +20,9 @@ export const VALIDATION_MESSAGES = {
   USERNAME_INVALID_CHARS: 'Username can only contain letters, numbers, hyphens, and underscores',
   USERNAME_TAKEN: 'This username is already taken',
   USERNAME_NOT_AVAILABLE: 'This username is not available',
+  USERNAME_RESERVED: 'This username is reserved. Please choose another one',
+  USERNAME_NOT_ALLOWED: 'This username is not allowed. Please choose another one',
+  USERNAME_CHANGE_TOO_SOON: 'You can change your username again on {0}',
   
   // Link validation
   LINK_TITLE_REQUIRED: 'Link title is required',
@@ -30,14 +33,33 @@ export const VALIDATION_MESSAGES = {
   LINK_URL_INVALID: 'Please enter a valid URL',
   LINK_URL_PROTOCOL_REQUIRED: 'URL must start with http:// or https://',
   LINK_URL_PRIVATE_NETWORK: 'Local and private network URLs are not allowed',
+  LINK_URL_UNSAFE_SCHEME: 'JavaScript, data and file links are not allowed',
+  LINK_URL_CREDENTIALS: 'URLs can\'t include a username or password before the domain',
+  LINK_URL_HOMOGRAPH: 'This domain uses look-alike characters and may be impersonating another site',
+  LINK_URL_BLOCKED_DOMAIN: 'This domain is blocked because it is known to be unsafe',
+  LINK_URL_SHORTENER: 'Link shorteners hide where a link goes. Please use the full URL',
   LINK_URL_INVALID_DOMAIN: 'Please enter a valid URL with a proper domain',
   LINK_URL_TOO_LONG: 'URL must be no more than 500 characters',
   LINK_URL_INVALID_CHARS: 'URL cannot contain spaces or line breaks',
   LINK_LIMIT_EXCEEDED: 'You have reached the maximum number of links allowed for your profile',
+  LINK_SCHEDULE_INVALID_DATE: 'Please enter a valid date and time',
+  LINK_SCHEDULE_END_BEFORE_START: 'End time must be after the start time',
+  UTM_VALUE_TOO_LONG: '{0} must be {1} characters or less',
+  UTM_VALUE_INVALID_CHARS: '{0} cannot contain line breaks',
   
   // Profile validation
   PROFILE_NAME_TOO_LONG: 'Name must be 50 characters or less',
   PROFILE_BIO_TOO_LONG: 'Bio must be {0} characters or less',
+  CUSTOM_DOMAIN_REQUIRED: 'Domain is required',
+  CUSTOM_DOMAIN_INVALID: 'Enter a domain like links.yourbrand.com',
+  CUSTOM_DOMAIN_RESERVED: 'This domain belongs to Lynqee and cannot be connected',
+  CUSTOM_DOMAIN_TAKEN: 'This domain is already connected to another profile',
+  SOCIAL_LINK_REQUIRED: 'Enter a username or profile URL',
+  SOCIAL_LINK_PLATFORM_INVALID: 'Choose a platform from the list',
+  SOCIAL_HANDLE_INVALID: 'This doesn\'t look like a {0} username',
+  SOCIAL_LINK_WRONG_PLATFORM: 'This URL doesn\'t point to {0}',
+  SOCIAL_LINK_DUPLICATE: 'You already added {0}',
+  SOCIAL_LINKS_LIMIT: 'You can add up to {0} social links',
   
   // Dynamic duplicate messages
   LINK_URL_DUPLICATE: 'This URL already exists in your links: "{0}"',
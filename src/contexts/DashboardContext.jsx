@@ -13,6 +13,8 @@ import React, { createContext, useContext, useEffect, useMemo, useState } from '
 import PropTypes from 'prop-types';
 import { useProfile } from './ProfileContext.jsx';
 import { useLinks } from './LinksContext.jsx';
+import { getLinkVisibilityCounts } from '../utils/linkUtils.js';
+import { getLinkHealthCounts } from '../utils/linkHealthUtils.js';
 
 const DashboardContext = createContext(null);
 
@@ -23,16 +25,24 @@ export const DashboardProvider = ({ children }) => {
   // Dashboard-specific computed state
   const [dashboardStats, setDashboardStats] = useState({
     totalLinks: 0,
+    publicLinks: 0,
+    privateLinks: 0,
+    brokenLinks: 0,
     totalClicks: 0,
     profileViews: 0
   });
 
   // Auto-update stats when links data changes
   useEffect(() => {
+    const visibility = getLinkVisibilityCounts(linksData || []);
     const newStats = { 
-      totalLinks: linksData?.length || 0, 
-      totalClicks: 0, // TODO: Implement click tracking
-      profileViews: 0 // TODO: Implement view tracking
+      totalLinks: visibility.total, 
+      publicLinks: visibility.public,
+      privateLinks: visibility.private,
+      brokenLinks: getLinkHealthCounts(linksData || []).broken,
+      // Clicks and views come from useUserAnalytics
+      totalClicks: 0,
+      profileViews: 0
     };
     setDashboardStats(newStats);
   }, [linksData]);
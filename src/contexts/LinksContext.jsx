@@ -5,15 +5,17 @@
  * - Links data caching
  * - Background data refresh
  * - Optimistic updates
+ * - Undo stack for recent link mutations
  * - Loading states
  * 
  * Part of the state management refactoring to break down AppStateContext
  * into smaller, more maintainable domain-specific contexts.
  */
 
-import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
 import PropTypes from 'prop-types';
 import { useAuth } from './AuthContext.jsx';
+import { APP_CONFIG } from '../constants';
 
 const LinksContext = createContext(null);
 
@@ -24,6 +26,10 @@ export const LinksProvider = ({ children }) => {
   const [linksData, setLinksData] = useState([]);
   const [isRefreshingLinks, setIsRefreshingLinks] = useState(false);
 
+  // Undo stack (most recent last); entries expire after APP_CONFIG.UNDO_DURATION
+  const undoStackRef = useRef([]);
+  const [undoCount, setUndoCount] = useState(0);
+
   /**
    * Update links data with support for functional updates
    * @param {Array|Function} linksOrUpdater - Array of links or updater function
@@ -89,11 +95,69 @@ export const LinksProvider = ({ children }) => {
     setLinksData(current => current.filter(link => link.id !== linkId));
   }, []);
 
+  /**
+   * Update a link optimistically (for immediate UI feedback)
+   * @param {string} linkId - The ID of the link to update
+   * @param {Object} updates - Fields to merge into the link
+   */
+  const updateLinkOptimistic = useCallback((linkId, updates) => {
+    setLinksData(current => current.map(link => (
+      link.id === linkId ? { ...link, ...updates } : link
+    )));
+  }, []);
+
+  /**
+   * Drop expired entries from the undo stack
+   * @returns {Array} The live entries
+   */
+  const pruneUndoStack = useCallback(() => {
+    const now = Date.now();
+    undoStackRef.current = undoStackRef.current.filter(entry => entry.expiresAt > now);
+    setUndoCount(undoStackRef.current.length);
+    return undoStackRef.current;
+  }, []);
+
+  /**
+   * Push an undoable link mutation onto the stack
+   * @param {Object} entry - Undo entry
+   * @param {string} entry.id - Unique entry ID
+   * @param {string} entry.label - Short description of the change
+   * @param {Function} entry.undo - Async function reverting the change, resolves to a service response
+   */
+  const pushUndo = useCallback((entry) => {
+    const live = pruneUndoStack();
+    undoStackRef.current = [
+      ...live,
+      { ...entry, expiresAt: Date.now() + APP_CONFIG.UNDO_DURATION },
+    ].slice(-APP_CONFIG.UNDO_STACK_LIMIT);
+    setUndoCount(undoStackRef.current.length);
+  }, [pruneUndoStack]);
+
+  /**
+   * Remove an entry from the undo stack so it can be run exactly once
+   * @param {string} [entryId] - Entry to take; defaults to the most recent one
+   * @returns {Object|null} The entry, or null if it expired or was already taken
+   */
+  const takeUndo = useCallback((entryId) => {
+    const live = pruneUndoStack();
+    const entry = entryId
+      ? live.find(item => item.id === entryId)
+      : live[live.length - 1];
+
+    if (!entry) return null;
+
+    undoStackRef.current = live.filter(item => item !== entry);
+    setUndoCount(undoStackRef.current.length);
+    return entry;
+  }, [pruneUndoStack]);
+
   /**
    * Clear all links data
    */
   const clearLinksData = useCallback(() => {
     setLinksData([]);
+    undoStackRef.current = [];
+    setUndoCount(0);
   }, []);
 
   // Clear links data when user logs out
@@ -116,7 +180,13 @@ export const LinksProvider = ({ children }) => {
     updateLinks,
     addLinkOptimistic,
     removeLinkOptimistic,
+    updateLinkOptimistic,
     clearLinksData,
+
+    // Undo stack
+    undoCount,
+    pushUndo,
+    takeUndo,
   };
 
   return (
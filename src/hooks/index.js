@@ -10,6 +10,8 @@ export { useAuth } from './useAuth.js';
 // Profile hooks - standardized naming convention
 export { useUserProfile } from './useUserProfile.js';        // For authenticated user's profile
 export { usePublicProfile } from './usePublicProfile.js';    // For public profile by username
+export { usePublicProfileByDomain } from './usePublicProfileByDomain.js'; // For public profile by custom domain
+export { useUsernameSuggestions } from './useUsernameSuggestions.js'; // For available username ideas (one batched check)
 export { default as useAvatar } from './useAvatar.js';
 
 // UI hooks
@@ -19,6 +21,18 @@ export { default as useAlerts } from './useAlerts.js';       // Alert system
 export { useUserLinks } from './useUserLinks.js';                    // For authenticated user's links
 export { usePublicRealtimeLinks } from './usePublicRealtimeLinks.js'; // For public links with real-time updates
 export { useLinkReordering } from './useLinkReordering.js';           // For drag-and-drop link reordering
+export { useBulkLinkOperations } from './useBulkLinkOperations.js';   // For multi-select bulk link actions
+export { useLinkUndo } from './useLinkUndo.js';                       // For undoable link changes (undo stack)
+export { useLinkMetadata } from './useLinkMetadata.js';               // For link title, thumbnail and favicon lookups
+export { useShortLink } from './useShortLink.js';                     // For resolving short links (slug or ID) to a public link
+export { useLinkHealth } from './useLinkHealth.js';                   // For periodic and on-demand link health checks
+
+// Analytics hooks
+export { useUserAnalytics } from './useUserAnalytics.js';             // For authenticated user's click & view analytics
+export { useProfileViewTracking } from './useProfileViewTracking.js'; // For recording public profile views
+
+// Document head hooks
+export { useDocumentHead } from './useDocumentHead.js';               // For page title, meta tags and JSON-LD
 
 // Form and validation hooks
 export { useFormValidation } from './useFormValidation.js';
@@ -0,0 +1,203 @@
+/**
+ * useBulkLinkOperations Hook
+ *
+ * Custom hook for selecting several links and applying one action to all of them
+ * Handles selection state, batched LinksService calls, optimistic updates and
+ * a single summary alert whose "Undo" action goes through the link undo stack
+ */
+
+import { useCallback, useMemo, useState } from 'react';
+import { LinksService } from '../services';
+import { useLinks } from '../contexts/LinksContext.jsx';
+import { useAlerts } from './useAlerts';
+import { useLinkUndo } from './useLinkUndo';
+import { BULK_LINK_ACTIONS } from '../constants';
+import { getContextualErrorMessage } from '../utils/errorUtils';
+import { getPositionChanges, isLinkPublic, moveLinksToEdge } from '../utils/linkUtils';
+
+const sortByPosition = (links) => [...links].sort((a, b) => (a.position || 0) - (b.position || 0));
+
+const pluralizeLinks = (count) => `${count} link${count === 1 ? '' : 's'}`;
+
+/**
+ * @param {Array} links - All of the user's links in display order
+ * @param {Object} options - Hook options
+ * @param {Array} options.visibleLinks - Links currently shown (e.g. after search); selection is limited to these
+ * @returns {Object} Selection state, selection helpers and runBulkAction
+ */
+export const useBulkLinkOperations = (links = [], { visibleLinks = links } = {}) => {
+  const { updateLinks } = useLinks();
+  const { showError } = useAlerts();
+  const { recordUndoable, restoreLinks, removeLinks, applyPositions } = useLinkUndo();
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [isProcessing, setIsProcessing] = useState(false);
+
+  // Only links that still exist and match the current filter count as selected
+  const selectedLinks = useMemo(() => {
+    const ids = new Set(selectedIds);
+    return visibleLinks.filter(link => ids.has(link.id));
+  }, [selectedIds, visibleLinks]);
+
+  const isSelected = useCallback((linkId) => selectedLinks.some(link => link.id === linkId), [selectedLinks]);
+
+  const toggleSelection = useCallback((linkId) => {
+    setSelectedIds(prev => (
+      prev.includes(linkId) ? prev.filter(id => id !== linkId) : [...prev, linkId]
+    ));
+  }, []);
+
+  // Select every visible link, or clear the selection if they are all selected already
+  const toggleSelectAll = useCallback(() => {
+    const allSelected = visibleLinks.length > 0 && selectedLinks.length === visibleLinks.length;
+    setSelectedIds(allSelected ? [] : visibleLinks.map(link => link.id));
+  }, [visibleLinks, selectedLinks]);
+
+  const clearSelection = useCallback(() => {
+    setSelectedIds([]);
+  }, []);
+
+  const deleteSelected = async (targets) => {
+    const result = await LinksService.deleteLinks(targets.map(link => link.id));
+    if (!result.success) throw new Error(result.error || 'Failed to delete links');
+
+    const deletedIds = new Set(targets.map(link => link.id));
+    updateLinks(current => (current || []).filter(link => !deletedIds.has(link.id)));
+
+    // Prefer the rows returned by the server; fall back to local copies
+    const deletedRows = result.data.length > 0 ? result.data : targets;
+    return {
+      title: 'Links Deleted',
+      message: `Deleted ${pluralizeLinks(targets.length)}`,
+      undo: () => restoreLinks(deletedRows),
+    };
+  };
+
+  const duplicateSelected = async (targets) => {
+    const lastPosition = links.reduce((max, link) => Math.max(max, link.position || 0), 0);
+    const result = await LinksService.duplicateLinks(targets, lastPosition + 1);
+    if (!result.success) throw new Error(result.error || 'Failed to duplicate links');
+
+    const created = result.data;
+    updateLinks(current => sortByPosition([...(current || []), ...created]));
+
+    return {
+      title: 'Links Duplicated',
+      message: `Added copies of ${pluralizeLinks(targets.length)} at the bottom`,
+      undo: () => removeLinks(created.map(link => link.id)),
+    };
+  };
+
+  const moveSelected = async (targets, edge) => {
+    const previousOrder = links;
+    const changes = getPositionChanges(moveLinksToEdge(links, targets.map(link => link.id), edge));
+    // Original positions of everything that moves, so undo puts them back exactly
+    const revert = changes.map(change => ({
+      id: change.id,
+      position: links.find(link => link.id === change.id).position,
+    }));
+
+    const result = await applyPositions(changes);
+    if (!result.success) {
+      updateLinks(previousOrder);
+      throw new Error(result.error || 'Failed to move links');
+    }
+
+    return {
+      title: 'Links Moved',
+      message: `Moved ${pluralizeLinks(targets.length)} to the ${edge}`,
+      undo: () => applyPositions(revert),
+    };
+  };
+
+  const setSelectedVisibility = async (targets, isPublic) => {
+    const changedIds = targets.filter(link => isLinkPublic(link) !== isPublic).map(link => link.id);
+    const setVisibility = async (ids, value) => {
+      if (ids.length === 0) return { success: true, error: null, data: [] };
+
+      const result = await LinksService.setLinksVisibility(ids, value);
+      if (result.success) {
+        const idSet = new Set(ids);
+        updateLinks(current => (current || []).map(link => (
+          idSet.has(link.id) ? { ...link, is_public: value } : link
+        )));
+      }
+      return result;
+    };
+
+    const result = await setVisibility(changedIds, isPublic);
+    if (!result.success) throw new Error(result.error || 'Failed to update visibility');
+
+    return {
+      title: isPublic ? 'Links Visible' : 'Links Hidden',
+      message: `${isPublic ? 'Showing' : 'Hid'} ${pluralizeLinks(targets.length)} ${isPublic ? 'on' : 'from'} your public profile`,
+      undo: () => setVisibility(changedIds, !isPublic),
+    };
+  };
+
+  /**
+   * Apply a bulk action to the selected links
+   * @param {string} action - One of BULK_LINK_ACTIONS
+   * @returns {Promise<Object>} { success, error }
+   */
+  const runBulkAction = async (action) => {
+    const targets = selectedLinks;
+    if (targets.length === 0) {
+      return { success: false, error: 'No links selected' };
+    }
+
+    setIsProcessing(true);
+
+    try {
+      let outcome;
+      switch (action) {
+        case BULK_LINK_ACTIONS.DELETE:
+          outcome = await deleteSelected(targets);
+          break;
+        case BULK_LINK_ACTIONS.DUPLICATE:
+          outcome = await duplicateSelected(targets);
+          break;
+        case BULK_LINK_ACTIONS.MOVE_TOP:
+          outcome = await moveSelected(targets, 'top');
+          break;
+        case BULK_LINK_ACTIONS.MOVE_BOTTOM:
+          outcome = await moveSelected(targets, 'bottom');
+          break;
+        case BULK_LINK_ACTIONS.HIDE:
+        case BULK_LINK_ACTIONS.SHOW:
+          outcome = await setSelectedVisibility(targets, action === BULK_LINK_ACTIONS.SHOW);
+          break;
+        default:
+          throw new Error(`Unknown bulk action: ${action}`);
+      }
+
+      clearSelection();
+      recordUndoable(outcome);
+      return { success: true, error: null };
+    } catch (error) {
+      console.error('[useBulkLinkOperations] Error running bulk action:', error);
+
+      showError({
+        title: 'Bulk Action Failed',
+        message: getContextualErrorMessage(error, 'link'),
+      }, { duration: 5000, position: 'bottom-center' });
+
+      return { success: false, error: error.message };
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  return {
+    selectedIds: selectedLinks.map(link => link.id),
+    selectedCount: selectedLinks.length,
+    allVisibleSelected: visibleLinks.length > 0 && selectedLinks.length === visibleLinks.length,
+    isProcessing,
+    isSelected,
+    toggleSelection,
+    toggleSelectAll,
+    clearSelection,
+    runBulkAction,
+  };
+};
+
+export default useBulkLinkOperations;
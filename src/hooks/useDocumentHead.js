@@ -0,0 +1,48 @@
+/**
+ * useDocumentHead Hook
+ *
+ * Applies a page's title and head tags (meta, canonical link, JSON-LD) while the
+ * page is mounted. Tags carrying SEO_CONFIG.HEAD_ATTRIBUTE are replaced: the site
+ * defaults from index.html come back on unmount, while page tags written by the
+ * prerender script (attribute value "page") are dropped for good.
+ * @param {Object|null} head - Result of buildProfileHead (memoize it); null leaves the head untouched
+ * @returns {void}
+ */
+
+import { useEffect } from 'react';
+import { SEO_CONFIG } from '../constants';
+
+export const useDocumentHead = (head) => {
+  useEffect(() => {
+    if (!head) return undefined;
+
+    const marker = SEO_CONFIG.HEAD_ATTRIBUTE;
+    const replaced = Array.from(document.head.querySelectorAll(`[${marker}]`));
+    replaced.forEach(element => element.remove());
+
+    const created = [];
+    const append = (tagName, attributes, text) => {
+      const element = document.createElement(tagName);
+      Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+      element.setAttribute(marker, 'page');
+      if (text) element.textContent = text;
+      document.head.appendChild(element);
+      created.push(element);
+    };
+
+    document.title = head.title;
+    head.meta.forEach(({ attribute, key, content }) => append('meta', { [attribute]: key, content }));
+    append('link', { rel: 'canonical', href: head.canonical });
+    append('script', { type: 'application/ld+json' }, JSON.stringify(head.jsonLd));
+
+    return () => {
+      created.forEach(element => element.remove());
+      replaced
+        .filter(element => element.getAttribute(marker) !== 'page')
+        .forEach(element => document.head.appendChild(element));
+      document.title = SEO_CONFIG.SITE_NAME;
+    };
+  }, [head]);
+};
+
+export default useDocumentHead;
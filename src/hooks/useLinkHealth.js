@@ -0,0 +1,119 @@
+/**
+ * useLinkHealth Hook
+ *
+ * Keeps the user's link health checks current while the dashboard is open: links
+ * that were never checked, changed URL or were checked longer ago than
+ * LINK_HEALTH_CONFIG.RECHECK_INTERVAL are checked on load and again every
+ * LINK_HEALTH_CONFIG.POLL_INTERVAL. checkNow checks links right away. Results are
+ * merged into LinksContext as each link is saved, so cards update one by one.
+ * Checks never overlap: a check asked for while another runs starts after it.
+ * @param {Array} links - The user's link rows
+ * @param {Object} [options] - Hook options
+ * @param {boolean} [options.autoCheck] - Check due links automatically
+ * @returns {Object} { data: { checked, broken, redirected }, loading, checkingIds, error, checkNow }
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { LinkHealthService } from '../services';
+import { useLinks } from '../contexts/LinksContext.jsx';
+import { LINK_HEALTH_CONFIG } from '../constants';
+import { getLinkHealthCounts, isHealthCheckable, isLinkHealthDue } from '../utils/linkHealthUtils';
+
+export const useLinkHealth = (links = [], { autoCheck = true } = {}) => {
+  const { updateLinks } = useLinks();
+  const [checkingIds, setCheckingIds] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const [pollCount, setPollCount] = useState(0);
+  const runningRef = useRef(null);
+  const mountedRef = useRef(true);
+  // Links already tried since the last poll, so a failing save isn't retried in a loop
+  const attemptedRef = useRef(new Set());
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const runCheck = useCallback(async (targets) => {
+    // Wait for a check that is already running (automatic or not), then run this one
+    while (runningRef.current) {
+      await runningRef.current;
+    }
+
+    const checkable = targets.filter(isHealthCheckable);
+    if (checkable.length === 0) {
+      return { success: true, error: null, data: [] };
+    }
+
+    let finishRun;
+    runningRef.current = new Promise(resolve => {
+      finishRun = resolve;
+    });
+    checkable.forEach(link => attemptedRef.current.add(link.id));
+    if (mountedRef.current) {
+      setRunning(true);
+      setCheckingIds(checkable.map(link => link.id));
+      setError(null);
+    }
+
+    const result = await LinkHealthService.checkLinks(checkable, {
+      onLinkChecked: (row) => {
+        updateLinks(current => (current || []).map(link => (
+          link.id === row.id ? { ...link, ...row } : link
+        )));
+        if (mountedRef.current) {
+          setCheckingIds(ids => ids.filter(id => id !== row.id));
+        }
+      },
+    });
+
+    runningRef.current = null;
+    finishRun();
+    if (mountedRef.current) {
+      setRunning(false);
+      setCheckingIds([]);
+      if (!result.success) {
+        console.error('[useLinkHealth] Error checking links:', result.error);
+        setError(result.error || 'Failed to check links');
+      }
+    }
+    return result;
+  }, [updateLinks]);
+
+  // Check links now; defaults to all of the user's links
+  const checkNow = useCallback((targets = links) => runCheck(targets), [links, runCheck]);
+
+  useEffect(() => {
+    if (!autoCheck) return;
+
+    // Due links are picked up again once the running check has saved its results
+    if (runningRef.current) return;
+
+    const due = links.filter(link => isLinkHealthDue(link) && !attemptedRef.current.has(link.id));
+    if (due.length > 0) {
+      runCheck(due);
+    }
+  }, [autoCheck, links, pollCount, running, runCheck]);
+
+  useEffect(() => {
+    if (!autoCheck) return;
+
+    const interval = setInterval(() => {
+      attemptedRef.current.clear();
+      setPollCount(count => count + 1);
+    }, LINK_HEALTH_CONFIG.POLL_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [autoCheck]);
+
+  return {
+    data: getLinkHealthCounts(links),
+    loading: running,
+    checkingIds,
+    error,
+    checkNow,
+  };
+};
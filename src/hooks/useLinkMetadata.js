@@ -0,0 +1,78 @@
+/**
+ * useLinkMetadata Hook
+ *
+ * Looks up the title, preview image and favicon of a URL once typing pauses.
+ * Pass an empty URL (or enabled: false) to clear the result, e.g. while the URL
+ * is still invalid.
+ * @param {string} url - Absolute URL to preview
+ * @param {Object} [options] - Hook options
+ * @param {boolean} [options.enabled] - Only fetch while true
+ * @returns {Object} { data, loading, error, refetch }
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { LinkMetadataService } from '../services';
+import { LINK_METADATA_CONFIG } from '../constants';
+
+export const useLinkMetadata = (url, { enabled = true } = {}) => {
+  const [metadata, setMetadata] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchMetadata = useCallback(async (isCancelled = () => false) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const result = await LinkMetadataService.fetchMetadata(url);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      if (!isCancelled()) {
+        setMetadata(result.data);
+      }
+    } catch (err) {
+      console.error('[useLinkMetadata] Error fetching link metadata:', err);
+      if (!isCancelled()) {
+        setError(err.message || 'Failed to load link preview');
+        setMetadata(null);
+      }
+    } finally {
+      if (!isCancelled()) {
+        setLoading(false);
+      }
+    }
+  }, [url]);
+
+  useEffect(() => {
+    setMetadata(null);
+    setError(null);
+    setLoading(false);
+
+    if (!enabled || !url) return;
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      fetchMetadata(() => cancelled);
+    }, LINK_METADATA_CONFIG.DEBOUNCE_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [fetchMetadata, url, enabled]);
+
+  const refetch = useCallback(() => {
+    if (url) {
+      fetchMetadata();
+    }
+  }, [url, fetchMetadata]);
+
+  return {
+    data: metadata,
+    loading,
+    error,
+    refetch,
+  };
+};
@@ -3,17 +3,20 @@
  * 
  * Custom hook for managing drag-and-drop link reordering
  * Handles optimistic updates, error recovery, and real-time sync
+ * Successful reorders can be undone from the success alert
  */
 
 import { useState } from 'react';
 import { arrayMove } from '@dnd-kit/sortable';
 import { LinksService } from '../services';
 import { useAlerts } from './useAlerts';
+import { useLinkUndo } from './useLinkUndo';
 
 export const useLinkReordering = (links, onLinksUpdate) => {
   const [isDragging, setIsDragging] = useState(false);
   const [reorderingLinks, setReorderingLinks] = useState([]);
-  const { showSuccess, showError } = useAlerts();
+  const { showError } = useAlerts();
+  const { recordUndoable, applyPositions } = useLinkUndo();
 
   const handleDragStart = () => {
     setIsDragging(true);
@@ -49,6 +52,12 @@ export const useLinkReordering = (links, onLinksUpdate) => {
         position: index + 1
       }));
 
+      // Original positions, restored on undo
+      const previousPositions = links.map(link => ({
+        id: link.id,
+        position: link.position
+      }));
+
       // Apply optimistic update immediately
       setReorderingLinks(reorderedLinks);
       if (onLinksUpdate) {
@@ -62,12 +71,11 @@ export const useLinkReordering = (links, onLinksUpdate) => {
         throw new Error(result.error || 'Failed to update link positions');
       }
 
-      // Show success feedback
-      showSuccess({
+      // Show success feedback with an undo action
+      recordUndoable({
         title: 'Order Updated',
         message: `"${movedLink.title}" moved to position ${newIndex + 1}`,
-        duration: 2000,
-        position: 'bottom-center'
+        undo: () => applyPositions(previousPositions),
       });
       
       // Don't clear the reordering state immediately
@@ -0,0 +1,158 @@
+/**
+ * useLinkUndo Hook
+ *
+ * Custom hook for making link mutations undoable
+ * Records changes on the LinksContext undo stack and shows a success alert with an
+ * "Undo" action. Also provides restore helpers that revert a change through
+ * LinksService and reconcile the shared links state; the realtime subscription in
+ * useUserLinks then confirms the restored rows by ID.
+ */
+
+import { useCallback } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { LinksService } from '../services';
+import { useLinks } from '../contexts/LinksContext.jsx';
+import { useAlerts } from './useAlerts';
+import { APP_CONFIG } from '../constants';
+import { getContextualErrorMessage } from '../utils/errorUtils';
+
+const sortByPosition = (links) => [...links].sort((a, b) => (a.position || 0) - (b.position || 0));
+
+/**
+ * @returns {Object} { canUndo, recordUndoable, undo, restoreLinks, removeLinks, applyPositions, restoreLinkFields }
+ */
+export const useLinkUndo = () => {
+  const { updateLinks, undoCount, pushUndo, takeUndo } = useLinks();
+  const { showSuccess, showError, hideAlert } = useAlerts();
+
+  /**
+   * Run an undo entry from the stack
+   * @param {string} [entryId] - Entry to undo; defaults to the most recent change
+   * @returns {Promise<Object>} { success, error }
+   */
+  const undo = useCallback(async (entryId) => {
+    const entry = takeUndo(entryId);
+    if (!entry) {
+      return { success: false, error: 'Nothing to undo' };
+    }
+
+    if (entry.alertId) hideAlert(entry.alertId);
+
+    try {
+      const result = await entry.undo();
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to undo change');
+      }
+
+      showSuccess({ title: 'Undone', message: `${entry.label} was undone` }, { duration: 2000, position: 'bottom-center' });
+      return { success: true, error: null };
+    } catch (error) {
+      console.error('[useLinkUndo] Error undoing change:', error);
+
+      showError({
+        title: 'Undo Failed',
+        message: getContextualErrorMessage(error, 'link'),
+      }, { duration: 5000, position: 'bottom-center' });
+
+      return { success: false, error: error.message };
+    }
+  }, [takeUndo, hideAlert, showSuccess, showError]);
+
+  /**
+   * Record an undoable change and show its success alert
+   * @param {Object} change - Change description
+   * @param {string} change.title - Alert title; also used as the undo label
+   * @param {string} change.message - Alert message
+   * @param {Function} change.undo - Async function reverting the change, resolves to a service response
+   * @returns {string} Undo entry ID
+   */
+  const recordUndoable = useCallback(({ title, message, undo: revert }) => {
+    const id = uuidv4();
+
+    const alertId = showSuccess({ title, message }, {
+      duration: APP_CONFIG.UNDO_DURATION,
+      position: 'bottom-center',
+      action: { label: 'Undo', onClick: () => undo(id) },
+    });
+
+    pushUndo({ id, label: title, alertId, undo: revert });
+    return id;
+  }, [showSuccess, pushUndo, undo]);
+
+  /**
+   * Re-insert deleted link rows with their original IDs and positions
+   * @param {Array<Object>} rows - Full link rows as returned by LinksService.deleteLinks
+   * @returns {Promise<Object>} Service response
+   */
+  const restoreLinks = useCallback(async (rows) => {
+    const result = await LinksService.restoreLinks(rows);
+    if (result.success) {
+      const restoredIds = new Set(result.data.map(link => link.id));
+      updateLinks(current => sortByPosition([
+        ...(current || []).filter(link => !restoredIds.has(link.id)),
+        ...result.data,
+      ]));
+    }
+    return result;
+  }, [updateLinks]);
+
+  /**
+   * Delete links that a change created (e.g. duplicates)
+   * @param {Array<string>} linkIds - IDs to remove
+   * @returns {Promise<Object>} Service response
+   */
+  const removeLinks = useCallback(async (linkIds) => {
+    const result = await LinksService.deleteLinks(linkIds);
+    if (result.success) {
+      const removedIds = new Set(linkIds);
+      updateLinks(current => (current || []).filter(link => !removedIds.has(link.id)));
+    }
+    return result;
+  }, [updateLinks]);
+
+  /**
+   * Store link positions (optimistically) in one request, e.g. to put links back where they were
+   * @param {Array<{id: string, position: number}>} positions - Positions to store
+   * @returns {Promise<Object>} Service response
+   */
+  const applyPositions = useCallback(async (positions) => {
+    if (positions.length === 0) {
+      return { success: true, error: null, data: null };
+    }
+
+    const byId = new Map(positions.map(item => [item.id, item.position]));
+    updateLinks(current => sortByPosition((current || []).map(link => (
+      byId.has(link.id) ? { ...link, position: byId.get(link.id) } : link
+    ))));
+
+    return LinksService.setLinkPositions(positions);
+  }, [updateLinks]);
+
+  /**
+   * Write previous field values back to a link
+   * @param {string} linkId - Link to restore
+   * @param {Object} fields - Previous values of the changed fields
+   * @returns {Promise<Object>} Service response
+   */
+  const restoreLinkFields = useCallback(async (linkId, fields) => {
+    const result = await LinksService.updateLink(linkId, fields);
+    if (result.success && result.data) {
+      updateLinks(current => (current || []).map(link => (
+        link.id === linkId ? { ...link, ...result.data } : link
+      )));
+    }
+    return result;
+  }, [updateLinks]);
+
+  return {
+    canUndo: undoCount > 0,
+    recordUndoable,
+    undo,
+    restoreLinks,
+    removeLinks,
+    applyPositions,
+    restoreLinkFields,
+  };
+};
+
+export default useLinkUndo;
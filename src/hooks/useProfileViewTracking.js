@@ -0,0 +1,44 @@
+/**
+ * useProfileViewTracking Hook
+ *
+ * Records a single view of a public profile for anonymous analytics.
+ * - Waits for the auth session check so the owner's own visits are never counted
+ * - Deduplicates repeat views from the same browser within ANALYTICS_CONFIG.VIEW_DEDUP_WINDOW
+ * - Fire-and-forget: tracking failures never affect the page
+ * @param {Object|null} profile - The loaded public profile (needs an `id`)
+ * @returns {void}
+ */
+
+import { useEffect } from 'react';
+import { AnalyticsService } from '../services';
+import { useAuth } from './useAuth.js';
+import {
+  getVisitorId,
+  markProfileViewRecorded,
+  shouldRecordProfileView,
+} from '../utils/analyticsUtils.js';
+
+export const useProfileViewTracking = (profile) => {
+  const { user, isLoading: authLoading } = useAuth();
+  const profileId = profile?.id;
+  const viewerId = user?.id;
+
+  useEffect(() => {
+    if (!profileId || authLoading) return;
+
+    // Owners previewing their own page are not visitors
+    if (viewerId && viewerId === profileId) return;
+
+    if (!shouldRecordProfileView(profileId)) return;
+
+    // Mark before the request resolves so quick re-renders don't double count
+    markProfileViewRecorded(profileId);
+
+    AnalyticsService.trackProfileView({
+      profileId,
+      visitorId: getVisitorId(),
+    });
+  }, [profileId, viewerId, authLoading]);
+};
+
+export default useProfileViewTracking;
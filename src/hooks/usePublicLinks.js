@@ -1,7 +1,7 @@
 /**
  * usePublicLinks Hook
  * 
- * Hook for fetching public links data by username
+ * Hook for fetching public links data by username (only links marked public)
  * @param {string} username - The username to fetch links for
  * @returns {Object} { data, loading, error, refetch }
  */
@@ -25,8 +25,13 @@ export const usePublicLinks = (username) => {
       setLoading(true);
       setError(null);
       
-      const linksData = await LinksService.getLinksByUsername(username);
-      setLinks(linksData);
+      const result = await LinksService.getPublicLinksByUsername(username);
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to fetch links');
+      }
+
+      setLinks(result.data);
     } catch (err) {
       console.error('[usePublicLinks] Error fetching links:', err);
       setError(err.message || 'Failed to load links');
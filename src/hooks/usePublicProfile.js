@@ -2,8 +2,10 @@
  * usePublicProfile Hook
  * 
  * Hook for fetching public profile data by username
+ * When no profile has the username but it was recently given up, `redirectTo` holds
+ * the profile's current username.
  * @param {string} username - The username to fetch profile for
- * @returns {Object} { data, loading, error, refetch }
+ * @returns {Object} { data, loading, error, refetch, redirectTo }
  */
 
 import { useCallback, useEffect, useState } from 'react';
@@ -13,10 +15,12 @@ export const usePublicProfile = (username) => {
   const [profile, setProfile] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [redirectTo, setRedirectTo] = useState(null);
 
   const fetchProfile = useCallback(async () => {
     if (!username) {
       setProfile(null);
+      setRedirectTo(null);
       setLoading(false);
       return;
     }
@@ -24,8 +28,20 @@ export const usePublicProfile = (username) => {
     try {
       setLoading(true);
       setError(null);
+      setRedirectTo(null);
       
       const profileData = await ProfileService.getProfileByUsername(username);
+
+      // Old handles redirect to the new one during the reservation window
+      if (!profileData) {
+        const redirect = await ProfileService.resolveUsernameRedirect(username);
+        if (redirect.success) {
+          setRedirectTo(redirect.data);
+        } else {
+          console.warn('[usePublicProfile] Could not check username history:', redirect.error);
+        }
+      }
+
       setProfile(profileData);
     } catch (err) {
       console.error('[usePublicProfile] Error fetching profile:', err);
@@ -51,8 +67,9 @@ export const usePublicProfile = (username) => {
     loading,
     error,
     refetch,
+    redirectTo,
     // Computed properties for common checks
     exists: profile !== null,
-    notFound: !loading && !error && profile === null,
+    notFound: !loading && !error && profile === null && !redirectTo,
   };
 };
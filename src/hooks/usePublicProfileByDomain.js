@@ -0,0 +1,57 @@
+/**
+ * usePublicProfileByDomain Hook
+ * 
+ * Hook for resolving the public profile served at a custom domain
+ * @param {string} hostname - Normalized hostname of the current request
+ * @returns {Object} { data, loading, error, refetch }
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { ProfileService } from '../services';
+
+export const usePublicProfileByDomain = (hostname) => {
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchProfile = useCallback(async () => {
+    if (!hostname) {
+      setProfile(null);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const result = await ProfileService.getPublicProfileByDomain(hostname);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      setProfile(result.data);
+    } catch (err) {
+      console.error('[usePublicProfileByDomain] Error resolving domain:', err);
+      setError(err.message || 'Failed to load profile');
+      setProfile(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [hostname]);
+
+  useEffect(() => {
+    fetchProfile();
+  }, [fetchProfile]);
+
+  const refetch = useCallback(() => {
+    fetchProfile();
+  }, [fetchProfile]);
+
+  return {
+    data: profile,
+    loading,
+    error,
+    refetch,
+    notFound: !loading && !error && profile === null,
+  };
+};
@@ -2,14 +2,27 @@
  * usePublicRealtimeLinks Hook
  * 
  * Hook for fetching public links data by username with real-time updates
+ * Only links visible on the public profile are returned; realtime events that
+ * hide or reveal a link remove it from or add it to the list. Scheduled links
+ * are filtered by the current time, re-evaluated whenever a window opens or closes.
+ * The same channel follows the profile row, so social icons update live too:
+ * `socialLinks` is null until the owner changes them (use the profile's value).
  * @param {string} username - The username to fetch links for
- * @returns {Object} { data, loading, error, refetch, isRealTimeConnected }
+ * @returns {Object} { data, loading, error, refetch, isRealTimeConnected, socialLinks }
  */
 
-import { useCallback, useEffect, useRef, useState } from 'react';
-import { supabase } from '../services/supabase.js';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { SUPABASE_TABLES, supabase } from '../services/supabase.js';
 import { ProfileService } from '../services';
 import LinksService from '../services/LinksService.js';
+import { getNextScheduleChangeDelay, isLinkPublic, isLinkVisibleNow } from '../utils/linkUtils.js';
+
+/**
+ * Sort links by their position
+ * @param {Array} links - Links to sort
+ * @returns {Array} Sorted copy
+ */
+const sortByPosition = (links) => [...links].sort((a, b) => (a.position || 0) - (b.position || 0));
 
 export const usePublicRealtimeLinks = (username) => {
   const [links, setLinks] = useState([]);
@@ -17,11 +30,17 @@ export const usePublicRealtimeLinks = (username) => {
   const [error, setError] = useState(null);
   const [isRealTimeConnected, setIsRealTimeConnected] = useState(false);
   const [profileId, setProfileId] = useState(null);
+  // Social links from realtime profile updates (null until one arrives)
+  const [socialLinks, setSocialLinks] = useState(null);
+  // Bumped when a schedule window opens or closes so visibility is recomputed
+  const [now, setNow] = useState(() => Date.now());
   
   // Subscription tracking
   const subscriptionRef = useRef(null);
 
   const fetchLinks = useCallback(async () => {
+    setSocialLinks(null);
+
     if (!username) {
       setLinks([]);
       setLoading(false);
@@ -32,7 +51,7 @@ export const usePublicRealtimeLinks = (username) => {
       setLoading(true);
       setError(null);
       
-      const result = await LinksService.getLinksByUsername(username);
+      const result = await LinksService.getPublicLinksByUsername(username);
       
       if (!result.success) {
         throw new Error(result.error || 'Failed to fetch links');
@@ -88,22 +107,22 @@ export const usePublicRealtimeLinks = (username) => {
         (payload) => {
           switch (payload.eventType) {
             case 'INSERT':
-              // Add the new link to the list and sort by position
-              setLinks(prevLinks => {
-                const newLinks = [...prevLinks, payload.new];
-                const sortedLinks = newLinks.sort((a, b) => (a.position || 0) - (b.position || 0));
-                return sortedLinks;
-              });
+              // Add the new (or restored) link if it is public and sort by position
+              if (!isLinkPublic(payload.new)) break;
+              setLinks(prevLinks => sortByPosition([
+                ...prevLinks.filter(link => link.id !== payload.new.id),
+                payload.new,
+              ]));
               break;
               
             case 'UPDATE':
-              // Update the existing link and re-sort by position
+              // Hidden links are removed; links made public mid-session are added
               setLinks(prevLinks => {
-                const updatedLinks = prevLinks.map(link => 
-                  link.id === payload.new.id ? payload.new : link
-                );
-                const sortedLinks = updatedLinks.sort((a, b) => (a.position || 0) - (b.position || 0));
-                return sortedLinks;
+                const otherLinks = prevLinks.filter(link => link.id !== payload.new.id);
+                if (!isLinkPublic(payload.new)) {
+                  return otherLinks.length === prevLinks.length ? prevLinks : otherLinks;
+                }
+                return sortByPosition([...otherLinks, payload.new]);
               });
               break;
               
@@ -117,6 +136,18 @@ export const usePublicRealtimeLinks = (username) => {
           }
         }
       )
+      .on(
+        'postgres_changes',
+        {
+          event: 'UPDATE',
+          schema: 'public',
+          table: SUPABASE_TABLES.PROFILES,
+          filter: `id=eq.${profileId}`
+        },
+        (payload) => {
+          setSocialLinks(payload.new.social_links || []);
+        }
+      )
       .subscribe((status) => {
         setIsRealTimeConnected(status === 'SUBSCRIBED');
       });
@@ -148,19 +179,35 @@ export const usePublicRealtimeLinks = (username) => {
     return cleanupSubscription;
   }, [profileId, setupRealTimeSubscription, cleanupSubscription]);
 
+  // Re-evaluate scheduled links at the next start/end boundary
+  useEffect(() => {
+    const delay = getNextScheduleChangeDelay(links, now);
+    if (delay === null) return undefined;
+
+    const timer = setTimeout(() => setNow(Date.now()), delay);
+    return () => clearTimeout(timer);
+  }, [links, now]);
+
+  // Only links that are public and inside their schedule window are shown
+  const visibleLinks = useMemo(
+    () => links.filter(link => isLinkVisibleNow(link, now)),
+    [links, now]
+  );
+
   // Manual refresh function
   const refetch = useCallback(() => {
     fetchLinks();
   }, [fetchLinks]);
 
   return {
-    data: links,
+    data: visibleLinks,
     loading,
     error,
     refetch,
     isRealTimeConnected,
+    socialLinks,
     // Computed properties for common checks
-    isEmpty: !loading && links.length === 0,
-    count: links.length
+    isEmpty: !loading && visibleLinks.length === 0,
+    count: visibleLinks.length
   };
 };
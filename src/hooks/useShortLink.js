@@ -0,0 +1,74 @@
+/**
+ * useShortLink Hook
+ *
+ * Hook for resolving a short link to the public link it points at.
+ * Pass a username and slug ("/:username/:slug") or a link ID ("/go/:id").
+ * Hidden, scheduled-out and header rows, and URLs that aren't http(s) or fail the
+ * safety checks (e.g. a domain blocklisted after the link was saved), resolve to
+ * nothing, like unknown slugs.
+ * @param {Object} target - Short link to resolve
+ * @param {string} [target.username] - Username of the link's owner
+ * @param {string} [target.slug] - Link slug
+ * @param {string} [target.linkId] - Link ID, used when there is no slug
+ * @returns {Object} { data, loading, error, refetch, notFound }
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { LinksService } from '../services';
+import { isLinkVisibleNow, isSectionHeader, isValidLinkSlug } from '../utils/linkUtils.js';
+import { getUrlSafetyIssue } from '../utils/urlSafetyUtils.js';
+import { isValidUrl } from '../utils/validators.js';
+
+export const useShortLink = ({ username, slug, linkId } = {}) => {
+  const [link, setLink] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const normalizedSlug = slug?.toLowerCase();
+
+  const fetchLink = useCallback(async () => {
+    const canLookUp = normalizedSlug ? !!username && isValidLinkSlug(normalizedSlug) : !!linkId;
+    if (!canLookUp) {
+      setLink(null);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const result = normalizedSlug
+        ? await LinksService.getPublicLinkBySlug(username, normalizedSlug)
+        : await LinksService.getPublicLinkById(linkId);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const found = result.data;
+      setLink(found && !isSectionHeader(found) && isValidUrl(found.url) && !getUrlSafetyIssue(found.url) && isLinkVisibleNow(found) ? found : null);
+    } catch (err) {
+      console.error('[useShortLink] Error resolving short link:', err);
+      setError(err.message || 'Failed to load link');
+      setLink(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [username, normalizedSlug, linkId]);
+
+  useEffect(() => {
+    fetchLink();
+  }, [fetchLink]);
+
+  const refetch = useCallback(() => {
+    fetchLink();
+  }, [fetchLink]);
+
+  return {
+    data: link,
+    loading,
+    error,
+    refetch,
+    notFound: !loading && !error && link === null,
+  };
+};
@@ -0,0 +1,109 @@
+/**
+ * useUserAnalytics Hook
+ *
+ * Hook for fetching the authenticated user's link click and profile view analytics
+ * Clicks are loaded once; per-link counts and the daily series are derived from them.
+ * Only the latest request updates state, so switching ranges quickly never shows an
+ * older range's numbers.
+ * @param {string} userId - The user ID to fetch analytics for
+ * @param {number} days - Number of days to include, counting today
+ * @returns {Object} { data, loading, error, refetch }
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { AnalyticsService } from '../services';
+import { ANALYTICS_CONFIG } from '../constants';
+import { bucketEventsByDay, countBy } from '../utils/analyticsUtils';
+
+const EMPTY_ANALYTICS = {
+  totalClicks: 0,
+  clicksByLink: {},
+  clicksSeries: [],
+  totalViews: 0,
+  uniqueVisitors: 0,
+  viewsSeries: [],
+  topReferrers: [],
+  deviceTypes: [],
+};
+
+export const useUserAnalytics = (userId, days = ANALYTICS_CONFIG.DEFAULT_RANGE_DAYS) => {
+  const [analytics, setAnalytics] = useState(EMPTY_ANALYTICS);
+  const [loading, setLoading] = useState(!!userId);
+  const [error, setError] = useState(null);
+  const latestRequestRef = useRef(0);
+
+  const fetchAnalytics = useCallback(async () => {
+    const requestId = ++latestRequestRef.current;
+    const isStale = () => requestId !== latestRequestRef.current;
+
+    if (!userId) {
+      setAnalytics(EMPTY_ANALYTICS);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const [clicksResult, viewsResult] = await Promise.all([
+        AnalyticsService.getClicks(userId, days),
+        AnalyticsService.getProfileViews(userId, days),
+      ]);
+
+      if (isStale()) return;
+
+      if (!clicksResult.success) {
+        throw new Error(clicksResult.error || 'Failed to fetch clicks');
+      }
+      if (!viewsResult.success) {
+        throw new Error(viewsResult.error || 'Failed to fetch profile views');
+      }
+
+      setAnalytics({
+        totalClicks: clicksResult.data.length,
+        clicksByLink: countBy(clicksResult.data, 'link_id'),
+        clicksSeries: bucketEventsByDay(clicksResult.data, 'clicked_at', days),
+        totalViews: viewsResult.data.total,
+        uniqueVisitors: viewsResult.data.uniqueVisitors,
+        viewsSeries: viewsResult.data.series,
+        topReferrers: viewsResult.data.topReferrers,
+        deviceTypes: viewsResult.data.deviceTypes,
+      });
+    } catch (err) {
+      console.error('[useUserAnalytics] Error fetching analytics:', err);
+      if (!isStale()) {
+        setError(err.message || 'Failed to load analytics');
+        setAnalytics(EMPTY_ANALYTICS);
+      }
+    } finally {
+      if (!isStale()) {
+        setLoading(false);
+      }
+    }
+  }, [userId, days]);
+
+  // Fetch analytics when user or range changes
+  useEffect(() => {
+    fetchAnalytics();
+
+    // Drop responses that arrive after unmount or after the user/range changes
+    return () => {
+      latestRequestRef.current += 1;
+    };
+  }, [fetchAnalytics]);
+
+  // Manual refresh function
+  const refetch = useCallback(() => {
+    fetchAnalytics();
+  }, [fetchAnalytics]);
+
+  return {
+    data: analytics,
+    loading,
+    error,
+    refetch,
+  };
+};
+
+export default useUserAnalytics;
@@ -13,6 +13,7 @@ import { useLinks } from '../contexts/LinksContext.jsx';
 import LinksService from '../services/LinksService.js';
 import { supabase } from '../services/supabase.js';
 import { withProgressiveLoading } from './withProgressiveLoading.js';
+import { getLinkVisibilityCounts } from '../utils/linkUtils.js';
 
 /**
  * Base hook for links data fetching (without progressive loading)
@@ -24,6 +25,7 @@ const useBaseUserLinks = (userId) => {
     updateLinks, 
     addLinkOptimistic,
     removeLinkOptimistic,
+    updateLinkOptimistic,
     isRefreshingLinks, 
     setIsRefreshingLinks 
   } = useLinks();
@@ -180,6 +182,17 @@ const useBaseUserLinks = (userId) => {
     removeLinkOptimistic(linkId);
   }, [removeLinkOptimistic]);
 
+  // Toggle public visibility with optimistic update and rollback on failure
+  const toggleVisibility = useCallback(async (linkId, isPublic) => {
+    updateLinkOptimistic(linkId, { is_public: isPublic });
+
+    const result = await LinksService.toggleLinkVisibility(linkId, isPublic);
+    if (!result.success) {
+      updateLinkOptimistic(linkId, { is_public: !isPublic });
+    }
+    return result;
+  }, [updateLinkOptimistic]);
+
   return {
     data: linksData || [],
     loading: isInitialLoading,
@@ -190,7 +203,10 @@ const useBaseUserLinks = (userId) => {
     isRealTimeConnected,
     // Optimistic update methods
     addOptimistic,
-    removeOptimistic
+    removeOptimistic,
+    // Visibility
+    stats: getLinkVisibilityCounts(linksData || []),
+    toggleVisibility
   };
 };
 
@@ -0,0 +1,84 @@
+/**
+ * useUsernameSuggestions Hook
+ * 
+ * Finds available usernames to offer as one-tap choices: variations of the
+ * username the user typed (when it's taken or reserved) followed by ideas from
+ * their email and full name. All candidates are checked in one batched query.
+ * @param {Object} options - Suggestion sources
+ * @param {string} [options.username] - Username the user wanted
+ * @param {string} [options.email] - User's email address
+ * @param {string} [options.fullName] - Full name from the auth provider (e.g. Google)
+ * @param {boolean} options.enabled - Only search while suggestions are shown
+ * @returns {Object} { data, loading, error, refetch }
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { ProfileService } from '../services';
+import { USERNAME_SUGGESTION_BATCH_SIZE, USERNAME_SUGGESTION_COUNT } from '../constants';
+import { buildUsernameAlternatives, buildUsernameSuggestions } from '../utils/usernameUtils.js';
+import { validateUsername } from '../utils/validators.js';
+
+export const useUsernameSuggestions = ({ username = '', email = '', fullName = '', enabled }) => {
+  const [suggestions, setSuggestions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const findSuggestions = useCallback(async (isCancelled = () => false) => {
+    const candidates = [
+      ...buildUsernameAlternatives(username),
+      ...buildUsernameSuggestions({ email, fullName }),
+    ]
+      .filter((candidate, index, all) => all.indexOf(candidate) === index)
+      .filter(candidate => candidate !== username && validateUsername(candidate).isValid)
+      .slice(0, USERNAME_SUGGESTION_BATCH_SIZE);
+
+    if (!enabled || candidates.length === 0) {
+      setSuggestions([]);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const result = await ProfileService.checkUsernamesAvailability(candidates);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      if (!isCancelled()) {
+        setSuggestions(result.data.slice(0, USERNAME_SUGGESTION_COUNT));
+      }
+    } catch (err) {
+      console.error('[useUsernameSuggestions] Error checking suggestions:', err);
+      if (!isCancelled()) {
+        setError(err.message || 'Failed to load username suggestions');
+        setSuggestions([]);
+      }
+    } finally {
+      if (!isCancelled()) {
+        setLoading(false);
+      }
+    }
+  }, [username, email, fullName, enabled]);
+
+  useEffect(() => {
+    let cancelled = false;
+    findSuggestions(() => cancelled);
+    return () => {
+      cancelled = true;
+    };
+  }, [findSuggestions]);
+
+  const refetch = useCallback(() => {
+    findSuggestions();
+  }, [findSuggestions]);
+
+  return {
+    data: suggestions,
+    loading,
+    error,
+    refetch,
+  };
+};
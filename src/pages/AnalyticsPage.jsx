@@ -0,0 +1,177 @@
+/**
+ * AnalyticsPage - Protected analytics dashboard for profile owners
+ *
+ * Features:
+ * - Selectable time ranges (7/30/90 days)
+ * - Views and clicks over time (SVG chart, no charting library)
+ * - Per-link table sortable by clicks
+ * - Top referrers and device types
+ * - Mobile-first layout with bottom/sidebar navigation
+ */
+
+import React, { useMemo, useState } from 'react';
+import { Eye, MousePointer, Percent, Users } from 'lucide-react';
+import { useAuth } from '../hooks/useAuth.js';
+import { useUserLinks } from '../hooks/useUserLinks.js';
+import { useUserAnalytics } from '../hooks/useUserAnalytics.js';
+import { ErrorState, ProfileSetupGuard, ProtectedRoute } from '../components/common';
+import { RefreshIndicator, StatsSkeleton } from '../components/common/ModernLoading.jsx';
+import {
+  AnalyticsBreakdown,
+  AnalyticsChart,
+  DashboardLayout,
+  LinkAnalyticsTable,
+} from '../components/dashboard';
+import { ANALYTICS_CONFIG } from '../constants';
+import { calculateClickThroughRate } from '../utils/analyticsUtils';
+import { getErrorType } from '../utils/errorUtils';
+import { isSectionHeader } from '../utils/linkUtils';
+
+const DEVICE_LABELS = {
+  [ANALYTICS_CONFIG.DEVICE_TYPES.MOBILE]: 'Mobile',
+  [ANALYTICS_CONFIG.DEVICE_TYPES.TABLET]: 'Tablet',
+  [ANALYTICS_CONFIG.DEVICE_TYPES.DESKTOP]: 'Desktop',
+};
+
+const formatReferrer = (label) => (label === 'direct' ? 'Direct / unknown' : label);
+const formatDevice = (label) => DEVICE_LABELS[label] || label;
+
+const AnalyticsPage = () => {
+  const { user } = useAuth();
+  const [rangeDays, setRangeDays] = useState(ANALYTICS_CONFIG.DEFAULT_RANGE_DAYS);
+
+  const { data: links } = useUserLinks(user?.id);
+  const {
+    data: analytics,
+    loading,
+    error,
+    refetch,
+  } = useUserAnalytics(user?.id, rangeDays);
+
+  // Section headers have no clicks of their own
+  const linkRows = useMemo(() => (links || []).filter(link => !isSectionHeader(link)).map(link => ({
+    id: link.id,
+    title: link.title,
+    url: link.url,
+    clicks: analytics.clicksByLink[link.id] || 0,
+  })), [links, analytics.clicksByLink]);
+
+  const clickThroughRate = calculateClickThroughRate(analytics.totalClicks, analytics.totalViews);
+
+  const summaryItems = [
+    {
+      id: 'views',
+      label: 'Profile Views',
+      value: analytics.totalViews,
+      icon: <Eye className="w-4 h-4 md:w-5 md:h-5 text-purple-600" />,
+    },
+    {
+      id: 'visitors',
+      label: 'Unique Visitors',
+      value: analytics.uniqueVisitors,
+      icon: <Users className="w-4 h-4 md:w-5 md:h-5 text-forest-green" />,
+    },
+    {
+      id: 'clicks',
+      label: 'Link Clicks',
+      value: analytics.totalClicks,
+      icon: <MousePointer className="w-4 h-4 md:w-5 md:h-5 text-green-600" />,
+    },
+    {
+      id: 'ctr',
+      label: 'Click-through',
+      value: clickThroughRate === null ? '—' : `${clickThroughRate}%`,
+      icon: <Percent className="w-4 h-4 md:w-5 md:h-5 text-golden-yellow" />,
+    },
+  ];
+
+  // Range selector rendered in the layout header
+  const rangeSelector = (
+    <div className="flex rounded-lg border border-gray-200 overflow-hidden" role="group" aria-label="Time range">
+      {ANALYTICS_CONFIG.RANGE_OPTIONS.map(days => (
+        <button
+          key={days}
+          type="button"
+          onClick={() => setRangeDays(days)}
+          aria-pressed={rangeDays === days}
+          className={`
+            px-3 py-2 text-sm min-h-[40px] transition-colors duration-200
+            ${rangeDays === days
+              ? 'bg-golden-yellow text-white font-medium'
+              : 'bg-white text-gray-600 hover:bg-gray-50'
+            }
+          `}
+        >
+          {days}d
+        </button>
+      ))}
+    </div>
+  );
+
+  return (
+    <ProtectedRoute>
+      <ProfileSetupGuard>
+        <DashboardLayout title="Analytics" headerActions={rangeSelector}>
+          {/* Background refresh indicator */}
+          <RefreshIndicator isVisible={loading && analytics.viewsSeries.length > 0} />
+
+          {error ? (
+            <ErrorState
+              type={getErrorType(error)}
+              error={error}
+              onRetry={refetch}
+              context={{
+                operation: 'Load Analytics',
+                component: 'AnalyticsPage'
+              }}
+            />
+          ) : loading && analytics.viewsSeries.length === 0 ? (
+            <StatsSkeleton />
+          ) : (
+            <>
+              {/* Summary tiles - 2 columns on mobile, 4 on desktop */}
+              <div className="grid grid-cols-2 gap-3 md:grid-cols-4 md:gap-4">
+                {summaryItems.map(item => (
+                  <div key={item.id} className="bg-white rounded-lg shadow-sm p-3 md:p-4">
+                    <div className="flex items-center space-x-2 mb-1">
+                      {item.icon}
+                      <span className="text-xs text-gray-600 md:text-sm">{item.label}</span>
+                    </div>
+                    <p className="text-xl font-bold text-gray-900 md:text-2xl">{item.value}</p>
+                  </div>
+                ))}
+              </div>
+
+              <AnalyticsChart
+                title={`Last ${rangeDays} days`}
+                series={[
+                  { id: 'views', label: 'Views', colorClass: 'text-purple-600', data: analytics.viewsSeries },
+                  { id: 'clicks', label: 'Clicks', colorClass: 'text-green-600', data: analytics.clicksSeries },
+                ]}
+              />
+
+              <LinkAnalyticsTable rows={linkRows} />
+
+              <div className="grid gap-4 md:grid-cols-2 md:gap-6">
+                <AnalyticsBreakdown
+                  title="Top Referrers"
+                  entries={analytics.topReferrers}
+                  formatLabel={formatReferrer}
+                  emptyMessage="No profile visits in this range yet."
+                />
+                <AnalyticsBreakdown
+                  title="Devices"
+                  entries={analytics.deviceTypes}
+                  formatLabel={formatDevice}
+                  emptyMessage="No profile visits in this range yet."
+                />
+              </div>
+            </>
+          )}
+        </DashboardLayout>
+      </ProfileSetupGuard>
+    </ProtectedRoute>
+  );
+};
+
+export default AnalyticsPage;
@@ -0,0 +1,58 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { usePublicProfileByDomain } from '../hooks/usePublicProfileByDomain';
+import { ErrorState } from '../components/common';
+import { InitialLoading } from '../components/common/ModernLoading.jsx';
+import { getErrorType } from '../utils/errorUtils';
+import PublicProfile from './PublicProfile.jsx';
+import LinkRedirect from './LinkRedirect.jsx';
+import NotFound from './NotFound.jsx';
+
+/**
+ * CustomDomainProfile Component
+ * 
+ * Pages of a profile's custom domain (host mode in App.jsx).
+ * Resolves the hostname to its verified profile and renders PublicProfile for it,
+ * or LinkRedirect for its short links ("/:slug"); unknown or unverified domains
+ * show the 404 page.
+ */
+const CustomDomainProfile = ({ hostname, view = 'profile' }) => {
+  const { data: profile, loading, error, notFound } = usePublicProfileByDomain(hostname);
+
+  if (loading) {
+    return <InitialLoading />;
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <ErrorState
+          type={getErrorType(error)}
+          error={error}
+          onRetry={() => window.location.reload()}
+          context={{
+            operation: 'Resolve Custom Domain',
+            hostname
+          }}
+        />
+      </div>
+    );
+  }
+
+  if (notFound) {
+    return <NotFound type="profile" />;
+  }
+
+  return view === 'shortLink'
+    ? <LinkRedirect username={profile.username} />
+    : <PublicProfile username={profile.username} />;
+};
+
+CustomDomainProfile.propTypes = {
+  /** Hostname the app is served from */
+  hostname: PropTypes.string.isRequired,
+  /** Page to show for the resolved profile */
+  view: PropTypes.oneOf(['profile', 'shortLink']),
+};
+
+export default CustomDomainProfile;
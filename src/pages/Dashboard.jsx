@@ -7,20 +7,28 @@
  * - Progressive data loading
  * - Profile management
  * - Real-time stats and link preview
+ * - Broken link warning from periodic link health checks
  * - Link management (add, edit, delete)
+ * - Notice with a cancel option while an account deletion is scheduled
  */
 
 import React, { useState } from 'react';
-import { AlertCircle, Link } from 'lucide-react';
+import { AlertCircle, AlertTriangle, Link } from 'lucide-react';
 import Modal from '../components/common/Modal';
 import { useAuth } from '../hooks/useAuth.js';
 import { useUserProfile } from '../hooks/useUserProfile.js';
 import { useUserLinks } from '../hooks/useUserLinks.js';
+import { useUserAnalytics } from '../hooks/useUserAnalytics.js';
+import { useLinkHealth } from '../hooks/useLinkHealth.js';
+import { useAlerts } from '../hooks/useAlerts.js';
 import { useDashboard } from '../contexts/DashboardContext.jsx';
 import { Button, ErrorDisplay, ErrorState, ProfileSetupGuard, ProtectedRoute } from '../components/common';
 import { ProfileSkeleton, RefreshIndicator, StatsSkeleton } from '../components/common/ModernLoading.jsx';
 import { ProfileSettings } from '../components/profile';
 import { DashboardLayout, DashboardStats, ProfileQuickPreview } from '../components/dashboard';
+import { AccountService } from '../services';
+import { ANALYTICS_CONFIG } from '../constants';
+import { getPublicProfileUrl } from '../utils/profileUrlUtils';
 
 const Dashboard = () => {
   const { user } = useAuth();
@@ -40,7 +48,15 @@ const Dashboard = () => {
   // Dashboard statistics from DashboardContext
   const { dashboardStats: stats } = useDashboard();
 
+  // Click and profile view analytics for the default range
+  const { data: analytics, refetch: refetchAnalytics } = useUserAnalytics(user?.id);
+
+  // Check links that are due a health check; broken ones are counted in the stats
+  useLinkHealth(links);
+
+  const { showSuccess, showError } = useAlerts();
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
+  const [cancellingDeletion, setCancellingDeletion] = useState(false);
 
   const handleProfileUpdate = (_updatedProfile) => {
     refetchProfile();
@@ -53,7 +69,21 @@ const Dashboard = () => {
 
   const handleViewPublicProfile = () => {
     if (profile?.username) {
-      window.open(`/${profile.username}`, '_blank');
+      window.open(getPublicProfileUrl(profile), '_blank');
+    }
+  };
+
+  // Keep an account whose deletion was scheduled
+  const handleCancelDeletion = async () => {
+    setCancellingDeletion(true);
+    const result = await AccountService.cancelAccountDeletion(user.id);
+    setCancellingDeletion(false);
+
+    if (result.success) {
+      refetchProfile();
+      showSuccess({ title: 'Deletion Cancelled', message: 'Your account and public profile are back' }, { duration: 3000, position: 'bottom-center' });
+    } else {
+      showError({ title: 'Could Not Cancel', message: result.error || 'Please try again' }, { duration: 5000, position: 'bottom-center' });
     }
   };
 
@@ -61,6 +91,7 @@ const Dashboard = () => {
   const handleRefreshData = () => {
     refetchProfile();
     refetchLinks();
+    refetchAnalytics();
   };
 
   // Determine overall loading state (only for initial loads)
@@ -73,6 +104,30 @@ const Dashboard = () => {
           {/* Background refresh indicator */}
           <RefreshIndicator isVisible={isRefreshing} />
             <>
+              {/* Scheduled account deletion notice */}
+              {profile?.deletion_scheduled_at && (
+                <div className="p-4 bg-red-50 border border-red-200 rounded-lg md:p-6" role="alert">
+                  <div className="flex flex-col space-y-3 md:flex-row md:items-center md:justify-between md:space-y-0 md:space-x-4">
+                    <div className="flex items-start space-x-3">
+                      <AlertTriangle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+                      <p className="text-sm text-red-700">
+                        Your account is scheduled for deletion on{' '}
+                        {new Date(profile.deletion_scheduled_at).toLocaleDateString()}. Your public profile is hidden until then.
+                      </p>
+                    </div>
+                    <Button
+                      variant="outline"
+                      onClick={handleCancelDeletion}
+                      loading={cancellingDeletion}
+                      disabled={cancellingDeletion}
+                      className="py-2 text-sm min-h-[44px] flex-shrink-0"
+                    >
+                      Keep My Account
+                    </Button>
+                  </div>
+                </div>
+              )}
+
               {/* Profile Quick Preview - show skeleton only on initial load */}
               {profileLoading ? (
                 <ProfileSkeleton />
@@ -104,7 +159,13 @@ const Dashboard = () => {
                 <StatsSkeleton />
               ) : (
                 <DashboardStats 
-                  stats={stats}
+                  stats={{
+                    ...stats,
+                    totalClicks: analytics.totalClicks,
+                    profileViews: analytics.totalViews,
+                    uniqueVisitors: analytics.uniqueVisitors,
+                  }}
+                  rangeLabel={`Last ${ANALYTICS_CONFIG.DEFAULT_RANGE_DAYS} days`}
                   loading={false}
                   isRealTimeConnected={isRealTimeConnected}
                   onRefresh={handleRefreshData}
@@ -174,7 +235,7 @@ const Dashboard = () => {
                             {link.title}
                           </h3>
                           <p className="text-xs text-gray-600 truncate">
-                            {link.url}
+                            {link.url || 'Section header'}
                           </p>
                         </div>
                       </div>
@@ -220,6 +281,7 @@ const Dashboard = () => {
               profile={profile}
               onUpdate={handleProfileUpdate}
               onCancel={handleCancelProfileEdit}
+              onDomainChange={refetchProfile}
             />
           </Modal>
         )}
@@ -0,0 +1,95 @@
+import React, { useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { useParams } from 'react-router-dom';
+import { Loader2 } from 'lucide-react';
+import { useShortLink } from '../hooks/useShortLink';
+import AnalyticsService from '../services/AnalyticsService.js';
+import { ErrorState } from '../components/common';
+import { getErrorType } from '../utils/errorUtils';
+import { LINK_SLUG_CONFIG } from '../constants';
+import NotFound from './NotFound.jsx';
+
+/**
+ * LinkRedirect Component
+ *
+ * Short link page for /:username/:slug, /go/:id and /:slug on a custom domain.
+ * Resolves the link, records the click, then replaces the page with the link URL
+ * so the short link doesn't stay in the visitor's history. Recording is awaited
+ * (unlike clicks on the profile page, where the new tab keeps the page alive) but
+ * capped by LINK_SLUG_CONFIG.TRACKING_TIMEOUT so a slow request never blocks the
+ * redirect. Unknown, hidden or expired links show the 404 page.
+ */
+const LinkRedirect = ({ username: usernameProp = null }) => {
+  const params = useParams();
+  const username = usernameProp || params.username;
+  const { data: link, loading, error, notFound } = useShortLink({
+    username,
+    slug: params.slug,
+    linkId: params.id,
+  });
+  const redirectedRef = useRef(false);
+
+  useEffect(() => {
+    if (!link || redirectedRef.current) return;
+    redirectedRef.current = true;
+
+    const track = AnalyticsService.trackLinkClick({
+      linkId: link.id,
+      profileId: link.user_id,
+    });
+    const timeout = new Promise(resolve => setTimeout(resolve, LINK_SLUG_CONFIG.TRACKING_TIMEOUT));
+
+    Promise.race([track, timeout]).finally(() => {
+      window.location.replace(link.url);
+    });
+  }, [link]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+        <Loader2 className="w-8 h-8 text-gray-400 animate-spin" aria-label="Loading link" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <ErrorState
+          type={getErrorType(error)}
+          error={error}
+          onRetry={() => window.location.reload()}
+          context={{
+            operation: 'Resolve Short Link',
+            username
+          }}
+        />
+      </div>
+    );
+  }
+
+  if (notFound) {
+    return <NotFound type="link" />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col items-center justify-center p-4 text-center">
+      <Loader2 className="w-8 h-8 text-gray-400 animate-spin mb-4" aria-hidden="true" />
+      <p className="text-base text-gray-700">Redirecting…</p>
+      <a
+        href={link.url}
+        rel="noopener noreferrer"
+        className="mt-2 inline-flex items-center min-h-[44px] px-3 text-sm text-forest-green underline break-all"
+      >
+        Continue to {link.title || link.url}
+      </a>
+    </div>
+  );
+};
+
+LinkRedirect.propTypes = {
+  /** Owner's username; read from the route when omitted (custom domains pass it) */
+  username: PropTypes.string,
+};
+
+export default LinkRedirect;
@@ -5,8 +5,12 @@
  * - Mobile-first design optimized for link management
  * - Real-time link updates
  * - Add, edit, delete, and reorder links
+ * - Public/private visibility toggle per link
+ * - Copy a link's short link (counts clicks, redirects to the URL)
+ * - Link health checks that flag broken links, with a "Check now" action
  * - Search and filter functionality
- * - Bulk operations
+ * - Import from JSON, CSV or pasted URL lists
+ * - Bulk operations (multi-select delete, duplicate, move, show/hide)
  * - Touch-optimized interface
  */
 
@@ -25,15 +29,29 @@ import {
   sortableKeyboardCoordinates,
   verticalListSortingStrategy,
 } from '@dnd-kit/sortable';
-import { GripVertical, Info, Link, Plus, Search, X } from 'lucide-react';
+import { AlertTriangle, CheckSquare, GripVertical, Info, Link, Plus, RefreshCw, Search, Upload, X } from 'lucide-react';
 import { useAuth } from '../hooks/useAuth.js';
 import { useUserLinks } from '../hooks/useUserLinks.js';
+import { useUserProfile } from '../hooks/useUserProfile.js';
 import { useLinkReordering } from '../hooks/useLinkReordering.js';
+import { useUserAnalytics } from '../hooks/useUserAnalytics.js';
+import { useAlerts, useBulkLinkOperations, useLinkHealth } from '../hooks';
 import { Button, ErrorState, ProfileSetupGuard, ProtectedRoute } from '../components/common';
 import { LinksSkeleton, RefreshIndicator } from '../components/common/ModernLoading.jsx';
 import { DashboardLayout } from '../components/dashboard';
-import { AddLinkModal, DeleteLinkModal, DraggableLink, EditLinkModal } from '../components/links';
-import { getErrorType } from '../utils/errorUtils';
+import {
+  AddLinkModal,
+  BulkActionBar,
+  BulkActionModal,
+  DeleteLinkModal,
+  DraggableLink,
+  EditLinkModal,
+  ImportLinksModal,
+} from '../components/links';
+import { getContextualErrorMessage, getErrorType } from '../utils/errorUtils';
+import { calculateClickThroughRate } from '../utils/analyticsUtils';
+import { getShortLinkUrl } from '../utils/profileUrlUtils';
+import { isLinkBroken } from '../utils/linkHealthUtils';
 
 const LinksPage = () => {
   const { user } = useAuth();
@@ -43,17 +61,35 @@ const LinksPage = () => {
     refreshing,
     error, 
     refetch,
-    removeOptimistic
+    addOptimistic,
+    removeOptimistic,
+    toggleVisibility
   } = useUserLinks(user?.id);
+  const { data: profile } = useUserProfile(user?.id);
+  const { showError, showInfo, showSuccess } = useAlerts();
 
   const [showAddLinkModal, setShowAddLinkModal] = useState(false);
   const [showEditLinkModal, setShowEditLinkModal] = useState(false);
   const [showDeleteLinkModal, setShowDeleteLinkModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
   const [editingLink, setEditingLink] = useState(null);
   const [deletingLink, setDeletingLink] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [localLinks, setLocalLinks] = useState(links || []);
   const [showDndBanner, setShowDndBanner] = useState(true);
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [pendingBulkAction, setPendingBulkAction] = useState(null);
+
+  // Per-link click counts shown on each LinkManagerCard
+  const { data: analytics } = useUserAnalytics(user?.id);
+
+  // Broken link checks: due links are checked automatically, "Check now" checks all
+  const {
+    data: healthCounts,
+    loading: checkingHealth,
+    checkingIds,
+    checkNow: checkLinkHealth,
+  } = useLinkHealth(links || []);
 
   // Drag and drop functionality
   const {
@@ -93,6 +129,9 @@ const LinksPage = () => {
     (link.url?.toLowerCase() || '').includes(searchQuery.toLowerCase())
   );
 
+  // Multi-select bulk actions; select-all only covers links matching the search
+  const bulk = useBulkLinkOperations(links || [], { visibleLinks: filteredLinks });
+
   // Update local links when real-time links change (but preserve optimistic updates during dragging)
   useEffect(() => {
     if (!isDragging && links && links.length > 0) {
@@ -119,6 +158,11 @@ const LinksPage = () => {
     // No need to refetch since real-time updates are working
   };
 
+  const handleLinksImported = (importedLinks) => {
+    // Show imported links right away; real-time events reconcile them by ID
+    importedLinks.forEach(link => addOptimistic(link));
+  };
+
   // Handle Edit Link Modal
   const handleOpenEditLinkModal = (link) => {
     setEditingLink(link);
@@ -135,6 +179,68 @@ const LinksPage = () => {
     // No need to refetch since real-time updates are working
   };
 
+  const handleCopyShortLink = async (_link, url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      showSuccess({ title: 'Copied!', message: 'Short link copied to clipboard' }, { duration: 2000, position: 'bottom-center' });
+    } catch (err) {
+      console.error('Failed to copy short link:', err);
+      showError({ title: 'Copy Failed', message: 'Could not copy the short link. Please try again.' });
+    }
+  };
+
+  const handleCheckLinks = async () => {
+    const result = await checkLinkHealth();
+
+    if (!result.success) {
+      showError({
+        title: 'Link Check Failed',
+        message: getContextualErrorMessage(new Error(result.error), 'link'),
+      }, { duration: 5000, position: 'bottom-center' });
+      return;
+    }
+
+    if (result.data.length === 0) {
+      showInfo({
+        title: 'Nothing to Check',
+        message: 'Only http and https links can be checked',
+      }, { duration: 3000, position: 'bottom-center' });
+      return;
+    }
+
+    const brokenCount = result.data.filter(isLinkBroken).length;
+    showSuccess({
+      title: 'Links Checked',
+      message: brokenCount > 0
+        ? `${brokenCount} of ${result.data.length} links look broken`
+        : `All ${result.data.length} links are working`,
+    }, { duration: 3000, position: 'bottom-center' });
+  };
+
+  // Handle visibility toggle (optimistic; rolled back by the hook on failure)
+  const handleToggleVisibility = async (link, isPublic) => {
+    const result = await toggleVisibility(link.id, isPublic);
+
+    if (!result.success) {
+      showError({
+        title: 'Failed to Update Visibility',
+        message: getContextualErrorMessage(new Error(result.error), 'link'),
+        duration: 5000,
+        position: 'bottom-center'
+      });
+      return;
+    }
+
+    showSuccess({
+      title: isPublic ? 'Link Visible' : 'Link Hidden',
+      message: isPublic
+        ? `"${link.title}" is now shown on your public profile`
+        : `"${link.title}" is now hidden from your public profile`,
+      duration: 3000,
+      position: 'bottom-center'
+    });
+  };
+
   // Handle Delete Link Modal
   const handleOpenDeleteLinkModal = (link) => {
     setDeletingLink(link);
@@ -154,6 +260,21 @@ const LinksPage = () => {
     }
   };
 
+  // Handle selection mode and bulk actions
+  const handleExitSelectionMode = () => {
+    setSelectionMode(false);
+    bulk.clearSelection();
+  };
+
+  const handleCloseBulkActionModal = () => {
+    setPendingBulkAction(null);
+  };
+
+  const handleConfirmBulkAction = async () => {
+    await bulk.runBulkAction(pendingBulkAction);
+    setPendingBulkAction(null);
+  };
+
   return (
     <ProtectedRoute>
       <ProfileSetupGuard>
@@ -184,13 +305,47 @@ const LinksPage = () => {
                 />
               </div>
               
-              {/* Add Link Button */}
-              <div className="flex-shrink-0">
+              {/* Select, Import and Add Link Buttons */}
+              <div className="flex flex-shrink-0 space-x-3">
+                <Button
+                  variant="outline"
+                  onClick={() => setShowImportModal(true)}
+                  disabled={loading || selectionMode}
+                  className="flex-1 px-4 py-2 text-sm font-medium min-h-[40px] md:flex-none"
+                  title="Import links from a file or a pasted list"
+                >
+                  <Upload className="w-4 h-4 mr-2" />
+                  Import
+                </Button>
+                {(links || []).length > 0 && (
+                  <Button
+                    variant="outline"
+                    onClick={handleCheckLinks}
+                    disabled={loading || checkingHealth}
+                    className="flex-1 px-4 py-2 text-sm font-medium min-h-[40px] md:flex-none"
+                    title="Check all links for broken pages, redirects and certificate errors"
+                  >
+                    <RefreshCw className={`w-4 h-4 mr-2 ${checkingHealth ? 'animate-spin' : ''}`} />
+                    {checkingHealth ? 'Checking…' : 'Check now'}
+                  </Button>
+                )}
+                {(links || []).length > 0 && (
+                  <Button
+                    variant={selectionMode ? 'secondary' : 'outline'}
+                    onClick={selectionMode ? handleExitSelectionMode : () => setSelectionMode(true)}
+                    disabled={loading || bulk.isProcessing}
+                    className="flex-1 px-4 py-2 text-sm font-medium min-h-[40px] md:flex-none"
+                    title={selectionMode ? 'Stop selecting links' : 'Select links for bulk actions'}
+                  >
+                    <CheckSquare className="w-4 h-4 mr-2" />
+                    {selectionMode ? 'Cancel' : 'Select'}
+                  </Button>
+                )}
                 <Button
                   variant="primary"
                   onClick={handleOpenAddLinkModal}
                   disabled={loading}
-                  className="w-full px-4 py-2 text-sm font-medium min-h-[40px] md:w-auto md:px-6"
+                  className="flex-1 px-4 py-2 text-sm font-medium min-h-[40px] md:flex-none md:px-6"
                   title="Add a new link to your profile"
                 >
                   <Plus className="w-4 h-4 mr-2" />
@@ -263,13 +418,51 @@ const LinksPage = () => {
                       <Plus className="w-5 h-5 mr-2" />
                       Add Your First Link
                     </Button>
+                    <p className="mt-4 text-sm text-gray-600">
+                      Moving from another link-in-bio tool?{' '}
+                      <button
+                        type="button"
+                        onClick={() => setShowImportModal(true)}
+                        className="font-medium text-forest-green underline hover:text-golden-yellow"
+                      >
+                        Import your links
+                      </button>
+                    </p>
                   </>
                 ) : null}
               </div>
             ) : (
               // Drag and Drop Information Banner + Links List
               <>
-                {filteredLinks.length > 1 && showDndBanner && (
+                {selectionMode && (
+                  <BulkActionBar
+                    selectedCount={bulk.selectedCount}
+                    visibleCount={filteredLinks.length}
+                    allSelected={bulk.allVisibleSelected}
+                    onToggleSelectAll={bulk.toggleSelectAll}
+                    onAction={setPendingBulkAction}
+                    onExit={handleExitSelectionMode}
+                    disabled={bulk.isProcessing}
+                  />
+                )}
+
+                {healthCounts.broken > 0 && !selectionMode && (
+                  <div className="bg-coral-red/10 border-l-4 border-coral-red p-4 mx-4 mt-4 rounded-r-lg" role="status">
+                    <div className="flex items-start">
+                      <AlertTriangle className="w-5 h-5 text-coral-red flex-shrink-0" />
+                      <div className="ml-3">
+                        <h3 className="text-sm font-medium text-gray-900">
+                          {healthCounts.broken} {healthCounts.broken === 1 ? 'link looks' : 'links look'} broken
+                        </h3>
+                        <p className="mt-1 text-sm text-gray-700">
+                          Visitors may land on an error page. Edit or hide the links marked "Broken", or check again once they're fixed.
+                        </p>
+                      </div>
+                    </div>
+                  </div>
+                )}
+
+                {filteredLinks.length > 1 && showDndBanner && !selectionMode && (
                   <div className="bg-mint-cream border-l-4 border-golden-yellow p-4 mx-4 mt-4 rounded-r-lg relative">
                     <div className="flex items-start">
                       <div className="flex-shrink-0">
@@ -333,12 +526,21 @@ const LinksPage = () => {
                     {filteredLinks.map((link, index) => (
                       <DraggableLink
                         key={link.id}
-                        link={link}
+                        link={{
+                          ...link,
+                          click_count: analytics.clicksByLink[link.id] || 0,
+                          click_through_rate: calculateClickThroughRate(
+                            analytics.clicksByLink[link.id] || 0,
+                            analytics.totalViews
+                          ),
+                        }}
                         position={index + 1}
                         showEditButton={true}
                         showDeleteButton={true}
-                        showSelection={false}
-                        isSelected={false}
+                        showSelection={selectionMode}
+                        showVisibilityToggle={true}
+                        isSelected={bulk.isSelected(link.id)}
+                        onSelect={bulk.toggleSelection}
                         isDragging={isDragging}
                         onEdit={(link) => {
                           handleOpenEditLinkModal(link);
@@ -346,6 +548,10 @@ const LinksPage = () => {
                         onDelete={(link) => {
                           handleOpenDeleteLinkModal(link);
                         }}
+                        onToggleVisibility={handleToggleVisibility}
+                        shortLinkUrl={getShortLinkUrl(profile, link)}
+                        onCopyShortLink={handleCopyShortLink}
+                        isCheckingHealth={checkingIds.includes(link.id)}
                         className="border-0 rounded-none hover:bg-gray-50"
                       />
                     ))}
@@ -383,6 +589,24 @@ const LinksPage = () => {
           onLinkDeleted={handleLinkDeleted}
           link={deletingLink}
         />
+
+        {/* Import Links Modal */}
+        <ImportLinksModal
+          isOpen={showImportModal}
+          onClose={() => setShowImportModal(false)}
+          onLinksImported={handleLinksImported}
+          existingLinks={links || []}
+        />
+
+        {/* Bulk Action Confirmation Modal */}
+        <BulkActionModal
+          isOpen={!!pendingBulkAction}
+          action={pendingBulkAction || undefined}
+          count={bulk.selectedCount}
+          loading={bulk.isProcessing}
+          onConfirm={handleConfirmBulkAction}
+          onClose={handleCloseBulkActionModal}
+        />
       </ProfileSetupGuard>
     </ProtectedRoute>
   );
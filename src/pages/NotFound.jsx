@@ -8,6 +8,7 @@ import { ErrorState } from '../components/common';
  * 
  * Displays a 404 error page for:
  * - Non-existent usernames
+ * - Unknown, hidden or expired short links
  * - Invalid routes
  * - Any unmatched paths
  * 
@@ -30,6 +31,12 @@ const NotFound = ({ type = 'page', username = null }) => {
             : 'The profile you\'re looking for doesn\'t exist.',
           suggestion: 'Check the username and try again, or explore other profiles.'
         };
+      case 'link':
+        return {
+          title: 'Link Not Found',
+          message: 'This short link doesn\'t exist or is no longer available.',
+          suggestion: 'Ask the person who shared it for an updated link.'
+        };
       case 'page':
       default:
         return {
@@ -75,7 +82,7 @@ const NotFound = ({ type = 'page', username = null }) => {
 };
 
 NotFound.propTypes = {
-  type: PropTypes.oneOf(['page', 'profile']),
+  type: PropTypes.oneOf(['page', 'profile', 'link']),
   username: PropTypes.string,
 };
 
@@ -1,8 +1,12 @@
-import React from 'react';
-import { useParams } from 'react-router-dom';
+import React, { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Navigate, useParams } from 'react-router-dom';
+import { Share2 } from 'lucide-react';
 import { usePublicProfile } from '../hooks/usePublicProfile';
 import { usePublicRealtimeLinks } from '../hooks/usePublicRealtimeLinks';
-import { ProfileHeader } from '../components/profile';
+import { useProfileViewTracking } from '../hooks/useProfileViewTracking';
+import { useDocumentHead } from '../hooks/useDocumentHead';
+import { ProfileHeader, ShareProfileSheet } from '../components/profile';
 import { 
   ErrorBoundary,
   ErrorState,
@@ -12,24 +16,52 @@ import {
 import { LinkList } from '../components/links';
 import { RESPONSIVE_PATTERNS, TOUCH_TARGETS } from '../utils/mobileUtils';
 import { getErrorType } from '../utils/errorUtils';
+import { getThemeCssVariables } from '../utils/themeUtils';
+import { buildProfileHead } from '../utils/seoUtils';
+import { getPublicProfilePath, getPublicProfileUrl } from '../utils/profileUrlUtils';
 
 /**
  * PublicProfile Component
  * 
- * Displays a public profile page for a user accessible via /:username
+ * Displays a public profile page for a user accessible via /:username, or at / of
+ * the user's verified custom domain (see CustomDomainProfile)
  * This component handles:
  * - Loading profile data by username
  * - Displaying profile information and links
  * - Handling 404 cases for non-existent users
+ * - Redirecting recently changed usernames to the current one
+ * - Recording deduplicated profile views for analytics
+ * - Showing only public links inside their schedule window (updates live)
+ * - Social icons under the bio (update live with the links)
+ * - The profile's default UTM tags added to link clicks
+ * - Applying the owner's theme through CSS variables (default look when unset)
+ * - Share sheet with copy link, native share and a downloadable QR code
+ * - Title, description, canonical, Open Graph / Twitter and JSON-LD head tags
  * - Mobile-first responsive design with touch optimization
  * - Responsive design testing in development
  */
-const PublicProfile = () => {
-  const { username } = useParams();
+const PublicProfile = ({ username: usernameProp = null }) => {
+  const params = useParams();
+  const username = usernameProp || params.username;
+  const [isShareOpen, setIsShareOpen] = useState(false);
   
   // Fetch profile and links data
-  const { data: profile, loading: profileLoading, error: profileError, notFound } = usePublicProfile(username);
-  const { data: links, loading: linksLoading, error: linksError } = usePublicRealtimeLinks(username);
+  const { data: profile, loading: profileLoading, error: profileError, notFound, redirectTo } = usePublicProfile(username);
+  const { data: links, loading: linksLoading, error: linksError, socialLinks } = usePublicRealtimeLinks(username);
+
+  // Live social link changes win over the ones loaded with the profile
+  const headerProfile = useMemo(() => (
+    profile && socialLinks ? { ...profile, social_links: socialLinks } : profile
+  ), [profile, socialLinks]);
+
+  // Record an anonymous, deduplicated profile view (skipped for the owner)
+  useProfileViewTracking(profile);
+
+  // Head tags for link previews and search engines (prerendered copies: scripts/prerender-profiles.js)
+  const head = useMemo(() => (
+    profile ? buildProfileHead(profile, getPublicProfileUrl(profile)) : null
+  ), [profile]);
+  useDocumentHead(head);
 
   // Handle case where username is missing (shouldn't happen with proper routing)
   if (!username) {
@@ -45,6 +77,11 @@ const PublicProfile = () => {
     );
   }
 
+  // Old username: send visitors (and their bookmarks) to the current one
+  if (redirectTo) {
+    return <Navigate to={getPublicProfilePath(redirectTo)} replace />;
+  }
+
   // Handle profile not found
   if (notFound) {
     return (
@@ -150,14 +187,17 @@ const PublicProfile = () => {
     );
   }
 
+  // Theme tokens are only set when the owner picked a theme so the default look is untouched
+  const themeStyle = profile?.theme ? getThemeCssVariables(profile.theme) : undefined;
+
   return (
     <ErrorBoundary>
-      <div className="min-h-screen bg-gray-50">
+      <div className="min-h-screen bg-theme-page font-theme" style={themeStyle}>
         {/* Mobile-first responsive container */}
         <div className="
           w-full 
           mx-auto 
-          bg-white 
+          bg-theme-surface 
           min-h-screen
           
           sm:max-w-md 
@@ -179,12 +219,12 @@ const PublicProfile = () => {
             className="relative"
           >
             <ProfileHeader 
-              profile={profile} 
+              profile={headerProfile} 
               username={username}
               className="
                 p-4 
                 border-b 
-                border-gray-100
+                border-theme-border
                 
                 sm:p-6 
                 sm:rounded-t-lg
@@ -192,6 +232,21 @@ const PublicProfile = () => {
                 md:p-8
               "
             />
+            <button
+              type="button"
+              onClick={() => setIsShareOpen(true)}
+              aria-label={`Share @${username}'s profile`}
+              className={`
+                absolute top-3 right-3
+                flex items-center justify-center
+                bg-theme-surface text-theme-muted
+                border border-theme-border rounded-full
+                hover:text-theme-text transition-colors
+                ${TOUCH_TARGETS.MIN}
+              `}
+            >
+              <Share2 className="w-5 h-5" />
+            </button>
           </section>
 
           {/* Links Section - Enhanced with loading states */}
@@ -232,6 +287,7 @@ const PublicProfile = () => {
                 spacing="comfortable"
                 className="space-y-3 sm:space-y-4"
                 showAnimation={true}
+                utmDefaults={profile?.utm_defaults || null}
               />
             </ErrorBoundary>
           </section>
@@ -242,18 +298,24 @@ const PublicProfile = () => {
             py-6 
             text-center 
             border-t 
-            border-gray-100
+            border-theme-border
             
             sm:px-6 
             sm:rounded-b-lg
             
             md:px-8
           ">
-            <p className="text-xs text-gray-400">
-              Powered by <span className="font-semibold text-gray-500">Lynqee</span>
+            <p className="text-xs text-theme-muted opacity-80">
+              Powered by <span className="font-semibold text-theme-muted">Lynqee</span>
             </p>
           </footer>
 
+          <ShareProfileSheet
+            isOpen={isShareOpen}
+            onClose={() => setIsShareOpen(false)}
+            profile={profile}
+          />
+
           {/* Safe area spacing for mobile devices */}
           <div className="h-safe-area-inset-bottom sm:hidden" aria-hidden="true" />
         </div>
@@ -276,7 +338,8 @@ const PublicProfile = () => {
 };
 
 PublicProfile.propTypes = {
-  // No props needed as this component gets data from URL params
+  /** Username to show; defaults to the :username URL param */
+  username: PropTypes.string,
 };
 
 export default PublicProfile;
@@ -2,6 +2,7 @@ export { default as Dashboard } from './Dashboard.jsx';
 export { default as EmailVerification } from './EmailVerification.jsx';
 export { default as Auth } from './Auth.jsx';
 export { default as LinksPage } from './LinksPage.jsx';
+export { default as LinkRedirect } from './LinkRedirect.jsx';
 export { default as NotFound } from './NotFound.jsx';
 export { default as ProfileSetup } from './ProfileSetup.jsx';
 export { default as PublicProfile } from './PublicProfile.jsx';
@@ -0,0 +1,245 @@
+/**
+ * AccountService - Service layer for whole-account operations
+ *
+ * Combines ProfileService, LinksService, AvatarService, AnalyticsService and AuthService
+ * for tasks that span all of a user's data: the data-portability export, restoring a
+ * profile from it, and account deletion.
+ *
+ * Deletion either runs immediately or is scheduled: the profile gets a
+ * `deletion_scheduled_at` date, is hidden from public lookups and the user is signed
+ * out. Signing in again before that date allows cancelling. Accounts whose date has
+ * passed are deleted by scripts/purge-deleted-accounts.js (`npm run purge:accounts`),
+ * which runs the deleteAccount steps with the service role key and must be scheduled
+ * to run daily.
+ */
+
+import ProfileService from './ProfileService.js';
+import LinksService from './LinksService.js';
+import AvatarService from './AvatarService.js';
+import AuthService from './AuthService.js';
+import AnalyticsService from './AnalyticsService.js';
+import { ACCOUNT_DELETION_STEPS, APP_CONFIG } from '../constants/index.js';
+import { blobToDataUrl, buildAccountExport, getAccountRestoreData } from '../utils/accountExportUtils.js';
+
+class AccountService {
+  /**
+   * Standardize response format for consistent API
+   * @param {Object} data - Response data
+   * @param {Object} error - Error object
+   * @returns {Object} Standardized response
+   */
+  static _formatResponse(data, error) {
+    if (error) {
+      console.error('[AccountService] Error:', error);
+      return {
+        success: false,
+        error: error.message,
+        data: null,
+      };
+    }
+
+    return {
+      success: true,
+      error: null,
+      data: data,
+    };
+  }
+
+  /**
+   * Collect the user's profile, links and avatar into a versioned export document
+   * A missing or unreadable avatar does not fail the export; `warnings` lists what was left out.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Standardized response with { document, warnings }
+   */
+  static async exportAccountData(userId) {
+    try {
+      if (!userId) {
+        throw new Error('User ID is required for export');
+      }
+
+      const [profileResult, linksResult] = await Promise.all([
+        ProfileService.getProfileByUserId(userId),
+        LinksService.getLinksByUserId(userId),
+      ]);
+
+      if (!profileResult.success) {
+        throw new Error(profileResult.error || 'Failed to load profile');
+      }
+      if (!profileResult.data) {
+        throw new Error('No profile found to export');
+      }
+      if (!linksResult.success) {
+        throw new Error(linksResult.error || 'Failed to load links');
+      }
+
+      const warnings = [];
+      let avatar = null;
+      try {
+        const avatarFile = await AvatarService.downloadAvatar(userId);
+        if (avatarFile) {
+          avatar = {
+            fileName: avatarFile.fileName,
+            contentType: avatarFile.blob.type,
+            size: avatarFile.blob.size,
+            dataUrl: await blobToDataUrl(avatarFile.blob),
+          };
+        }
+      } catch (avatarError) {
+        console.warn('[AccountService] Avatar left out of export:', avatarError);
+        warnings.push('Your profile photo could not be included');
+      }
+
+      const document = buildAccountExport({
+        profile: profileResult.data,
+        links: linksResult.data,
+        avatar,
+      });
+
+      return this._formatResponse({ document, warnings }, null);
+    } catch (error) {
+      console.error('[AccountService] exportAccountData error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
+  /**
+   * Restore profile settings and the avatar from an account export
+   * Links are imported separately from the Links page. A missing or unusable avatar
+   * does not fail the restore; `warnings` lists what was left out.
+   * @param {string} userId - User ID
+   * @param {Object} document - Parsed account export
+   * @returns {Promise<Object>} Standardized response with { profile, warnings }
+   */
+  static async restoreAccountData(userId, document) {
+    try {
+      if (!userId) {
+        throw new Error('User ID is required to restore data');
+      }
+
+      const { profile, avatar } = getAccountRestoreData(document);
+      const updates = { ...profile };
+      const warnings = [];
+
+      if (avatar) {
+        try {
+          const file = new File([avatar.blob], avatar.fileName, { type: avatar.blob.type });
+          updates.avatar_url = await AvatarService.uploadAvatar(userId, file);
+        } catch (avatarError) {
+          console.warn('[AccountService] Avatar left out of restore:', avatarError);
+          warnings.push('Your profile photo could not be restored');
+        }
+      }
+
+      const result = await ProfileService.updateProfile(userId, updates);
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to restore profile');
+      }
+
+      return this._formatResponse({ profile: result.data, warnings }, null);
+    } catch (error) {
+      console.error('[AccountService] restoreAccountData error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
+  /**
+   * Permanently delete the account: analytics, links, avatar, username history, profile
+   * and auth user, then sign out
+   * Steps run in order and stop at the first failure so nothing is left without an owner;
+   * every step can safely be retried. Once the auth user is gone the deletion has
+   * succeeded: signing out only clears the local session and can't fail it.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Response with data { completed, failedStep } (also set on failure)
+   */
+  static async deleteAccount(userId) {
+    const completed = [];
+
+    const steps = [
+      [ACCOUNT_DELETION_STEPS.ANALYTICS, () => AnalyticsService.deleteAnalyticsByUserId(userId)],
+      [ACCOUNT_DELETION_STEPS.LINKS, () => LinksService.deleteLinksByUserId(userId)],
+      [ACCOUNT_DELETION_STEPS.AVATAR, async () => {
+        await AvatarService.deleteAvatar(userId);
+        return { success: true };
+      }],
+      [ACCOUNT_DELETION_STEPS.USERNAME_HISTORY, () => ProfileService.deleteUsernameHistory(userId)],
+      [ACCOUNT_DELETION_STEPS.PROFILE, () => ProfileService.deleteProfile(userId)],
+      [ACCOUNT_DELETION_STEPS.AUTH_USER, () => AuthService.deleteCurrentUser()],
+      [ACCOUNT_DELETION_STEPS.SIGN_OUT, async () => {
+        const result = await AuthService.signOut({ scope: 'local' });
+        if (!result.success) {
+          console.error('[AccountService] deleteAccount could not clear the local session:', result.error);
+        }
+        return { success: true };
+      }],
+    ];
+
+    if (!userId) {
+      return { success: false, error: 'User ID is required for deletion', data: { completed, failedStep: null } };
+    }
+
+    for (const [step, run] of steps) {
+      try {
+        const result = await run();
+        if (!result.success) {
+          throw new Error(result.error || `Failed at step: ${step}`);
+        }
+        completed.push(step);
+      } catch (error) {
+        console.error(`[AccountService] deleteAccount failed at ${step}:`, error);
+        return { success: false, error: error.message, data: { completed, failedStep: step } };
+      }
+    }
+
+    return { success: true, error: null, data: { completed, failedStep: null } };
+  }
+
+  /**
+   * Hide the profile now and delete it after the grace period, then sign out
+   * @param {string} userId - User ID
+   * @param {number} [graceDays] - Days before the deletion becomes permanent
+   * @returns {Promise<Object>} Standardized response with { scheduledFor } (ISO string)
+   */
+  static async scheduleAccountDeletion(userId, graceDays = APP_CONFIG.ACCOUNT_DELETION_GRACE_DAYS) {
+    try {
+      if (!userId) {
+        throw new Error('User ID is required for deletion');
+      }
+
+      const scheduledFor = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+      const result = await ProfileService.scheduleDeletion(userId, scheduledFor);
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to schedule account deletion');
+      }
+
+      const signOutResult = await AuthService.signOut();
+      if (!signOutResult.success) {
+        throw new Error(`Deletion is scheduled, but signing out failed: ${signOutResult.error}`);
+      }
+
+      return this._formatResponse({ scheduledFor: scheduledFor.toISOString() }, null);
+    } catch (error) {
+      console.error('[AccountService] scheduleAccountDeletion error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
+  /**
+   * Cancel a scheduled account deletion
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Standardized response with the restored profile
+   */
+  static async cancelAccountDeletion(userId) {
+    try {
+      const result = await ProfileService.cancelScheduledDeletion(userId);
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to cancel account deletion');
+      }
+      return this._formatResponse(result.data, null);
+    } catch (error) {
+      console.error('[AccountService] cancelAccountDeletion error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+}
+
+export default AccountService;
@@ -0,0 +1,291 @@
+/**
+ * AnalyticsService - Service layer for analytics events and aggregation
+ *
+ * This service abstracts all analytics-related API calls to Supabase.
+ * Components should not call supabase.from('link_clicks') or supabase.from('profile_views')
+ * directly, but use these service functions.
+ *
+ * Expected tables (RLS: anyone may insert, only the profile owner may select and delete):
+ *   link_clicks(id, link_id, profile_id, clicked_at, referrer, device_type)
+ *   profile_views(id, profile_id, visitor_id, viewed_at, referrer, device_type)
+ */
+
+import { SUPABASE_TABLES, supabase } from './supabase.js';
+import { ANALYTICS_CONFIG } from '../constants/index.js';
+import {
+  bucketEventsByDay,
+  countBy,
+  countDistinct,
+  getDeviceType,
+  getRangeStart,
+  getReferrerDomain,
+  getTopEntries,
+} from '../utils/analyticsUtils.js';
+
+class AnalyticsService {
+  /**
+   * Standardize response format for consistent API
+   * @param {Object} data - Supabase response data
+   * @param {Object} error - Supabase error object
+   * @returns {Object} Standardized response
+   */
+  static _formatResponse(data, error) {
+    if (error) {
+      console.error('[AnalyticsService] Error:', error);
+      return {
+        success: false,
+        error: error.message,
+        data: null,
+      };
+    }
+
+    return {
+      success: true,
+      error: null,
+      data: data,
+    };
+  }
+
+  /**
+   * Fetch every row of an event query, one page at a time
+   * The API caps the rows in a single response, so an unpaged select would silently
+   * drop events past the cap and undercount busy profiles.
+   * @param {Function} buildQuery - Returns a fresh, fully ordered select query
+   * @returns {Promise<Object>} { data, error } with all rows
+   */
+  static async _selectAllPages(buildQuery) {
+    const pageSize = ANALYTICS_CONFIG.QUERY_PAGE_SIZE;
+    const rows = [];
+
+    for (let from = 0; ; from += pageSize) {
+      const { data, error } = await buildQuery().range(from, from + pageSize - 1);
+      if (error) {
+        return { data: null, error };
+      }
+
+      rows.push(...(data || []));
+      if (!data || data.length < pageSize) {
+        return { data: rows, error: null };
+      }
+    }
+  }
+
+  /**
+   * Record a click on a public link
+   * Tracking must never break navigation, so failures are reported in the response only.
+   * @param {Object} clickData - Click data
+   * @param {string} clickData.linkId - The clicked link ID
+   * @param {string} clickData.profileId - The profile (user) ID that owns the link
+   * @param {string} [clickData.referrer] - Referrer URL (defaults to document.referrer)
+   * @param {string} [clickData.deviceType] - Device class (detected from user agent if omitted)
+   * @returns {Promise<Object>} Standardized response
+   */
+  static async trackLinkClick({ linkId, profileId, referrer, deviceType } = {}) {
+    try {
+      if (!linkId || !profileId) {
+        throw new Error('Link ID and profile ID are required to track a click');
+      }
+
+      const { error } = await supabase
+        .from(SUPABASE_TABLES.LINK_CLICKS)
+        .insert([{
+          link_id: linkId,
+          profile_id: profileId,
+          clicked_at: new Date().toISOString(),
+          referrer: getReferrerDomain(referrer),
+          device_type: deviceType || getDeviceType(),
+        }]);
+
+      return this._formatResponse(null, error);
+    } catch (error) {
+      console.error('[AnalyticsService] trackLinkClick error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
+  /**
+   * Fetch raw click rows for a profile within a day range, however many there are
+   * @param {string} userId - The profile (user) ID
+   * @param {number} days - Number of days to include, counting today
+   * @returns {Promise<Object>} Standardized response with click rows
+   */
+  static async getClicks(userId, days = ANALYTICS_CONFIG.DEFAULT_RANGE_DAYS) {
+    try {
+      if (!userId) {
+        throw new Error('User ID is required to load analytics');
+      }
+
+      const rangeStart = getRangeStart(days).toISOString();
+      const { data, error } = await this._selectAllPages(() => supabase
+        .from(SUPABASE_TABLES.LINK_CLICKS)
+        .select('link_id, clicked_at, referrer, device_type')
+        .eq('profile_id', userId)
+        .gte('clicked_at', rangeStart)
+        .order('clicked_at', { ascending: true })
+        .order('id', { ascending: true }));
+
+      return this._formatResponse(data || [], error);
+    } catch (error) {
+      console.error('[AnalyticsService] getClicks error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
+  /**
+   * Get click counts per link for a profile
+   * @param {string} userId - The profile (user) ID
+   * @param {number} days - Number of days to include, counting today
+   * @returns {Promise<Object>} Standardized response with { total, byLink: { [linkId]: count } }
+   */
+  static async getClickCountsByUser(userId, days = ANALYTICS_CONFIG.DEFAULT_RANGE_DAYS) {
+    const result = await this.getClicks(userId, days);
+    if (!result.success) {
+      return result;
+    }
+
+    return this._formatResponse({
+      total: result.data.length,
+      byLink: countBy(result.data, 'link_id'),
+    }, null);
+  }
+
+  /**
+   * Get a daily click series for a profile, optionally for a single link
+   * @param {string} userId - The profile (user) ID
+   * @param {Object} options - Series options
+   * @param {number} [options.days] - Number of days to include, counting today
+   * @param {string} [options.linkId] - Restrict the series to one link
+   * @returns {Promise<Object>} Standardized response with [{ date, count }] oldest first
+   */
+  static async getClicksTimeSeries(userId, { days = ANALYTICS_CONFIG.DEFAULT_RANGE_DAYS, linkId = null } = {}) {
+    const result = await this.getClicks(userId, days);
+    if (!result.success) {
+      return result;
+    }
+
+    const clicks = linkId
+      ? result.data.filter(click => click.link_id === linkId)
+      : result.data;
+
+    return this._formatResponse(bucketEventsByDay(clicks, 'clicked_at', days), null);
+  }
+
+  /**
+   * Record a view of a public profile
+   * Callers are responsible for deduplication and for skipping the owner's own visits.
+   * @param {Object} viewData - View data
+   * @param {string} viewData.profileId - The viewed profile (user) ID
+   * @param {string} viewData.visitorId - Anonymous visitor ID used for unique visitor counts
+   * @param {string} [viewData.referrer] - Referrer URL (defaults to document.referrer)
+   * @param {string} [viewData.deviceType] - Device class (detected from user agent if omitted)
+   * @returns {Promise<Object>} Standardized response
+   */
+  static async trackProfileView({ profileId, visitorId, referrer, deviceType } = {}) {
+    try {
+      if (!profileId || !visitorId) {
+        throw new Error('Profile ID and visitor ID are required to track a view');
+      }
+
+      const { error } = await supabase
+        .from(SUPABASE_TABLES.PROFILE_VIEWS)
+        .insert([{
+          profile_id: profileId,
+          visitor_id: visitorId,
+          viewed_at: new Date().toISOString(),
+          referrer: getReferrerDomain(referrer),
+          device_type: deviceType || getDeviceType(),
+        }]);
+
+      return this._formatResponse(null, error);
+    } catch (error) {
+      console.error('[AnalyticsService] trackProfileView error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
+  /**
+   * Fetch raw profile view rows for a profile within a day range, however many there are
+   * @param {string} userId - The profile (user) ID
+   * @param {number} days - Number of days to include, counting today
+   * @returns {Promise<Object>} Standardized response with view rows
+   */
+  static async getViews(userId, days = ANALYTICS_CONFIG.DEFAULT_RANGE_DAYS) {
+    try {
+      if (!userId) {
+        throw new Error('User ID is required to load analytics');
+      }
+
+      const rangeStart = getRangeStart(days).toISOString();
+      const { data, error } = await this._selectAllPages(() => supabase
+        .from(SUPABASE_TABLES.PROFILE_VIEWS)
+        .select('visitor_id, viewed_at, referrer, device_type')
+        .eq('profile_id', userId)
+        .gte('viewed_at', rangeStart)
+        .order('viewed_at', { ascending: true })
+        .order('id', { ascending: true }));
+
+      return this._formatResponse(data || [], error);
+    } catch (error) {
+      console.error('[AnalyticsService] getViews error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
+  /**
+   * Get profile view totals, unique visitors, a daily series and traffic breakdowns for a profile
+   * Direct visits (no referrer) are reported under the label "direct".
+   * @param {string} userId - The profile (user) ID
+   * @param {number} days - Number of days to include, counting today
+   * @returns {Promise<Object>} Standardized response with
+   *   { total, uniqueVisitors, series, topReferrers, deviceTypes }
+   */
+  static async getProfileViews(userId, days = ANALYTICS_CONFIG.DEFAULT_RANGE_DAYS) {
+    const result = await this.getViews(userId, days);
+    if (!result.success) {
+      return result;
+    }
+
+    return this._formatResponse({
+      total: result.data.length,
+      uniqueVisitors: countDistinct(result.data, 'visitor_id'),
+      series: bucketEventsByDay(result.data, 'viewed_at', days),
+      topReferrers: getTopEntries(countBy(
+        result.data.map(view => ({ referrer: view.referrer || 'direct' })),
+        'referrer'
+      )),
+      deviceTypes: getTopEntries(countBy(result.data, 'device_type')),
+    }, null);
+  }
+
+  /**
+   * Delete all click and profile view events recorded for a profile
+   * Used when the account is deleted; clicks go first since they reference the links.
+   * @param {string} userId - The profile (user) ID
+   * @returns {Promise<Object>} Standardized response
+   */
+  static async deleteAnalyticsByUserId(userId) {
+    try {
+      if (!userId) {
+        throw new Error('User ID is required for deletion');
+      }
+
+      for (const table of [SUPABASE_TABLES.LINK_CLICKS, SUPABASE_TABLES.PROFILE_VIEWS]) {
+        const { error } = await supabase
+          .from(table)
+          .delete()
+          .eq('profile_id', userId);
+
+        if (error) {
+          return this._formatResponse(null, error);
+        }
+      }
+
+      return this._formatResponse(null, null);
+    } catch (error) {
+      console.error('[AnalyticsService] deleteAnalyticsByUserId error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+}
+
+export default AnalyticsService;
@@ -201,11 +201,16 @@ class AuthService {
 
   /**
    * Sign out the current user
+   * @param {Object} [options] - Sign-out options
+   * @param {string} [options.scope] - 'local' only clears this browser's session, without
+   *   asking the server (e.g. once the user no longer exists); default signs out everywhere
    * @returns {Promise<Object>} Standardized response
    */
-  static async signOut() {
+  static async signOut({ scope } = {}) {
     try {
-      const { error } = await supabase.auth.signOut();
+      const { error } = scope
+        ? await supabase.auth.signOut({ scope })
+        : await supabase.auth.signOut();
       
       if (error) {
         return this._formatResponse(null, error);
@@ -224,6 +229,27 @@ class AuthService {
     }
   }
 
+  /**
+   * Delete the signed-in user's auth account
+   * Clients cannot delete auth users directly, so this calls the `delete_current_user`
+   * database function (security definer, deletes the row in auth.users for auth.uid()).
+   * @returns {Promise<Object>} Standardized response
+   */
+  static async deleteCurrentUser() {
+    try {
+      const { error } = await supabase.rpc('delete_current_user');
+
+      if (error) {
+        return this._formatResponse(null, error);
+      }
+
+      return this._formatResponse(null, null);
+    } catch (error) {
+      console.error('[AuthService] deleteCurrentUser error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
   /**
    * Reset password for a given email
    * @param {string} email - User email
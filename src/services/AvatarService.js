@@ -149,6 +149,39 @@ class AvatarService {
     }
   }
 
+  /**
+   * Download the user's current avatar file (for data export)
+   * @param {string} userId - User ID
+   * @returns {Promise<{fileName: string, blob: Blob}|null>} Avatar file or null if none is stored
+   */
+  static async downloadAvatar(userId) {
+    try {
+      const { data: files, error: listError } = await supabase.storage
+        .from(this.BUCKET_NAME)
+        .list(userId);
+
+      if (listError) throw listError;
+
+      // Same selection as getAvatarUrl: the newest timestamped avatar
+      const latestAvatar = (files || [])
+        .filter(file => file.name.startsWith('avatar_'))
+        .sort((a, b) => b.name.localeCompare(a.name))[0];
+
+      if (!latestAvatar) return null;
+
+      const { data: blob, error } = await supabase.storage
+        .from(this.BUCKET_NAME)
+        .download(`${userId}/${latestAvatar.name}`);
+
+      if (error) throw error;
+
+      return { fileName: latestAvatar.name, blob };
+    } catch (error) {
+      console.error('[AvatarService] downloadAvatar error:', error);
+      throw new Error(`Failed to download avatar: ${error.message}`);
+    }
+  }
+
   /**
    * Validate uploaded file
    * @param {File} file - File to validate
@@ -0,0 +1,236 @@
+/**
+ * LinkHealthService - Service layer for link health checks
+ *
+ * Requests each link's URL to find dead pages, redirect chains and TLS errors.
+ * Redirects are followed here, one request per hop, so the whole chain is known.
+ * Requests are made by a "fetcher": browsers can't read other sites' responses
+ * (CORS), so the default fetcher calls the `check-link-health` edge function,
+ * which requests the URL server-side without following redirects and responds
+ * with { status, location }, or { error: { code, message } } when the request
+ * fails (DNS, connection, certificate).
+ *
+ * The fetcher can be swapped with setFetcher, e.g. for a direct HTTP fetcher from
+ * createHttpFetcher when running against a local server in tests.
+ *
+ * Results are saved on the link (see LinksService): `health` jsonb with
+ * { url, status, statusCode, finalUrl, redirects, error } and `last_checked_at`.
+ */
+
+import { supabase } from './supabase.js';
+import LinksService from './LinksService.js';
+import { LINK_HEALTH_CONFIG, LINK_HEALTH_STATUS } from '../constants/index.js';
+import {
+  getRequestErrorHealth,
+  getStatusCodeHealth,
+  isHealthCheckable,
+} from '../utils/linkHealthUtils.js';
+
+/**
+ * Default fetcher: request the URL through the edge function
+ * @param {string} url - URL to request
+ * @returns {Promise<{status: number, location: string|null}>} Status code and Location header
+ */
+const edgeFunctionFetcher = async (url) => {
+  const { data, error } = await supabase.functions.invoke(LINK_HEALTH_CONFIG.FUNCTION_NAME, {
+    body: { url },
+  });
+
+  if (error) throw error;
+  if (data?.error) {
+    const requestError = new Error(data.error.message || 'Request failed');
+    requestError.code = data.error.code;
+    throw requestError;
+  }
+
+  return { status: data?.status, location: data?.location || null };
+};
+
+const isRedirect = (status) => status >= 300 && status < 400;
+
+const getSiteHost = (url) => new URL(url).hostname.replace(/^www\./, '');
+
+class LinkHealthService {
+  static _fetcher = edgeFunctionFetcher;
+
+  /**
+   * Replace the URL fetcher
+   * @param {Function} fetcher - (url) => Promise<{ status, location }>; throws when there is no response
+   */
+  static setFetcher(fetcher) {
+    this._fetcher = fetcher;
+  }
+
+  /**
+   * Go back to the edge function fetcher
+   */
+  static resetFetcher() {
+    this._fetcher = edgeFunctionFetcher;
+  }
+
+  /**
+   * Build a fetcher that requests URLs directly over HTTP
+   * Only works where cross-origin reads are allowed (servers, tests, same-origin pages).
+   * Tries HEAD first and falls back to GET for servers that don't support it.
+   * @param {Function} [fetchImpl] - fetch-compatible function; defaults to the global fetch
+   * @returns {Function} Fetcher for setFetcher
+   */
+  static createHttpFetcher(fetchImpl = globalThis.fetch) {
+    return async (url) => {
+      let response = await fetchImpl(url, { method: 'HEAD', redirect: 'manual' });
+
+      if (response.status === 405 || response.status === 501) {
+        response = await fetchImpl(url, { method: 'GET', redirect: 'manual' });
+      }
+
+      return { status: response.status, location: response.headers.get('location') };
+    };
+  }
+
+  /**
+   * Standardize response format for consistent API
+   * @param {Object} data - Response data
+   * @param {Object} error - Error object
+   * @returns {Object} Standardized response
+   */
+  static _formatResponse(data, error) {
+    if (error) {
+      console.error('[LinkHealthService] Error:', error);
+      return {
+        success: false,
+        error: error.message,
+        data: null,
+      };
+    }
+
+    return {
+      success: true,
+      error: null,
+      data: data,
+    };
+  }
+
+  /**
+   * Make one request, giving up after LINK_HEALTH_CONFIG.REQUEST_TIMEOUT
+   * @param {string} url - URL to request
+   * @returns {Promise<{status: number, location: string|null}>} Fetcher response
+   */
+  static async _request(url) {
+    let timeoutId;
+    const timeout = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => {
+        reject(new Error(`Request timeout after ${LINK_HEALTH_CONFIG.REQUEST_TIMEOUT / 1000} seconds`));
+      }, LINK_HEALTH_CONFIG.REQUEST_TIMEOUT);
+    });
+
+    try {
+      return await Promise.race([this._fetcher(url), timeout]);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Check one URL, following redirects
+   * A broken page, failed request or bad redirect is a successful check with a
+   * non-OK status; only invalid input fails.
+   * @param {string} url - Absolute http(s) URL
+   * @returns {Promise<Object>} Standardized response with { url, status, statusCode, finalUrl, redirects, error }
+   */
+  static async checkUrl(url) {
+    try {
+      if (!isHealthCheckable({ url })) {
+        throw new Error('Only http and https links can be checked');
+      }
+
+      const startUrl = new URL(url).href;
+      const redirects = [];
+      let currentUrl = startUrl;
+
+      const result = (status, fields = {}) => this._formatResponse({
+        url,
+        status,
+        statusCode: null,
+        finalUrl: currentUrl,
+        redirects,
+        error: null,
+        ...fields,
+      }, null);
+
+      for (;;) {
+        let response;
+        try {
+          response = await this._request(currentUrl);
+        } catch (error) {
+          return result(getRequestErrorHealth(error), { error: error.message });
+        }
+
+        const statusCode = response?.status || null;
+
+        if (!isRedirect(statusCode) || !response.location) {
+          const status = getStatusCodeHealth(statusCode);
+          const movedSite = status === LINK_HEALTH_STATUS.OK && getSiteHost(currentUrl) !== getSiteHost(startUrl);
+          return result(movedSite ? LINK_HEALTH_STATUS.REDIRECTED : status, { statusCode });
+        }
+
+        let nextUrl;
+        try {
+          nextUrl = new URL(response.location, currentUrl).href;
+        } catch {
+          return result(LINK_HEALTH_STATUS.BROKEN, { statusCode, error: 'Redirects to an invalid URL' });
+        }
+
+        if (nextUrl === startUrl || redirects.includes(nextUrl)) {
+          return result(LINK_HEALTH_STATUS.BROKEN, { statusCode, error: 'Redirect loop' });
+        }
+        if (redirects.length >= LINK_HEALTH_CONFIG.MAX_REDIRECTS) {
+          return result(LINK_HEALTH_STATUS.BROKEN, { statusCode, error: 'Too many redirects' });
+        }
+
+        redirects.push(nextUrl);
+        currentUrl = nextUrl;
+      }
+    } catch (error) {
+      console.error('[LinkHealthService] checkUrl error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
+  /**
+   * Check links one after another and save each result on the link
+   * Section headers and non-http(s) links are skipped. Stops at the first save error.
+   * @param {Array} links - Link rows
+   * @param {Object} [options] - Check options
+   * @param {Function} [options.onLinkChecked] - Called with each updated link row as it is saved
+   * @returns {Promise<Object>} Standardized response with the updated link rows
+   */
+  static async checkLinks(links, { onLinkChecked } = {}) {
+    try {
+      const updated = [];
+
+      for (const link of (links || []).filter(isHealthCheckable)) {
+        const check = await this.checkUrl(link.url);
+        if (!check.success) {
+          throw new Error(check.error);
+        }
+
+        const saved = await LinksService.updateLink(link.id, {
+          health: check.data,
+          last_checked_at: new Date().toISOString(),
+        });
+        if (!saved.success) {
+          throw new Error(saved.error || 'Failed to save link health');
+        }
+
+        updated.push(saved.data);
+        onLinkChecked?.(saved.data);
+      }
+
+      return this._formatResponse(updated, null);
+    } catch (error) {
+      console.error('[LinkHealthService] checkLinks error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+}
+
+export default LinkHealthService;
@@ -0,0 +1,136 @@
+/**
+ * LinkMetadataService - Service layer for link previews (title, thumbnail, favicon)
+ *
+ * Pages are downloaded by a "fetcher" and parsed with parseLinkMetadata. Browsers
+ * can't read other sites' HTML (CORS), so the default fetcher calls the
+ * `fetch-link-metadata` edge function, which downloads the page server-side and
+ * responds with { html, url } (url is the final URL after redirects).
+ *
+ * The fetcher can be swapped with setFetcher, e.g. for a direct HTTP fetcher from
+ * createHttpFetcher when running against a local server in tests.
+ */
+
+import { supabase } from './supabase.js';
+import { LINK_METADATA_CONFIG } from '../constants/index.js';
+import { parseLinkMetadata } from '../utils/linkMetadataUtils.js';
+
+/**
+ * Default fetcher: download the page through the edge function
+ * @param {string} url - Page URL
+ * @returns {Promise<{html: string, url: string}>} Page HTML and final URL
+ */
+const edgeFunctionFetcher = async (url) => {
+  const { data, error } = await supabase.functions.invoke(LINK_METADATA_CONFIG.FUNCTION_NAME, {
+    body: { url },
+  });
+
+  if (error) throw error;
+  return { html: data?.html || '', url: data?.url || url };
+};
+
+class LinkMetadataService {
+  static _fetcher = edgeFunctionFetcher;
+
+  /**
+   * Replace the page fetcher
+   * @param {Function} fetcher - (url) => Promise<{ html, url }>
+   */
+  static setFetcher(fetcher) {
+    this._fetcher = fetcher;
+  }
+
+  /**
+   * Go back to the edge function fetcher
+   */
+  static resetFetcher() {
+    this._fetcher = edgeFunctionFetcher;
+  }
+
+  /**
+   * Build a fetcher that requests pages directly over HTTP
+   * Only works where cross-origin reads are allowed (servers, tests, same-origin pages).
+   * @param {Function} [fetchImpl] - fetch-compatible function; defaults to the global fetch
+   * @returns {Function} Fetcher for setFetcher
+   */
+  static createHttpFetcher(fetchImpl = globalThis.fetch) {
+    return async (url) => {
+      const response = await fetchImpl(url, {
+        headers: { Accept: 'text/html,application/xhtml+xml' },
+        redirect: 'follow',
+      });
+
+      if (!response.ok) {
+        throw new Error(`Page responded with status ${response.status}`);
+      }
+
+      return { html: await response.text(), url: response.url || url };
+    };
+  }
+
+  /**
+   * Standardize response format for consistent API
+   * @param {Object} data - Response data
+   * @param {Object} error - Error object
+   * @returns {Object} Standardized response
+   */
+  static _formatResponse(data, error) {
+    if (error) {
+      console.error('[LinkMetadataService] Error:', error);
+      return {
+        success: false,
+        error: error.message,
+        data: null,
+      };
+    }
+
+    return {
+      success: true,
+      error: null,
+      data: data,
+    };
+  }
+
+  /**
+   * Look up the title, preview image and favicon of a page
+   * @param {string} url - Absolute http(s) URL
+   * @returns {Promise<Object>} Standardized response with { url, title, description, thumbnailUrl, faviconUrl }
+   */
+  static async fetchMetadata(url) {
+    try {
+      let pageUrl;
+      try {
+        pageUrl = new URL(url);
+      } catch {
+        throw new Error('A valid URL is required');
+      }
+
+      if (pageUrl.protocol !== 'http:' && pageUrl.protocol !== 'https:') {
+        throw new Error('Only http and https pages can be previewed');
+      }
+
+      let timeoutId;
+      const timeout = new Promise((_, reject) => {
+        timeoutId = setTimeout(() => {
+          reject(new Error(`Request timeout after ${LINK_METADATA_CONFIG.FETCH_TIMEOUT / 1000} seconds`));
+        }, LINK_METADATA_CONFIG.FETCH_TIMEOUT);
+      });
+
+      let page;
+      try {
+        page = await Promise.race([this._fetcher(pageUrl.href), timeout]);
+      } finally {
+        clearTimeout(timeoutId);
+      }
+
+      const finalUrl = page?.url || pageUrl.href;
+      const html = (page?.html || '').slice(0, LINK_METADATA_CONFIG.MAX_HTML_LENGTH);
+
+      return this._formatResponse({ url: finalUrl, ...parseLinkMetadata(html, finalUrl) }, null);
+    } catch (error) {
+      console.error('[LinkMetadataService] fetchMetadata error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+}
+
+export default LinkMetadataService;
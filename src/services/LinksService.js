@@ -3,11 +3,52 @@
  * 
  * This service abstracts all link-related API calls to Supabase.
  * Components should not call supabase.from('links') directly, but use these service functions.
+ *
+ * Besides links, the table holds section headers: rows with `type = 'header'`, a title,
+ * a null url and an optional `is_collapsible` flag. They share positions with links,
+ * so reordering treats both alike. Rows without a type are links.
+ *
+ * Links may carry a page preview looked up when the URL is entered (see
+ * LinkMetadataService): nullable `thumbnail_url` and `favicon_url` columns.
+ * The nullable `platform` column holds a platform id picked by the user to override
+ * the icon detected from the URL (see utils/platformUtils.js).
+ *
+ * Links get a random `slug` when they are created (unique per `user_id`, null for
+ * headers and for links created before the column existed). It backs the short
+ * links "/:username/:slug" and "/go/:id" (pages/LinkRedirect.jsx), which count the
+ * click and redirect, so a link's URL can change without re-sharing it.
+ *
+ * Link health checks (see LinkHealthService) save their result in nullable
+ * `health` (jsonb) and `last_checked_at` (timestamptz) columns.
+ *
+ * Moving several links at once (bulk move, undo) stores all positions in one
+ * statement through the `set_link_positions(positions jsonb)` database function, so
+ * a failure never leaves the list half-reordered. It takes [{ id, position }] and runs
+ * as the caller, so RLS applies:
+ *   update links set position = p.position
+ *   from jsonb_to_recordset(positions) as p(id uuid, position int)
+ *   where links.id = p.id;
+ * and raises when fewer rows than positions were updated, which rolls it all back.
  */
 
+import { validate as isUuid } from 'uuid';
 import { SUPABASE_TABLES, supabase } from './supabase.js';
-import { APP_CONFIG } from '../constants/index.js';
+import { ACCOUNT_EXPORT, APP_CONFIG } from '../constants/index.js';
 import { SERVICE_ERROR_MESSAGES } from '../constants/validationMessages.js';
+import { generateLinkSlug, getLinkVisibilityCounts, isSectionHeader } from '../utils/linkUtils.js';
+
+// Link titles are limited to 50 characters (see validateLinkTitle)
+const MAX_TITLE_LENGTH = 50;
+const COPY_SUFFIX = ' (copy)';
+
+/**
+ * Build the title for a duplicated link, keeping it within the title limit
+ * @param {string} title - Original title
+ * @returns {string} Title with a copy suffix
+ */
+const formatCopyTitle = (title) => {
+  return `${title.slice(0, MAX_TITLE_LENGTH - COPY_SUFFIX.length)}${COPY_SUFFIX}`;
+};
 
 class LinksService {
   // Request timeout in milliseconds
@@ -141,6 +182,20 @@ class LinksService {
     };
   }
 
+  /**
+   * Pick the first link of a public link lookup, unless its owner's profile is pending
+   * deletion (hidden from public lookups until it is purged)
+   * @param {Array|null} rows - Link rows with their joined `profiles` row
+   * @returns {Object|null} The link, or null when there is none
+   */
+  static _getLiveLink(rows) {
+    const link = rows?.[0];
+    if (!link || link.profiles?.deletion_scheduled_at) {
+      return null;
+    }
+    return link;
+  }
+
   /**
    * Get all links for a user by their profile ID (public access)
    * @param {string} userId - The user/profile ID
@@ -188,6 +243,97 @@ class LinksService {
     }
   }
 
+  /**
+   * Get public links for a user by their username (public access)
+   * Only links with `is_public = true` are returned, so hidden links never reach the client.
+   * @param {string} username - The username to get links for
+   * @param {number|null} limit - Maximum number of links to return (optional)
+   * @returns {Promise<Object>} Standardized response with array of public link objects
+   */
+  static async getPublicLinksByUsername(username, limit = null) {
+    try {
+      let request = supabase
+        .from(SUPABASE_TABLES.LINKS)
+        .select(`
+          *,
+          profiles!inner(username)
+        `)
+        .eq('profiles.username', username)
+        .eq('is_public', true)
+        .order('position', { ascending: true });
+
+      if (limit) {
+        request = request.limit(limit);
+      }
+
+      const { data, error } = await this._withTimeout(request);
+      return this._formatResponse(data || [], error);
+    } catch (error) {
+      console.error('[LinksService] getPublicLinksByUsername error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
+  /**
+   * Find a public link by its short link slug (public access)
+   * Links of a profile pending deletion are treated as not found, like the profile.
+   * @param {string} username - Username of the link's owner
+   * @param {string} slug - Link slug
+   * @returns {Promise<Object>} Standardized response with the link, or null when there is none
+   */
+  static async getPublicLinkBySlug(username, slug) {
+    try {
+      const request = supabase
+        .from(SUPABASE_TABLES.LINKS)
+        .select(`
+          *,
+          profiles!inner(username, deletion_scheduled_at)
+        `)
+        .eq('profiles.username', username)
+        .eq('slug', slug)
+        .eq('is_public', true)
+        .limit(1);
+
+      const { data, error } = await this._withTimeout(request);
+      return this._formatResponse(this._getLiveLink(data), error);
+    } catch (error) {
+      console.error('[LinksService] getPublicLinkBySlug error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
+  /**
+   * Find a public link by ID, for "/go/:id" short links (public access)
+   * IDs that aren't UUIDs can't match a link and are not sent to the database,
+   * which would reject them with a syntax error. Links of a profile pending deletion
+   * are treated as not found, like the profile.
+   * @param {string} linkId - Link ID
+   * @returns {Promise<Object>} Standardized response with the link, or null when there is none
+   */
+  static async getPublicLinkById(linkId) {
+    try {
+      if (!isUuid(linkId || '')) {
+        return this._formatResponse(null, null);
+      }
+
+      const request = supabase
+        .from(SUPABASE_TABLES.LINKS)
+        .select(`
+          *,
+          profiles!inner(deletion_scheduled_at)
+        `)
+        .eq('id', linkId)
+        .eq('is_public', true)
+        .limit(1);
+
+      const { data, error } = await this._withTimeout(request);
+      return this._formatResponse(this._getLiveLink(data), error);
+    } catch (error) {
+      console.error('[LinksService] getPublicLinkById error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
   /**
    * Get the total count of links for a user
    * @param {string} userId - The user ID to count links for
@@ -215,13 +361,15 @@ class LinksService {
 
   /**
    * Create a new link for the authenticated user
-   * @param {Object} linkData - Link data { title, url, position }
+   * @param {Object} linkData - Link data { title, url, position } or a header { type: 'header', title, is_collapsible, position }
    * @returns {Promise<Object>} Standardized response with created link object
    */
   static async createLink(linkData) {
     try {
       // Add basic validation before sending to database
-      if (!linkData.title || !linkData.url || !linkData.user_id) {
+      const isHeader = isSectionHeader(linkData);
+
+      if (!linkData.title || (!isHeader && !linkData.url) || !linkData.user_id) {
         throw new Error(SERVICE_ERROR_MESSAGES.LINKS.MISSING_DATA);
       }
 
@@ -239,7 +387,8 @@ class LinksService {
       const sanitizedData = {
         ...linkData,
         title: linkData.title.trim(),
-        url: linkData.url.trim(),
+        url: isHeader ? null : linkData.url.trim(),
+        slug: isHeader ? null : generateLinkSlug(),
       };
 
       const request = supabase
@@ -279,6 +428,33 @@ class LinksService {
       if (updates.position !== undefined) {
         sanitizedUpdates.position = updates.position;
       }
+      if (updates.is_public !== undefined) {
+        sanitizedUpdates.is_public = !!updates.is_public;
+      }
+      if (updates.starts_at !== undefined) {
+        sanitizedUpdates.starts_at = updates.starts_at || null;
+      }
+      if (updates.ends_at !== undefined) {
+        sanitizedUpdates.ends_at = updates.ends_at || null;
+      }
+      if (updates.is_collapsible !== undefined) {
+        sanitizedUpdates.is_collapsible = !!updates.is_collapsible;
+      }
+      if (updates.thumbnail_url !== undefined) {
+        sanitizedUpdates.thumbnail_url = updates.thumbnail_url || null;
+      }
+      if (updates.favicon_url !== undefined) {
+        sanitizedUpdates.favicon_url = updates.favicon_url || null;
+      }
+      if (updates.platform !== undefined) {
+        sanitizedUpdates.platform = updates.platform || null;
+      }
+      if (updates.health !== undefined) {
+        sanitizedUpdates.health = updates.health || null;
+      }
+      if (updates.last_checked_at !== undefined) {
+        sanitizedUpdates.last_checked_at = updates.last_checked_at || null;
+      }
 
       const request = supabase
         .from(SUPABASE_TABLES.LINKS)
@@ -295,6 +471,45 @@ class LinksService {
     }
   }
 
+  /**
+   * Toggle link visibility on the public profile
+   * @param {string} linkId - The link ID to update
+   * @param {boolean} isPublic - Whether the link should be public
+   * @returns {Promise<Object>} Standardized response with updated link object
+   */
+  static async toggleLinkVisibility(linkId, isPublic) {
+    return this.updateLink(linkId, { is_public: isPublic });
+  }
+
+  /**
+   * Get link statistics for a user
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object>} Standardized response with { total, public, private, remaining_slots }
+   */
+  static async getLinkStats(userId) {
+    try {
+      const request = supabase
+        .from(SUPABASE_TABLES.LINKS)
+        .select('id, is_public')
+        .eq('user_id', userId);
+
+      const { data, error } = await this._withTimeout(request);
+
+      if (error) {
+        return this._formatResponse(null, error);
+      }
+
+      const counts = getLinkVisibilityCounts(data || []);
+      return this._formatResponse({
+        ...counts,
+        remaining_slots: Math.max(0, APP_CONFIG.MAX_LINKS_PER_USER - counts.total),
+      }, null);
+    } catch (error) {
+      console.error('[LinksService] getLinkStats error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
   /**
    * Delete a link
    * @param {string} linkId - The link ID to delete
@@ -354,6 +569,240 @@ class LinksService {
       return this._formatResponse(null, { message: error.message });
     }
   }
+
+  /**
+   * Store the positions of several links in one request, all or nothing
+   * @param {Array<{id: string, position: number}>} positions - New positions
+   * @returns {Promise<Object>} Standardized response
+   */
+  static async setLinkPositions(positions) {
+    try {
+      if (!positions || positions.length === 0) {
+        throw new Error('At least one link position is required');
+      }
+
+      const request = supabase.rpc('set_link_positions', {
+        positions: positions.map(({ id, position }) => ({ id, position })),
+      });
+
+      const { error } = await this._withTimeout(request);
+      return this._formatResponse(null, error);
+    } catch (error) {
+      console.error('[LinksService] setLinkPositions error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
+  /**
+   * Delete several links in one request
+   * @param {Array<string>} linkIds - IDs of the links to delete
+   * @returns {Promise<Object>} Standardized response with the deleted link rows (for undo)
+   */
+  static async deleteLinks(linkIds) {
+    try {
+      if (!linkIds || linkIds.length === 0) {
+        throw new Error('At least one link ID is required for deletion');
+      }
+
+      const request = supabase
+        .from(SUPABASE_TABLES.LINKS)
+        .delete()
+        .in('id', linkIds)
+        .select();
+
+      const { data, error } = await this._withTimeout(request);
+      return this._formatResponse(data || [], error);
+    } catch (error) {
+      console.error('[LinksService] deleteLinks error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
+  /**
+   * Delete every link and section header owned by a user (account deletion)
+   * @param {string} userId - Owner of the links
+   * @returns {Promise<Object>} Standardized response
+   */
+  static async deleteLinksByUserId(userId) {
+    try {
+      if (!userId) {
+        throw new Error('User ID is required for deletion');
+      }
+
+      const request = supabase
+        .from(SUPABASE_TABLES.LINKS)
+        .delete()
+        .eq('user_id', userId);
+
+      const { error } = await this._withTimeout(request);
+      return this._formatResponse(null, error);
+    } catch (error) {
+      console.error('[LinksService] deleteLinksByUserId error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
+  /**
+   * Re-insert previously deleted links with their original IDs and positions
+   * @param {Array<Object>} links - Full link rows as returned by deleteLinks
+   * @returns {Promise<Object>} Standardized response with the restored link rows
+   */
+  static async restoreLinks(links) {
+    try {
+      if (!links || links.length === 0) {
+        throw new Error('At least one link is required to restore');
+      }
+
+      const request = supabase
+        .from(SUPABASE_TABLES.LINKS)
+        .insert(links)
+        .select();
+
+      const { data, error } = await this._withTimeout(request);
+      return this._formatResponse(data || [], error);
+    } catch (error) {
+      console.error('[LinksService] restoreLinks error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
+  /**
+   * Copy several links to the end of the list in one request
+   * @param {Array<Object>} links - Link rows to copy (same owner), in display order
+   * @param {number} startPosition - Position of the first copy
+   * @returns {Promise<Object>} Standardized response with the created link rows
+   */
+  static async duplicateLinks(links, startPosition) {
+    try {
+      if (!links || links.length === 0) {
+        throw new Error('At least one link is required to duplicate');
+      }
+
+      const userId = links[0].user_id;
+      const countResult = await this.getLinkCountByUserId(userId);
+      if (!countResult.success) {
+        throw new Error(countResult.error || 'Failed to check link limit');
+      }
+
+      if (countResult.data + links.length > APP_CONFIG.MAX_LINKS_PER_USER) {
+        throw new Error(`You have reached the maximum limit of ${APP_CONFIG.MAX_LINKS_PER_USER} links per profile`);
+      }
+
+      // Drop server-managed fields so the database assigns new ones; copies get their own slug
+      const copies = links.map(({ id: _id, created_at: _createdAt, updated_at: _updatedAt, ...link }, index) => ({
+        ...link,
+        title: formatCopyTitle(link.title),
+        slug: isSectionHeader(link) ? null : generateLinkSlug(),
+        position: startPosition + index,
+      }));
+
+      const request = supabase
+        .from(SUPABASE_TABLES.LINKS)
+        .insert(copies)
+        .select();
+
+      const { data, error } = await this._withTimeout(request);
+      return this._formatResponse(data || [], error);
+    } catch (error) {
+      console.error('[LinksService] duplicateLinks error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
+  /**
+   * Insert imported links in one request, keeping their order
+   * @param {string} userId - Owner of the links
+   * @param {Array<Object>} links - Validated link data ({ title, url }, plus ACCOUNT_EXPORT.LINK_FIELDS
+   *   from account exports, or section headers), in display order
+   * @param {number} startPosition - Position of the first imported link
+   * @returns {Promise<Object>} Standardized response with the created link rows
+   */
+  static async importLinks(userId, links, startPosition) {
+    try {
+      if (!userId) {
+        throw new Error(SERVICE_ERROR_MESSAGES.LINKS.MISSING_DATA);
+      }
+
+      if (!links || links.length === 0) {
+        throw new Error('At least one link is required to import');
+      }
+
+      const countResult = await this.getLinkCountByUserId(userId);
+      if (!countResult.success) {
+        throw new Error(countResult.error || 'Failed to check link limit');
+      }
+
+      if (countResult.data + links.length > APP_CONFIG.MAX_LINKS_PER_USER) {
+        const remaining = Math.max(0, APP_CONFIG.MAX_LINKS_PER_USER - countResult.data);
+        throw new Error(`You can add ${remaining} more link${remaining === 1 ? '' : 's'} (limit ${APP_CONFIG.MAX_LINKS_PER_USER} per profile)`);
+      }
+
+      // Only copy known columns; anything else in the import is ignored
+      const rows = links.map((link, index) => {
+        const isHeader = isSectionHeader(link);
+        const row = {
+          user_id: userId,
+          title: link.title.trim(),
+          url: isHeader ? null : link.url.trim(),
+          slug: isHeader ? null : generateLinkSlug(),
+          position: startPosition + index,
+        };
+        if (isHeader) {
+          row.type = link.type;
+          row.is_collapsible = !!link.is_collapsible;
+        }
+        if (typeof link.is_public === 'boolean') {
+          row.is_public = link.is_public;
+        }
+        // Re-imported account exports also carry schedule, platform and preview columns
+        if (!isHeader) {
+          ACCOUNT_EXPORT.LINK_FIELDS
+            .filter(field => link[field] !== undefined)
+            .forEach(field => {
+              row[field] = link[field] || null;
+            });
+        }
+        return row;
+      });
+
+      const request = supabase
+        .from(SUPABASE_TABLES.LINKS)
+        .insert(rows)
+        .select();
+
+      const { data, error } = await this._withTimeout(request);
+      return this._formatResponse(data || [], error);
+    } catch (error) {
+      console.error('[LinksService] importLinks error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
+  /**
+   * Show or hide several links on the public profile in one request
+   * @param {Array<string>} linkIds - IDs of the links to update
+   * @param {boolean} isPublic - Whether the links should be public
+   * @returns {Promise<Object>} Standardized response with the updated link rows
+   */
+  static async setLinksVisibility(linkIds, isPublic) {
+    try {
+      if (!linkIds || linkIds.length === 0) {
+        throw new Error('At least one link ID is required for update');
+      }
+
+      const request = supabase
+        .from(SUPABASE_TABLES.LINKS)
+        .update({ is_public: !!isPublic })
+        .in('id', linkIds)
+        .select();
+
+      const { data, error } = await this._withTimeout(request);
+      return this._formatResponse(data || [], error);
+    } catch (error) {
+      console.error('[LinksService] setLinksVisibility error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
 }
 
 export default LinksService;
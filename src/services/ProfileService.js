@@ -3,9 +3,58 @@
  * 
  * This service abstracts all profile-related API calls to Supabase.
  * Components should not call supabase.from('profiles') directly, but use these service functions.
+ *
+ * Profile theme is stored in the nullable `theme` jsonb column:
+ *   { preset, background, accentColor, buttonStyle, cornerRadius, fontFamily }
+ * null means the default look; see constants/themes.js and utils/themeUtils.js.
+ *
+ * Social icons shown under the bio are stored in the nullable `social_links` jsonb
+ * column: [{ platform, url }] in display order, with canonical https profile URLs
+ * (see utils/socialLinkUtils.js). Public pages pick up changes through realtime
+ * UPDATE events on profiles (see usePublicRealtimeLinks).
+ *
+ * Default campaign tags are stored in the nullable `utm_defaults` jsonb column:
+ *   { utm_source, utm_medium, utm_campaign, utm_term, utm_content } (only tags set).
+ * They're added to link URLs on the public profile when a link doesn't set that tag
+ * itself (see utils/utmUtils.js).
+ *
+ * `deletion_scheduled_at` (nullable timestamptz) is set when the owner deletes their
+ * account with a grace period. Such profiles are hidden from public lookups until the
+ * deletion is cancelled or purged (see AccountService and
+ * scripts/purge-deleted-accounts.js).
+ *
+ * Custom domains let a profile be served at its own hostname:
+ * - `custom_domain` (nullable text, unique) - lowercase hostname, e.g. links.brand.com
+ * - `custom_domain_token` (nullable text) - value the owner publishes in a TXT record
+ *   at _lynqee.<domain> to prove ownership (see CUSTOM_DOMAIN_CONFIG)
+ * - `custom_domain_verified_at` (nullable timestamptz) - set only by the
+ *   `verify-custom-domain` edge function after it finds the TXT record; changing the
+ *   domain clears it. Only verified domains resolve to a profile.
+ *
+ * Username changes are recorded in the `username_history` table:
+ *   { id, user_id, old_username, new_username, changed_at, reserved_until }
+ * Until `reserved_until` (APP_CONFIG.USERNAME_REDIRECT_DAYS after the change) the old
+ * handle can't be claimed by anyone else and /<old_username> redirects to the
+ * profile's current username. Rows must be publicly readable for the redirect and
+ * insertable and deletable only by their owner; a trigger should mirror the change
+ * interval check.
  */
 
+import { v4 as uuidv4 } from 'uuid';
 import { SUPABASE_TABLES, supabase } from './supabase.js';
+import { APP_CONFIG, VALIDATION_RULES } from '../constants/index.js';
+import { VALIDATION_MESSAGES, formatMessage } from '../constants/validationMessages.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Match a value literally in ilike ("_" is a wildcard there and allowed in usernames)
+const escapeLikePattern = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// or() filter matching any of the values case-insensitively; values must match
+// USERNAME_PATTERN so they can't break the filter syntax
+const ilikeAnyFilter = (column, values) => {
+  return values.map(value => `${column}.ilike.${escapeLikePattern(value)}`).join(',');
+};
 
 class ProfileService {
   /**
@@ -147,6 +196,15 @@ class ProfileService {
         };
       }
 
+      // Profiles pending deletion are no longer public
+      if (data[0].deletion_scheduled_at) {
+        return {
+          success: true,
+          error: null,
+          data: null,
+        };
+      }
+
       // Return the first (and should be only) result
       return this._formatResponse(data[0], null);
     } catch (error) {
@@ -155,31 +213,81 @@ class ProfileService {
     }
   }
 
+  /**
+   * Get the public profile served at a custom domain
+   * @param {string} hostname - Normalized hostname of the request
+   * @returns {Promise<Object>} Standardized response with profile data (null if none)
+   */
+  static async getPublicProfileByDomain(hostname) {
+    try {
+      const { data, error } = await supabase
+        .from(SUPABASE_TABLES.PROFILES)
+        .select('*')
+        .eq('custom_domain', hostname)
+        .limit(1);
+
+      if (error) {
+        return this._formatResponse(null, error);
+      }
+
+      const profile = data?.[0];
+
+      // Unverified domains and profiles pending deletion don't resolve
+      if (!profile || !profile.custom_domain_verified_at || profile.deletion_scheduled_at) {
+        return this._formatResponse(null, null);
+      }
+
+      return this._formatResponse(profile, null);
+    } catch (error) {
+      console.error('[ProfileService] getPublicProfileByDomain error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
   /**
    * Check username availability
+   * Comparison ignores case, since "Jane" and "jane" would share a URL. Handles
+   * recently given up by another user stay unavailable while they redirect.
    * @param {string} username - Username to check
+   * @param {string} [userId] - Current user, who may take back their own old handles
    * @returns {Promise<Object>} Standardized response with availability
    */
-  static async checkUsernameAvailability(username) {
+  static async checkUsernameAvailability(username, userId = null) {
     try {
       // Use select() without .single() to avoid 406 errors
       const { data, error } = await supabase
         .from(SUPABASE_TABLES.PROFILES)
-        .select('username')
-        .eq('username', username)
-        .limit(1);
+        .select('id, username')
+        .ilike('username', escapeLikePattern(username))
+        .limit(2);
 
       if (error) {
         return this._formatResponse(null, error);
       }
 
+      // The user's own row only differs in case; they may keep or recase it
+      const takenRows = (data || []).filter(row => !userId || row.id !== userId);
+
       // Check if we got any results
-      if (!data || data.length === 0) {
-        // No rows returned - username is available
+      if (takenRows.length === 0) {
+        const { data: reservations, error: reservationError } = await supabase
+          .from(SUPABASE_TABLES.USERNAME_HISTORY)
+          .select('user_id')
+          .ilike('old_username', escapeLikePattern(username))
+          .gt('reserved_until', new Date().toISOString())
+          .limit(1);
+
+        if (reservationError) {
+          return this._formatResponse(null, reservationError);
+        }
+
+        const reservedByOther = reservations?.some(row => row.user_id !== userId);
+
+        // No rows returned - username is available unless it is reserved
         return {
           success: true,
           error: null,
-          available: true,
+          available: !reservedByOther,
           data: null,
         };
       }
@@ -189,7 +297,7 @@ class ProfileService {
         success: true,
         error: null,
         available: false,
-        data: data,
+        data: takenRows,
       };
     } catch (error) {
       console.error('[ProfileService] checkUsernameAvailability error:', error);
@@ -197,6 +305,103 @@ class ProfileService {
     }
   }
 
+  /**
+   * Check many candidate usernames at once (e.g. suggestions)
+   * One query against profiles and one against reserved old handles, instead of a
+   * round trip per candidate. Like checkUsernameAvailability, comparison ignores case
+   * and handles reserved by another user count as taken. Candidates that aren't
+   * valid usernames are never available.
+   * @param {string[]} usernames - Candidates to check
+   * @param {string} [userId] - Current user, who may take back their own old handles
+   * @returns {Promise<Object>} Standardized response with the available candidates, in order
+   */
+  static async checkUsernamesAvailability(usernames, userId = null) {
+    try {
+      const candidates = (usernames || []).filter(username => (
+        VALIDATION_RULES.USERNAME_PATTERN.test(username)
+      ));
+      if (candidates.length === 0) {
+        return this._formatResponse([], null);
+      }
+
+      const { data: profiles, error } = await supabase
+        .from(SUPABASE_TABLES.PROFILES)
+        .select('username')
+        .or(ilikeAnyFilter('username', candidates));
+
+      if (error) {
+        return this._formatResponse(null, error);
+      }
+
+      const { data: reservations, error: reservationError } = await supabase
+        .from(SUPABASE_TABLES.USERNAME_HISTORY)
+        .select('old_username, user_id')
+        .or(ilikeAnyFilter('old_username', candidates))
+        .gt('reserved_until', new Date().toISOString());
+
+      if (reservationError) {
+        return this._formatResponse(null, reservationError);
+      }
+
+      const unavailable = new Set([
+        ...(profiles || []).map(row => row.username.toLowerCase()),
+        ...(reservations || [])
+          .filter(row => row.user_id !== userId)
+          .map(row => row.old_username.toLowerCase()),
+      ]);
+
+      return this._formatResponse(
+        candidates.filter(username => !unavailable.has(username.toLowerCase())),
+        null
+      );
+    } catch (error) {
+      console.error('[ProfileService] checkUsernamesAvailability error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
+  /**
+   * Current username of a profile that recently gave up the given handle
+   * The handle is compared ignoring case, like reservations in checkUsernameAvailability.
+   * @param {string} username - Old username from the URL
+   * @returns {Promise<Object>} Standardized response with the new username (null if none)
+   */
+  static async resolveUsernameRedirect(username) {
+    try {
+      const { data, error } = await supabase
+        .from(SUPABASE_TABLES.USERNAME_HISTORY)
+        .select('user_id')
+        .ilike('old_username', escapeLikePattern(username))
+        .gt('reserved_until', new Date().toISOString())
+        .order('changed_at', { ascending: false })
+        .limit(1);
+
+      if (error) {
+        return this._formatResponse(null, error);
+      }
+
+      const userId = data?.[0]?.user_id;
+      if (!userId) {
+        return this._formatResponse(null, null);
+      }
+
+      const profileResult = await this.getProfileByUserId(userId);
+      if (!profileResult.success) {
+        return profileResult;
+      }
+
+      const profile = profileResult.data;
+      if (!profile || profile.deletion_scheduled_at || profile.username.toLowerCase() === username.toLowerCase()) {
+        return this._formatResponse(null, null);
+      }
+
+      return this._formatResponse(profile.username, null);
+    } catch (error) {
+      console.error('[ProfileService] resolveUsernameRedirect error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
   /**
    * Update a profile
    * @param {string} userId - The user ID
@@ -220,13 +425,99 @@ class ProfileService {
   }
 
   /**
-   * Update username
+   * When the user last changed their username and when they may change it again
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object>} Standardized response with
+   *   { lastChangedAt, nextChangeAt, canChange } (dates as ISO strings or null)
+   */
+  static async getUsernameChangeStatus(userId) {
+    try {
+      const { data, error } = await supabase
+        .from(SUPABASE_TABLES.USERNAME_HISTORY)
+        .select('changed_at')
+        .eq('user_id', userId)
+        .order('changed_at', { ascending: false })
+        .limit(1);
+
+      if (error) {
+        return this._formatResponse(null, error);
+      }
+
+      const lastChangedAt = data?.[0]?.changed_at || null;
+      const nextChangeAt = lastChangedAt
+        ? new Date(new Date(lastChangedAt).getTime() + APP_CONFIG.USERNAME_CHANGE_INTERVAL_DAYS * DAY_MS)
+        : null;
+
+      return this._formatResponse({
+        lastChangedAt,
+        nextChangeAt: nextChangeAt ? nextChangeAt.toISOString() : null,
+        canChange: !nextChangeAt || nextChangeAt.getTime() <= Date.now(),
+      }, null);
+    } catch (error) {
+      console.error('[ProfileService] getUsernameChangeStatus error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
+  /**
+   * Update username, keeping the old one reserved as a redirect
+   * Enforces APP_CONFIG.USERNAME_CHANGE_INTERVAL_DAYS between changes. The history row
+   * is written before the rename and removed again if the rename fails.
    * @param {string} userId - The user ID
    * @param {string} newUsername - New username
-   * @returns {Promise<Object>} Standardized response
+   * @returns {Promise<Object>} Standardized response with updated profile
    */
   static async updateUsername(userId, newUsername) {
     try {
+      const statusResult = await this.getUsernameChangeStatus(userId);
+      if (!statusResult.success) {
+        return statusResult;
+      }
+
+      if (!statusResult.data.canChange) {
+        const nextChangeDate = new Date(statusResult.data.nextChangeAt).toLocaleDateString();
+        return this._formatResponse(null, {
+          message: formatMessage(VALIDATION_MESSAGES.USERNAME_CHANGE_TOO_SOON, nextChangeDate),
+        });
+      }
+
+      const currentResult = await this.getProfileByUserId(userId);
+      if (!currentResult.success) {
+        return currentResult;
+      }
+
+      const oldUsername = currentResult.data?.username;
+      if (oldUsername === newUsername) {
+        return currentResult;
+      }
+
+      const availability = await this.checkUsernameAvailability(newUsername, userId);
+      if (!availability.success) {
+        return availability;
+      }
+      if (!availability.available) {
+        return this._formatResponse(null, { message: VALIDATION_MESSAGES.USERNAME_NOT_AVAILABLE });
+      }
+
+      // Record the change first: a rename without its history row would free the old
+      // handle for anyone and break its redirect
+      const changedAt = new Date();
+      if (oldUsername) {
+        const { error: historyError } = await supabase
+          .from(SUPABASE_TABLES.USERNAME_HISTORY)
+          .insert([{
+            user_id: userId,
+            old_username: oldUsername,
+            new_username: newUsername,
+            changed_at: changedAt.toISOString(),
+            reserved_until: new Date(changedAt.getTime() + APP_CONFIG.USERNAME_REDIRECT_DAYS * DAY_MS).toISOString(),
+          }]);
+
+        if (historyError) {
+          return this._formatResponse(null, historyError);
+        }
+      }
+
       const { data, error } = await supabase
         .from(SUPABASE_TABLES.PROFILES)
         .update({ username: newUsername })
@@ -234,7 +525,23 @@ class ProfileService {
         .select()
         .single();
 
-      return this._formatResponse(data, error);
+      if (error) {
+        // Remove the history row again so the failed change doesn't count
+        if (oldUsername) {
+          const { error: rollbackError } = await supabase
+            .from(SUPABASE_TABLES.USERNAME_HISTORY)
+            .delete()
+            .eq('user_id', userId)
+            .eq('changed_at', changedAt.toISOString());
+
+          if (rollbackError) {
+            console.error('[ProfileService] Failed to remove username history:', rollbackError);
+          }
+        }
+        return this._formatResponse(null, error);
+      }
+
+      return this._formatResponse(data, null);
     } catch (error) {
       console.error('[ProfileService] updateUsername error:', error);
       return this._formatResponse(null, { message: error.message });
@@ -268,6 +575,125 @@ class ProfileService {
     }
   }
 
+  /**
+   * Delete the user's username history, releasing their reserved old usernames
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object>} Standardized response
+   */
+  static async deleteUsernameHistory(userId) {
+    try {
+      if (!userId) {
+        throw new Error('User ID is required for deletion');
+      }
+
+      const { error } = await supabase
+        .from(SUPABASE_TABLES.USERNAME_HISTORY)
+        .delete()
+        .eq('user_id', userId);
+
+      return this._formatResponse(null, error);
+    } catch (error) {
+      console.error('[ProfileService] deleteUsernameHistory error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
+  /**
+   * Mark a profile for deletion after a grace period
+   * @param {string} userId - The user ID
+   * @param {Date} scheduledFor - When the deletion becomes permanent
+   * @returns {Promise<Object>} Standardized response with updated profile
+   */
+  static async scheduleDeletion(userId, scheduledFor) {
+    return this.updateProfile(userId, { deletion_scheduled_at: scheduledFor.toISOString() });
+  }
+
+  /**
+   * Cancel a scheduled deletion, making the profile public again
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object>} Standardized response with updated profile
+   */
+  static async cancelScheduledDeletion(userId) {
+    return this.updateProfile(userId, { deletion_scheduled_at: null });
+  }
+
+  /**
+   * Connect a custom domain and issue a new verification token
+   * @param {string} userId - The user ID
+   * @param {string} domain - Normalized, validated hostname
+   * @returns {Promise<Object>} Standardized response with updated profile
+   */
+  static async setCustomDomain(userId, domain) {
+    try {
+      const { data: existing, error: lookupError } = await supabase
+        .from(SUPABASE_TABLES.PROFILES)
+        .select('id')
+        .eq('custom_domain', domain)
+        .limit(1);
+
+      if (lookupError) {
+        return this._formatResponse(null, lookupError);
+      }
+
+      if (existing?.length > 0 && existing[0].id !== userId) {
+        return this._formatResponse(null, { message: VALIDATION_MESSAGES.CUSTOM_DOMAIN_TAKEN });
+      }
+
+      const { data, error } = await supabase
+        .from(SUPABASE_TABLES.PROFILES)
+        .update({
+          custom_domain: domain,
+          custom_domain_token: uuidv4(),
+          custom_domain_verified_at: null,
+        })
+        .eq('id', userId)
+        .select()
+        .single();
+
+      // Another profile claimed the domain between the lookup and the update
+      if (error?.code === '23505') {
+        return this._formatResponse(null, { message: VALIDATION_MESSAGES.CUSTOM_DOMAIN_TAKEN });
+      }
+
+      return this._formatResponse(data, error);
+    } catch (error) {
+      console.error('[ProfileService] setCustomDomain error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
+  /**
+   * Ask the server to check the domain's TXT record
+   * Runs in the `verify-custom-domain` edge function, which resolves
+   * _lynqee.<domain> over DNS and sets custom_domain_verified_at with the service
+   * role when the record contains the profile's token. It responds with
+   * { verified: boolean, profile }.
+   * @returns {Promise<Object>} Standardized response with { verified, profile }
+   */
+  static async verifyCustomDomain() {
+    try {
+      const { data, error } = await supabase.functions.invoke('verify-custom-domain');
+
+      return this._formatResponse(data, error);
+    } catch (error) {
+      console.error('[ProfileService] verifyCustomDomain error:', error);
+      return this._formatResponse(null, { message: error.message });
+    }
+  }
+
+  /**
+   * Disconnect the custom domain
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object>} Standardized response with updated profile
+   */
+  static async removeCustomDomain(userId) {
+    return this.updateProfile(userId, {
+      custom_domain: null,
+      custom_domain_token: null,
+      custom_domain_verified_at: null,
+    });
+  }
+
   /**
    * Upload avatar
    * @param {string} userId - The user ID
@@ -420,10 +846,11 @@ class ProfileService {
   /**
    * Check if a username is available (legacy method)
    * @param {string} username - Username to check
+   * @param {string} [userId] - Current user, who may take back their own old handles
    * @returns {Promise<boolean>} True if username is available
    */
-  static async isUsernameAvailable(username) {
-    const result = await this.checkUsernameAvailability(username);
+  static async isUsernameAvailable(username, userId = null) {
+    const result = await this.checkUsernameAvailability(username, userId);
     if (result.success) {
       return result.available;
     }
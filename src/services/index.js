@@ -2,5 +2,9 @@
 export { default as AuthService } from './AuthService.js';
 export { default as ProfileService } from './ProfileService.js';
 export { default as LinksService } from './LinksService.js';
+export { default as LinkMetadataService } from './LinkMetadataService.js';
+export { default as LinkHealthService } from './LinkHealthService.js';
 export { default as AvatarService } from './AvatarService.js';
+export { default as AnalyticsService } from './AnalyticsService.js';
+export { default as AccountService } from './AccountService.js';
 export { supabase, isSupabaseConfigured, getSupabaseConfig, SUPABASE_TABLES, SUPABASE_AUTH_PROVIDERS } from './supabase.js';
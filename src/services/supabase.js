@@ -85,6 +85,9 @@ export const getSupabaseConfig = () => ({
 export const SUPABASE_TABLES = {
   PROFILES: 'profiles',
   LINKS: 'links',
+  LINK_CLICKS: 'link_clicks',
+  PROFILE_VIEWS: 'profile_views',
+  USERNAME_HISTORY: 'username_history',
 };
 
 export const SUPABASE_AUTH_PROVIDERS = {
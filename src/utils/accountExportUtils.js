@@ -0,0 +1,157 @@
+/**
+ * accountExportUtils - Build and save the account data export
+ *
+ * The export is a single versioned JSON document holding the profile's public
+ * settings (ACCOUNT_EXPORT.PROFILE_FIELDS), every link row (in display order) and the
+ * avatar image as a data URL. Its `links` list uses the same fields as the link
+ * import, so links are re-imported from the Links page; the profile settings and
+ * avatar are restored from the profile settings (see AccountService.restoreAccountData).
+ */
+
+import { ACCOUNT_EXPORT } from '../constants';
+import { resolveTheme } from './themeUtils.js';
+import { buildSocialLinkUrl, getRenderableSocialLinks } from './socialLinkUtils.js';
+import { cleanUtmParams } from './utmUtils.js';
+import { validateUtmParams } from './validators.js';
+
+/**
+ * Read a Blob into a base64 data URL
+ * @param {Blob} blob - File contents
+ * @returns {Promise<string>} Data URL
+ */
+export const blobToDataUrl = (blob) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error || new Error('Failed to read file'));
+    reader.readAsDataURL(blob);
+  });
+};
+
+/**
+ * Decode a data URL (as stored in an export's avatar) into a Blob
+ * @param {string} dataUrl - base64 or URL-encoded data URL
+ * @returns {Blob} File contents with the data URL's content type
+ */
+export const dataUrlToBlob = (dataUrl) => {
+  const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(dataUrl || '');
+  if (!match) {
+    throw new Error('Invalid data URL');
+  }
+
+  const [, contentType, isBase64, payload] = match;
+  const text = isBase64 ? atob(payload) : decodeURIComponent(payload);
+  const bytes = Uint8Array.from(text, char => char.charCodeAt(0));
+  return new Blob([bytes], { type: contentType || 'application/octet-stream' });
+};
+
+/**
+ * Assemble the export document
+ * @param {Object} data - Account data
+ * @param {Object} data.profile - Profile row (only ACCOUNT_EXPORT.PROFILE_FIELDS are kept)
+ * @param {Array<Object>} data.links - Link rows
+ * @param {Object|null} [data.avatar] - { fileName, contentType, size, dataUrl }
+ * @param {Date} [data.exportedAt] - Export time
+ * @returns {Object} Versioned export document
+ */
+export const buildAccountExport = ({ profile, links = [], avatar = null, exportedAt = new Date() }) => {
+  return {
+    format: ACCOUNT_EXPORT.FORMAT,
+    version: ACCOUNT_EXPORT.VERSION,
+    exported_at: exportedAt.toISOString(),
+    profile: Object.fromEntries(ACCOUNT_EXPORT.PROFILE_FIELDS.map(field => [field, profile?.[field] ?? null])),
+    links: [...links].sort((a, b) => (a.position || 0) - (b.position || 0)),
+    avatar: avatar ? {
+      file_name: avatar.fileName,
+      content_type: avatar.contentType,
+      size: avatar.size,
+      data_url: avatar.dataUrl,
+    } : null,
+  };
+};
+
+/**
+ * Check whether parsed JSON is an account export document
+ * @param {*} data - Parsed JSON
+ * @returns {boolean} True for account exports of any version
+ */
+export const isAccountExport = (data) => {
+  return !!data && typeof data === 'object' && data.format === ACCOUNT_EXPORT.FORMAT;
+};
+
+/**
+ * Read the profile settings and avatar to restore from an export document
+ * Stored values are checked like the profile form checks them; anything invalid is
+ * reset to its empty value rather than restored.
+ * @param {Object} document - Parsed account export
+ * @returns {Object} { profile: { name, bio, theme, social_links, utm_defaults }, avatar }
+ *   (avatar is { fileName, blob } or null); username and custom domain are not restored
+ * @throws {Error} If the document is not an account export or is from a newer version
+ */
+export const getAccountRestoreData = (document) => {
+  if (!isAccountExport(document)) {
+    throw new Error('This file is not a Lynqee account export');
+  }
+  if (document.version > ACCOUNT_EXPORT.VERSION) {
+    throw new Error('This export was made by a newer version of Lynqee and cannot be imported yet');
+  }
+
+  const stored = document.profile && typeof document.profile === 'object' ? document.profile : {};
+  const asText = (value) => (typeof value === 'string' ? value : null);
+
+  const profile = {
+    name: asText(stored.name),
+    bio: asText(stored.bio),
+    theme: stored.theme && typeof stored.theme === 'object' ? resolveTheme(stored.theme) : null,
+    social_links: getRenderableSocialLinks(stored.social_links).map(({ platform, url }) => ({
+      platform: platform.id,
+      url: buildSocialLinkUrl(platform.id, url).url,
+    })),
+    utm_defaults: validateUtmParams(stored.utm_defaults).isValid ? cleanUtmParams(stored.utm_defaults) : null,
+  };
+
+  const avatar = typeof document.avatar?.data_url === 'string'
+    ? { fileName: asText(document.avatar.file_name) || 'avatar.png', blob: dataUrlToBlob(document.avatar.data_url) }
+    : null;
+
+  return { profile, avatar };
+};
+
+/**
+ * File name for an export, e.g. "lynqee-jane-2026-10-19.json"
+ * @param {string} username - Profile username
+ * @param {Date} [date] - Export date
+ * @returns {string} File name
+ */
+export const getAccountExportFileName = (username, date = new Date()) => {
+  const day = date.toISOString().slice(0, 10);
+  return `lynqee-${username || 'account'}-${day}.json`;
+};
+
+/**
+ * Offer a Blob as a file download in the browser
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement('a');
+
+  anchor.href = url;
+  anchor.download = fileName;
+  document.body.appendChild(anchor);
+  anchor.click();
+  anchor.remove();
+
+  // Revoke after the click has been handled so the download can start
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Offer a JSON document as a file download in the browser
+ * @param {Object} data - Data to save
+ * @param {string} fileName - Suggested file name
+ */
+export const downloadJsonFile = (data, fileName) => {
+  downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), fileName);
+};
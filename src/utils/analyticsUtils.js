@@ -0,0 +1,235 @@
+/**
+ * analyticsUtils - Helpers for analytics event capture and aggregation
+ *
+ * Pure functions used by AnalyticsService and analytics hooks.
+ * Kept free of Supabase and React so they can be unit tested in isolation.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { ANALYTICS_CONFIG } from '../constants';
+
+const {
+  DEVICE_TYPES,
+  MAX_REFERRER_LENGTH,
+  RECENT_VIEWS_KEY,
+  VIEW_DEDUP_WINDOW,
+  VISITOR_ID_KEY,
+} = ANALYTICS_CONFIG;
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Classify a user agent string into a coarse device class
+ * @param {string} userAgent - Browser user agent (defaults to navigator.userAgent)
+ * @returns {string} One of ANALYTICS_CONFIG.DEVICE_TYPES
+ */
+export const getDeviceType = (userAgent = typeof navigator !== 'undefined' ? navigator.userAgent : '') => {
+  const ua = (userAgent || '').toLowerCase();
+
+  // Tablets first - iPad and Android devices without the "mobile" token
+  if (/ipad|tablet|playbook|silk/.test(ua) || (ua.includes('android') && !ua.includes('mobile'))) {
+    return DEVICE_TYPES.TABLET;
+  }
+
+  if (/mobi|iphone|ipod|android|blackberry|opera mini|iemobile/.test(ua)) {
+    return DEVICE_TYPES.MOBILE;
+  }
+
+  return DEVICE_TYPES.DESKTOP;
+};
+
+/**
+ * Reduce a referrer URL to its hostname so we never store full paths or query strings
+ * @param {string} referrer - Referrer URL (defaults to document.referrer)
+ * @returns {string|null} Referrer hostname or null for direct visits
+ */
+export const getReferrerDomain = (referrer = typeof document !== 'undefined' ? document.referrer : '') => {
+  if (!referrer) return null;
+
+  try {
+    const hostname = new URL(referrer).hostname.toLowerCase().replace(/^www\./, '');
+    return hostname ? hostname.slice(0, MAX_REFERRER_LENGTH) : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Format a date as a local YYYY-MM-DD key
+ * @param {Date|string|number} date - Date to format
+ * @returns {string} Date key
+ */
+export const formatDateKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Get the start of a day-based range (local midnight, `days - 1` days ago)
+ * @param {number} days - Number of days in the range, including today
+ * @param {Date} now - Reference date (for testing)
+ * @returns {Date} Start of the range
+ */
+export const getRangeStart = (days = ANALYTICS_CONFIG.DEFAULT_RANGE_DAYS, now = new Date()) => {
+  const start = new Date(now);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - (Math.max(1, days) - 1));
+  return start;
+};
+
+/**
+ * Count events per key
+ * @param {Array} events - Event rows
+ * @param {string} key - Field to group by
+ * @returns {Object} Map of key value to count
+ */
+export const countBy = (events = [], key) => {
+  return events.reduce((acc, event) => {
+    const value = event?.[key];
+    if (value === undefined || value === null) return acc;
+    acc[value] = (acc[value] || 0) + 1;
+    return acc;
+  }, {});
+};
+
+/**
+ * Bucket events into a contiguous daily series, filling empty days with zero
+ * @param {Array} events - Event rows
+ * @param {string} dateField - Timestamp field on each event
+ * @param {number} days - Number of days in the series, including today
+ * @param {Date} now - Reference date (for testing)
+ * @returns {Array<{date: string, count: number}>} Daily series, oldest first
+ */
+export const bucketEventsByDay = (events = [], dateField, days = ANALYTICS_CONFIG.DEFAULT_RANGE_DAYS, now = new Date()) => {
+  const start = getRangeStart(days, now);
+  const counts = {};
+
+  events.forEach(event => {
+    const timestamp = event?.[dateField];
+    if (!timestamp) return;
+    const key = formatDateKey(timestamp);
+    counts[key] = (counts[key] || 0) + 1;
+  });
+
+  return Array.from({ length: Math.max(1, days) }, (_, index) => {
+    const key = formatDateKey(start.getTime() + index * DAY_IN_MS + DAY_IN_MS / 2);
+    return { date: key, count: counts[key] || 0 };
+  });
+};
+
+/**
+ * Turn a count map into a list sorted by count (descending), then label
+ * @param {Object} counts - Map of label to count
+ * @param {number} limit - Maximum number of entries to return
+ * @returns {Array<{label: string, count: number}>} Sorted entries
+ */
+export const getTopEntries = (counts = {}, limit = ANALYTICS_CONFIG.TOP_LIST_LIMIT) => {
+  return Object.entries(counts)
+    .map(([label, count]) => ({ label, count }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+    .slice(0, limit);
+};
+
+/**
+ * Count distinct non-empty values of a field
+ * @param {Array} events - Event rows
+ * @param {string} key - Field to count distinct values of
+ * @returns {number} Number of distinct values
+ */
+export const countDistinct = (events = [], key) => {
+  return new Set(events.map(event => event?.[key]).filter(Boolean)).size;
+};
+
+/**
+ * Calculate a click-through rate as a percentage rounded to one decimal
+ * @param {number} clicks - Number of clicks
+ * @param {number} views - Number of profile views
+ * @returns {number|null} Percentage, or null when there are no views
+ */
+export const calculateClickThroughRate = (clicks = 0, views = 0) => {
+  if (!views) return null;
+  return Math.round((clicks / views) * 1000) / 10;
+};
+
+/**
+ * Safely read a JSON value from storage
+ * @param {Storage} storage - Storage implementation
+ * @param {string} key - Storage key
+ * @returns {*} Parsed value or null
+ */
+const readStorageJson = (storage, key) => {
+  try {
+    const raw = storage?.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Get (or create) the anonymous visitor ID for this browser
+ * @param {Storage} storage - Storage implementation (defaults to localStorage)
+ * @returns {string} Visitor ID
+ */
+export const getVisitorId = (storage = typeof window !== 'undefined' ? window.localStorage : null) => {
+  try {
+    const existing = storage?.getItem(VISITOR_ID_KEY);
+    if (existing) return existing;
+
+    const visitorId = uuidv4();
+    storage?.setItem(VISITOR_ID_KEY, visitorId);
+    return visitorId;
+  } catch {
+    // Storage may be unavailable (private mode); fall back to a per-page ID
+    return uuidv4();
+  }
+};
+
+/**
+ * Check whether a profile view should be recorded for this visitor
+ * @param {string} profileId - The viewed profile ID
+ * @param {Object} options - Options
+ * @param {Storage} [options.storage] - Storage implementation (defaults to localStorage)
+ * @param {number} [options.now] - Current timestamp (for testing)
+ * @param {number} [options.windowMs] - Deduplication window in milliseconds
+ * @returns {boolean} True if no view was recorded within the window
+ */
+export const shouldRecordProfileView = (profileId, {
+  storage = typeof window !== 'undefined' ? window.localStorage : null,
+  now = Date.now(),
+  windowMs = VIEW_DEDUP_WINDOW,
+} = {}) => {
+  if (!profileId) return false;
+
+  const recentViews = readStorageJson(storage, RECENT_VIEWS_KEY) || {};
+  const lastViewedAt = recentViews[profileId];
+  return !lastViewedAt || now - lastViewedAt >= windowMs;
+};
+
+/**
+ * Remember that a profile view was recorded, pruning entries older than the window
+ * @param {string} profileId - The viewed profile ID
+ * @param {Object} options - Options
+ * @param {Storage} [options.storage] - Storage implementation (defaults to localStorage)
+ * @param {number} [options.now] - Current timestamp (for testing)
+ * @param {number} [options.windowMs] - Deduplication window in milliseconds
+ */
+export const markProfileViewRecorded = (profileId, {
+  storage = typeof window !== 'undefined' ? window.localStorage : null,
+  now = Date.now(),
+  windowMs = VIEW_DEDUP_WINDOW,
+} = {}) => {
+  const recentViews = readStorageJson(storage, RECENT_VIEWS_KEY) || {};
+  const pruned = Object.fromEntries(
+    Object.entries(recentViews).filter(([, timestamp]) => now - timestamp < windowMs)
+  );
+  pruned[profileId] = now;
+
+  try {
+    storage?.setItem(RECENT_VIEWS_KEY, JSON.stringify(pruned));
+  } catch {
+    // Ignore storage quota/private mode errors - worst case we record a duplicate view
+  }
+};
@@ -0,0 +1,76 @@
+/**
+ * customDomainUtils - Hostname handling for profiles served at their own domain
+ *
+ * The app knows its own hostnames from VITE_APP_HOSTS (comma separated, e.g.
+ * "lynqee.com,www.lynqee.com"). Any other hostname is treated as a custom domain and
+ * App.jsx switches to host mode. Without VITE_APP_HOSTS, host mode stays off.
+ */
+
+import { CUSTOM_DOMAIN_CONFIG } from '../constants';
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1'];
+
+/**
+ * Reduce user input to a bare lowercase hostname
+ * Accepts pasted URLs: "https://Links.Brand.com:443/path" becomes "links.brand.com".
+ * @param {string} value - Domain or URL typed by the user
+ * @returns {string} Hostname (may still be invalid; see validateCustomDomain)
+ */
+export const normalizeCustomDomain = (value) => {
+  return (value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/:\d+$/, '')
+    .replace(/\.$/, '');
+};
+
+/**
+ * Hostnames that belong to the app itself
+ * @returns {string[]} Configured app hosts plus local development hosts
+ */
+export const getAppHosts = () => {
+  const configured = (import.meta.env.VITE_APP_HOSTS || '')
+    .split(',')
+    .map(normalizeCustomDomain)
+    .filter(Boolean);
+
+  return [...configured, ...LOCAL_HOSTS];
+};
+
+/**
+ * Custom domain the app is currently served from, if any
+ * @param {string} [hostname] - Hostname to check; defaults to the current one
+ * @returns {string|null} Normalized hostname, or null on the app's own hosts
+ */
+export const getCustomDomainHost = (hostname = window.location.hostname) => {
+  if (!import.meta.env.VITE_APP_HOSTS) return null;
+
+  const host = normalizeCustomDomain(hostname);
+  const isAppHost = getAppHosts().some(appHost => host === appHost || host.endsWith(`.${appHost}`));
+
+  return host && !isAppHost ? host : null;
+};
+
+/**
+ * Hostname that custom domains should point their CNAME record at
+ * @returns {string} VITE_CUSTOM_DOMAIN_TARGET, or the first app host
+ */
+export const getCustomDomainTarget = () => {
+  return import.meta.env.VITE_CUSTOM_DOMAIN_TARGET || getAppHosts()[0];
+};
+
+/**
+ * TXT record that proves ownership of a profile's custom domain
+ * @param {Object} profile - Profile row (custom_domain, custom_domain_token)
+ * @returns {{name: string, value: string}|null} Record, or null without a pending domain
+ */
+export const getVerificationRecord = (profile) => {
+  if (!profile?.custom_domain || !profile?.custom_domain_token) return null;
+
+  return {
+    name: `${CUSTOM_DOMAIN_CONFIG.VERIFICATION_RECORD_PREFIX}.${profile.custom_domain}`,
+    value: `${CUSTOM_DOMAIN_CONFIG.VERIFICATION_TOKEN_PREFIX}${profile.custom_domain_token}`,
+  };
+};
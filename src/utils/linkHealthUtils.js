@@ -0,0 +1,152 @@
+/**
+ * linkHealthUtils - Helpers for link health checks
+ *
+ * Pure functions shared by LinkHealthService, useLinkHealth and the dashboard. A
+ * link's `health` stores the URL it was checked with, so a result only counts
+ * while the link still points there; editing the URL makes the link due again.
+ */
+
+import { LINK_HEALTH_CONFIG, LINK_HEALTH_STATUS } from '../constants';
+import { isSectionHeader } from './linkUtils.js';
+
+// Results shown as a broken link
+const BROKEN_STATUSES = [
+  LINK_HEALTH_STATUS.BROKEN,
+  LINK_HEALTH_STATUS.TLS_ERROR,
+  LINK_HEALTH_STATUS.UNREACHABLE,
+];
+
+// Pages that exist but refuse automated requests; visitors usually get through
+const RESTRICTED_STATUS_CODES = [401, 403, 429];
+
+// Node/undici and Deno error codes for certificate and handshake failures
+const TLS_ERROR_CODES = [
+  'CERT_HAS_EXPIRED',
+  'CERT_NOT_YET_VALID',
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'ERR_SSL_PROTOCOL_ERROR',
+  'ERR_TLS_CERT_ALTNAME_INVALID',
+  'SELF_SIGNED_CERT_IN_CHAIN',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+];
+
+/**
+ * Check whether a link can be health checked (http(s) links, not section headers)
+ * @param {Object} link - Link row
+ * @returns {boolean} True if the link's URL can be requested
+ */
+export const isHealthCheckable = (link) => {
+  return !!link && !isSectionHeader(link) && /^https?:\/\//i.test(link.url || '');
+};
+
+/**
+ * Health result for the link's current URL
+ * @param {Object} link - Link row
+ * @returns {Object|null} Stored health, or null if never checked or the URL changed since
+ */
+export const getLinkHealth = (link) => {
+  const health = link?.health;
+  return health && health.url === link.url ? health : null;
+};
+
+/**
+ * Check whether the last health check found the link broken
+ * @param {Object} link - Link row
+ * @returns {boolean} True for dead pages, TLS errors and unreachable sites
+ */
+export const isLinkBroken = (link) => {
+  return BROKEN_STATUSES.includes(getLinkHealth(link)?.status);
+};
+
+/**
+ * Check whether a link should be health checked again
+ * @param {Object} link - Link row
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} True if never checked, the URL changed or the last check is old
+ */
+export const isLinkHealthDue = (link, now = Date.now()) => {
+  if (!isHealthCheckable(link)) return false;
+  if (!getLinkHealth(link) || !link.last_checked_at) return true;
+
+  const checkedAt = new Date(link.last_checked_at).getTime();
+  return Number.isNaN(checkedAt) || now - checkedAt >= LINK_HEALTH_CONFIG.RECHECK_INTERVAL;
+};
+
+/**
+ * Count health check results
+ * @param {Array} links - Link rows
+ * @returns {Object} { checked, broken, redirected }
+ */
+export const getLinkHealthCounts = (links = []) => {
+  return links.reduce((counts, link) => {
+    const health = getLinkHealth(link);
+    if (!health) return counts;
+
+    return {
+      checked: counts.checked + 1,
+      broken: counts.broken + (isLinkBroken(link) ? 1 : 0),
+      redirected: counts.redirected + (health.status === LINK_HEALTH_STATUS.REDIRECTED ? 1 : 0),
+    };
+  }, { checked: 0, broken: 0, redirected: 0 });
+};
+
+/**
+ * Health status for the final HTTP status code of a check
+ * @param {number} statusCode - HTTP status code
+ * @returns {string} LINK_HEALTH_STATUS.OK or LINK_HEALTH_STATUS.BROKEN
+ */
+export const getStatusCodeHealth = (statusCode) => {
+  if (statusCode >= 200 && statusCode < 400) return LINK_HEALTH_STATUS.OK;
+  return RESTRICTED_STATUS_CODES.includes(statusCode) ? LINK_HEALTH_STATUS.OK : LINK_HEALTH_STATUS.BROKEN;
+};
+
+/**
+ * Health status for a request that failed without a response
+ * @param {Error} error - Error thrown by the fetcher (`code` or `cause.code` when known)
+ * @returns {string} LINK_HEALTH_STATUS.TLS_ERROR or LINK_HEALTH_STATUS.UNREACHABLE
+ */
+export const getRequestErrorHealth = (error) => {
+  const code = error?.code || error?.cause?.code || '';
+  const message = `${error?.message || ''} ${error?.cause?.message || ''}`;
+
+  if (TLS_ERROR_CODES.includes(code) || /certificate|ssl|tls/i.test(message)) {
+    return LINK_HEALTH_STATUS.TLS_ERROR;
+  }
+  return LINK_HEALTH_STATUS.UNREACHABLE;
+};
+
+const getHost = (url) => {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+};
+
+/**
+ * Describe a health result for badges and tooltips
+ * @param {Object|null} health - Stored health result
+ * @returns {string} Short explanation, or '' when there is nothing to say
+ */
+export const describeLinkHealth = (health) => {
+  if (!health) return '';
+
+  switch (health.status) {
+    case LINK_HEALTH_STATUS.BROKEN:
+      if (health.error) return health.error;
+      if (health.statusCode === 404 || health.statusCode === 410) return `Page not found (${health.statusCode})`;
+      if (health.statusCode >= 500) return `Site error (${health.statusCode})`;
+      return `Page responded with status ${health.statusCode}`;
+    case LINK_HEALTH_STATUS.TLS_ERROR:
+      return 'The site\'s security certificate is not valid';
+    case LINK_HEALTH_STATUS.UNREACHABLE:
+      return 'The site could not be reached';
+    case LINK_HEALTH_STATUS.REDIRECTED: {
+      const hops = health.redirects?.length || 0;
+      return `Redirects to ${getHost(health.finalUrl)} (${hops} ${hops === 1 ? 'redirect' : 'redirects'})`;
+    }
+    default:
+      return '';
+  }
+};
@@ -0,0 +1,320 @@
+/**
+ * linkImportUtils - Parse and check links imported from other link-in-bio tools
+ *
+ * Accepts JSON exports (an array, or an object with a `links` array such as our own
+ * account export), CSV files with or without a header row, and pasted plain-text
+ * lists with one URL per line. Account exports keep their row order and the link
+ * columns in ACCOUNT_EXPORT.LINK_FIELDS (schedule, platform, preview images).
+ * Parsed rows are checked with validateLinkData before anything is stored.
+ */
+
+import { ACCOUNT_EXPORT, APP_CONFIG, LINK_IMPORT_FORMATS, LINK_IMPORT_STATUS, LINK_TYPES } from '../constants';
+import { normalizeUrlForComparison, validateLinkData } from './validators';
+import { isSectionHeader } from './linkUtils';
+import { isAccountExport } from './accountExportUtils';
+
+const MAX_TITLE_LENGTH = 50;
+
+// Column / property names used by common exports, checked in order
+const TITLE_KEYS = ['title', 'name', 'label', 'text'];
+const URL_KEYS = ['url', 'link', 'href', 'website', 'address'];
+
+// A URL with a protocol, or a bare domain such as "example.com/path"
+const URL_IN_TEXT_PATTERN = /(https?:\/\/\S+|(?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}(?:\/\S*)?)/i;
+const PROTOCOL_PATTERN = /^[a-z][a-z0-9+.-]*:/i;
+
+/**
+ * Add https:// to bare domains so they pass URL validation
+ * @param {string} url - URL as written in the import
+ * @returns {string} URL with a protocol (unchanged if it already had one)
+ */
+export const normalizeImportUrl = (url) => {
+  const trimmed = (url || '').trim();
+  if (!trimmed || PROTOCOL_PATTERN.test(trimmed)) return trimmed;
+  return `https://${trimmed.replace(/^\/+/, '')}`;
+};
+
+/**
+ * Build a readable title for rows that only have a URL, e.g. "github.com/lynqee"
+ * @param {string} url - Link URL
+ * @returns {string} Title of at most 50 characters
+ */
+export const titleFromUrl = (url) => {
+  try {
+    const { hostname, pathname } = new URL(url);
+    const host = hostname.replace(/^www\./, '');
+    const firstSegment = pathname.split('/').find(Boolean);
+    return (firstSegment ? `${host}/${firstSegment}` : host).slice(0, MAX_TITLE_LENGTH);
+  } catch {
+    return (url || '').slice(0, MAX_TITLE_LENGTH);
+  }
+};
+
+/**
+ * Guess the format of pasted or uploaded text
+ * @param {string} text - Raw import text
+ * @param {string} [fileName] - Uploaded file name, used before sniffing the content
+ * @returns {string} One of LINK_IMPORT_FORMATS
+ */
+export const detectImportFormat = (text, fileName = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'json') return LINK_IMPORT_FORMATS.JSON;
+  if (extension === 'csv') return LINK_IMPORT_FORMATS.CSV;
+
+  const trimmed = (text || '').trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) return LINK_IMPORT_FORMATS.JSON;
+
+  const lines = trimmed.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length > 0 && lines.every(line => line.includes(','))) return LINK_IMPORT_FORMATS.CSV;
+
+  return LINK_IMPORT_FORMATS.TEXT;
+};
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Non-empty rows
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  rows.push(row);
+
+  return rows
+    .map(cells => cells.map(value => value.trim()))
+    .filter(cells => cells.some(Boolean));
+};
+
+/**
+ * Create an import row from loose title / URL values
+ * @param {Object} values - Parsed values
+ * @param {Object} [columns] - Link columns from an account export (ACCOUNT_EXPORT.LINK_FIELDS)
+ * @returns {Object|null} Link data, or null if the row is empty
+ */
+const toLinkData = ({ title, url, type, is_collapsible, is_public }, columns = {}) => {
+  const cleanTitle = typeof title === 'string' ? title.trim() : '';
+
+  if (type === LINK_TYPES.HEADER) {
+    return cleanTitle ? { type: LINK_TYPES.HEADER, title: cleanTitle, is_collapsible: !!is_collapsible } : null;
+  }
+
+  const cleanUrl = normalizeImportUrl(typeof url === 'string' ? url : '');
+  if (!cleanUrl && !cleanTitle) return null;
+
+  const link = {
+    title: cleanTitle || titleFromUrl(cleanUrl),
+    url: cleanUrl,
+  };
+  if (typeof is_public === 'boolean') {
+    link.is_public = is_public;
+  }
+  ACCOUNT_EXPORT.LINK_FIELDS.forEach(field => {
+    if (typeof columns[field] === 'string' && columns[field]) {
+      link[field] = columns[field];
+    }
+  });
+  return link;
+};
+
+const pickValue = (item, keys) => {
+  const key = keys.find(candidate => typeof item[candidate] === 'string' && item[candidate].trim());
+  return key ? item[key] : '';
+};
+
+const parseJsonImport = (text) => {
+  const parsed = JSON.parse(text);
+
+  if (isAccountExport(parsed) && parsed.version > ACCOUNT_EXPORT.VERSION) {
+    throw new Error('This export was made by a newer version of Lynqee and cannot be imported yet');
+  }
+
+  const fromAccountExport = isAccountExport(parsed);
+  const items = Array.isArray(parsed) ? parsed : parsed?.links;
+
+  if (!Array.isArray(items)) {
+    throw new Error('JSON must be a list of links or an object with a "links" list');
+  }
+
+  // Account exports hold link rows; keep their display order (sort is stable)
+  const orderedItems = fromAccountExport
+    ? [...items].sort((a, b) => (a?.position || 0) - (b?.position || 0))
+    : items;
+
+  return orderedItems.map(item => {
+    if (typeof item === 'string') return toLinkData({ url: item });
+    if (!item || typeof item !== 'object') return null;
+
+    return toLinkData({
+      title: pickValue(item, TITLE_KEYS),
+      url: pickValue(item, URL_KEYS),
+      type: item.type,
+      is_collapsible: item.is_collapsible,
+      is_public: item.is_public,
+    }, fromAccountExport ? item : {});
+  });
+};
+
+const parseCsvImport = (text) => {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(cell => cell.toLowerCase());
+  const titleColumn = header.findIndex(cell => TITLE_KEYS.includes(cell));
+  const urlColumn = header.findIndex(cell => URL_KEYS.includes(cell));
+
+  // With a header row, read the named columns
+  if (urlColumn !== -1) {
+    const typeColumn = header.indexOf('type');
+    return rows.slice(1).map(cells => toLinkData({
+      title: titleColumn !== -1 ? cells[titleColumn] : '',
+      url: cells[urlColumn],
+      type: typeColumn !== -1 ? cells[typeColumn]?.toLowerCase() : undefined,
+    }));
+  }
+
+  // Without one, the first cell that looks like a URL is the URL and the first other cell the title
+  return rows.map(cells => {
+    const urlIndex = cells.findIndex(cell => URL_IN_TEXT_PATTERN.test(cell) && !cell.includes(' '));
+    return toLinkData({
+      url: urlIndex !== -1 ? cells[urlIndex] : '',
+      title: cells.find((cell, index) => index !== urlIndex && cell) || '',
+    });
+  });
+};
+
+const parseTextImport = (text) => {
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const match = line.match(URL_IN_TEXT_PATTERN);
+      if (!match) return toLinkData({ title: line, url: '' });
+
+      // Text around the URL, minus separators like "-", "|" or ":", becomes the title
+      const title = line.replace(match[0], ' ').replace(/^[\s\-–—|:,]+|[\s\-–—|:,]+$/g, '');
+      return toLinkData({ title, url: match[0] });
+    });
+};
+
+/**
+ * Parse import text into link data rows
+ * @param {string} text - Raw JSON, CSV or plain-text content
+ * @param {string} [format] - One of LINK_IMPORT_FORMATS; detected when omitted
+ * @returns {{format: string, rows: Array<Object>, error: string|null}} Parsed rows in their original order
+ */
+export const parseLinkImport = (text, format = detectImportFormat(text)) => {
+  if (!text || !text.trim()) {
+    return { format, rows: [], error: 'Nothing to import' };
+  }
+
+  try {
+    let rows;
+    if (format === LINK_IMPORT_FORMATS.JSON) {
+      rows = parseJsonImport(text);
+    } else if (format === LINK_IMPORT_FORMATS.CSV) {
+      rows = parseCsvImport(text);
+    } else {
+      rows = parseTextImport(text);
+    }
+
+    rows = rows.filter(Boolean);
+    return {
+      format,
+      rows,
+      error: rows.length === 0 ? 'No links found in the import' : null,
+    };
+  } catch (error) {
+    const message = format === LINK_IMPORT_FORMATS.JSON && error instanceof SyntaxError
+      ? 'The file is not valid JSON'
+      : error.message;
+    return { format, rows: [], error: message };
+  }
+};
+
+/**
+ * Validate parsed rows against the user's links and the per-profile limit
+ * Rows are checked in order, so a URL repeated inside the import is a duplicate of its first occurrence.
+ * @param {Array<Object>} rows - Link data from parseLinkImport
+ * @param {Array<Object>} existingLinks - The user's current links
+ * @param {number} [maxLinks] - Link limit per profile
+ * @returns {Array<{data: Object, status: string, errors: Object}>} Preview rows with a LINK_IMPORT_STATUS each
+ */
+export const prepareImportRows = (rows = [], existingLinks = [], maxLinks = APP_CONFIG.MAX_LINKS_PER_USER) => {
+  const remainingSlots = Math.max(0, maxLinks - existingLinks.length);
+  const accepted = [];
+
+  return rows.map(data => {
+    const knownLinks = [...existingLinks, ...accepted];
+    const validation = validateLinkData(data, knownLinks);
+
+    const normalizedUrl = normalizeUrlForComparison(data.url);
+    const isDuplicate = !isSectionHeader(data) && !!normalizedUrl && knownLinks.some(link => (
+      !isSectionHeader(link) && normalizeUrlForComparison(link.url) === normalizedUrl
+    ));
+
+    if (isDuplicate) {
+      return { data, status: LINK_IMPORT_STATUS.DUPLICATE, errors: validation.errors };
+    }
+
+    if (!validation.isValid) {
+      return { data, status: LINK_IMPORT_STATUS.INVALID, errors: validation.errors };
+    }
+
+    if (accepted.length >= remainingSlots) {
+      return {
+        data,
+        status: LINK_IMPORT_STATUS.OVER_LIMIT,
+        errors: { limit: `Profiles can have at most ${maxLinks} links` },
+      };
+    }
+
+    accepted.push(data);
+    return { data, status: LINK_IMPORT_STATUS.READY, errors: {} };
+  });
+};
+
+/**
+ * Count preview rows by status
+ * @param {Array<Object>} preparedRows - Rows from prepareImportRows
+ * @returns {Object} Counts keyed by LINK_IMPORT_STATUS value, plus total
+ */
+export const summarizeImportRows = (preparedRows = []) => {
+  const counts = Object.values(LINK_IMPORT_STATUS).reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+  preparedRows.forEach(row => {
+    counts[row.status] += 1;
+  });
+  return { ...counts, total: preparedRows.length };
+};
@@ -0,0 +1,120 @@
+/**
+ * linkMetadataUtils - Read a page's title, preview image and favicon from its HTML
+ *
+ * Only the document head matters, so tags are matched with regular expressions
+ * instead of a DOM parser; this keeps the parser usable outside the browser (e.g. in
+ * an edge function or a test against a local server). Open Graph and Twitter card
+ * tags win over the plain <title>. Relative URLs are resolved against the page URL,
+ * and only http(s) URLs are kept.
+ */
+
+// Link titles are limited to 50 characters (see validateLinkTitle)
+const MAX_TITLE_LENGTH = 50;
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  apos: "'",
+  gt: '>',
+  lt: '<',
+  nbsp: ' ',
+  quot: '"',
+};
+
+const decodeEntities = (text) => {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const number = code[1].toLowerCase() === 'x'
+        ? parseInt(code.slice(2), 16)
+        : parseInt(code.slice(1), 10);
+      return Number.isFinite(number) && number <= 0x10ffff ? String.fromCodePoint(number) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+};
+
+const cleanText = (text) => decodeEntities(text || '').replace(/\s+/g, ' ').trim();
+
+// Attributes of every <tag ...> in the HTML, with lowercased names
+const getTagAttributes = (html, tagName) => {
+  const tags = html.match(new RegExp(`<${tagName}\\b[^>]*>`, 'gi')) || [];
+
+  return tags.map((tag) => {
+    const attributes = {};
+    const pattern = /([a-z][a-z0-9:_-]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+    let match;
+    while ((match = pattern.exec(tag)) !== null) {
+      attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4]);
+    }
+    return attributes;
+  });
+};
+
+// Absolute http(s) URL, or null for anything else (javascript:, data:, garbage)
+const resolveHttpUrl = (value, baseUrl) => {
+  if (!value) return null;
+
+  try {
+    const url = new URL(value.trim(), baseUrl);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Shorten a page title to fit the link title limit
+ * Cuts at a word boundary when possible and adds an ellipsis.
+ * @param {string} title - Page title
+ * @returns {string} Title of at most 50 characters
+ */
+export const truncateLinkTitle = (title) => {
+  const text = cleanText(title);
+  if (text.length <= MAX_TITLE_LENGTH) return text;
+
+  const cut = text.slice(0, MAX_TITLE_LENGTH - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > MAX_TITLE_LENGTH / 2 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+};
+
+/**
+ * Extract preview metadata from a page
+ * @param {string} html - Page HTML (the head is enough)
+ * @param {string} pageUrl - Final URL of the page, used to resolve relative URLs
+ * @returns {{title: string|null, description: string|null, thumbnailUrl: string|null, faviconUrl: string|null}}
+ *   Metadata; faviconUrl falls back to /favicon.ico on the page's origin
+ */
+export const parseLinkMetadata = (html, pageUrl) => {
+  const source = html || '';
+  const meta = {};
+
+  getTagAttributes(source, 'meta').forEach((attributes) => {
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content && meta[key] === undefined) {
+      meta[key] = attributes.content;
+    }
+  });
+
+  const titleMatch = source.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  const title = cleanText(meta['og:title'] || meta['twitter:title'] || titleMatch?.[1]) || null;
+  const description = cleanText(meta['og:description'] || meta['twitter:description'] || meta.description) || null;
+
+  const thumbnailUrl = [meta['og:image'], meta['og:image:url'], meta['og:image:secure_url'], meta['twitter:image']]
+    .map(value => resolveHttpUrl(value, pageUrl))
+    .find(Boolean) || null;
+
+  // Prefer a plain "icon" over "apple-touch-icon" and similar
+  const icons = getTagAttributes(source, 'link')
+    .filter(attributes => (attributes.rel || '').toLowerCase().split(/\s+/).some(rel => rel.endsWith('icon')))
+    .sort((a, b) => Number(!/(^|\s)icon(\s|$)/i.test(a.rel)) - Number(!/(^|\s)icon(\s|$)/i.test(b.rel)));
+
+  const faviconUrl = icons
+    .map(attributes => resolveHttpUrl(attributes.href, pageUrl))
+    .find(Boolean) || resolveHttpUrl('/favicon.ico', pageUrl);
+
+  return {
+    title,
+    description,
+    thumbnailUrl,
+    faviconUrl,
+  };
+};
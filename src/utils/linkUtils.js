@@ -0,0 +1,211 @@
+/**
+ * linkUtils - Helpers for deciding how links appear on public profiles
+ *
+ * Pure functions shared by the public link hooks, LinksService and link components.
+ */
+
+import { LINK_SCHEDULE_STATUS, LINK_SLUG_CONFIG, LINK_TYPES } from '../constants';
+
+// setTimeout delays above this overflow and fire immediately
+const MAX_TIMER_DELAY = 2147483647;
+
+/**
+ * Check whether a link should be shown on the public profile
+ * Links created before the `is_public` column existed have no value and count as public.
+ * @param {Object} link - Link row
+ * @returns {boolean} True if the link is public
+ */
+export const isLinkPublic = (link) => {
+  return !!link && link.is_public !== false;
+};
+
+/**
+ * Check whether an item is a section header rather than a link
+ * Rows created before the `type` column existed have no value and are links.
+ * @param {Object} link - Link row
+ * @returns {boolean} True for section headers
+ */
+export const isSectionHeader = (link) => {
+  return link?.type === LINK_TYPES.HEADER;
+};
+
+/**
+ * Group ordered items into sections, each starting at a header
+ * Links before the first header form a leading section with no header.
+ * @param {Array} links - Items sorted by position
+ * @param {Object} options - Grouping options
+ * @param {boolean} options.dropEmpty - Drop header sections that contain no links
+ * @returns {Array<{header: Object|null, links: Array}>} Sections in display order
+ */
+export const groupLinksIntoSections = (links = [], { dropEmpty = false } = {}) => {
+  const sections = [];
+  let current = { header: null, links: [] };
+
+  links.forEach(link => {
+    if (isSectionHeader(link)) {
+      sections.push(current);
+      current = { header: link, links: [] };
+    } else {
+      current.links.push(link);
+    }
+  });
+  sections.push(current);
+
+  return sections.filter(section => {
+    if (!section.header) return section.links.length > 0;
+    return !dropEmpty || section.links.length > 0;
+  });
+};
+
+/**
+ * Move a set of items to the top or bottom of the list, keeping their relative order
+ * @param {Array} links - Items in display order
+ * @param {Array<string>} linkIds - IDs of the items to move
+ * @param {('top'|'bottom')} edge - Where to move them
+ * @returns {Array} Reordered items
+ */
+export const moveLinksToEdge = (links = [], linkIds = [], edge = 'top') => {
+  const ids = new Set(linkIds);
+  const moved = links.filter(link => ids.has(link.id));
+  const rest = links.filter(link => !ids.has(link.id));
+  return edge === 'bottom' ? [...rest, ...moved] : [...moved, ...rest];
+};
+
+/**
+ * List the position updates needed to store an ordering (1-indexed)
+ * @param {Array} orderedLinks - Items in their new order
+ * @returns {Array<{id: string, position: number}>} Updates for items whose position changes
+ */
+export const getPositionChanges = (orderedLinks = []) => {
+  return orderedLinks
+    .map((link, index) => ({ id: link.id, position: index + 1, previous: link.position }))
+    .filter(change => change.position !== change.previous)
+    .map(({ id, position }) => ({ id, position }));
+};
+
+/**
+ * Count public and private links
+ * @param {Array} links - Link rows
+ * @returns {{total: number, public: number, private: number}} Visibility counts
+ */
+export const getLinkVisibilityCounts = (links = []) => {
+  const publicCount = links.filter(isLinkPublic).length;
+  return {
+    total: links.length,
+    public: publicCount,
+    private: links.length - publicCount,
+  };
+};
+
+/**
+ * Parse an optional schedule timestamp
+ * @param {string|null} value - ISO timestamp
+ * @returns {number|null} Milliseconds since epoch, or null when unset/invalid
+ */
+const parseScheduleTime = (value) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Check whether a link has a start or end time
+ * @param {Object} link - Link row
+ * @returns {boolean} True if the link is scheduled
+ */
+export const hasLinkSchedule = (link) => {
+  return !!(link?.starts_at || link?.ends_at);
+};
+
+/**
+ * Get the schedule state of a link
+ * @param {Object} link - Link row with optional starts_at / ends_at
+ * @param {number} now - Current timestamp (for testing)
+ * @returns {string|null} One of LINK_SCHEDULE_STATUS, or null for unscheduled links
+ */
+export const getLinkScheduleStatus = (link, now = Date.now()) => {
+  if (!hasLinkSchedule(link)) return null;
+
+  const startsAt = parseScheduleTime(link.starts_at);
+  const endsAt = parseScheduleTime(link.ends_at);
+
+  if (startsAt !== null && now < startsAt) return LINK_SCHEDULE_STATUS.SCHEDULED;
+  if (endsAt !== null && now >= endsAt) return LINK_SCHEDULE_STATUS.EXPIRED;
+  return LINK_SCHEDULE_STATUS.LIVE;
+};
+
+/**
+ * Check whether a link should be shown on the public profile right now
+ * @param {Object} link - Link row
+ * @param {number} now - Current timestamp (for testing)
+ * @returns {boolean} True if the link is public and inside its schedule window
+ */
+export const isLinkVisibleNow = (link, now = Date.now()) => {
+  if (!isLinkPublic(link)) return false;
+  const status = getLinkScheduleStatus(link, now);
+  return status === null || status === LINK_SCHEDULE_STATUS.LIVE;
+};
+
+/**
+ * Find the delay until the next schedule window opens or closes
+ * @param {Array} links - Link rows
+ * @param {number} now - Current timestamp (for testing)
+ * @returns {number|null} Delay in milliseconds (capped to a safe timer value), or null if none
+ */
+export const getNextScheduleChangeDelay = (links = [], now = Date.now()) => {
+  const upcoming = links
+    .flatMap(link => [parseScheduleTime(link?.starts_at), parseScheduleTime(link?.ends_at)])
+    .filter(time => time !== null && time > now);
+
+  if (upcoming.length === 0) return null;
+  return Math.min(Math.min(...upcoming) - now, MAX_TIMER_DELAY);
+};
+
+/**
+ * Convert an ISO timestamp to a value for an <input type="datetime-local">
+ * @param {string|null} value - ISO timestamp
+ * @returns {string} Local "YYYY-MM-DDTHH:mm" string, or empty string
+ */
+export const toDateTimeLocalValue = (value) => {
+  const time = parseScheduleTime(value);
+  if (time === null) return '';
+
+  const date = new Date(time);
+  const pad = (part) => String(part).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Convert an <input type="datetime-local"> value (local time) to an ISO timestamp
+ * @param {string} value - Local "YYYY-MM-DDTHH:mm" string
+ * @returns {string|null} ISO timestamp, or null when empty/invalid
+ */
+export const fromDateTimeLocalValue = (value) => {
+  const time = parseScheduleTime(value);
+  return time === null ? null : new Date(time).toISOString();
+};
+
+/**
+ * Generate a random short link slug, e.g. "k7mq2x"
+ * Slugs are unique per profile; with 31^6 combinations a clash is unlikely and
+ * is rejected by the database's unique index.
+ * @returns {string} Slug of LINK_SLUG_CONFIG.LENGTH characters
+ */
+export const generateLinkSlug = () => {
+  const { ALPHABET, LENGTH } = LINK_SLUG_CONFIG;
+  const values = crypto.getRandomValues(new Uint32Array(LENGTH));
+  return Array.from(values, value => ALPHABET[value % ALPHABET.length]).join('');
+};
+
+/**
+ * Check whether a path segment can be a short link slug
+ * Lets the redirect route reject anything else without a database lookup.
+ * @param {string} slug - Path segment
+ * @returns {boolean} True for LINK_SLUG_CONFIG.LENGTH characters from the slug alphabet
+ */
+export const isValidLinkSlug = (slug) => {
+  const { ALPHABET, LENGTH } = LINK_SLUG_CONFIG;
+  return typeof slug === 'string'
+    && slug.length === LENGTH
+    && [...slug].every(char => ALPHABET.includes(char));
+};
@@ -0,0 +1,103 @@
+/**
+ * platformUtils - Detect which platform a link points to
+ *
+ * Platforms come from LINK_PLATFORMS plus any added with registerPlatform. A link
+ * can override detection with its `platform` column (a platform id); without one,
+ * the URL's hostname decides. When several hosts match, the most specific wins, so
+ * "music.apple.com" beats a hypothetical "apple.com" entry.
+ */
+
+import { DEFAULT_LINK_PLATFORM, LINK_PLATFORMS } from '../constants';
+
+let platforms = [...LINK_PLATFORMS];
+
+/**
+ * All known platforms, in picker order (the generic fallback last)
+ * @returns {Object[]} Platforms ({ id, name, hosts, color, icon? })
+ */
+export const getPlatforms = () => platforms;
+
+/**
+ * Add a platform or replace one with the same id
+ * New platforms are listed before the generic fallback.
+ * @param {Object} platform - Platform definition
+ * @param {string} platform.id - Stable id, stored in links.platform when chosen
+ * @param {string} platform.name - Display name
+ * @param {string[]} platform.hosts - Hostnames, matched with their subdomains
+ * @param {string} platform.color - Accent color (hex)
+ * @param {Function} [platform.icon] - Icon component; defaults to a generic icon
+ */
+export const registerPlatform = (platform) => {
+  if (!platform?.id || !platform?.name) {
+    throw new Error('A platform needs an id and a name');
+  }
+
+  const entry = { ...platform, hosts: (platform.hosts || []).map(host => host.toLowerCase()) };
+  const existingIndex = platforms.findIndex(item => item.id === entry.id);
+
+  if (existingIndex >= 0) {
+    platforms = platforms.map((item, index) => (index === existingIndex ? entry : item));
+  } else {
+    const fallbackIndex = platforms.findIndex(item => item.id === DEFAULT_LINK_PLATFORM);
+    platforms = fallbackIndex >= 0
+      ? [...platforms.slice(0, fallbackIndex), entry, ...platforms.slice(fallbackIndex)]
+      : [...platforms, entry];
+  }
+};
+
+/**
+ * Restore the built-in platform list (drops registered platforms)
+ */
+export const resetPlatforms = () => {
+  platforms = [...LINK_PLATFORMS];
+};
+
+/**
+ * Look up a platform by id
+ * @param {string} id - Platform id
+ * @returns {Object|null} Platform, or null when unknown
+ */
+export const getPlatformById = (id) => {
+  return platforms.find(platform => platform.id === id) || null;
+};
+
+/**
+ * Platform a URL belongs to, based on its hostname
+ * @param {string} url - Absolute URL (a missing protocol is tolerated)
+ * @returns {Object|null} Most specific matching platform, or null when none matches
+ */
+export const detectPlatform = (url) => {
+  if (!url) return null;
+
+  let hostname;
+  try {
+    hostname = new URL(/^[a-z][a-z0-9+.-]*:/i.test(url) ? url : `https://${url}`).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+
+  let match = null;
+  let matchLength = 0;
+
+  platforms.forEach((platform) => {
+    platform.hosts.forEach((host) => {
+      if ((hostname === host || hostname.endsWith(`.${host}`)) && host.length > matchLength) {
+        match = platform;
+        matchLength = host.length;
+      }
+    });
+  });
+
+  return match;
+};
+
+/**
+ * Platform to show for a link: the user's choice, else the detected one
+ * @param {Object} link - Link row (url, platform)
+ * @returns {Object} Platform; the generic fallback when nothing matches
+ */
+export const getLinkPlatform = (link) => {
+  return getPlatformById(link?.platform)
+    || detectPlatform(link?.url)
+    || getPlatformById(DEFAULT_LINK_PLATFORM);
+};
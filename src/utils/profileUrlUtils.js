@@ -0,0 +1,73 @@
+/**
+ * profileUrlUtils - Build links to public profiles
+ *
+ * Single place that decides what a profile's public URL looks like, used for
+ * copying, sharing, QR codes and canonical tags. A verified custom domain wins
+ * over the username path on the app's own origin. No browser APIs outside
+ * default arguments, so scripts/prerender-profiles.js can use it in Node.
+ */
+
+/**
+ * Custom domain of a profile once ownership has been verified
+ * @param {Object} profile - Profile row (custom_domain, custom_domain_verified_at)
+ * @returns {string|null} Hostname, or null when there is no verified domain
+ */
+export const getVerifiedCustomDomain = (profile) => {
+  return profile?.custom_domain && profile?.custom_domain_verified_at
+    ? profile.custom_domain
+    : null;
+};
+
+/**
+ * Path of a public profile on the app's origin, e.g. "/jane"
+ * @param {string} username - Profile username
+ * @returns {string} Path, or an empty string without a username
+ */
+export const getPublicProfilePath = (username) => {
+  return username ? `/${username}` : '';
+};
+
+/**
+ * Absolute URL of a public profile, e.g. "https://lynqee.com/jane" or
+ * "https://links.brand.com" when the profile has a verified custom domain
+ * @param {Object} profile - Profile row (username, custom_domain, custom_domain_verified_at)
+ * @param {string} [origin] - App origin; defaults to the current one
+ * @returns {string} URL, or an empty string without a username
+ */
+export const getPublicProfileUrl = (profile, origin = window.location.origin) => {
+  if (!profile?.username) return '';
+
+  const customDomain = getVerifiedCustomDomain(profile);
+  return customDomain
+    ? `https://${customDomain}`
+    : `${origin}${getPublicProfilePath(profile.username)}`;
+};
+
+/**
+ * Short form of the public URL for display, e.g. "/jane" or "links.brand.com"
+ * @param {Object} profile - Profile row
+ * @returns {string} Label, or an empty string without a username
+ */
+export const getPublicProfileLabel = (profile) => {
+  if (!profile?.username) return '';
+  return getVerifiedCustomDomain(profile) || getPublicProfilePath(profile.username);
+};
+
+/**
+ * Absolute short link for a link, e.g. "https://lynqee.com/jane/k7mq2x"
+ * Opening it records a click and redirects to the link URL, so the URL can be
+ * changed later without re-sharing. Links without a slug fall back to "/go/:id"
+ * on the app's origin.
+ * @param {Object} profile - Profile row (username, custom_domain, custom_domain_verified_at)
+ * @param {Object} link - Link row (id, slug)
+ * @param {string} [origin] - App origin; defaults to the current one
+ * @returns {string} URL, or an empty string without a link
+ */
+export const getShortLinkUrl = (profile, link, origin = window.location.origin) => {
+  if (!link?.id) return '';
+
+  const profileUrl = getPublicProfileUrl(profile, origin);
+  return link.slug && profileUrl
+    ? `${profileUrl}/${link.slug}`
+    : `${origin}/go/${link.id}`;
+};
@@ -0,0 +1,428 @@
+/**
+ * qrCodeEncoder - Pure JavaScript QR Code (ISO/IEC 18004) encoder
+ *
+ * Encodes text as UTF-8 in byte mode, picks the smallest version (1-40) that fits
+ * the chosen error correction level, and selects the mask with the lowest penalty
+ * score. Returns the module matrix only; rendering lives in qrCodeUtils.
+ */
+
+import { QR_ERROR_CORRECTION } from '../constants';
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+// Format-information bits for each error correction level
+const FORMAT_BITS = {
+  [QR_ERROR_CORRECTION.LOW]: 1,
+  [QR_ERROR_CORRECTION.MEDIUM]: 0,
+  [QR_ERROR_CORRECTION.QUARTILE]: 3,
+  [QR_ERROR_CORRECTION.HIGH]: 2,
+};
+
+// Error correction codewords per block, indexed by version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = {
+  [QR_ERROR_CORRECTION.LOW]: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [QR_ERROR_CORRECTION.MEDIUM]: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [QR_ERROR_CORRECTION.QUARTILE]: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [QR_ERROR_CORRECTION.HIGH]: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+};
+
+// Number of error correction blocks, indexed by version (index 0 unused)
+const ECC_BLOCK_COUNT = {
+  [QR_ERROR_CORRECTION.LOW]: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [QR_ERROR_CORRECTION.MEDIUM]: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [QR_ERROR_CORRECTION.QUARTILE]: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [QR_ERROR_CORRECTION.HIGH]: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+};
+
+// Mask patterns 0-7: a module is inverted when the condition holds
+const MASK_PATTERNS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+// Penalty weights from the specification
+const PENALTY_RUN = 3;
+const PENALTY_BLOCK = 3;
+const PENALTY_FINDER_LIKE = 40;
+const PENALTY_BALANCE = 10;
+
+const FINDER_LIKE_PATTERNS = [
+  [true, false, true, true, true, false, true, false, false, false, false],
+  [false, false, false, false, true, false, true, true, true, false, true],
+];
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+/**
+ * Modules available for data and error correction in a version
+ * @param {number} version - QR version (1-40)
+ * @returns {number} Module count
+ */
+const getRawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignmentCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+};
+
+/**
+ * Data codewords (bytes) a version holds at an error correction level
+ * @param {number} version - QR version (1-40)
+ * @param {string} errorCorrection - One of QR_ERROR_CORRECTION
+ * @returns {number} Codeword count
+ */
+export const getDataCapacity = (version, errorCorrection) => {
+  return Math.floor(getRawDataModules(version) / 8)
+    - ECC_CODEWORDS_PER_BLOCK[errorCorrection][version] * ECC_BLOCK_COUNT[errorCorrection][version];
+};
+
+// Byte-mode character count indicator length
+const getCountBits = (version) => (version <= 9 ? 8 : 16);
+
+// Multiply in GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i -= 1) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+const reedSolomonDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+
+  for (let i = 0; i < degree; i += 1) {
+    for (let j = 0; j < result.length; j += 1) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+const reedSolomonRemainder = (data, divisor) => {
+  const result = divisor.map(() => 0);
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+};
+
+/**
+ * Build the data codewords: mode, length, payload, terminator and padding
+ */
+const buildDataCodewords = (bytes, version, errorCorrection) => {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i -= 1) bits.push(getBit(value, i));
+  };
+
+  append(0b0100, 4); // Byte mode
+  append(bytes.length, getCountBits(version));
+  bytes.forEach(byte => append(byte, 8));
+
+  const capacityBits = getDataCapacity(version, errorCorrection) * 8;
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | (bit ? 1 : 0), 0));
+  }
+  return codewords;
+};
+
+/**
+ * Split data into blocks, add Reed-Solomon codewords and interleave
+ */
+const addErrorCorrection = (data, version, errorCorrection) => {
+  const blockCount = ECC_BLOCK_COUNT[errorCorrection][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[errorCorrection][version];
+  const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+  const shortBlockCount = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = reedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  let offset = 0;
+  for (let i = 0; i < blockCount; i += 1) {
+    const length = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    if (i < shortBlockCount) block.push(0);
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i += 1) {
+    blocks.forEach((block, j) => {
+      // Skip the padding byte of short blocks
+      if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+};
+
+const getAlignmentPositions = (version) => {
+  if (version === 1) return [];
+
+  const size = version * 4 + 17;
+  const count = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const positions = [6];
+  for (let position = size - 7; positions.length < count; position -= step) {
+    positions.splice(1, 0, position);
+  }
+  return positions;
+};
+
+/**
+ * Draw the format information (error correction level and mask) in both copies
+ */
+const drawFormatBits = (modules, reserved, errorCorrection, mask) => {
+  const size = modules.length;
+  const data = (FORMAT_BITS[errorCorrection] << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i += 1) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  // Around the top-left finder
+  for (let i = 0; i <= 5; i += 1) set(8, i, getBit(bits, i));
+  set(8, 7, getBit(bits, 6));
+  set(8, 8, getBit(bits, 7));
+  set(7, 8, getBit(bits, 8));
+  for (let i = 9; i < 15; i += 1) set(14 - i, 8, getBit(bits, i));
+
+  // Split between the other two finders
+  for (let i = 0; i < 8; i += 1) set(size - 1 - i, 8, getBit(bits, i));
+  for (let i = 8; i < 15; i += 1) set(8, size - 15 + i, getBit(bits, i));
+  set(8, size - 8, true); // Always-dark module
+};
+
+/**
+ * Matrix with finder, timing, alignment and version patterns drawn
+ */
+const createBaseMatrix = (version) => {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i += 1) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy += 1) {
+      for (let dx = -4; dx <= 4; dx += 1) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          setFunction(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+
+  // Alignment patterns, except where they would overlap the finders
+  const positions = getAlignmentPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((cy, i) => {
+    positions.forEach((cx, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy += 1) {
+        for (let dx = -2; dx <= 2; dx += 1) {
+          setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Version information (versions 7+)
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i += 1) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i += 1) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, getBit(bits, i));
+      setFunction(b, a, getBit(bits, i));
+    }
+  }
+
+  // Reserve the format areas; drawFormatBits fills them in per mask
+  drawFormatBits(modules, reserved, QR_ERROR_CORRECTION.LOW, 0);
+
+  return { size, modules, reserved };
+};
+
+const placeCodewords = (modules, reserved, codewords) => {
+  const size = modules.length;
+  let bitIndex = 0;
+
+  // Zig-zag through column pairs from the bottom-right, skipping the vertical timing column
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vertical = 0; vertical < size; vertical += 1) {
+      for (let j = 0; j < 2; j += 1) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!reserved[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+          bitIndex += 1;
+        }
+      }
+    }
+  }
+};
+
+const applyMask = (modules, reserved, mask) => {
+  const condition = MASK_PATTERNS[mask];
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (!reserved[y][x] && condition(x, y)) row[x] = !dark;
+    });
+  });
+};
+
+const matchesAt = (line, start, pattern) => pattern.every((value, i) => line[start + i] === value);
+
+const getLinePenalty = (line) => {
+  let penalty = 0;
+  let runLength = 1;
+
+  for (let i = 1; i <= line.length; i += 1) {
+    if (i < line.length && line[i] === line[i - 1]) {
+      runLength += 1;
+    } else {
+      if (runLength >= 5) penalty += PENALTY_RUN + (runLength - 5);
+      runLength = 1;
+    }
+  }
+
+  for (let i = 0; i + FINDER_LIKE_PATTERNS[0].length <= line.length; i += 1) {
+    if (FINDER_LIKE_PATTERNS.some(pattern => matchesAt(line, i, pattern))) {
+      penalty += PENALTY_FINDER_LIKE;
+    }
+  }
+
+  return penalty;
+};
+
+/**
+ * Penalty score used to choose the mask (lower is easier to scan)
+ * @param {Array<Array<boolean>>} modules - Module matrix
+ * @returns {number} Penalty
+ */
+export const getPenaltyScore = (modules) => {
+  const size = modules.length;
+  let penalty = 0;
+  let darkCount = 0;
+
+  for (let y = 0; y < size; y += 1) {
+    penalty += getLinePenalty(modules[y]);
+    penalty += getLinePenalty(modules.map(row => row[y]));
+  }
+
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      if (modules[y][x]) darkCount += 1;
+      if (
+        y < size - 1 && x < size - 1
+        && modules[y][x] === modules[y][x + 1]
+        && modules[y][x] === modules[y + 1][x]
+        && modules[y][x] === modules[y + 1][x + 1]
+      ) {
+        penalty += PENALTY_BLOCK;
+      }
+    }
+  }
+
+  const total = size * size;
+  const deviation = Math.ceil(Math.abs(darkCount * 20 - total * 10) / total) - 1;
+  penalty += Math.max(0, deviation) * PENALTY_BALANCE;
+
+  return penalty;
+};
+
+/**
+ * Encode text as a QR code
+ * @param {string} text - Text to encode (UTF-8, byte mode)
+ * @param {string} [errorCorrection] - One of QR_ERROR_CORRECTION
+ * @returns {{version: number, size: number, errorCorrection: string, mask: number, modules: Array<Array<boolean>>}}
+ *   Module matrix, `modules[y][x]` is true for dark modules
+ * @throws {Error} When the text does not fit in a version 40 code
+ */
+export const encodeQrCode = (text, errorCorrection = QR_ERROR_CORRECTION.MEDIUM) => {
+  if (!(errorCorrection in FORMAT_BITS)) {
+    throw new Error(`Unknown error correction level: ${errorCorrection}`);
+  }
+
+  const bytes = Array.from(new TextEncoder().encode(text || ''));
+
+  let version = MIN_VERSION;
+  while (4 + getCountBits(version) + bytes.length * 8 > getDataCapacity(version, errorCorrection) * 8) {
+    version += 1;
+    if (version > MAX_VERSION) {
+      throw new Error('Text is too long to fit in a QR code');
+    }
+  }
+
+  const codewords = addErrorCorrection(buildDataCodewords(bytes, version, errorCorrection), version, errorCorrection);
+  const { size, modules, reserved } = createBaseMatrix(version);
+  placeCodewords(modules, reserved, codewords);
+
+  // Try every mask and keep the one with the lowest penalty
+  let best = null;
+  for (let mask = 0; mask < MASK_PATTERNS.length; mask += 1) {
+    const candidate = modules.map(row => [...row]);
+    applyMask(candidate, reserved, mask);
+    drawFormatBits(candidate, reserved, errorCorrection, mask);
+    const penalty = getPenaltyScore(candidate);
+    if (!best || penalty < best.penalty) {
+      best = { mask, penalty, modules: candidate };
+    }
+  }
+
+  return { version, size, errorCorrection, mask: best.mask, modules: best.modules };
+};
@@ -0,0 +1,194 @@
+/**
+ * qrCodeUtils - Render and save QR codes for profile URLs
+ *
+ * Renders a matrix from encodeQrCode as an SVG document or onto a canvas (for PNG),
+ * optionally with the profile avatar (or its initial) centered on a white plate.
+ * Both renderers use the same layout so the preview matches every download.
+ */
+
+import { QR_CODE_CONFIG } from '../constants';
+
+const PLATE_PADDING = 0.75; // Modules of white space around the avatar
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Layout in module units shared by the SVG and canvas renderers
+ * @param {Object} qr - Result of encodeQrCode
+ * @param {Object} options - Render options
+ * @returns {Object} { total, margin, avatar: { center, plate, radius } | null }
+ */
+const getLayout = (qr, { margin = QR_CODE_CONFIG.MARGIN, avatar = null } = {}) => {
+  const total = qr.size + margin * 2;
+
+  if (!avatar) {
+    return { total, margin, avatar: null };
+  }
+
+  const diameter = qr.size * QR_CODE_CONFIG.AVATAR_SIZE_RATIO;
+  return {
+    total,
+    margin,
+    avatar: {
+      center: total / 2,
+      radius: diameter / 2,
+      plate: diameter + PLATE_PADDING * 2,
+    },
+  };
+};
+
+/**
+ * Render a QR code as a standalone SVG document
+ * @param {Object} qr - Result of encodeQrCode
+ * @param {Object} [options] - Render options
+ * @param {number} [options.size] - Width and height in pixels
+ * @param {number} [options.margin] - Quiet zone in modules
+ * @param {string} [options.foreground] - Module color
+ * @param {string} [options.background] - Background color
+ * @param {Object} [options.avatar] - Centered avatar: { imageUrl } (data URL) or { initial }
+ * @returns {string} SVG markup
+ */
+export const buildQrSvg = (qr, {
+  size = QR_CODE_CONFIG.DEFAULT_SIZE,
+  margin = QR_CODE_CONFIG.MARGIN,
+  foreground = '#000000',
+  background = '#ffffff',
+  avatar = null,
+} = {}) => {
+  const layout = getLayout(qr, { margin, avatar });
+
+  let path = '';
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) path += `M${x + margin} ${y + margin}h1v1h-1z`;
+    });
+  });
+
+  let avatarMarkup = '';
+  if (layout.avatar) {
+    const { center, radius, plate } = layout.avatar;
+    const plateStart = center - plate / 2;
+
+    avatarMarkup += `<rect x="${plateStart}" y="${plateStart}" width="${plate}" height="${plate}" rx="${plate / 4}" fill="${background}"/>`;
+
+    if (avatar.imageUrl) {
+      avatarMarkup += `<clipPath id="qr-avatar"><circle cx="${center}" cy="${center}" r="${radius}"/></clipPath>`;
+      avatarMarkup += `<image href="${escapeXml(avatar.imageUrl)}" x="${center - radius}" y="${center - radius}" width="${radius * 2}" height="${radius * 2}" preserveAspectRatio="xMidYMid slice" clip-path="url(#qr-avatar)"/>`;
+    } else {
+      avatarMarkup += `<circle cx="${center}" cy="${center}" r="${radius}" fill="${foreground}"/>`;
+      avatarMarkup += `<text x="${center}" y="${center}" dy="0.35em" text-anchor="middle" font-family="sans-serif" font-weight="bold" font-size="${radius}" fill="${background}">${escapeXml(avatar.initial || '?')}</text>`;
+    }
+  }
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${layout.total} ${layout.total}" shape-rendering="crispEdges">`,
+    `<rect width="100%" height="100%" fill="${background}"/>`,
+    `<path d="${path}" fill="${foreground}"/>`,
+    avatarMarkup,
+    '</svg>',
+  ].join('');
+};
+
+/**
+ * SVG markup as a data URL, e.g. for an <img> preview
+ * @param {string} svg - SVG markup
+ * @returns {string} Data URL
+ */
+export const svgToDataUrl = (svg) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error('Failed to load avatar image'));
+  image.src = src;
+});
+
+/**
+ * Render a QR code as a PNG image
+ * @param {Object} qr - Result of encodeQrCode
+ * @param {Object} [options] - Same options as buildQrSvg
+ * @returns {Promise<Blob>} PNG file contents
+ */
+export const buildQrPng = async (qr, {
+  size = QR_CODE_CONFIG.DEFAULT_SIZE,
+  margin = QR_CODE_CONFIG.MARGIN,
+  foreground = '#000000',
+  background = '#ffffff',
+  avatar = null,
+} = {}) => {
+  const layout = getLayout(qr, { margin, avatar });
+  const scale = size / layout.total;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext('2d');
+
+  context.fillStyle = background;
+  context.fillRect(0, 0, size, size);
+
+  // Round module edges to whole pixels so neighbouring modules never leave seams
+  context.fillStyle = foreground;
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (!dark) return;
+      const left = Math.round((x + margin) * scale);
+      const top = Math.round((y + margin) * scale);
+      context.fillRect(left, top, Math.round((x + margin + 1) * scale) - left, Math.round((y + margin + 1) * scale) - top);
+    });
+  });
+
+  if (layout.avatar) {
+    const center = layout.avatar.center * scale;
+    const radius = layout.avatar.radius * scale;
+    const plate = layout.avatar.plate * scale;
+
+    context.fillStyle = background;
+    context.beginPath();
+    context.roundRect(center - plate / 2, center - plate / 2, plate, plate, plate / 4);
+    context.fill();
+
+    context.save();
+    context.beginPath();
+    context.arc(center, center, radius, 0, Math.PI * 2);
+    context.clip();
+
+    if (avatar.imageUrl) {
+      const image = await loadImage(avatar.imageUrl);
+      // Cover the circle like object-cover, cropping the longer side
+      const crop = Math.min(image.width, image.height);
+      context.drawImage(
+        image,
+        (image.width - crop) / 2, (image.height - crop) / 2, crop, crop,
+        center - radius, center - radius, radius * 2, radius * 2
+      );
+    } else {
+      context.fillStyle = foreground;
+      context.fillRect(center - radius, center - radius, radius * 2, radius * 2);
+      context.fillStyle = background;
+      context.font = `bold ${radius}px sans-serif`;
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      context.fillText(avatar.initial || '?', center, center);
+    }
+    context.restore();
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to create PNG'))), 'image/png');
+  });
+};
+
+/**
+ * File name for a QR code download, e.g. "lynqee-jane-qr-512.png"
+ * @param {string} username - Profile username
+ * @param {number} size - Size in pixels
+ * @param {string} extension - "svg" or "png"
+ * @returns {string} File name
+ */
+export const getQrFileName = (username, size, extension) => {
+  return `lynqee-${username || 'profile'}-qr-${size}.${extension}`;
+};
@@ -0,0 +1,117 @@
+/**
+ * seoUtils - Head tags for public profile pages
+ *
+ * Builds the title, description, canonical URL, Open Graph / Twitter card tags and
+ * JSON-LD `Person` data for a profile. The same description is applied in the browser
+ * by useDocumentHead and written into static HTML by scripts/prerender-profiles.js,
+ * so this module must stay free of browser APIs (and imports use file extensions so
+ * Node can load it).
+ */
+
+import { SEO_CONFIG } from '../constants/index.js';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Shorten text for meta descriptions at a word boundary
+ * @param {string} text - Text to shorten
+ * @param {number} [maxLength] - Maximum length including the ellipsis
+ * @returns {string} Single-line text of at most maxLength characters
+ */
+export const truncateDescription = (text, maxLength = SEO_CONFIG.DESCRIPTION_MAX_LENGTH) => {
+  const singleLine = (text || '').replace(/\s+/g, ' ').trim();
+  if (singleLine.length <= maxLength) return singleLine;
+
+  const cut = singleLine.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+};
+
+/**
+ * Describe the head of a public profile page
+ * @param {Object} profile - Public profile row (username, name, bio, avatar_url)
+ * @param {string} profileUrl - Canonical absolute URL of the profile
+ * @returns {{title: string, description: string, canonical: string, meta: Array<Object>, jsonLd: Object}}
+ *   Meta entries are { attribute: 'name' | 'property', key, content }
+ */
+export const buildProfileHead = (profile, profileUrl) => {
+  const handle = `@${profile.username}`;
+  const displayName = profile.name || handle;
+  const title = profile.name
+    ? `${profile.name} (${handle}) | ${SEO_CONFIG.SITE_NAME}`
+    : `${handle} | ${SEO_CONFIG.SITE_NAME}`;
+  const description = truncateDescription(profile.bio)
+    || `Check out ${displayName}'s links on ${SEO_CONFIG.SITE_NAME}.`;
+  const image = profile.avatar_url || null;
+
+  const meta = [
+    ['name', 'description', description],
+    ['property', 'og:type', 'profile'],
+    ['property', 'og:site_name', SEO_CONFIG.SITE_NAME],
+    ['property', 'og:title', displayName],
+    ['property', 'og:description', description],
+    ['property', 'og:url', profileUrl],
+    ['property', 'og:image', image],
+    ['property', 'profile:username', profile.username],
+    ['name', 'twitter:card', 'summary'],
+    ['name', 'twitter:title', displayName],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', image],
+  ]
+    .filter(([, , content]) => content)
+    .map(([attribute, key, content]) => ({ attribute, key, content }));
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Person',
+    name: displayName,
+    alternateName: handle,
+    url: profileUrl,
+    ...(profile.bio ? { description: profile.bio } : {}),
+    ...(image ? { image } : {}),
+  };
+
+  return { title, description, canonical: profileUrl, meta, jsonLd };
+};
+
+/**
+ * Serialize a head description as HTML tags, for static pages
+ * @param {Object} head - Result of buildProfileHead
+ * @returns {string} <title>, <meta>, <link rel="canonical"> and JSON-LD <script> tags
+ */
+export const renderHeadHtml = (head) => {
+  const marker = `${SEO_CONFIG.HEAD_ATTRIBUTE}="page"`;
+  // "<" is escaped so a bio can never close the script element
+  const jsonLd = JSON.stringify(head.jsonLd).replace(/</g, '\\u003c');
+
+  return [
+    `<title>${escapeHtml(head.title)}</title>`,
+    ...head.meta.map(({ attribute, key, content }) => (
+      `<meta ${attribute}="${escapeHtml(key)}" content="${escapeHtml(content)}" ${marker} />`
+    )),
+    `<link rel="canonical" href="${escapeHtml(head.canonical)}" ${marker} />`,
+    `<script type="application/ld+json" ${marker}>${jsonLd}</script>`,
+  ].join('\n    ');
+};
+
+/**
+ * Put a profile's head tags into the built index.html
+ * Replaces the default title and any default tags carrying the head attribute.
+ * @param {string} html - Contents of dist/index.html
+ * @param {Object} head - Result of buildProfileHead
+ * @returns {string} HTML for the profile page
+ */
+export const injectHeadHtml = (html, head) => {
+  const marker = SEO_CONFIG.HEAD_ATTRIBUTE;
+  const managedTag = new RegExp(`\\s*<(meta|link)[^>]*\\s${marker}[^>]*>`, 'g');
+
+  return html
+    .replace(/\s*<title>[\s\S]*?<\/title>/, '')
+    .replace(managedTag, '')
+    // Function replacement so "$" in profile text is not read as a pattern
+    .replace(/\s*<\/head>/, () => `\n    ${renderHeadHtml(head)}\n  </head>`);
+};
@@ -0,0 +1,93 @@
+/**
+ * socialLinkUtils - Profile social icons (Instagram, TikTok, GitHub, ...)
+ *
+ * Profiles store social links in the `social_links` jsonb column as
+ * [{ platform, url }], in display order. Users may type a handle ("@jane") or paste
+ * a profile URL; both become a canonical https URL for that platform. Stored data
+ * is re-checked before rendering, so only http(s) URLs on the platform's own hosts
+ * ever reach the page.
+ */
+
+import { MAX_SOCIAL_LINKS, SOCIAL_PLATFORMS } from '../constants';
+import { VALIDATION_MESSAGES, formatMessage } from '../constants/validationMessages.js';
+import { detectPlatform, getPlatformById } from './platformUtils.js';
+
+/**
+ * Platforms that can be added as social icons, in picker order
+ * @returns {Object[]} Platforms ({ id, name, color, ... }) from the platform table
+ */
+export const getSocialPlatforms = () => {
+  return Object.keys(SOCIAL_PLATFORMS)
+    .map(getPlatformById)
+    .filter(Boolean);
+};
+
+// Anything with a path or a protocol is treated as a URL, everything else as a handle
+const looksLikeUrl = (value) => /^[a-z][a-z0-9+.-]*:\/\//i.test(value) || value.includes('/');
+
+/**
+ * Turn a handle or pasted URL into the platform's profile URL
+ * @param {string} platformId - Key of SOCIAL_PLATFORMS
+ * @param {string} value - "@handle", "handle" or a profile URL
+ * @returns {{isValid: boolean, url: string|null, error: string|null}} Canonical https URL or an error
+ */
+export const buildSocialLinkUrl = (platformId, value) => {
+  const config = SOCIAL_PLATFORMS[platformId];
+  const platform = getPlatformById(platformId);
+  const invalid = (error) => ({ isValid: false, url: null, error });
+
+  if (!config || !platform) {
+    return invalid(VALIDATION_MESSAGES.SOCIAL_LINK_PLATFORM_INVALID);
+  }
+
+  const text = (value || '').trim();
+  if (!text) {
+    return invalid(VALIDATION_MESSAGES.SOCIAL_LINK_REQUIRED);
+  }
+
+  if (looksLikeUrl(text)) {
+    let url;
+    try {
+      url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+    } catch {
+      return invalid(formatMessage(VALIDATION_MESSAGES.SOCIAL_LINK_WRONG_PLATFORM, platform.name));
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol) || detectPlatform(url.href)?.id !== platformId) {
+      return invalid(formatMessage(VALIDATION_MESSAGES.SOCIAL_LINK_WRONG_PLATFORM, platform.name));
+    }
+
+    url.protocol = 'https:';
+    return { isValid: true, url: url.href, error: null };
+  }
+
+  const handle = text.replace(/^@/, '');
+  if (!config.handlePattern.test(handle)) {
+    return invalid(formatMessage(VALIDATION_MESSAGES.SOCIAL_HANDLE_INVALID, platform.name));
+  }
+
+  return { isValid: true, url: formatMessage(config.profileUrl, encodeURIComponent(handle)), error: null };
+};
+
+/**
+ * Social links that are safe to render, in their stored order
+ * Drops unknown platforms, URLs that aren't on the platform's hosts, duplicates
+ * and anything past MAX_SOCIAL_LINKS.
+ * @param {Array<Object>} links - Stored social links ({ platform, url })
+ * @returns {Array<{platform: Object, url: string}>} Links with their platform definition
+ */
+export const getRenderableSocialLinks = (links) => {
+  if (!Array.isArray(links)) return [];
+
+  const seen = new Set();
+  return links
+    .filter((link) => {
+      if (!link || seen.has(link.platform) || !buildSocialLinkUrl(link.platform, link.url).isValid) {
+        return false;
+      }
+      seen.add(link.platform);
+      return true;
+    })
+    .slice(0, MAX_SOCIAL_LINKS)
+    .map(link => ({ platform: getPlatformById(link.platform), url: link.url }));
+};
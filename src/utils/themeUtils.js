@@ -0,0 +1,144 @@
+/**
+ * themeUtils - Resolve stored profile themes into CSS variables
+ *
+ * Public profile components read colors, radius and font from CSS variables
+ * (mapped to `theme-*` classes, with fallbacks, in tailwind.config.js). These
+ * helpers turn the theme stored on a profile into those variables, filling gaps
+ * from the chosen preset.
+ */
+
+import {
+  DEFAULT_THEME_PRESET,
+  THEME_BUTTON_STYLES,
+  THEME_CORNER_RADII,
+  THEME_FONTS,
+  THEME_PRESETS,
+} from '../constants';
+
+const HEX_COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Check whether a value is a #rgb or #rrggbb color
+ * @param {string} value - Color value
+ * @returns {boolean} True if valid
+ */
+export const isValidHexColor = (value) => {
+  return typeof value === 'string' && HEX_COLOR_PATTERN.test(value);
+};
+
+/**
+ * Expand a hex color to #rrggbb
+ * @param {string} hex - #rgb or #rrggbb color
+ * @returns {string} Six digit lowercase hex color
+ */
+const expandHex = (hex) => {
+  const value = hex.slice(1).toLowerCase();
+  if (value.length === 3) {
+    return `#${value.split('').map(char => char + char).join('')}`;
+  }
+  return `#${value}`;
+};
+
+/**
+ * Calculate relative luminance of a color (WCAG definition)
+ * @param {string} hex - Hex color
+ * @returns {number} Luminance between 0 and 1
+ */
+export const getLuminance = (hex) => {
+  const value = expandHex(hex);
+  const [r, g, b] = [1, 3, 5].map(index => {
+    const channel = parseInt(value.slice(index, index + 2), 16) / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+/**
+ * Pick dark or light text for a background color
+ * @param {string} hex - Background hex color
+ * @returns {string} '#111827' or '#ffffff'
+ */
+export const getContrastTextColor = (hex) => {
+  return getLuminance(hex) > 0.4 ? '#111827' : '#ffffff';
+};
+
+/**
+ * Add an alpha channel to a hex color
+ * @param {string} hex - Hex color
+ * @param {number} alpha - Opacity between 0 and 1
+ * @returns {string} #rrggbbaa color
+ */
+const withAlpha = (hex, alpha) => {
+  const channel = Math.round(Math.min(1, Math.max(0, alpha)) * 255).toString(16).padStart(2, '0');
+  return `${expandHex(hex)}${channel}`;
+};
+
+/**
+ * Merge a stored theme with its preset, discarding invalid values
+ * @param {Object|null} theme - Theme stored on the profile
+ * @returns {Object} Complete theme with every field set
+ */
+export const resolveTheme = (theme) => {
+  const presetKey = THEME_PRESETS[theme?.preset] ? theme.preset : DEFAULT_THEME_PRESET;
+  const preset = THEME_PRESETS[presetKey];
+  const stored = theme || {};
+
+  return {
+    preset: presetKey,
+    background: isValidHexColor(stored.background) ? expandHex(stored.background) : preset.background,
+    accentColor: isValidHexColor(stored.accentColor) ? expandHex(stored.accentColor) : preset.accentColor,
+    buttonStyle: Object.values(THEME_BUTTON_STYLES).includes(stored.buttonStyle)
+      ? stored.buttonStyle
+      : preset.buttonStyle,
+    cornerRadius: THEME_CORNER_RADII[stored.cornerRadius] !== undefined ? stored.cornerRadius : preset.cornerRadius,
+    fontFamily: THEME_FONTS[stored.fontFamily] ? stored.fontFamily : preset.fontFamily,
+  };
+};
+
+/**
+ * Build the CSS variables for a theme
+ * @param {Object|null} theme - Theme stored on the profile (or null for the default)
+ * @returns {Object} Style object of CSS custom properties
+ */
+export const getThemeCssVariables = (theme) => {
+  const resolved = resolveTheme(theme);
+  const text = getContrastTextColor(resolved.background);
+  const isDark = text === '#ffffff';
+  const accentText = getContrastTextColor(resolved.accentColor);
+
+  const buttonTokens = {
+    [THEME_BUTTON_STYLES.FILLED]: {
+      bg: resolved.accentColor,
+      text: accentText,
+      border: resolved.accentColor,
+      hoverBg: withAlpha(resolved.accentColor, 0.85),
+    },
+    [THEME_BUTTON_STYLES.OUTLINE]: {
+      bg: 'transparent',
+      text,
+      border: resolved.accentColor,
+      hoverBg: withAlpha(resolved.accentColor, 0.1),
+    },
+    [THEME_BUTTON_STYLES.SOFT]: {
+      bg: withAlpha(resolved.accentColor, 0.15),
+      text,
+      border: 'transparent',
+      hoverBg: withAlpha(resolved.accentColor, 0.25),
+    },
+  }[resolved.buttonStyle];
+
+  return {
+    '--theme-page-bg': resolved.background,
+    '--theme-surface': resolved.background,
+    '--theme-text': text,
+    '--theme-muted': isDark ? 'rgba(255, 255, 255, 0.75)' : '#4b5563',
+    '--theme-border': isDark ? 'rgba(255, 255, 255, 0.15)' : 'rgba(0, 0, 0, 0.08)',
+    '--theme-accent': resolved.accentColor,
+    '--theme-button-bg': buttonTokens.bg,
+    '--theme-button-text': buttonTokens.text,
+    '--theme-button-border': buttonTokens.border,
+    '--theme-button-hover-bg': buttonTokens.hoverBg,
+    '--theme-radius': THEME_CORNER_RADII[resolved.cornerRadius],
+    '--theme-font': THEME_FONTS[resolved.fontFamily],
+  };
+};
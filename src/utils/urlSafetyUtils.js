@@ -0,0 +1,313 @@
+/**
+ * urlSafetyUtils - Screen link URLs before they're published
+ *
+ * Checks run on the parsed URL, so tricks the browser would undo (tabs inside
+ * "java\tscript:", "0x7f.1" for 127.0.0.1, uppercase Unicode hostnames) are seen
+ * the way the browser sees them:
+ * - `javascript:`, `data:` and similar schemes
+ * - credentials before the host ("https://bank.com@evil.example")
+ * - loopback, private (RFC 1918), link-local and other non-public IPv4 / IPv6
+ *   addresses and local-only hostnames
+ * - IDN homographs: punycode labels that mix Latin with Cyrillic or Greek, or that
+ *   are spelled entirely with Latin look-alikes
+ * - a local blocklist of known-bad domains and URL shorteners; more entries can be
+ *   added with registerBlockedDomains
+ */
+
+import { BLOCKED_LINK_DOMAINS, HOMOGRAPH_LOOKALIKES, LINK_SHORTENER_DOMAINS } from '../constants';
+
+export const URL_SAFETY_ISSUES = {
+  UNSAFE_SCHEME: 'unsafe_scheme',
+  CREDENTIALS: 'credentials',
+  PRIVATE_NETWORK: 'private_network',
+  HOMOGRAPH: 'homograph',
+  BLOCKED_DOMAIN: 'blocked_domain',
+  SHORTENER: 'shortener',
+};
+
+// Categories of blocklist entries, each reported as its own issue
+export const BLOCKED_DOMAIN_CATEGORIES = {
+  MALICIOUS: URL_SAFETY_ISSUES.BLOCKED_DOMAIN,
+  SHORTENER: URL_SAFETY_ISSUES.SHORTENER,
+};
+
+const UNSAFE_SCHEMES = ['javascript:', 'data:', 'vbscript:', 'file:', 'blob:'];
+
+// Hostnames that only resolve on the local machine or network
+const LOCAL_HOSTNAME_SUFFIXES = ['localhost', 'local', 'internal', 'lan', 'home.arpa'];
+
+// Non-public IPv4 ranges as [network, prefix length]
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8], // "This" network
+  ['10.0.0.0', 8], // RFC 1918
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8], // Loopback
+  ['169.254.0.0', 16], // Link-local
+  ['172.16.0.0', 12], // RFC 1918
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // RFC 1918
+  ['198.18.0.0', 15], // Benchmarking
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4], // Reserved and broadcast
+];
+
+const defaultBlockedDomains = () => [
+  ...BLOCKED_LINK_DOMAINS.map(domain => ({ domain, category: BLOCKED_DOMAIN_CATEGORIES.MALICIOUS })),
+  ...LINK_SHORTENER_DOMAINS.map(domain => ({ domain, category: BLOCKED_DOMAIN_CATEGORIES.SHORTENER })),
+];
+
+let blockedDomains = defaultBlockedDomains();
+
+/**
+ * Add domains to the blocklist (subdomains are blocked too)
+ * @param {string[]} domains - Hostnames, e.g. ["evil.example"]
+ * @param {string} [category] - A BLOCKED_DOMAIN_CATEGORIES value; defaults to malicious
+ */
+export const registerBlockedDomains = (domains, category = BLOCKED_DOMAIN_CATEGORIES.MALICIOUS) => {
+  if (!Object.values(BLOCKED_DOMAIN_CATEGORIES).includes(category)) {
+    throw new Error(`Unknown blocklist category: ${category}`);
+  }
+
+  const entries = (domains || [])
+    .map(domain => String(domain).trim().toLowerCase().replace(/\.$/, ''))
+    .filter(Boolean)
+    .map(domain => ({ domain, category }));
+
+  blockedDomains = [...blockedDomains.filter(entry => !entries.some(added => added.domain === entry.domain)), ...entries];
+};
+
+/**
+ * Restore the built-in blocklist (drops registered domains)
+ */
+export const resetBlockedDomains = () => {
+  blockedDomains = defaultBlockedDomains();
+};
+
+/**
+ * Blocklist entry covering a hostname
+ * @param {string} hostname - Lowercase hostname
+ * @returns {Object|null} { domain, category } of the most specific match, or null
+ */
+export const getBlockedDomain = (hostname) => {
+  const host = (hostname || '').toLowerCase().replace(/\.$/, '');
+
+  return blockedDomains
+    .filter(({ domain }) => host === domain || host.endsWith(`.${domain}`))
+    .sort((a, b) => b.domain.length - a.domain.length)[0] || null;
+};
+
+const ipv4ToNumber = (address) => {
+  const parts = address.split('.').map(Number);
+  return parts.reduce((value, part) => value * 256 + part, 0);
+};
+
+const isPrivateIpv4 = (address) => {
+  const value = ipv4ToNumber(address);
+  return PRIVATE_IPV4_RANGES.some(([network, prefix]) => {
+    const size = 2 ** (32 - prefix);
+    const start = ipv4ToNumber(network);
+    return value >= start && value < start + size;
+  });
+};
+
+// "[fe80::1]" → [0xfe80, 0, 0, 0, 0, 0, 0, 1]; a dotted IPv4 tail ("::1.2.3.4") is
+// read as its two hextets, in case the address wasn't normalized by the URL parser
+const parseIpv6 = (hostname) => {
+  let address = hostname.replace(/^\[|\]$/g, '');
+  const dottedTail = address.match(/(\d{1,3}(?:\.\d{1,3}){3})$/);
+  if (dottedTail) {
+    const value = ipv4ToNumber(dottedTail[1]);
+    address = `${address.slice(0, dottedTail.index)}${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+  }
+
+  const [head, tail = ''] = address.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = address.includes('::') && tail ? tail.split(':') : [];
+  const missing = 8 - headParts.length - tailParts.length;
+
+  return [...headParts, ...Array(address.includes('::') ? missing : 0).fill('0'), ...tailParts]
+    .map(part => parseInt(part, 16));
+};
+
+const hextetsToIpv4 = (high, low) => `${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`;
+
+// IPv4 address carried inside an IPv6 address, which reaches that IPv4 host
+const getEmbeddedIpv4 = (hextets) => {
+  const zeroUntil = (end) => hextets.slice(0, end).every(part => part === 0);
+
+  // IPv4-compatible (::a.b.c.d, deprecated) and IPv4-mapped (::ffff:a.b.c.d)
+  if (zeroUntil(6) || (zeroUntil(5) && hextets[5] === 0xffff)) {
+    return hextetsToIpv4(hextets[6], hextets[7]);
+  }
+  // NAT64 well-known prefix (64:ff9b::a.b.c.d)
+  if (hextets[0] === 0x64 && hextets[1] === 0xff9b && hextets.slice(2, 6).every(part => part === 0)) {
+    return hextetsToIpv4(hextets[6], hextets[7]);
+  }
+  // 6to4 (2002:aabb:ccdd::/48)
+  if (hextets[0] === 0x2002) {
+    return hextetsToIpv4(hextets[1], hextets[2]);
+  }
+  return null;
+};
+
+const isPrivateIpv6 = (hostname) => {
+  const hextets = parseIpv6(hostname);
+  const [first] = hextets;
+
+  // Unspecified (::) and loopback (::1)
+  if (hextets.slice(0, 7).every(part => part === 0) && hextets[7] <= 1) return true;
+  // Addresses embedding an IPv4 address are judged by that address
+  const embeddedIpv4 = getEmbeddedIpv4(hextets);
+  if (embeddedIpv4) {
+    return isPrivateIpv4(embeddedIpv4);
+  }
+
+  return (first & 0xfe00) === 0xfc00 // Unique local fc00::/7
+    || (first & 0xffc0) === 0xfe80 // Link-local fe80::/10
+    || (first & 0xffc0) === 0xfec0 // Site-local fec0::/10 (deprecated)
+    || (first & 0xff00) === 0xff00; // Multicast ff00::/8
+};
+
+/**
+ * Whether a hostname points at the local machine or a private network
+ * @param {string} hostname - Hostname as parsed by URL (IPv6 in brackets)
+ * @returns {boolean} True for loopback, private, link-local and local-only hosts
+ */
+export const isPrivateHostname = (hostname) => {
+  const host = (hostname || '').toLowerCase().replace(/\.$/, '');
+
+  if (host.startsWith('[')) return isPrivateIpv6(host);
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(host)) return isPrivateIpv4(host);
+
+  return LOCAL_HOSTNAME_SUFFIXES.some(suffix => host === suffix || host.endsWith(`.${suffix}`));
+};
+
+// RFC 3492 punycode decoding, for the "xn--" labels URL gives us
+const PUNYCODE = { BASE: 36, TMIN: 1, TMAX: 26, SKEW: 38, DAMP: 700, INITIAL_BIAS: 72, INITIAL_N: 128 };
+
+const adaptBias = (delta, numPoints, firstTime) => {
+  const { BASE, TMIN, TMAX, SKEW, DAMP } = PUNYCODE;
+  let scaled = firstTime ? Math.floor(delta / DAMP) : delta >> 1;
+  scaled += Math.floor(scaled / numPoints);
+
+  let k = 0;
+  while (scaled > ((BASE - TMIN) * TMAX) >> 1) {
+    scaled = Math.floor(scaled / (BASE - TMIN));
+    k += BASE;
+  }
+  return k + Math.floor(((BASE - TMIN + 1) * scaled) / (scaled + SKEW));
+};
+
+const decodeDigit = (char) => {
+  const code = char.charCodeAt(0);
+  if (code >= 48 && code <= 57) return code - 22; // 0-9 → 26-35
+  if (code >= 97 && code <= 122) return code - 97; // a-z → 0-25
+  if (code >= 65 && code <= 90) return code - 65; // A-Z → 0-25
+  return PUNYCODE.BASE;
+};
+
+/**
+ * Decode a punycode string (the part after "xn--")
+ * @param {string} input - Punycode, e.g. "pple-43d"
+ * @returns {string} Unicode text, e.g. "аpple"
+ * @throws {Error} When the input isn't valid punycode
+ */
+export const decodePunycode = (input) => {
+  const { BASE, TMIN, TMAX, INITIAL_BIAS, INITIAL_N } = PUNYCODE;
+  const separator = input.lastIndexOf('-');
+  const output = separator > 0 ? [...input.slice(0, separator)].map(char => char.codePointAt(0)) : [];
+
+  let n = INITIAL_N;
+  let bias = INITIAL_BIAS;
+  let i = 0;
+
+  for (let index = separator > 0 ? separator + 1 : 0; index < input.length;) {
+    const oldI = i;
+    let weight = 1;
+
+    for (let k = BASE; ; k += BASE) {
+      if (index >= input.length) throw new Error('Invalid punycode');
+      const digit = decodeDigit(input[index++]);
+      if (digit >= BASE) throw new Error('Invalid punycode');
+
+      i += digit * weight;
+      const threshold = k <= bias ? TMIN : k >= bias + TMAX ? TMAX : k - bias;
+      if (digit < threshold) break;
+      weight *= BASE - threshold;
+    }
+
+    const length = output.length + 1;
+    bias = adaptBias(i - oldI, length, oldI === 0);
+    n += Math.floor(i / length);
+    i %= length;
+    output.splice(i++, 0, n);
+  }
+
+  return String.fromCodePoint(...output);
+};
+
+const SCRIPT_PATTERNS = {
+  latin: /\p{Script=Latin}/u,
+  cyrillic: /\p{Script=Cyrillic}/u,
+  greek: /\p{Script=Greek}/u,
+};
+
+// Scripts whose letters are easily mistaken for each other
+const getConfusableScripts = (label) => {
+  return Object.keys(SCRIPT_PATTERNS).filter(script => SCRIPT_PATTERNS[script].test(label));
+};
+
+/**
+ * Whether a hostname looks like another one through look-alike letters
+ * @param {string} hostname - Hostname as parsed by URL (IDN labels in punycode)
+ * @returns {boolean} True when a label mixes Latin, Cyrillic and Greek letters, or
+ *   is written only with Cyrillic/Greek letters that pass for Latin ones
+ */
+export const isHomographHostname = (hostname) => {
+  return (hostname || '').split('.').some((label) => {
+    if (!label.startsWith('xn--')) return false;
+
+    let decoded;
+    try {
+      decoded = decodePunycode(label.slice(4)).toLowerCase();
+    } catch {
+      return true; // Browsers refuse broken punycode; treat it as suspicious
+    }
+
+    const scripts = getConfusableScripts(decoded);
+    if (scripts.length > 1) return true;
+
+    const letters = [...decoded].filter(char => /\p{L}/u.test(char));
+    return scripts.length === 1
+      && scripts[0] !== 'latin'
+      && letters.every(char => HOMOGRAPH_LOOKALIKES.includes(char));
+  });
+};
+
+/**
+ * First safety problem found in a URL
+ * @param {string} url - URL to check (absolute)
+ * @returns {string|null} A URL_SAFETY_ISSUES value, or null when nothing was found
+ *   (URLs that can't be parsed are left to the caller's own validation)
+ */
+export const getUrlSafetyIssue = (url) => {
+  // Browsers ignore tabs, newlines and leading control characters in a scheme
+  const compact = [...String(url || '')].filter(char => char.charCodeAt(0) > 32).join('').toLowerCase();
+  if (UNSAFE_SCHEMES.some(scheme => compact.startsWith(scheme))) {
+    return URL_SAFETY_ISSUES.UNSAFE_SCHEME;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch {
+    return null;
+  }
+
+  if (UNSAFE_SCHEMES.includes(parsed.protocol)) return URL_SAFETY_ISSUES.UNSAFE_SCHEME;
+  if (parsed.username || parsed.password) return URL_SAFETY_ISSUES.CREDENTIALS;
+  if (isPrivateHostname(parsed.hostname)) return URL_SAFETY_ISSUES.PRIVATE_NETWORK;
+  if (isHomographHostname(parsed.hostname)) return URL_SAFETY_ISSUES.HOMOGRAPH;
+
+  return getBlockedDomain(parsed.hostname)?.category || null;
+};
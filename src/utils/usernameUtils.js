@@ -0,0 +1,186 @@
+/**
+ * usernameUtils - Reserved, blocked and look-alike usernames
+ *
+ * Usernames are compared by their "skeleton": lowercased, accents and "-" / "_"
+ * removed and look-alike characters folded (0 → o, rn → m, ...). Two usernames with
+ * the same skeleton read the same in a URL, so a username is reserved when its
+ * skeleton matches a route or a reserved word, and blocked when one of its words
+ * (split at "-", "_" and capital letters) has the skeleton of a blocklisted word.
+ * Whole words are compared so innocent names containing one ("scunthorpe") pass.
+ */
+
+import {
+  APP_CONFIG,
+  RESERVED_USERNAMES,
+  ROUTES,
+  USERNAME_BLOCKLIST,
+  USERNAME_CONFUSABLES,
+} from '../constants';
+
+export const USERNAME_RESTRICTIONS = {
+  RESERVED: 'reserved',
+  BLOCKED: 'blocked',
+};
+
+// "é" → "e": decompose, then drop the combining marks
+const foldAccents = (text) => text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Canonical form used to compare usernames
+ * @param {string} username - Username as typed
+ * @returns {string} Skeleton, e.g. "Log_1n" → "logln" (same as "login")
+ */
+export const getUsernameSkeleton = (username) => {
+  let skeleton = foldAccents(username || '')
+    .toLowerCase()
+    .replace(/[-_]/g, '');
+
+  USERNAME_CONFUSABLES.forEach(([lookAlike, letter]) => {
+    skeleton = skeleton.split(lookAlike).join(letter);
+  });
+
+  return skeleton;
+};
+
+/**
+ * First path segment of every static route, e.g. "/check-email" → "check-email"
+ * @returns {string[]} Route names that would shadow a profile at /:username
+ */
+export const getRouteUsernames = () => {
+  return Object.values(ROUTES)
+    .map(path => path.split('/')[1])
+    .filter(segment => segment && !segment.startsWith(':'));
+};
+
+let reservedSkeletons = null;
+let blockedSkeletons = null;
+
+const getReservedSkeletons = () => {
+  if (!reservedSkeletons) {
+    reservedSkeletons = new Set(
+      [...getRouteUsernames(), ...RESERVED_USERNAMES].map(getUsernameSkeleton)
+    );
+  }
+  return reservedSkeletons;
+};
+
+const getBlockedSkeletons = () => {
+  if (!blockedSkeletons) {
+    blockedSkeletons = new Set(USERNAME_BLOCKLIST.map(getUsernameSkeleton));
+  }
+  return blockedSkeletons;
+};
+
+// Words of a username as typed, e.g. "BigFan_2024" → ["Big", "Fan", "2024"]
+const toUsernameWords = (username) => (username || '')
+  .replace(/([a-z])(?=[A-Z])/g, '$1 ')
+  .split(/[\s_-]+/)
+  .filter(Boolean);
+
+/**
+ * Why a username can't be used, regardless of who owns it
+ * @param {string} username - Username to check
+ * @returns {string|null} A USERNAME_RESTRICTIONS value, or null when allowed
+ */
+export const getUsernameRestriction = (username) => {
+  const skeleton = getUsernameSkeleton(username);
+  if (!skeleton) return null;
+
+  if (getReservedSkeletons().has(skeleton)) {
+    return USERNAME_RESTRICTIONS.RESERVED;
+  }
+
+  // The whole username counts as a word too, so "s-h-1-t" is caught
+  const blocked = getBlockedSkeletons();
+  if (blocked.has(skeleton) || toUsernameWords(username).some(word => blocked.has(getUsernameSkeleton(word)))) {
+    return USERNAME_RESTRICTIONS.BLOCKED;
+  }
+
+  return null;
+};
+
+/**
+ * Variations of a username to offer when it can't be used
+ * Candidates are not validated or checked for availability.
+ * @param {string} username - Username the user wanted
+ * @returns {string[]} Candidates in order of preference, without duplicates
+ */
+export const buildUsernameAlternatives = (username) => {
+  const base = (username || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]/g, '')
+    .replace(/^[-_]+|[-_]+$/g, '')
+    .slice(0, APP_CONFIG.USERNAME_MAX_LENGTH - '-links'.length);
+
+  if (!base) return [];
+
+  const year = new Date().getFullYear();
+  const candidates = [
+    `${base}hq`,
+    `its${base}`,
+    `the${base}`,
+    `${base}-links`,
+    `${base}_${year}`,
+    ...[1, 2, 3, 7, 99].map(number => `${base}${number}`),
+  ];
+
+  return [...new Set(candidates)].filter(candidate => candidate !== username);
+};
+
+// Lowercase ASCII words, e.g. "José van Dijk" → ["jose", "van", "dijk"]
+const toWords = (text) => foldAccents(text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+// Joined forms of a list of words: "janedoe", "jane_doe", "jane-doe"
+const joinVariants = (words) => (
+  words.length > 1
+    ? [words.join(''), words.join('_'), words.join('-')]
+    : words
+);
+
+/**
+ * Username ideas from what we know about a new user
+ * Uses the email local-part (without a "+tag") and the full name from the auth
+ * provider (e.g. Google), with separators, abbreviations and numeric suffixes.
+ * Candidates are not validated or checked for availability.
+ * @param {Object} identity - What the auth provider told us
+ * @param {string} [identity.email] - Email address
+ * @param {string} [identity.fullName] - Full name, e.g. from Google user metadata
+ * @returns {string[]} Candidates in order of preference, without duplicates
+ */
+export const buildUsernameSuggestions = ({ email, fullName } = {}) => {
+  const nameWords = toWords(fullName);
+  const emailWords = toWords((email || '').split('@')[0].replace(/\+.*$/, ''));
+  const bases = [];
+
+  if (nameWords.length > 1) {
+    const first = nameWords[0];
+    const last = nameWords[nameWords.length - 1];
+
+    bases.push(
+      ...joinVariants([first, last]),
+      `${first[0]}${last}`,
+      `${first}${last[0]}`,
+      `${last}${first}`,
+      nameWords.map(word => word[0]).join('')
+    );
+  } else {
+    bases.push(...nameWords);
+  }
+
+  bases.push(...joinVariants(emailWords));
+
+  const year = new Date().getFullYear();
+  const preferred = bases.slice(0, 2);
+  const candidates = [
+    ...bases,
+    ...preferred.flatMap(base => [1, 2, 3].map(number => `${base}${number}`)),
+    ...preferred.map(base => `${base}${year}`),
+  ]
+    .map(candidate => candidate.slice(0, APP_CONFIG.USERNAME_MAX_LENGTH))
+    .filter(candidate => candidate.length >= APP_CONFIG.USERNAME_MIN_LENGTH);
+
+  return [...new Set(candidates)];
+};
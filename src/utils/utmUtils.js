@@ -0,0 +1,120 @@
+/**
+ * utmUtils - Campaign (UTM) tags on link URLs
+ *
+ * A link's own tags live in its URL's query string, so they're saved, copied and
+ * exported with it. A profile can also store default tags (`utm_defaults`), added
+ * to links on the public profile when a link doesn't set that tag itself.
+ *
+ * The query string is edited as text: parameters that aren't UTM tags keep their
+ * exact spelling, encoding and order, and the #fragment stays at the end.
+ */
+
+import { UTM_PARAMETERS } from '../constants';
+
+const UTM_KEYS = UTM_PARAMETERS.map(param => param.key);
+
+const decodePart = (part) => {
+  try {
+    return decodeURIComponent(part.replace(/\+/g, ' '));
+  } catch {
+    return part;
+  }
+};
+
+// UTM tag a "key=value" pair sets, or null for any other parameter
+const getUtmKey = (pair) => {
+  const key = decodePart(pair.split('=')[0]).toLowerCase();
+  return UTM_KEYS.includes(key) ? key : null;
+};
+
+const splitUrl = (url) => {
+  const hashIndex = url.indexOf('#');
+  const beforeHash = hashIndex >= 0 ? url.slice(0, hashIndex) : url;
+  const queryIndex = beforeHash.indexOf('?');
+
+  return {
+    base: queryIndex >= 0 ? beforeHash.slice(0, queryIndex) : beforeHash,
+    pairs: queryIndex >= 0 ? beforeHash.slice(queryIndex + 1).split('&').filter(Boolean) : [],
+    hash: hashIndex >= 0 ? url.slice(hashIndex) : '',
+  };
+};
+
+/**
+ * UTM tags set in a URL
+ * @param {string} url - Link URL
+ * @returns {Object} Decoded values keyed by tag (utm_source, ...); only tags present
+ */
+export const getUtmParams = (url) => {
+  if (!url) return {};
+
+  return splitUrl(url).pairs.reduce((params, pair) => {
+    const key = getUtmKey(pair);
+    if (key && !(key in params)) {
+      const separator = pair.indexOf('=');
+      params[key] = separator >= 0 ? decodePart(pair.slice(separator + 1)) : '';
+    }
+    return params;
+  }, {});
+};
+
+/**
+ * Set UTM tags on a URL, leaving the rest of the query string as it is
+ * Tags already in the URL are updated in place; new ones are appended.
+ * @param {string} url - Link URL
+ * @param {Object} params - Values keyed by tag; an empty value removes the tag
+ * @param {Object} [options] - Merge options
+ * @param {boolean} [options.overwrite=true] - Replace tags the URL already has;
+ *   false only adds missing tags (used for profile defaults)
+ * @returns {string} URL with the tags applied
+ */
+export const applyUtmParams = (url, params, { overwrite = true } = {}) => {
+  if (!url || !params) return url;
+
+  const { base, pairs, hash } = splitUrl(url);
+  const present = new Set(pairs.map(getUtmKey).filter(Boolean));
+  const values = Object.fromEntries(
+    UTM_KEYS
+      .filter(key => Object.prototype.hasOwnProperty.call(params, key))
+      .map(key => [key, String(params[key] ?? '').trim()])
+  );
+
+  const written = new Set();
+  const nextPairs = pairs.flatMap((pair) => {
+    const key = getUtmKey(pair);
+    if (!key || !overwrite || !(key in values)) return [pair];
+    // Keep the first occurrence's position, drop repeats
+    if (written.has(key) || !values[key]) return [];
+    written.add(key);
+    return [`${key}=${encodeURIComponent(values[key])}`];
+  });
+
+  Object.entries(values).forEach(([key, value]) => {
+    if (value && !present.has(key)) {
+      nextPairs.push(`${key}=${encodeURIComponent(value)}`);
+    }
+  });
+
+  return `${base}${nextPairs.length > 0 ? `?${nextPairs.join('&')}` : ''}${hash}`;
+};
+
+/**
+ * Remove all UTM tags from a URL
+ * @param {string} url - Link URL
+ * @returns {string} URL without utm_* parameters
+ */
+export const stripUtmParams = (url) => {
+  return applyUtmParams(url, Object.fromEntries(UTM_KEYS.map(key => [key, ''])));
+};
+
+/**
+ * Trimmed, non-empty UTM tags, ready to store
+ * @param {Object} params - Values keyed by tag; unknown keys are dropped
+ * @returns {Object|null} Tags, or null when none is set
+ */
+export const cleanUtmParams = (params) => {
+  const entries = UTM_KEYS
+    .map(key => [key, String(params?.[key] ?? '').trim()])
+    .filter(([, value]) => value);
+
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+};
@@ -1,10 +1,26 @@
-import { VALIDATION_RULES } from '../constants';
+import { MAX_SOCIAL_LINKS, UTM_PARAMETERS, VALIDATION_RULES } from '../constants';
 import { VALIDATION_MESSAGES, formatMessage } from '../constants/validationMessages';
+import { isSectionHeader } from './linkUtils';
+import { getPlatformById } from './platformUtils';
+import { buildSocialLinkUrl } from './socialLinkUtils';
+import { USERNAME_RESTRICTIONS, getUsernameRestriction } from './usernameUtils';
+import { URL_SAFETY_ISSUES, getUrlSafetyIssue } from './urlSafetyUtils';
+import { stripUtmParams } from './utmUtils';
 
 /**
  * Validation utilities for form inputs
  */
 
+// Message for each problem found by getUrlSafetyIssue
+const URL_SAFETY_MESSAGES = {
+  [URL_SAFETY_ISSUES.UNSAFE_SCHEME]: VALIDATION_MESSAGES.LINK_URL_UNSAFE_SCHEME,
+  [URL_SAFETY_ISSUES.CREDENTIALS]: VALIDATION_MESSAGES.LINK_URL_CREDENTIALS,
+  [URL_SAFETY_ISSUES.PRIVATE_NETWORK]: VALIDATION_MESSAGES.LINK_URL_PRIVATE_NETWORK,
+  [URL_SAFETY_ISSUES.HOMOGRAPH]: VALIDATION_MESSAGES.LINK_URL_HOMOGRAPH,
+  [URL_SAFETY_ISSUES.BLOCKED_DOMAIN]: VALIDATION_MESSAGES.LINK_URL_BLOCKED_DOMAIN,
+  [URL_SAFETY_ISSUES.SHORTENER]: VALIDATION_MESSAGES.LINK_URL_SHORTENER,
+};
+
 /**
  * Validates an email address
  * @param {string} email - The email to validate
@@ -49,10 +65,65 @@ export const validateUsername = (username) => {
       error: VALIDATION_MESSAGES.USERNAME_INVALID_CHARS
     };
   }
+
+  // Route names, reserved words and their look-alikes in any case
+  const restriction = getUsernameRestriction(username);
+  if (restriction === USERNAME_RESTRICTIONS.RESERVED) {
+    return { isValid: false, error: VALIDATION_MESSAGES.USERNAME_RESERVED };
+  }
+  if (restriction === USERNAME_RESTRICTIONS.BLOCKED) {
+    return { isValid: false, error: VALIDATION_MESSAGES.USERNAME_NOT_ALLOWED };
+  }
   
   return { isValid: true, error: null };
 };
 
+/**
+ * Validates a custom domain for a public profile
+ * @param {string} domain - Normalized hostname, e.g. "links.brand.com"
+ * @param {string[]} [reservedHosts] - App hostnames; these and their subdomains can't be connected
+ * @returns {Object} Validation result with isValid and error message
+ */
+export const validateCustomDomain = (domain, reservedHosts = []) => {
+  if (!domain) {
+    return { isValid: false, error: VALIDATION_MESSAGES.CUSTOM_DOMAIN_REQUIRED };
+  }
+
+  if (!VALIDATION_RULES.DOMAIN_PATTERN.test(domain)) {
+    return { isValid: false, error: VALIDATION_MESSAGES.CUSTOM_DOMAIN_INVALID };
+  }
+
+  if (reservedHosts.some(host => domain === host || domain.endsWith(`.${host}`))) {
+    return { isValid: false, error: VALIDATION_MESSAGES.CUSTOM_DOMAIN_RESERVED };
+  }
+
+  return { isValid: true, error: null };
+};
+
+/**
+ * Validates a social link before it's added to a profile
+ * @param {string} platformId - Platform key (see SOCIAL_PLATFORMS)
+ * @param {string} value - Handle or profile URL typed by the user
+ * @param {Array<Object>} [existingLinks] - Social links already on the profile ({ platform, url })
+ * @returns {Object} Validation result with isValid, error message and the canonical url
+ */
+export const validateSocialLink = (platformId, value, existingLinks = []) => {
+  if (existingLinks.length >= MAX_SOCIAL_LINKS) {
+    return { isValid: false, error: formatMessage(VALIDATION_MESSAGES.SOCIAL_LINKS_LIMIT, MAX_SOCIAL_LINKS), url: null };
+  }
+
+  const result = buildSocialLinkUrl(platformId, value);
+  if (!result.isValid) {
+    return { isValid: false, error: result.error, url: null };
+  }
+
+  if (existingLinks.some(link => link.platform === platformId)) {
+    return { isValid: false, error: formatMessage(VALIDATION_MESSAGES.SOCIAL_LINK_DUPLICATE, getPlatformById(platformId).name), url: null };
+  }
+
+  return { isValid: true, error: null, url: result.url };
+};
+
 /**
  * Validates a password
  * @param {string} password - The password to validate
@@ -109,6 +180,13 @@ export const validateLinkUrl = (url) => {
   }
   
   const trimmedUrl = url.trim();
+
+  // Unsafe schemes, credentials, private hosts, look-alike domains and blocklisted
+  // domains (see utils/urlSafetyUtils.js)
+  const safetyIssue = getUrlSafetyIssue(trimmedUrl);
+  if (safetyIssue) {
+    return { isValid: false, error: URL_SAFETY_MESSAGES[safetyIssue] };
+  }
   
   // Check basic URL pattern
   if (!VALIDATION_RULES.URL_PATTERN.test(trimmedUrl)) {
@@ -122,17 +200,9 @@ export const validateLinkUrl = (url) => {
   try {
     const urlObj = new URL(trimmedUrl);
     
-    // Check for localhost or private networks in production
-    const hostname = urlObj.hostname.toLowerCase();
-    if (hostname === 'localhost' || hostname === '127.0.0.1' || hostname.startsWith('192.168.') || hostname.startsWith('10.') || hostname.startsWith('172.')) {
-      return { 
-        isValid: false, 
-        error: VALIDATION_MESSAGES.LINK_URL_PRIVATE_NETWORK
-      };
-    }
-    
     // Check for valid domain structure
-    if (!hostname.includes('.') && hostname !== 'localhost') {
+    const hostname = urlObj.hostname.toLowerCase();
+    if (!hostname.includes('.')) {
       return { 
         isValid: false, 
         error: VALIDATION_MESSAGES.LINK_URL_INVALID_DOMAIN
@@ -165,34 +235,90 @@ export const validateLinkUrl = (url) => {
   return { isValid: true, error: null };
 };
 
+/**
+ * Validates an optional link schedule window
+ * @param {string|null} startsAt - When the link goes live (ISO or datetime-local string)
+ * @param {string|null} endsAt - When the link expires (ISO or datetime-local string)
+ * @returns {Object} Validation result with isValid and errors keyed by starts_at / ends_at
+ */
+export const validateLinkSchedule = (startsAt, endsAt) => {
+  const errors = {};
+  const startTime = startsAt ? new Date(startsAt).getTime() : null;
+  const endTime = endsAt ? new Date(endsAt).getTime() : null;
+
+  if (startsAt && Number.isNaN(startTime)) {
+    errors.starts_at = VALIDATION_MESSAGES.LINK_SCHEDULE_INVALID_DATE;
+  }
+
+  if (endsAt && Number.isNaN(endTime)) {
+    errors.ends_at = VALIDATION_MESSAGES.LINK_SCHEDULE_INVALID_DATE;
+  }
+
+  if (!errors.starts_at && !errors.ends_at && startTime !== null && endTime !== null && endTime <= startTime) {
+    errors.ends_at = VALIDATION_MESSAGES.LINK_SCHEDULE_END_BEFORE_START;
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+};
+
+/**
+ * Validates campaign (UTM) tag values from the UTM builder
+ * @param {Object} params - Values keyed by tag (utm_source, ...); empty values are fine
+ * @returns {Object} Validation result with isValid and errors keyed by tag
+ */
+export const validateUtmParams = (params = {}) => {
+  const errors = {};
+
+  UTM_PARAMETERS.forEach(({ key, label }) => {
+    const value = String(params?.[key] ?? '').trim();
+    if (/[\r\n]/.test(value)) {
+      errors[key] = formatMessage(VALIDATION_MESSAGES.UTM_VALUE_INVALID_CHARS, label);
+    } else if (value.length > VALIDATION_RULES.UTM_VALUE_MAX_LENGTH) {
+      errors[key] = formatMessage(VALIDATION_MESSAGES.UTM_VALUE_TOO_LONG, label, VALIDATION_RULES.UTM_VALUE_MAX_LENGTH);
+    }
+  });
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+};
+
 /**
  * Validates complete link data
- * @param {Object} linkData - Object containing title and url
+ * @param {Object} linkData - Object containing title and url, plus optional starts_at / ends_at
+ *   (section headers, `type: 'header'`, need only a title)
  * @param {Array} existingLinks - Array of existing links to check for duplicates (optional)
  * @param {string} currentLinkId - ID of current link being edited (optional, for edit mode)
  * @returns {Object} Validation result with isValid, errors object, and hasErrors boolean
  */
 export const validateLinkData = (linkData, existingLinks = [], currentLinkId = null) => {
-  const { title, url } = linkData;
+  const { title, url, starts_at, ends_at } = linkData;
+  // Section headers only carry a title
+  const isHeader = isSectionHeader(linkData);
   
   const titleValidation = validateLinkTitle(title);
-  const urlValidation = validateLinkUrl(url);
+  const urlValidation = isHeader ? { isValid: false } : validateLinkUrl(url);
+  const scheduleValidation = validateLinkSchedule(starts_at, ends_at);
   
-  const errors = {};
+  const errors = { ...scheduleValidation.errors };
   
   if (!titleValidation.isValid) {
     errors.title = titleValidation.error;
   }
   
-  if (!urlValidation.isValid) {
+  if (!isHeader && !urlValidation.isValid) {
     errors.url = urlValidation.error;
   }
   
   // Check for duplicate URL (if existing links provided)
   if (urlValidation.isValid && existingLinks && existingLinks.length > 0) {
     const duplicateLink = existingLinks.find(link => {
-      // Skip current link in edit mode
-      if (currentLinkId && link.id === currentLinkId) {
+      // Skip current link in edit mode and section headers
+      if ((currentLinkId && link.id === currentLinkId) || isSectionHeader(link)) {
         return false;
       }
       // Normalize URLs for comparison
@@ -213,6 +339,10 @@ export const validateLinkData = (linkData, existingLinks = [], currentLinkId = n
       if (currentLinkId && link.id === currentLinkId) {
         return false;
       }
+      // Headers and links may share a title (e.g. a "Music" section with a "Music" link)
+      if (isSectionHeader(link) !== isHeader) {
+        return false;
+      }
       return link.title && link.title.trim().toLowerCase() === title.trim().toLowerCase();
     });
     
@@ -232,6 +362,8 @@ export const validateLinkData = (linkData, existingLinks = [], currentLinkId = n
 
 /**
  * Normalize URL for comparison (remove trailing slashes, convert to lowercase, etc.)
+ * Campaign (UTM) tags are dropped, so the same page tagged differently still counts
+ * as a duplicate.
  * @param {string} url - URL to normalize
  * @returns {string} Normalized URL
  */
@@ -239,7 +371,7 @@ export const normalizeUrlForComparison = (url) => {
   if (!url) return '';
   
   try {
-    const urlObj = new URL(url);
+    const urlObj = new URL(stripUtmParams(url));
     // Remove trailing slash, convert to lowercase
     let normalized = urlObj.toString().toLowerCase();
     if (normalized.endsWith('/') && normalized !== urlObj.protocol + '//') {
@@ -248,6 +380,6 @@ export const normalizeUrlForComparison = (url) => {
     return normalized;
   } catch {
     // If URL parsing fails, just do basic normalization
-    return url.toLowerCase().replace(/\/$/, '');
+    return stripUtmParams(url).toLowerCase().replace(/\/$/, '');
   }
 };
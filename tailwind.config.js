@@ -67,6 +67,23 @@ export default {
         'deep-forest': '#00332c',
         'coral-pink': '#ffa8ba',
         'coral-red': '#fa5246',
+        // Profile theme tokens - set per profile via CSS variables (see utils/themeUtils.js).
+        // Fallbacks reproduce the default look when no theme is applied.
+        theme: {
+          page: 'var(--theme-page-bg, #f9fafb)',
+          surface: 'var(--theme-surface, #ffffff)',
+          text: 'var(--theme-text, #111827)',
+          muted: 'var(--theme-muted, #4b5563)',
+          border: 'var(--theme-border, #f3f4f6)',
+          accent: 'var(--theme-accent, #d97706)',
+          'button-bg': 'var(--theme-button-bg, #ffffff)',
+          'button-text': 'var(--theme-button-text, #111827)',
+          'button-border': 'var(--theme-button-border, #e5e7eb)',
+          'button-hover': 'var(--theme-button-hover-bg, #f9fafb)',
+        },
+      },
+      fontFamily: {
+        theme: 'var(--theme-font, inherit)',
       },
       // Enhanced border radius for modern design
       borderRadius: {
@@ -74,6 +91,7 @@ export default {
         'lg': '0.75rem',
         'xl': '1rem',
         '2xl': '1.25rem',
+        'theme': 'var(--theme-radius, 1rem)',
       },
       // Custom animations for modern loading components
       animation: {